@@ -0,0 +1,206 @@
+/**
+ * Citation validation for tutor responses
+ * Checks every [Reference: "file" - Page X] against the chunks that were actually retrieved,
+ * remapping near-misses to the closest retrieved page and stripping citations that can't be verified.
+ * Materials other than PDFs are cited by slide, section or line instead ("Slide 4", "Lines 12-30"),
+ * and course links by title ([Link: "title"]).
+ */
+
+// Accepts the canonical format plus common model slips ("Pages 3-4", en dashes, extra spaces)
+const REFERENCE_REGEX = /( ?)\[Reference:\s*"([^"]+)"\s*-\s*(Pages?|Slides?|Sections?|Lines?)\s*(\d+)(?:\s*[-–]\s*(\d+))?\s*\]/gi;
+
+const LINK_REGEX = /( ?)\[Link:\s*"([^"]+)"\s*\]/gi;
+
+const LOCATION_LABELS = {
+  page: ['Page', 'Pages'],
+  slide: ['Slide', 'Slides'],
+  section: ['Section', 'Sections'],
+  line: ['Line', 'Lines']
+};
+
+/**
+ * How a location is written in a citation: "Page 3", "Slides 4-5", "Lines 12-30"
+ * @param {string} locationType - pdf_chunks.location_type ('page' when missing)
+ */
+export function formatLocation(locationType, start, end = start) {
+  const [singular, plural] = LOCATION_LABELS[locationType] || LOCATION_LABELS.page;
+  return end > start ? `${plural} ${start}-${end}` : `${singular} ${start}`;
+}
+
+function locationTypeOf(label) {
+  return Object.keys(LOCATION_LABELS).find(type => label.toLowerCase().startsWith(type));
+}
+
+/**
+ * Normalize a filename for loose comparison ("Intro to MATLAB.PDF" ~ "intro-to-matlab.pdf")
+ */
+function normalizeFilename(filename) {
+  return filename
+    .toLowerCase()
+    .replace(/\.(pdf|pptx|docx|mlx|md|markdown|html?|m)$/, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the filename a citation refers to among known filenames
+ * @returns {string|null} - The matching filename, or null if none matches
+ */
+function resolveFilename(filename, knownFilenames) {
+  if (knownFilenames.includes(filename)) {
+    return filename;
+  }
+
+  const normalized = normalizeFilename(filename);
+  if (!normalized) {
+    return null;
+  }
+
+  return knownFilenames.find(known => normalizeFilename(known) === normalized) || null;
+}
+
+/**
+ * Normalize a link title for loose comparison ("For Loops - MATLAB" ~ "for loops – matlab")
+ */
+function normalizeTitle(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Pick the retrieved page closest to the cited page (lower page wins ties)
+ */
+function closestPage(pages, targetPage) {
+  return pages.reduce((best, page) =>
+    Math.abs(page - targetPage) < Math.abs(best - targetPage) ? page : best
+  );
+}
+
+/**
+ * The retrieved chunk range a line lies in (line citations point at a whole passage)
+ */
+function rangeContaining(ranges, location) {
+  return ranges.find(range => range.start <= location && location <= range.end) || { start: location, end: location };
+}
+
+/**
+ * Validate and repair the material citations in a tutor response
+ * @param {string} text - The tutor's response
+ * @param {Array} relevantChunks - Chunks passed to the model ({ filename, page, page_end, location_type })
+ * @param {Array} coursePdfs - The course's PDFs ({ filename })
+ * @param {Array} courseLinks - The course's links ({ title }); any of them can be cited, retrieved or not
+ * @returns {Object} - { text, report: { valid, remapped: [...], stripped: [...] } }
+ */
+export function validateCitations(text, relevantChunks = [], coursePdfs = [], courseLinks = []) {
+  const report = { valid: 0, remapped: [], stripped: [] };
+
+  if (!text) {
+    return { text, report };
+  }
+
+  // Pages (or slides, sections, lines) the model was actually shown, per file
+  const retrieved = new Map();
+  relevantChunks.forEach(chunk => {
+    if (!chunk.filename || !chunk.page || chunk.link_id) return;
+    if (!retrieved.has(chunk.filename)) {
+      retrieved.set(chunk.filename, { locationType: chunk.location_type || 'page', pages: new Set(), ranges: [] });
+    }
+    const file = retrieved.get(chunk.filename);
+    const end = Math.max(chunk.page, chunk.page_end || 0);
+    file.ranges.push({ start: chunk.page, end });
+    // A chunk that continues onto later pages makes all of them citable
+    for (let page = chunk.page; page <= end; page++) {
+      file.pages.add(page);
+    }
+  });
+
+  const retrievedFilenames = [...retrieved.keys()];
+  const courseFilenames = coursePdfs.map(pdf => pdf.filename);
+  const linkTitles = courseLinks.map(link => link.title).filter(Boolean);
+  const resolveLinkTitle = title => linkTitles.find(known => normalizeTitle(known) === normalizeTitle(title));
+
+  // Links are cited by their exact title; near-misses are corrected and unknown titles removed
+  const linked = text.replace(LINK_REGEX, (fullMatch, space, title) => {
+    const cited = { filename: title, page: 'link' };
+
+    if (linkTitles.includes(title)) {
+      report.valid++;
+      return fullMatch;
+    }
+
+    const resolvedTitle = resolveLinkTitle(title);
+
+    if (!resolvedTitle) {
+      report.stripped.push({ ...cited, reason: 'unknown_link' });
+      return '';
+    }
+
+    report.remapped.push({ from: cited, to: { filename: resolvedTitle, page: 'link' } });
+    return `${space}[Link: "${resolvedTitle}"]`;
+  });
+
+  const repaired = linked.replace(REFERENCE_REGEX, (fullMatch, space, filename, label, startStr, endStr) => {
+    const startPage = parseInt(startStr, 10);
+    const endPage = endStr ? parseInt(endStr, 10) : startPage;
+    const cited = { filename, page: `${label.replace(/s$/i, '')} ${endStr ? `${startPage}-${endPage}` : startPage}` };
+
+    const resolvedFilename = resolveFilename(filename, retrievedFilenames);
+
+    // A link's page cited like a file
+    const linkTitle = !resolvedFilename && resolveLinkTitle(filename);
+    if (linkTitle) {
+      report.remapped.push({ from: cited, to: { filename: linkTitle, page: 'link' } });
+      return `${space}[Link: "${linkTitle}"]`;
+    }
+
+    if (!resolvedFilename) {
+      // Keep the document name as plain text if it exists, otherwise drop the citation entirely
+      const courseFilename = resolveFilename(filename, courseFilenames);
+      report.stripped.push({
+        ...cited,
+        reason: courseFilename ? 'page_not_retrieved' : 'unknown_file'
+      });
+      return courseFilename ? `${space}"${courseFilename}"` : '';
+    }
+
+    const { locationType, ranges } = retrieved.get(resolvedFilename);
+    const pages = [...retrieved.get(resolvedFilename).pages].sort((a, b) => a - b);
+
+    // "Page 4" of a slide deck is its fourth slide, but the label is still rewritten
+    if (resolvedFilename === filename && locationTypeOf(label) === locationType && pages.includes(startPage)) {
+      report.valid++;
+      return fullMatch;
+    }
+
+    // Prefer a retrieved page inside the cited range, otherwise the nearest one
+    const pageInRange = pages.find(page => page >= startPage && page <= endPage);
+    const page = pageInRange ?? closestPage(pages, startPage);
+    const range = locationType === 'line' ? rangeContaining(ranges, page) : { start: page, end: page };
+    const location = formatLocation(locationType, range.start, range.end);
+
+    report.remapped.push({ from: cited, to: { filename: resolvedFilename, page: location } });
+    return `${space}[Reference: "${resolvedFilename}" - ${location}]`;
+  });
+
+  return { text: repaired, report };
+}
+
+/**
+ * Log the outcome of citation validation
+ * @param {Object} report - Report returned by validateCitations
+ */
+export function logCitationReport(report) {
+  const total = report.valid + report.remapped.length + report.stripped.length;
+
+  if (total === 0) {
+    return;
+  }
+
+  console.log(`🔗 Citations: ${report.valid} valid, ${report.remapped.length} remapped, ${report.stripped.length} stripped`);
+
+  report.remapped.forEach(({ from, to }) => {
+    console.warn(`  ⚠️ Remapped "${from.filename}" ${from.page} → "${to.filename}" ${to.page}`);
+  });
+
+  report.stripped.forEach(({ filename, page, reason }) => {
+    console.warn(`  ⚠️ Stripped "${filename}" ${page} (${reason})`);
+  });
+}
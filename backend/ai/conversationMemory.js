@@ -0,0 +1,179 @@
+import { getLLMProvider, resolveModel } from './providers/index.js';
+
+// Tokens of raw history sent with each message (the rolling summary covers everything older)
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET || '6000', 10);
+
+const SUMMARY_SYSTEM_PROMPT = `You maintain the memory of an AI MATLAB tutor. Merge the previous summary and the new conversation turns into ONE updated summary for the tutor to read before its next reply.
+
+Include:
+- The student's apparent MATLAB level and goals
+- Topics and exercises covered, and what the student got working
+- Misconceptions or recurring mistakes, and whether they were resolved
+- Open questions or tasks the student was last working on
+- PDF references that were useful (keep the exact [Reference: ...] format)
+
+Write plain prose or short bullet points, under 250 words. Do not address the student.`;
+
+// Threads with a summary update in flight, so quick successive messages don't summarise twice
+const summariesInProgress = new Set();
+
+/**
+ * Fetch the stored summary and every message newer than it
+ */
+async function fetchUnsummarized(supabase, threadId) {
+  const { data: summaryRow, error: summaryError } = await supabase
+    .from('conversation_summaries')
+    .select('*')
+    .eq('thread_id', threadId)
+    .maybeSingle();
+
+  if (summaryError) throw summaryError;
+
+  let query = supabase
+    .from('conversations')
+    .select('role, content, created_at')
+    .eq('thread_id', threadId)
+    .order('created_at', { ascending: true });
+
+  if (summaryRow?.summarized_until) {
+    query = query.gt('created_at', summaryRow.summarized_until);
+  }
+
+  const { data: messages, error } = await query;
+
+  if (error) throw error;
+
+  return { summaryRow, messages: messages || [] };
+}
+
+/**
+ * Split messages into the newest ones that fit the token budget and the older overflow
+ * @returns {Object} - { recent, overflow, totalTokens }
+ */
+function splitByTokenBudget(messages, budget) {
+  const provider = getLLMProvider();
+  let usedTokens = 0;
+  let splitIndex = messages.length;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = provider.countTokens(messages[i]);
+    if (usedTokens + tokens > budget) break;
+    usedTokens += tokens;
+    splitIndex = i;
+  }
+
+  // Never split messages that share a timestamp - the summary cutoff is a timestamp
+  while (splitIndex > 0 && splitIndex < messages.length &&
+    messages[splitIndex].created_at === messages[splitIndex - 1].created_at) {
+    splitIndex++;
+  }
+
+  return {
+    recent: messages.slice(splitIndex),
+    overflow: messages.slice(0, splitIndex),
+    totalTokens: provider.countTokens(messages)
+  };
+}
+
+/**
+ * Load a conversation thread's memory from the database
+ * @param {Object} supabase - Supabase client
+ * @param {string} threadId - Conversation thread ID
+ * @returns {Promise<Object>} - { summary, messages } - rolling summary (or null) and recent { role, content } turns
+ */
+export async function loadConversationMemory(supabase, threadId) {
+  const { summaryRow, messages } = await fetchUnsummarized(supabase, threadId);
+  const summary = summaryRow?.summary || null;
+
+  const budget = HISTORY_TOKEN_BUDGET - getLLMProvider().countTokens(summary);
+  const { recent, overflow } = splitByTokenBudget(messages, budget);
+
+  if (overflow.length > 0) {
+    // Normally folded into the summary after the previous turn; only happens if that update failed
+    console.warn(`⚠️ ${overflow.length} messages exceed the history budget and are not yet summarised`);
+  }
+
+  console.log(`🧠 Memory: ${recent.length} recent messages${summary ? ' + rolling summary' : ''}`);
+
+  return {
+    summary,
+    messages: recent.map(({ role, content }) => ({ role, content }))
+  };
+}
+
+/**
+ * Fold older turns into the rolling summary once the unsummarised history outgrows the budget
+ * Summarises down to half the budget so it doesn't run again on every message
+ * @param {Object} supabase - Supabase client
+ * @param {Object} thread - Conversation thread ({ id, student_id, course_id })
+ * @returns {Promise<boolean>} - Whether the summary was updated
+ */
+export async function updateRollingSummary(supabase, thread) {
+  if (summariesInProgress.has(thread.id)) {
+    return false;
+  }
+
+  summariesInProgress.add(thread.id);
+
+  try {
+    const { summaryRow, messages } = await fetchUnsummarized(supabase, thread.id);
+    const provider = getLLMProvider();
+
+    if (provider.countTokens(messages) <= HISTORY_TOKEN_BUDGET) {
+      return false;
+    }
+
+    const { overflow } = splitByTokenBudget(messages, Math.floor(HISTORY_TOKEN_BUDGET / 2));
+
+    if (overflow.length === 0) {
+      return false;
+    }
+
+    const transcript = overflow
+      .map(msg => `${msg.role === 'user' ? 'STUDENT' : 'TUTOR'}: ${msg.content}`)
+      .join('\n\n');
+
+    const summary = await provider.generate({
+      model: resolveModel(null),
+      maxTokens: 512,
+      system: SUMMARY_SYSTEM_PROMPT,
+      messages: [{
+        role: 'user',
+        content: `[PREVIOUS SUMMARY]\n${summaryRow?.summary || '(none yet)'}\n\n[NEW CONVERSATION TURNS]\n${transcript}`
+      }]
+    });
+
+    const { error } = await supabase
+      .from('conversation_summaries')
+      .upsert({
+        thread_id: thread.id,
+        student_id: thread.student_id,
+        course_id: thread.course_id,
+        summary,
+        summarized_until: overflow[overflow.length - 1].created_at,
+        summarized_messages: (summaryRow?.summarized_messages || 0) + overflow.length,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'thread_id' });
+
+    if (error) throw error;
+
+    console.log(`🧠 Folded ${overflow.length} older messages into the rolling summary`);
+    return true;
+  } finally {
+    summariesInProgress.delete(thread.id);
+  }
+}
+
+/**
+ * Delete a thread's rolling summary (used when its messages are cleared)
+ * @param {Object} supabase - Supabase client
+ * @param {string} threadId - Conversation thread ID
+ */
+export async function clearConversationMemory(supabase, threadId) {
+  const { error } = await supabase
+    .from('conversation_summaries')
+    .delete()
+    .eq('thread_id', threadId);
+
+  if (error) throw error;
+}
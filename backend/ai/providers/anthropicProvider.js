@@ -0,0 +1,74 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { estimateTokens } from './tokenEstimate.js';
+
+export const ANTHROPIC_MODELS = [
+  { value: 'claude-3-haiku-20240307', label: 'Claude 3 Haiku (fast, lowest cost)' },
+  { value: 'claude-3-5-haiku-20241022', label: 'Claude 3.5 Haiku (fast, smarter)' },
+  { value: 'claude-3-5-sonnet-20241022', label: 'Claude 3.5 Sonnet (most capable, higher cost)' }
+];
+
+/**
+ * Create the Anthropic (Claude) provider
+ * @param {Object} options - { apiKey, defaultModel }
+ * @returns {Object} - LLM provider: { name, models, defaultModel, generate, stream, countTokens }
+ */
+export function createAnthropicProvider({ apiKey, defaultModel = 'claude-3-haiku-20240307' } = {}) {
+  const client = new Anthropic({ apiKey });
+
+  return {
+    name: 'anthropic',
+    models: ANTHROPIC_MODELS,
+    defaultModel,
+
+    /**
+     * Generate a complete response
+     * @param {Object} request - { model, system, messages, maxTokens }
+     * @returns {Promise<string>} - Response text
+     */
+    async generate({ model, system, messages, maxTokens = 2048 }) {
+      const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages
+      });
+
+      return response.content[0].text;
+    },
+
+    /**
+     * Stream a response, calling onText for every text delta
+     * @param {Object} request - { model, system, messages, maxTokens }
+     * @param {Object} options - { onText(delta), signal }
+     * @returns {Promise<string>} - The complete response text
+     */
+    async stream({ model, system, messages, maxTokens = 2048 }, { onText, signal } = {}) {
+      const stream = client.messages.stream({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages
+      });
+
+      // Stop generating (and billing) as soon as the caller goes away
+      if (signal) {
+        if (signal.aborted) {
+          stream.abort();
+        } else {
+          signal.addEventListener('abort', () => stream.abort(), { once: true });
+        }
+      }
+
+      if (onText) {
+        stream.on('text', onText);
+      }
+
+      return stream.finalText();
+    },
+
+    // The SDK version we use has no token counting endpoint, so this is an estimate
+    countTokens(input) {
+      return estimateTokens(input);
+    }
+  };
+}
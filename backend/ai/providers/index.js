@@ -0,0 +1,72 @@
+import dotenv from 'dotenv';
+import { createAnthropicProvider } from './anthropicProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+dotenv.config();
+
+/**
+ * LLM provider registry
+ *
+ * Every provider implements the same interface:
+ *   generate({ model, system, messages, maxTokens }) -> Promise<string>
+ *   stream({ model, system, messages, maxTokens }, { onText, signal }) -> Promise<string>
+ *   countTokens(string | message[] | { system, messages }) -> number
+ * and exposes `models` (selectable per course) and `defaultModel`.
+ *
+ * Select with LLM_PROVIDER=anthropic (default) or LLM_PROVIDER=mock.
+ */
+const providerFactories = {
+  anthropic: () => createAnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    defaultModel: process.env.LLM_DEFAULT_MODEL || undefined
+  }),
+  mock: () => createMockProvider({
+    scriptPath: process.env.MOCK_LLM_SCRIPT,
+    delayMs: parseInt(process.env.MOCK_LLM_DELAY_MS || '0', 10)
+  })
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured LLM provider (created once per process)
+ * @returns {Object} - LLM provider
+ */
+export function getLLMProvider() {
+  if (!activeProvider) {
+    const name = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+    const factory = providerFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(providerFactories).join(', ')}`);
+    }
+
+    activeProvider = factory();
+    console.log(`🤖 LLM provider: ${activeProvider.name} (default model: ${activeProvider.defaultModel})`);
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Resolve the model to use for a course, falling back to the provider default
+ * @param {string} requestedModel - The course's llm_model setting
+ * @returns {string} - A model the active provider supports
+ */
+export function resolveModel(requestedModel) {
+  const provider = getLLMProvider();
+
+  if (requestedModel && provider.models.some(model => model.value === requestedModel)) {
+    return requestedModel;
+  }
+
+  return provider.defaultModel;
+}
+
+/**
+ * Get the models professors can choose from for the active provider
+ * @returns {Array} - [{ value, label }]
+ */
+export function getModelOptions() {
+  return getLLMProvider().models;
+}
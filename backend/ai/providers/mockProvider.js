@@ -0,0 +1,121 @@
+import fs from 'fs';
+import { estimateTokens } from './tokenEstimate.js';
+
+export const MOCK_MODELS = [
+  { value: 'mock-tutor', label: 'Mock tutor (scripted, offline)' }
+];
+
+const DEFAULT_RESPONSE = '😊 (mock tutor) You asked: "{{message}}". What have you tried so far? Try it in the editor on the right, then click "Review Code"!';
+
+/**
+ * Load a mock script file
+ * Format: { "responses": [{ "match": "matrix" | "/regex/i", "response": "..." }, { "response": "..." }] }
+ * Entries with `match` answer messages that contain the text (or match the regex);
+ * entries without `match` are replayed in order (cycling) for everything else.
+ */
+function loadScript(scriptPath) {
+  if (!scriptPath) {
+    return { responses: [] };
+  }
+
+  const script = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+
+  return {
+    responses: Array.isArray(script.responses) ? script.responses : []
+  };
+}
+
+/**
+ * Check whether a script entry's `match` applies to a message
+ */
+function matchesEntry(match, message) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(match);
+
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(message);
+  }
+
+  return message.toLowerCase().includes(match.toLowerCase());
+}
+
+/**
+ * Get the text of the latest user message
+ */
+function getLastUserText(messages) {
+  const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+
+  if (!lastUser) {
+    return '';
+  }
+
+  if (typeof lastUser.content === 'string') {
+    return lastUser.content;
+  }
+
+  return lastUser.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Create a deterministic mock provider that replays scripted responses
+ * Used for running and testing the chat flow without network access or an API key
+ * @param {Object} options - { scriptPath, delayMs } - JSON script to replay and per-chunk streaming delay
+ * @returns {Object} - LLM provider: { name, models, defaultModel, generate, stream, countTokens }
+ */
+export function createMockProvider({ scriptPath, delayMs = 0 } = {}) {
+  const script = loadScript(scriptPath);
+  const sequential = script.responses.filter(entry => !entry.match);
+  let sequenceIndex = 0;
+
+  const respond = (messages) => {
+    const message = getLastUserText(messages);
+    const matched = script.responses.find(entry => entry.match && matchesEntry(entry.match, message));
+
+    let template = DEFAULT_RESPONSE;
+    if (matched) {
+      template = matched.response;
+    } else if (sequential.length > 0) {
+      template = sequential[sequenceIndex % sequential.length].response;
+      sequenceIndex++;
+    }
+
+    return template.replace(/\{\{message\}\}/g, message);
+  };
+
+  return {
+    name: 'mock',
+    models: MOCK_MODELS,
+    defaultModel: MOCK_MODELS[0].value,
+
+    async generate({ messages }) {
+      return respond(messages);
+    },
+
+    async stream({ messages }, { onText, signal } = {}) {
+      const text = respond(messages);
+
+      // Emit word by word so the streaming UI behaves like it does with a real model
+      for (const chunk of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) {
+          const error = new Error('Mock stream aborted');
+          error.name = 'AbortError';
+          throw error;
+        }
+
+        if (delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        onText?.(chunk);
+      }
+
+      return text;
+    },
+
+    countTokens(input) {
+      return estimateTokens(input);
+    }
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * Rough token estimate shared by all providers (~4 characters per token for English text and code)
+ * @param {string|Array|Object} input - A string, a message, an array of messages, or { system, messages }
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(input) {
+  if (!input) {
+    return 0;
+  }
+
+  if (typeof input === 'string') {
+    return Math.ceil(input.length / 4);
+  }
+
+  if (Array.isArray(input)) {
+    return input.reduce((total, item) => total + estimateTokens(item), 0);
+  }
+
+  if (input.messages) {
+    return estimateTokens(input.system) + estimateTokens(input.messages);
+  }
+
+  // Images are billed by size, up to ~1,600 tokens for a full-resolution image
+  if (input.type === 'image') {
+    return 1600;
+  }
+
+  // Message ({ role, content }) or content block ({ type: 'text', text })
+  if (input.content !== undefined) {
+    return estimateTokens(input.content) + 4; // Per-message overhead
+  }
+
+  return estimateTokens(input.text);
+}
@@ -0,0 +1,158 @@
+/**
+ * Teaching style and pace options for courses
+ * Each option maps to a prompt fragment that is injected into the tutor's system prompt
+ */
+
+export const DEFAULT_TEACHING_STYLE = 'socratic';
+export const DEFAULT_TEACHING_PACE = 'normal';
+
+export const TEACHING_STYLES = {
+  socratic: {
+    label: 'Strict Socratic',
+    description: 'Only guiding questions and tiny hints. The tutor never gives answers or complete code.',
+    prompt: `**TEACHING STYLE: Strict Socratic**
+   - NEVER give direct answers or complete code solutions (EXCEPT praising correct code the student submitted)
+   - Ask ONE focused question per response that guides the student to discover the answer
+   - Provide hints and partial context, but let them figure it out
+   - Break complex topics into small steps with guiding questions
+   - When you must show code, only show tiny hints (1-2 lines max), never complete solutions
+   - When reviewing code with errors, point to where the problem is and ask a question that leads them to the fix
+
+   **BAD EXAMPLE (giving direct answer - DO NOT DO THIS):**
+   "To create a matrix, use this code: A = [1 2; 3 4]"`
+  },
+  guided_hints: {
+    label: 'Guided Hints',
+    description: 'Concrete, escalating hints that name the concept or function to use, without full solutions.',
+    prompt: `**TEACHING STYLE: Guided Hints**
+   - Do not hand over complete solutions, but you may be more direct than pure questioning
+   - Give a concrete hint that names the relevant concept, function, or syntax, then let the student try it
+   - If the student is still stuck after a hint, give a stronger hint (e.g. a partially completed line with blanks) rather than the full answer
+   - Code hints may be up to 5 lines and should leave the key step for the student to fill in
+   - When reviewing code with errors, say which line is wrong and why, and hint at the fix
+   - End with ONE short question or next step the student can try in the editor`
+  },
+  worked_examples: {
+    label: 'Worked Examples',
+    description: 'Complete, commented examples of similar problems that students then adapt to their own task.',
+    prompt: `**TEACHING STYLE: Worked Examples**
+   - Teach by demonstration: show a complete, well-commented worked example of a SIMILAR problem, then ask the student to apply the idea to theirs
+   - Never solve the student's exact exercise; change the data, names, or task so they still have to transfer the idea
+   - Walk through the example step by step, explaining why each line is there
+   - When reviewing code with errors, explain what is wrong and show the corrected pattern on a small separate example
+   - Finish by asking the student to try the analogous task in the editor`
+  }
+};
+
+export const TEACHING_PACES = {
+  slow: {
+    label: 'Slow',
+    description: 'One small idea at a time, every new term defined, frequent understanding checks.',
+    prompt: `**TEACHING PACE: Slow**
+   - Assume little or no prior programming experience
+   - Introduce only ONE new idea per response and define every new term in plain language
+   - Use very small steps and check understanding before moving on
+   - Keep responses short (a few sentences plus at most one tiny snippet)`
+  },
+  normal: {
+    label: 'Normal',
+    description: 'Undergraduate level, one concept per response, connected to what the student already knows.',
+    prompt: `**TEACHING PACE: Normal**
+   - Aim explanations at a university undergraduate level
+   - Cover one concept per response and connect it to what the student already knows
+   - Check understanding at natural milestones rather than after every sentence`
+  },
+  fast: {
+    label: 'Fast',
+    description: 'Assumes programming experience, covers related ideas together and moves on quickly.',
+    prompt: `**TEACHING PACE: Fast**
+   - Assume the student is comfortable with programming in general
+   - Cover closely related ideas together and skip basic definitions unless asked
+   - Keep explanations concise and move on to the next challenge once they show understanding`
+  }
+};
+
+// Values stored before the options were structured (free text from older course forms)
+const STYLE_ALIASES = {
+  'strict socratic': 'socratic',
+  'guided hints': 'guided_hints',
+  'hints': 'guided_hints',
+  'exploratory': 'guided_hints',
+  'worked examples': 'worked_examples',
+  'direct': 'worked_examples',
+  'practical': 'worked_examples'
+};
+
+const PACE_ALIASES = {
+  'moderate': 'normal',
+  'medium': 'normal'
+};
+
+/**
+ * Normalize a stored or submitted value to an option key
+ * @returns {string|null} - The option key, or null if the value is not recognised
+ */
+function normalizeOption(value, options, aliases) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const key = value.trim().toLowerCase();
+
+  if (options[key]) {
+    return key;
+  }
+
+  return aliases[key] || null;
+}
+
+/**
+ * Normalize a teaching style value
+ * @param {string} value - Teaching style key, label, or legacy value
+ * @returns {string|null} - Teaching style key, or null if unrecognised
+ */
+export function normalizeTeachingStyle(value) {
+  return normalizeOption(value, TEACHING_STYLES, STYLE_ALIASES);
+}
+
+/**
+ * Normalize a teaching pace value
+ * @param {string} value - Teaching pace key, label, or legacy value
+ * @returns {string|null} - Teaching pace key, or null if unrecognised
+ */
+export function normalizeTeachingPace(value) {
+  return normalizeOption(value, TEACHING_PACES, PACE_ALIASES);
+}
+
+/**
+ * Resolve a course's teaching preferences, falling back to the defaults
+ * @param {Object} course - Course row (or course context) with teaching_style and teaching_pace
+ * @returns {Object} - { style, pace } option keys
+ */
+export function resolveTeachingPreferences(course = {}) {
+  return {
+    style: normalizeTeachingStyle(course.teaching_style) || DEFAULT_TEACHING_STYLE,
+    pace: normalizeTeachingPace(course.teaching_pace) || DEFAULT_TEACHING_PACE
+  };
+}
+
+/**
+ * Get the selectable options for course forms
+ * @returns {Object} - { teaching_styles, teaching_paces } as arrays of { value, label, description }
+ */
+export function getTeachingOptions() {
+  const toList = (options) => Object.entries(options).map(([value, option]) => ({
+    value,
+    label: option.label,
+    description: option.description
+  }));
+
+  return {
+    teaching_styles: toList(TEACHING_STYLES),
+    teaching_paces: toList(TEACHING_PACES),
+    defaults: {
+      teaching_style: DEFAULT_TEACHING_STYLE,
+      teaching_pace: DEFAULT_TEACHING_PACE
+    }
+  };
+}
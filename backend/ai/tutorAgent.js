@@ -1,27 +1,24 @@
-import Anthropic from '@anthropic-ai/sdk';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+import { TEACHING_STYLES, TEACHING_PACES, resolveTeachingPreferences } from './teachingPreferences.js';
+import { getLLMProvider, resolveModel } from './providers/index.js';
+import { validateCitations, logCitationReport, formatLocation } from './citationValidator.js';
 
 // System prompt for the MATLAB tutor with adaptive layered referencing
-const TUTOR_SYSTEM_PROMPT = `You are an expert AI tutor specializing in MATLAB, acting like a skilled human instructor.
+// The teaching style and pace sections come from the course's settings (see teachingPreferences.js)
+function buildTutorSystemPrompt(stylePrompt, pacePrompt) {
+  return `You are an expert AI tutor specializing in MATLAB, acting like a skilled human instructor.
 
 🚨 CRITICAL FORMATTING RULES (follow these exactly):
 1. Write naturally - NO brackets, labels, or headers like "[Introduction]" or "[PAUSE]" in your response
-2. For PDF references, use ONLY this exact format: [Reference: "filename.pdf" - Page X]
-3. Use Socratic questioning - NEVER give complete solutions or direct answers (EXCEPT when reviewing submitted code)
-4. Ask ONE focused question per response (EXCEPT when reviewing submitted code)
+2. For course material references, use ONLY this exact format: [Reference: "filename.pdf" - Page X] (Slide X, Section X or Lines X-Y for other materials, exactly as given)
+3. Follow the professor's TEACHING STYLE (section 2) for how much of an answer you may reveal
+4. Follow the professor's TEACHING PACE (section 3) for how much ground to cover in one response
 
 📝 CODE REVIEW HANDLING:
 When a student submits code for review (usually with "Can you review my code"):
 - The student has written code in the MATLAB editor and wants your feedback
 - Review their code carefully for correctness, syntax, logic, and style
 - Provide constructive feedback highlighting what works well and what needs improvement
-- If there are errors, guide them to discover the fix with hints (don't just give the answer)
+- If there are errors, help them fix them in the way your TEACHING STYLE describes
 - If correct, praise their work and ask if they'd like to extend it or try something more challenging
 - Be encouraging and supportive, even when pointing out mistakes
 
@@ -30,20 +27,17 @@ Your responses to user queries must strictly adhere to the following instruction
 1. **Empathetic & Encouraging Tutor Tone**
    - Be exceptionally friendly, patient, and supportive. Build confidence and curiosity.
    - Thoughtfully use appropriate emojis to enhance interactivity and engagement.
-   - If you don't know the user's goals or MATLAB experience, ask briefly before diving in. If they don't answer, aim explanations at a university undergraduate level.
+   - If you don't know the user's goals or MATLAB experience, ask briefly before diving in.
+
+2. ${stylePrompt}
 
-2. **SOCRATIC TEACHING METHOD (Your Primary Tool)**
-   - NEVER give direct answers or complete code solutions
-   - Ask ONE focused question that guides the student to discover the answer
-   - Provide hints and partial context, but let them figure it out
-   - Break complex topics into small steps with guiding questions
-   - When you must show code, only show tiny hints (1-2 lines max), never complete solutions
+3. ${pacePrompt}
 
-3. **RESPONSE STRUCTURE (Natural Conversation)**
+4. **RESPONSE STRUCTURE (Natural Conversation)**
    Your response should flow naturally in this pattern (but don't show any labels/headers):
 
    a) Brief friendly introduction (1-2 sentences) mentioning relevant PDF if available
-   b) ONE focused Socratic question to guide their discovery
+   b) The guidance your teaching style calls for, ending with ONE clear question or next step
    c) Optional: Invite them to use the MATLAB editor on the right
 
    **GOOD EXAMPLE:**
@@ -51,14 +45,11 @@ Your responses to user queries must strictly adhere to the following instruction
 
    What do you think would happen if you typed square brackets with numbers separated by spaces? Try creating a simple 2x2 matrix in the editor on the right!"
 
-   **BAD EXAMPLE (giving direct answer - DO NOT DO THIS):**
-   "To create a matrix, use this code: A = [1 2; 3 4]"
-
    **BAD EXAMPLE (has labels - DO NOT DO THIS):**
    "[Introduction] Great question!
    [PAUSE FOR RESPONSE]"
 
-4. **Interactive, Incremental Learning**
+5. **Interactive, Incremental Learning**
    - Start from what the user knows. Connect new ideas to their existing knowledge.
    - Every time you ask the user to write MATLAB code, you MUST explicitly instruct them to:
      1. Write it in the MATLAB editor on the right side of the screen
@@ -66,10 +57,15 @@ Your responses to user queries must strictly adhere to the following instruction
    - Example: "Try writing a for loop in the editor on the right, then click 'Review Code' when you're ready for me to check it!"
    - Never assume — check understanding before moving forward.
 
-5. **PDF Referencing - EXACT Format Required**
-   - You will receive [RELEVANT COURSE MATERIALS FROM PDFs] in your context with EXACT page numbers.
+6. **Material Referencing - EXACT Format Required**
+   - You will receive [RELEVANT COURSE MATERIALS] in your context with EXACT page numbers.
    - ONLY reference pages that are explicitly listed in the provided chunks - NEVER make up or guess page numbers.
    - When referencing PDFs, you MUST use this EXACT format (including brackets): [Reference: "Filename" - Page X]
+   - Slides, documents and MATLAB files are located by slide, section or line instead of page. Copy the location
+     from the chunk's own reference: [Reference: "week2-loops.pptx" - Slide 4], [Reference: "lab1.docx" - Section 3],
+     [Reference: "bisection.m" - Lines 12-30]
+   - Web pages from the course links are cited by the link's exact title instead: [Link: "for - MATLAB"].
+     Any link in [AVAILABLE COURSE LINKS] can be cited this way, and it opens the page for the student.
    - This exact format makes the reference clickable for students. Do NOT paraphrase it.
 
    **CORRECT (clickable):**
@@ -83,54 +79,85 @@ Your responses to user queries must strictly adhere to the following instruction
    - If the provided chunks don't contain relevant information, work from first principles without referencing materials. DO NOT invent references.
    - NEVER say "as mentioned in..." or "as we saw in..." unless you're directly quoting from the provided chunks.
 
-6. **Code Formatting (Hints Only, No Solutions)**
-   - When you need to show small code snippets as hints (not complete solutions), wrap them in triple backticks with the matlab language tag
-   - Example format: three backticks, then "matlab", then your hint code, then three closing backticks
-   - Never provide complete solutions. Only show partial code to illustrate a concept.
+7. **Code Formatting**
+   - When you show code snippets, wrap them in triple backticks with the matlab language tag
+   - Example format: three backticks, then "matlab", then your code, then three closing backticks
+   - How much code you may show is set by your TEACHING STYLE.
 
 **Final Reminders:**
 ✅ Write like a natural conversation - NO labels, brackets, or headers visible to student
-✅ PDF links MUST use exact format: [Reference: "filename.pdf" - Page X]
-✅ Ask Socratic questions - NEVER give complete solutions
-✅ ONE focused question per response
+✅ Material links MUST use exact format: [Reference: "filename.pdf" - Page X] (or Slide X / Section X / Lines X-Y)
+✅ Course links MUST use exact format: [Link: "Title"]
+✅ Follow the professor's teaching style and pace exactly
+✅ End with ONE clear question or next step
 ✅ Only reference pages from provided chunks - never make up page numbers
 
-Your goal: Help students discover answers through guided questions, not by giving direct solutions.`;
+Your goal: Help students learn MATLAB the way their professor wants it taught.`;
+}
+
+/**
+ * Build the system prompt for a course, injecting its teaching style and pace
+ * @param {Object} courseContext - Course context with teaching_style and teaching_pace
+ * @returns {string} - The complete system prompt
+ */
+export function buildSystemPrompt(courseContext = {}) {
+  const { style, pace } = resolveTeachingPreferences(courseContext);
+
+  return buildTutorSystemPrompt(TEACHING_STYLES[style].prompt, TEACHING_PACES[pace].prompt);
+}
 
 /**
- * Generate a tutor response using Claude 3 Haiku
+ * Generate a tutor response using the configured LLM provider
  * @param {Array} conversationHistory - Array of previous messages
  * @param {Object} courseContext - Course metadata, PDFs, and links
  * @param {Array} relevantPdfChunks - PDF chunks retrieved from search
- * @returns {Promise<string>} - The tutor's response
+ * @returns {Promise<string>} - The tutor's response, with citations validated
  */
 export async function generateTutorResponse(conversationHistory, courseContext, relevantPdfChunks = []) {
   try {
-    // Build context from course metadata, PDFs, and links
-    let contextMessage = buildContextMessage(courseContext, relevantPdfChunks);
+    const response = await getLLMProvider().generate(
+      buildTutorRequest(conversationHistory, courseContext, relevantPdfChunks)
+    );
 
-    // Prepare messages for Claude API
-    const messages = [
+    return repairCitations(response, courseContext, relevantPdfChunks);
+  } catch (error) {
+    console.error('Error generating tutor response:', error);
+    throw new Error('Failed to generate tutor response');
+  }
+}
+
+/**
+ * Build the provider request shared by the blocking and streaming paths
+ */
+function buildTutorRequest(conversationHistory, courseContext, relevantPdfChunks) {
+  // Build context from course metadata, PDFs, and links
+  const contextMessage = buildContextMessage(courseContext, relevantPdfChunks);
+
+  const { style, pace } = resolveTeachingPreferences(courseContext);
+  const model = resolveModel(courseContext.llm_model);
+  console.log(`🎓 Teaching preferences: style=${style}, pace=${pace} (model: ${model})`);
+
+  return {
+    model,
+    maxTokens: 2048,
+    system: buildSystemPrompt(courseContext),
+    messages: [
       {
         role: 'user',
         content: contextMessage
       },
       ...conversationHistory
-    ];
-
-    // Call Claude API
-    const response = await anthropic.messages.create({
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 2048,
-      system: TUTOR_SYSTEM_PROMPT,
-      messages: messages
-    });
+    ]
+  };
+}
 
-    return response.content[0].text;
-  } catch (error) {
-    console.error('Error generating tutor response:', error);
-    throw new Error('Failed to generate tutor response');
-  }
+/**
+ * Validate the response's citations against the retrieved chunks and the course's PDFs and links
+ */
+function repairCitations(response, courseContext, relevantPdfChunks) {
+  const { text, report } = validateCitations(response, relevantPdfChunks, courseContext.pdfs || [], courseContext.links || []);
+  logCitationReport(report);
+  return text;
 }
 
 /**
@@ -145,9 +172,14 @@ function buildContextMessage(courseContext, relevantPdfChunks) {
     context += `Learning Goals: ${courseContext.learning_goals}\n`;
   }
 
+  // Add the rolling summary of turns too old to send verbatim
+  if (courseContext.conversation_summary) {
+    context += `\n[EARLIER CONVERSATION SUMMARY]\n${courseContext.conversation_summary}\n`;
+  }
+
   // Add course links if available
   if (courseContext.links && courseContext.links.length > 0) {
-    context += `\n[AVAILABLE COURSE LINKS]\n`;
+    context += `\n[AVAILABLE COURSE LINKS] (cite as [Link: "Title"])\n`;
     courseContext.links.forEach((link) => {
       context += `- "${link.title}": ${link.url}\n`;
       if (link.description) {
@@ -156,11 +188,19 @@ function buildContextMessage(courseContext, relevantPdfChunks) {
     });
   }
 
-  // Add relevant PDF chunks if available
+  // Add relevant material chunks if available
   if (relevantPdfChunks.length > 0) {
-    context += `\n[RELEVANT COURSE MATERIALS FROM PDFs]\n`;
+    context += `\n[RELEVANT COURSE MATERIALS]\n`;
     relevantPdfChunks.forEach((chunk, index) => {
-      context += `\n[Reference: "${chunk.filename}" - Page ${chunk.page || 'N/A'}]\n${chunk.content}\n`;
+      // Chunks from a link's page are cited by the link's title (stored as their filename)
+      if (chunk.link_id) {
+        context += `\n[Link: "${chunk.filename}"]\n${chunk.section_title ? `Section: ${chunk.section_title}\n` : ''}${chunk.content}\n`;
+        return;
+      }
+
+      const location = chunk.page ? formatLocation(chunk.location_type, chunk.page, chunk.page_end || chunk.page) : 'Page N/A';
+      const section = chunk.section_title ? `Section: ${chunk.section_title}\n` : '';
+      context += `\n[Reference: "${chunk.filename}" - ${location}]\n${section}${chunk.content}\n`;
     });
   }
 
@@ -170,10 +210,24 @@ function buildContextMessage(courseContext, relevantPdfChunks) {
 }
 
 /**
- * Stream tutor response (for future real-time streaming implementation)
+ * Stream a tutor response, forwarding text deltas as the model produces them
+ * @param {Array} conversationHistory - Array of previous messages
+ * @param {Object} courseContext - Course metadata, PDFs, and links
+ * @param {Array} relevantPdfChunks - PDF chunks retrieved from search
+ * @param {Object} options - { onText(delta), signal } - delta callback and optional AbortSignal
+ * @returns {Promise<string>} - The complete tutor response once the stream ends
  */
-export async function streamTutorResponse(conversationHistory, courseContext, relevantPdfChunks = []) {
-  // For now, we'll return the full response
-  // In production, you could implement streaming using anthropic.messages.stream()
-  return generateTutorResponse(conversationHistory, courseContext, relevantPdfChunks);
+export async function streamTutorResponse(conversationHistory, courseContext, relevantPdfChunks = [], { onText, signal } = {}) {
+  try {
+    const response = await getLLMProvider().stream(
+      buildTutorRequest(conversationHistory, courseContext, relevantPdfChunks),
+      { onText, signal }
+    );
+
+    // Deltas were sent unchecked; the repaired text replaces them once the stream completes
+    return repairCitations(response, courseContext, relevantPdfChunks);
+  } catch (error) {
+    console.error('Error streaming tutor response:', error);
+    throw new Error('Failed to stream tutor response');
+  }
 }
@@ -0,0 +1,126 @@
+import dotenv from 'dotenv';
+import { createKeywordClassifier } from './keywordClassifier.js';
+import { createLLMClassifier } from './llmClassifier.js';
+import { createMockClassifier } from './mockClassifier.js';
+
+dotenv.config();
+
+/**
+ * Topic classifier registry (labels questions, tutor replies and code with course topics)
+ *
+ * Every classifier implements:
+ *   classify(items, { taxonomy }) -> Promise<Array>
+ * where items are [{ kind: 'question' | 'reply' | 'code', text }] and the result has one entry per
+ * item: its labels [{ topic, weight }] (an empty list for an item about none of the topics), or null
+ * when the classifier can't label it.
+ *
+ * Select with TOPIC_CLASSIFIER=keyword (default, keyword scoring), TOPIC_CLASSIFIER=llm (asks the LLM
+ * provider) or TOPIC_CLASSIFIER=mock (scripted labels from TOPIC_CLASSIFIER_MOCK_LABELS, no network).
+ * Use classifyTopics rather than a classifier directly: it falls back to keyword scoring for items
+ * the classifier can't label.
+ */
+const classifierFactories = {
+  keyword: () => createKeywordClassifier(),
+  llm: () => createLLMClassifier({
+    model: process.env.TOPIC_CLASSIFIER_MODEL || undefined
+  }),
+  mock: () => createMockClassifier({
+    labelsPath: process.env.TOPIC_CLASSIFIER_MOCK_LABELS
+  })
+};
+
+// Same limits as keyword scoring (scoreTopics)
+const MAX_LABELS = 3;
+
+const keywordClassifier = createKeywordClassifier();
+
+let activeClassifier = null;
+
+/**
+ * Get the configured topic classifier (created once per process)
+ * @returns {Object} - Topic classifier
+ */
+export function getTopicClassifier() {
+  if (!activeClassifier) {
+    const name = (process.env.TOPIC_CLASSIFIER || 'keyword').toLowerCase();
+    const factory = classifierFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown TOPIC_CLASSIFIER "${name}". Use one of: ${Object.keys(classifierFactories).join(', ')}`);
+    }
+
+    activeClassifier = factory();
+    console.log(`🏷️  Topic classifier: ${activeClassifier.name}`);
+  }
+
+  return activeClassifier;
+}
+
+/**
+ * Check a classifier's labels against the taxonomy
+ * Drops unknown topics and merges repeats, keeps the MAX_LABELS heaviest and rescales them to sum to 1
+ * @returns {Array|null} - [{ topic, weight }], or null if the labels aren't usable
+ */
+function normalizeLabels(labels, taxonomy) {
+  if (!Array.isArray(labels)) {
+    return null;
+  }
+
+  const weights = new Map();
+
+  for (const label of labels) {
+    const weight = Number(label?.weight);
+    if (taxonomy.some(topic => topic.key === label?.topic) && Number.isFinite(weight) && weight > 0) {
+      weights.set(label.topic, (weights.get(label.topic) || 0) + weight);
+    }
+  }
+
+  // Labels that were all off-taxonomy say nothing; an empty list means "none of the topics"
+  if (weights.size === 0) {
+    return labels.length === 0 ? [] : null;
+  }
+
+  const kept = [...weights.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_LABELS);
+  const total = kept.reduce((sum, [, weight]) => sum + weight, 0);
+
+  return kept.map(([topic, weight]) => ({ topic, weight: Math.round((weight / total) * 100) / 100 }));
+}
+
+/**
+ * Label texts with the topics of a course
+ * @param {Array} items - [{ kind: 'question' | 'reply' | 'code', text }]; items without text get no labels
+ * @param {Object} options - { taxonomy } - The course's topics
+ * @returns {Promise<Object>} - { labels: one [{ topic, weight }] per item (empty: general), classifier: name of
+ *   the classifier that labelled them, e.g. 'llm', or 'llm+keyword' when some items fell back to keywords }
+ */
+export async function classifyTopics(items, { taxonomy }) {
+  const classifier = getTopicClassifier();
+  const toClassify = items.filter(item => item.text);
+  let labels = toClassify.map(() => null);
+
+  if (toClassify.length > 0) {
+    try {
+      const result = await classifier.classify(toClassify, { taxonomy });
+      labels = toClassify.map((item, index) => normalizeLabels(result?.[index], taxonomy));
+    } catch (error) {
+      console.error(`Error classifying topics with ${classifier.name}:`, error.message);
+    }
+  }
+
+  const fallbackItems = toClassify.filter((item, index) => labels[index] === null);
+
+  if (fallbackItems.length > 0) {
+    const fallback = await keywordClassifier.classify(fallbackItems, { taxonomy });
+    labels = labels.map(list => list ?? fallback.shift());
+  }
+
+  let classifierName = classifier.name;
+  if (fallbackItems.length > 0 && classifier.name !== keywordClassifier.name) {
+    classifierName = fallbackItems.length === toClassify.length ? keywordClassifier.name : `${classifier.name}+${keywordClassifier.name}`;
+  }
+
+  return {
+    labels: items.map(item => (item.text ? labels[toClassify.indexOf(item)] : [])),
+    classifier: classifierName
+  };
+}
@@ -0,0 +1,16 @@
+import { scoreTopics } from '../utils/topicExtraction.js';
+
+/**
+ * Create a classifier that labels texts by the keywords of the course's topics (scoreTopics)
+ * Needs no network; also the fallback for texts the other classifiers can't label
+ * @returns {Object} - Topic classifier: { name, classify }
+ */
+export function createKeywordClassifier() {
+  return {
+    name: 'keyword',
+
+    async classify(items, { taxonomy }) {
+      return items.map(item => scoreTopics(item.text, taxonomy, { isCode: item.kind === 'code' }));
+    }
+  };
+}
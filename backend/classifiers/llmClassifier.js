@@ -0,0 +1,73 @@
+import { getLLMProvider, resolveModel } from '../ai/providers/index.js';
+
+// Longest text sent per item; topics show up early and replies can be long
+const MAX_ITEM_CHARS = 2000;
+
+const KIND_LABELS = {
+  question: 'STUDENT QUESTION',
+  reply: 'TUTOR REPLY',
+  code: 'STUDENT CODE'
+};
+
+const CLASSIFIER_SYSTEM_PROMPT = `You label messages from a programming course with the course topics they are about.
+
+For each numbered item, pick the topics it is actually about (at most 3) and weight them by how much of the item each covers; weights of an item sum to 1. Judge by meaning, not single words: "thanks for the help" is not about loops, and a question about why a loop over a matrix is slow is about loops, matrices and performance. Prefer the most specific topic that fits. An item about none of the topics gets an empty list.
+
+Only use topic keys from the list. Reply with JSON only, in this shape:
+{"labels": [[{"topic": "loops", "weight": 0.6}, {"topic": "performance", "weight": 0.4}], []]}
+with one list per item, in item order.`;
+
+/**
+ * Pull the JSON object out of a reply that may wrap it in prose or a code fence
+ */
+function parseLabels(reply, itemCount) {
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('Topic classifier reply has no JSON');
+  }
+
+  const { labels } = JSON.parse(reply.slice(start, end + 1));
+
+  if (!Array.isArray(labels) || labels.length !== itemCount) {
+    throw new Error(`Topic classifier returned ${Array.isArray(labels) ? labels.length : 'no'} label lists for ${itemCount} items`);
+  }
+
+  return labels.map(list => (Array.isArray(list) ? list : null));
+}
+
+/**
+ * Create a classifier that asks the LLM provider which topics texts are about
+ * All items of an exchange go in one request. Labels it can't give (unparseable replies, unknown
+ * topics) are filled in by the keyword classifier.
+ * @param {Object} options - { model } - Model to use (default: the provider's default)
+ * @returns {Object} - Topic classifier: { name, classify }
+ */
+export function createLLMClassifier({ model } = {}) {
+  return {
+    name: 'llm',
+
+    async classify(items, { taxonomy }) {
+      const topicList = taxonomy
+        .map(topic => `- ${topic.key}: ${topic.display_name}${topic.parent ? ` (part of ${topic.parent})` : ''}${topic.keywords.length > 0 ? ` — e.g. ${topic.keywords.join(', ')}` : ''}`)
+        .join('\n');
+
+      const itemList = items
+        .map((item, index) => `[${index + 1}] ${KIND_LABELS[item.kind] || 'TEXT'}:\n${item.text.slice(0, MAX_ITEM_CHARS)}`)
+        .join('\n\n');
+
+      const reply = await getLLMProvider().generate({
+        model: resolveModel(model),
+        maxTokens: 100 + 80 * items.length,
+        system: CLASSIFIER_SYSTEM_PROMPT,
+        messages: [{
+          role: 'user',
+          content: `[TOPICS]\n${topicList}\n\n[ITEMS]\n${itemList}`
+        }]
+      });
+
+      return parseLabels(reply, items.length);
+    }
+  };
+}
@@ -0,0 +1,52 @@
+import fs from 'fs';
+
+/**
+ * Load a mock labels file
+ * Format: { "labels": [{ "match": "matrix" | "/regex/i", "kind"?: "question" | "reply" | "code",
+ *   "topics": [{ "topic": "loops", "weight": 0.6 }, ...] }] }
+ * The first entry whose `match` applies to an item (and whose `kind`, if given, is the item's) labels it.
+ */
+function loadLabels(labelsPath) {
+  if (!labelsPath) {
+    return [];
+  }
+
+  const { labels } = JSON.parse(fs.readFileSync(labelsPath, 'utf-8'));
+
+  return Array.isArray(labels) ? labels : [];
+}
+
+/**
+ * Check whether a labels entry's `match` applies to a text
+ */
+function matchesEntry(match, text) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(match);
+
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(text);
+  }
+
+  return text.toLowerCase().includes(match.toLowerCase());
+}
+
+/**
+ * Create a deterministic classifier that returns scripted labels
+ * Used for running and testing topic labelling without network access; items no entry matches are
+ * left to the keyword classifier
+ * @param {Object} options - { labelsPath } - JSON file of scripted labels
+ * @returns {Object} - Topic classifier: { name, classify }
+ */
+export function createMockClassifier({ labelsPath } = {}) {
+  const entries = loadLabels(labelsPath);
+
+  return {
+    name: 'mock',
+
+    async classify(items) {
+      return items.map(item => {
+        const entry = entries.find(candidate => (!candidate.kind || candidate.kind === item.kind) && matchesEntry(candidate.match, item.text));
+        return entry ? entry.topics : null;
+      });
+    }
+  };
+}
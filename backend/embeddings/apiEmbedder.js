@@ -0,0 +1,60 @@
+const DEFAULT_URL = 'https://api.openai.com/v1/embeddings';
+const DEFAULT_MODEL = 'text-embedding-3-small';
+const BATCH_SIZE = 100;
+
+/**
+ * Scale a vector to unit length, so dot product and cosine similarity agree
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+}
+
+/**
+ * Create an embedder that calls an OpenAI-compatible embeddings API
+ * The model must accept a `dimensions` parameter (or natively produce `dimensions`-long vectors)
+ * @param {Object} options - { apiKey, url, model, dimensions }
+ * @returns {Object} - Embedder: { name, model, embed }
+ */
+export function createApiEmbedder({ apiKey, url = DEFAULT_URL, model = DEFAULT_MODEL, dimensions } = {}) {
+  return {
+    name: 'api',
+    model,
+
+    async embed(texts) {
+      if (!apiKey) {
+        throw new Error('Embeddings API is not configured. Please add EMBEDDING_API_KEY to your .env file.');
+      }
+
+      const vectors = [];
+
+      for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${apiKey}`
+          },
+          body: JSON.stringify({ model, input: texts.slice(i, i + BATCH_SIZE), dimensions })
+        });
+
+        if (!response.ok) {
+          throw new Error(`Embeddings API error ${response.status}: ${await response.text()}`);
+        }
+
+        const { data } = await response.json();
+
+        data
+          .sort((a, b) => a.index - b.index)
+          .forEach(({ embedding }) => {
+            if (embedding.length !== dimensions) {
+              throw new Error(`Embeddings API returned ${embedding.length} dimensions, expected ${dimensions}`);
+            }
+            vectors.push(normalize(embedding));
+          });
+      }
+
+      return vectors;
+    }
+  };
+}
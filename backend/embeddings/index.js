@@ -0,0 +1,60 @@
+import dotenv from 'dotenv';
+import { createLocalEmbedder } from './localEmbedder.js';
+import { createApiEmbedder } from './apiEmbedder.js';
+
+dotenv.config();
+
+// Length of every stored vector (pdf_chunks.embedding is vector(384)); all embedders must produce it
+export const EMBEDDING_DIMENSIONS = 384;
+
+/**
+ * Text embedder registry
+ *
+ * Every embedder implements:
+ *   embed(texts) -> Promise<number[][]>  - one unit-length vector of EMBEDDING_DIMENSIONS per text
+ * and exposes `name` and `model`. Vectors from different models aren't comparable, so each stored
+ * vector records the model that made it and search only compares vectors of the active model.
+ * An embedder that can't work in this process (the local model failed to load) sets `unavailable`,
+ * and is then treated as turned off.
+ *
+ * Select with EMBEDDING_PROVIDER=local (default, runs a small model in the backend process),
+ * EMBEDDING_PROVIDER=api (an OpenAI-compatible embeddings API) or EMBEDDING_PROVIDER=none
+ * (keyword search only).
+ */
+const embedderFactories = {
+  local: () => createLocalEmbedder({
+    model: process.env.EMBEDDING_MODEL || undefined,
+    cacheDir: process.env.EMBEDDING_CACHE_DIR || undefined
+  }),
+  api: () => createApiEmbedder({
+    apiKey: process.env.EMBEDDING_API_KEY,
+    url: process.env.EMBEDDING_API_URL || undefined,
+    model: process.env.EMBEDDING_MODEL || undefined,
+    dimensions: EMBEDDING_DIMENSIONS
+  }),
+  none: () => null
+};
+
+let activeEmbedder;
+
+/**
+ * Get the configured embedder (created once per process)
+ * @returns {Object|null} - Embedder, or null when embeddings are turned off or unavailable
+ */
+export function getEmbedder() {
+  if (activeEmbedder === undefined) {
+    const name = (process.env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+    const factory = embedderFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Use one of: ${Object.keys(embedderFactories).join(', ')}`);
+    }
+
+    activeEmbedder = factory();
+    console.log(activeEmbedder
+      ? `🧭 Embeddings: ${activeEmbedder.name} (${activeEmbedder.model})`
+      : '🧭 Embeddings: off (keyword search only)');
+  }
+
+  return activeEmbedder?.unavailable ? null : activeEmbedder;
+}
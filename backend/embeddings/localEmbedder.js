@@ -0,0 +1,59 @@
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2'; // 384 dimensions, ~23 MB, fast on CPU
+const BATCH_SIZE = 32;
+
+/**
+ * Create an embedder that runs a sentence-transformer model in the backend process
+ * (transformers.js with ONNX Runtime). The model is downloaded from the Hugging Face Hub on
+ * first use and cached, so later starts work offline.
+ * @param {Object} options - { model, cacheDir }
+ * @returns {Object} - Embedder: { name, model, embed }
+ */
+export function createLocalEmbedder({ model = DEFAULT_MODEL, cacheDir } = {}) {
+  let extractorPromise = null;
+
+  /**
+   * Load the model once; loaded lazily so servers that never embed don't pay for it
+   * A failed load (e.g. offline before the model was ever downloaded) isn't retried: the embedder
+   * is marked unavailable, so the backend uses keyword search only until it restarts instead of
+   * trying the download again on every search and upload.
+   */
+  function getExtractor() {
+    if (!extractorPromise) {
+      extractorPromise = import('@huggingface/transformers')
+        .then(({ pipeline, env }) => {
+          if (cacheDir) {
+            env.cacheDir = cacheDir;
+          }
+          console.log(`📦 Loading embedding model ${model}...`);
+          return pipeline('feature-extraction', model, { dtype: 'fp32' });
+        })
+        .catch(error => {
+          embedder.unavailable = true;
+          console.error(`⚠️ Could not load embedding model ${model}, using keyword search only until the backend restarts:`, error.message);
+          throw error;
+        });
+    }
+
+    return extractorPromise;
+  }
+
+  const embedder = {
+    name: 'local',
+    model,
+    unavailable: false,
+
+    async embed(texts) {
+      const extractor = await getExtractor();
+      const vectors = [];
+
+      for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        const output = await extractor(texts.slice(i, i + BATCH_SIZE), { pooling: 'mean', normalize: true });
+        vectors.push(...output.tolist());
+      }
+
+      return vectors;
+    }
+  };
+
+  return embedder;
+}
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+
+/**
+ * Figure capture for executed MATLAB/Octave code
+ *
+ * Figures are created invisible, and after the student's code finishes (or fails) every open figure
+ * is printed to an image file. Executors that can read the working directory pick the files up
+ * directly; remote executors (Judge0) have Octave print them to stdout as base64 between markers.
+ */
+
+export const FIGURE_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+export const DEFAULT_FIGURE_FORMAT = 'png';
+
+// Keeps a runaway `for i = 1:100, figure; end` from flooding the response
+export const MAX_FIGURES = 10;
+
+export const FIGURE_FILE_PREFIX = 'tutor_figure_';
+
+/**
+ * Normalize a requested figure format, falling back to PNG
+ * @param {string} format - 'png' or 'svg'
+ * @returns {string} - A key of FIGURE_FORMATS
+ */
+export function normalizeFigureFormat(format) {
+  const normalized = (format || '').toLowerCase();
+  return FIGURE_FORMATS[normalized] ? normalized : DEFAULT_FIGURE_FORMAT;
+}
+
+/**
+ * Octave statement that keeps figures off-screen (runs before the student's code)
+ */
+export const HIDE_FIGURES_CODE = "set(0, 'defaultfigurevisible', 'off');";
+
+/**
+ * Build the Octave statements that save every open figure
+ * Variable names are prefixed so they can't clash with the student's workspace
+ * @param {Object} options - { format, emitMarker } - emitMarker prints each file to stdout as base64 between markers
+ * @returns {string} - Octave code
+ */
+export function buildSaveFiguresCode({ format = DEFAULT_FIGURE_FORMAT, emitMarker = null } = {}) {
+  const emitCode = emitMarker
+    ? `
+    tutor_fid__ = fopen(tutor_file__, 'r');
+    tutor_bytes__ = fread(tutor_fid__, Inf, 'uint8=>uint8')';
+    fclose(tutor_fid__);
+    printf('\\n${emitMarker}:%s\\n%s\\n${emitMarker}:end\\n', tutor_file__, base64_encode(tutor_bytes__));`
+    : '';
+
+  return `
+tutor_figs__ = sort(findall(0, 'type', 'figure'));
+if numel(tutor_figs__) > ${MAX_FIGURES}
+  fprintf(2, 'Only the first ${MAX_FIGURES} of %d figures were captured.\\n', numel(tutor_figs__));
+end
+for tutor_i__ = 1:min(numel(tutor_figs__), ${MAX_FIGURES})
+  tutor_file__ = sprintf('${FIGURE_FILE_PREFIX}%d.${format}', tutor_i__);
+  try
+    print(tutor_figs__(tutor_i__), tutor_file__, '-d${format}', '-r96');${emitCode}
+  catch tutor_err__
+    fprintf(2, 'Could not capture figure %d: %s\\n', tutor_i__, tutor_err__.message);
+  end
+end
+`;
+}
+
+/**
+ * Create a random marker for figures printed to stdout (so student output can't be mistaken for one)
+ * @returns {string}
+ */
+export function createFigureMarker() {
+  return `@@tutor_figure_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Pull base64 figures printed between markers out of stdout
+ * @param {string} stdout - Raw stdout of the run
+ * @param {string} marker - Marker passed to buildSaveFiguresCode
+ * @param {string} format - Figure format the code was built with
+ * @returns {Object} - { stdout, figures } - stdout without the figure blocks, and [{ name, mime_type, data }]
+ */
+export function extractMarkedFigures(stdout, marker, format) {
+  const figures = [];
+  const blockRegex = new RegExp(`\\n?${marker}:(\\S+)\\n([A-Za-z0-9+/=\\s]*?)\\n${marker}:end\\n?`, 'g');
+
+  const cleaned = (stdout || '').replace(blockRegex, (match, name, data) => {
+    figures.push({
+      name,
+      mime_type: FIGURE_FORMATS[format],
+      data: data.replace(/\s/g, '')
+    });
+    return '';
+  });
+
+  return { stdout: cleaned, figures };
+}
@@ -0,0 +1,55 @@
+import dotenv from 'dotenv';
+import { createJudge0Executor } from './judge0Executor.js';
+import { createOctaveExecutor } from './octaveExecutor.js';
+
+dotenv.config();
+
+/**
+ * Code executor registry
+ *
+ * Every executor implements:
+ *   execute(code, { figureFormat, captureFigures, files }) -> Promise<{ stdout, stderr, success, figures, timedOut? }>
+ * where `files` ({ 'name.m': contents }) are placed next to the code and `figures` are the plots
+ * the code created ([{ name, mime_type, data (base64) }]),
+ * and throws an error with `status = 503` when it isn't configured or available.
+ *
+ * Select with CODE_EXECUTOR=judge0 (default, hosted API) or CODE_EXECUTOR=octave (local octave-cli).
+ */
+const executorFactories = {
+  judge0: () => createJudge0Executor({
+    apiKey: process.env.RAPIDAPI_KEY
+  }),
+  octave: () => createOctaveExecutor({
+    binary: process.env.OCTAVE_BINARY || 'octave-cli',
+    timeoutMs: parseInt(process.env.OCTAVE_TIMEOUT_MS || '10000', 10),
+    memoryMb: parseInt(process.env.OCTAVE_MEMORY_LIMIT_MB || '2048', 10),
+    maxConcurrent: process.env.OCTAVE_MAX_CONCURRENT ? parseInt(process.env.OCTAVE_MAX_CONCURRENT, 10) : undefined,
+    // OCTAVE_NETWORK_ISOLATION is the older name of OCTAVE_SANDBOX
+    isolate: (process.env.OCTAVE_SANDBOX ?? process.env.OCTAVE_NETWORK_ISOLATION) !== 'false',
+    sandboxUid: process.env.OCTAVE_SANDBOX_UID ? parseInt(process.env.OCTAVE_SANDBOX_UID, 10) : undefined,
+    sandboxGid: process.env.OCTAVE_SANDBOX_GID ? parseInt(process.env.OCTAVE_SANDBOX_GID, 10) : undefined,
+    sandboxPaths: (process.env.OCTAVE_SANDBOX_PATHS || '').split(/[\s,]+/).filter(Boolean)
+  })
+};
+
+let activeExecutor = null;
+
+/**
+ * Get the configured code executor (created once per process)
+ * @returns {Object} - Code executor
+ */
+export function getCodeExecutor() {
+  if (!activeExecutor) {
+    const name = (process.env.CODE_EXECUTOR || 'judge0').toLowerCase();
+    const factory = executorFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown CODE_EXECUTOR "${name}". Use one of: ${Object.keys(executorFactories).join(', ')}`);
+    }
+
+    activeExecutor = factory();
+    console.log(`🔧 Code executor: ${activeExecutor.name}`);
+  }
+
+  return activeExecutor;
+}
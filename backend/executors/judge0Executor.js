@@ -0,0 +1,105 @@
+import { cleanOutput, executorUnavailable } from './output.js';
+import {
+  HIDE_FIGURES_CODE,
+  buildSaveFiguresCode,
+  createFigureMarker,
+  extractMarkedFigures,
+  normalizeFigureFormat
+} from './figureCapture.js';
+import { normalizeSupportingFiles, createZipArchive } from './supportingFiles.js';
+
+const JUDGE0_URL = 'https://judge0-ce.p.rapidapi.com/submissions?wait=true';
+const OCTAVE_LANGUAGE_ID = 66; // Judge0 language ID for Octave (MATLAB-compatible)
+
+/**
+ * Append figure capture to the submitted code
+ * Judge0 only takes a single source file, so capture code runs after the student's code: figures
+ * are lost if the code errors, and scripts that define functions are sent unchanged
+ * (anything appended after an unterminated function would become part of its body)
+ * @returns {string|null} - The wrapped code, or null if figures can't be captured for this code
+ */
+function wrapForFigureCapture(code, format, marker) {
+  if (/^\s*function\b/m.test(code)) {
+    return null;
+  }
+
+  // Same line as the student's first line, so error line numbers don't shift
+  return `${HIDE_FIGURES_CODE} ${code}\n${buildSaveFiguresCode({ format, emitMarker: marker })}`;
+}
+
+/**
+ * Create an executor that runs code on the hosted Judge0 API (via RapidAPI)
+ * @param {Object} options - { apiKey } - RapidAPI key
+ * @returns {Object} - Code executor: { name, execute }
+ */
+export function createJudge0Executor({ apiKey } = {}) {
+  return {
+    name: 'judge0',
+
+    async execute(code, { figureFormat, captureFigures = true, files } = {}) {
+      const supportingFiles = normalizeSupportingFiles(files);
+
+      if (!apiKey) {
+        throw executorUnavailable('Code execution is not configured. Please add RAPIDAPI_KEY to your .env file.\n\nGet a free API key at: https://rapidapi.com/judge0-official/api/judge0-ce');
+      }
+
+      console.log('🔧 Executing MATLAB/Octave code via Judge0...');
+
+      const format = normalizeFigureFormat(figureFormat);
+      const marker = createFigureMarker();
+      const sourceCode = (captureFigures && wrapForFigureCapture(code, format, marker)) || code;
+
+      // Submit code for execution
+      const submissionResponse = await fetch(JUDGE0_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-RapidAPI-Key': apiKey,
+          'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
+        },
+        body: JSON.stringify({
+          source_code: sourceCode,
+          language_id: OCTAVE_LANGUAGE_ID,
+          stdin: '',
+          ...(supportingFiles.length > 0 && {
+            additional_files: createZipArchive(supportingFiles).toString('base64')
+          })
+        })
+      });
+
+      if (!submissionResponse.ok) {
+        const errorText = await submissionResponse.text();
+        console.error('Judge0 API error:', errorText);
+        throw new Error(`API request failed: ${submissionResponse.statusText}`);
+      }
+
+      const result = await submissionResponse.json();
+
+      console.log('✅ Code executed via Judge0');
+
+      // Extract output and decode from base64
+      const rawStdout = result.stdout ? Buffer.from(result.stdout, 'base64').toString('utf-8') : '';
+      const { stdout: studentStdout, figures } = extractMarkedFigures(rawStdout, marker, format);
+      const stdout = cleanOutput(studentStdout);
+      const stderr = cleanOutput(result.stderr ? Buffer.from(result.stderr, 'base64').toString('utf-8') : '');
+      const compileOutput = result.compile_output ? Buffer.from(result.compile_output, 'base64').toString('utf-8') : '';
+
+      // Status 6+ are errors (compilation error, runtime error, time limit, ...)
+      if (result.status.id >= 6) {
+        return {
+          stdout,
+          stderr: stderr || compileOutput || result.status.description,
+          success: false,
+          figures
+        };
+      }
+
+      return {
+        stdout,
+        stderr,
+        success: true,
+        figures
+      };
+    }
+  };
+}
@@ -0,0 +1,393 @@
+import { spawn } from 'child_process';
+import { constants as fsConstants } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { cleanOutput, executorUnavailable } from './output.js';
+import {
+  FIGURE_FORMATS,
+  FIGURE_FILE_PREFIX,
+  HIDE_FIGURES_CODE,
+  buildSaveFiguresCode,
+  normalizeFigureFormat
+} from './figureCapture.js';
+import { normalizeSupportingFiles } from './supportingFiles.js';
+import { buildSandboxCommand } from './sandbox.js';
+
+const SCRIPT_FILENAME = 'main.m';
+const RUNNER_FILENAME = 'tutor_run.m';
+
+/**
+ * Run a command to completion, resolving with its exit code (or null if it couldn't start)
+ */
+function probe(command, args, options = {}) {
+  return new Promise(resolve => {
+    const child = spawn(command, args, { ...options, stdio: 'ignore' });
+    child.on('error', () => resolve(null));
+    child.on('close', code => resolve(code));
+  });
+}
+
+/**
+ * Limit how many runs happen at once; extra runs wait in a bounded queue
+ */
+function createConcurrencyLimit(maxConcurrent, maxQueued) {
+  let running = 0;
+  const waiting = [];
+
+  const release = () => {
+    running--;
+    const next = waiting.shift();
+    if (next) {
+      running++;
+      next();
+    }
+  };
+
+  return async function runLimited(task) {
+    if (running >= maxConcurrent) {
+      if (waiting.length >= maxQueued) {
+        throw executorUnavailable('The code runner is busy. Please try again in a few seconds.');
+      }
+      await new Promise(resolve => waiting.push(resolve));
+    } else {
+      running++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
+
+/**
+ * Collect a child stream up to a byte limit
+ * @returns {Object} - { append(chunk) -> false once the limit is hit, text(), truncated }
+ */
+function createOutputBuffer(maxBytes) {
+  const chunks = [];
+  let size = 0;
+
+  return {
+    truncated: false,
+
+    append(chunk) {
+      if (size >= maxBytes) {
+        this.truncated = true;
+        return false;
+      }
+
+      const remaining = maxBytes - size;
+      const kept = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+      chunks.push(kept);
+      size += kept.length;
+
+      if (kept.length < chunk.length) {
+        this.truncated = true;
+        return false;
+      }
+      return true;
+    },
+
+    text() {
+      return Buffer.concat(chunks).toString('utf-8');
+    }
+  };
+}
+
+/**
+ * Build the runner script: student code runs from its own file (so it may define local functions),
+ * and figures are saved even when it fails
+ */
+function buildRunnerScript(format, captureFigures) {
+  if (!captureFigures) {
+    return `source('${SCRIPT_FILENAME}');\n`;
+  }
+
+  return `${HIDE_FIGURES_CODE}
+unwind_protect
+  source('${SCRIPT_FILENAME}');
+unwind_protect_cleanup
+${buildSaveFiguresCode({ format })}
+end_unwind_protect
+`;
+}
+
+/**
+ * Read a file only if it's a regular file with no other links (a symlink or hard link could point
+ * the server at a file the run can't read itself)
+ * @returns {Promise<Buffer|null>} - The contents, or null if the file isn't a plain file
+ */
+async function readRegularFile(filePath) {
+  let handle;
+
+  try {
+    handle = await fs.open(filePath, fsConstants.O_RDONLY | fsConstants.O_NOFOLLOW | fsConstants.O_NONBLOCK);
+  } catch {
+    return null;
+  }
+
+  try {
+    const stats = await handle.stat();
+    return stats.isFile() && stats.nlink === 1 ? await handle.readFile() : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the figures the runner saved, in figure order
+ * @returns {Promise<Object>} - { figures: [{ name, mime_type, data }], skipped } - skipped counts figures over the size limit
+ */
+async function readFigures(workDir, format, maxFigureBytes) {
+  const files = (await fs.readdir(workDir))
+    .filter(file => file.startsWith(FIGURE_FILE_PREFIX) && file.endsWith(`.${format}`))
+    .sort((a, b) => parseInt(a.slice(FIGURE_FILE_PREFIX.length), 10) - parseInt(b.slice(FIGURE_FILE_PREFIX.length), 10));
+
+  const figures = [];
+  let skipped = 0;
+
+  for (const file of files) {
+    const data = await readRegularFile(path.join(workDir, file));
+
+    // The run can leave anything under a figure's name: only plain files it wrote itself count
+    if (!data) {
+      continue;
+    }
+
+    if (data.length > maxFigureBytes) {
+      skipped++;
+      continue;
+    }
+
+    figures.push({
+      name: file,
+      mime_type: FIGURE_FORMATS[format],
+      data: data.toString('base64')
+    });
+  }
+
+  return { figures, skipped };
+}
+
+/**
+ * Create an executor that runs code with a local `octave-cli` in a sandboxed child process
+ *
+ * Each run gets a fresh temporary working directory, a minimal environment, a wall-clock timeout
+ * (the whole process group is killed), CPU-time / address-space / file-size limits via `ulimit` and
+ * capped output. On Linux it runs in a sandbox (sandbox.js): as a dedicated unprivileged uid, without
+ * network access, seeing only read-only system directories and its working directory, with shell
+ * commands (system, unix, popen) blocked.
+ * Figures the code creates are saved as PNG/SVG and returned with the output.
+ *
+ * @param {Object} options - { binary, timeoutMs, memoryMb, maxOutputBytes, maxFigureBytes, maxConcurrent, maxQueued,
+ *   isolate, sandboxUid, sandboxGid, sandboxPaths }
+ * @returns {Object} - Code executor: { name, execute }
+ */
+export function createOctaveExecutor({
+  binary = 'octave-cli',
+  timeoutMs = 10000,
+  memoryMb = 2048,
+  maxOutputBytes = 64 * 1024,
+  maxFigureBytes = 2 * 1024 * 1024,
+  maxConcurrent = Math.max(1, os.cpus().length - 1),
+  maxQueued = 50,
+  isolate = true,
+  // Student code never runs as root: a root server runs it as "nobody" unless told otherwise
+  sandboxUid = process.getuid?.() === 0 ? 65534 : undefined,
+  sandboxGid = sandboxUid,
+  sandboxPaths = []
+} = {}) {
+  const runLimited = createConcurrencyLimit(maxConcurrent, maxQueued);
+  const runAs = sandboxUid === undefined ? {} : { uid: sandboxUid, gid: sandboxGid };
+  let readyCheck = null;
+
+  /**
+   * Make a run directory: work/ for the code (the working directory) and root/ to mount the sandbox on,
+   * owned by the sandbox uid
+   */
+  const createRunDir = async () => {
+    const runDir = await fs.mkdtemp(path.join(os.tmpdir(), 'octave-run-'));
+    const workDir = path.join(runDir, 'work');
+    const rootDir = path.join(runDir, 'root');
+
+    await fs.mkdir(workDir);
+    await fs.mkdir(rootDir);
+
+    if (runAs.uid !== undefined) {
+      for (const dir of [runDir, workDir, rootDir]) {
+        await fs.chown(dir, runAs.uid, runAs.gid);
+      }
+    }
+
+    return { runDir, workDir, rootDir };
+  };
+
+  // The command line for a run: resource limits, then the sandbox (if on), then the command
+  const buildCommand = (command, { workDir, rootDir }, limits = '') => {
+    const sandbox = isolate ? buildSandboxCommand(command, { rootDir, workDir, extraPaths: sandboxPaths }) : null;
+    const [executable, ...args] = ['/bin/sh', '-c', `${limits}exec "$@"`, 'octave-limits', ...(sandbox ? sandbox.args : command)];
+
+    return { executable, args, env: sandbox?.env || {} };
+  };
+
+  // Verify once that Octave runs (inside the sandbox, if required)
+  const ensureReady = () => {
+    if (!readyCheck) {
+      readyCheck = (async () => {
+        if (await probe(binary, ['--version']) !== 0) {
+          throw executorUnavailable(`Local code execution is not available: "${binary}" was not found. Install GNU Octave (see SETUP_LOCAL_OCTAVE.md) or set OCTAVE_BINARY.`);
+        }
+
+        if (isolate) {
+          const dirs = await createRunDir();
+
+          try {
+            const { executable, args, env } = buildCommand([binary, '--version'], dirs);
+            if (await probe(executable, args, { ...runAs, cwd: dirs.workDir, env: { PATH: process.env.PATH, ...env } }) !== 0) {
+              throw executorUnavailable('Local code execution is not available: Octave could not run in the sandbox (user, mount and network namespaces) on this host. See SETUP_LOCAL_OCTAVE.md.');
+            }
+          } finally {
+            await fs.rm(dirs.runDir, { recursive: true, force: true });
+          }
+        }
+
+        console.log(`🔧 Local Octave executor ready (${binary}, sandbox ${isolate ? 'on' : 'OFF'}${runAs.uid !== undefined ? `, uid ${runAs.uid}` : ''})`);
+      })();
+
+      // Re-check on the next run after a failure (e.g. Octave installed while the server runs)
+      readyCheck.catch(() => {
+        readyCheck = null;
+      });
+    }
+
+    return readyCheck;
+  };
+
+  const run = async (code, { format, captureFigures, files }) => {
+    const dirs = await createRunDir();
+    const { workDir } = dirs;
+
+    try {
+      await fs.writeFile(path.join(workDir, SCRIPT_FILENAME), code, 'utf-8');
+      await fs.writeFile(path.join(workDir, RUNNER_FILENAME), buildRunnerScript(format, captureFigures), 'utf-8');
+
+      for (const [filename, contents] of files) {
+        await fs.writeFile(path.join(workDir, filename), contents, 'utf-8');
+      }
+
+      if (runAs.uid !== undefined) {
+        for (const filename of await fs.readdir(workDir)) {
+          await fs.chown(path.join(workDir, filename), runAs.uid, runAs.gid);
+        }
+      }
+
+      // Limits apply to the shell and everything it execs: CPU seconds, address space (KB), file size (512-byte blocks)
+      const cpuSeconds = Math.ceil(timeoutMs / 1000) + 1;
+      const limits = `ulimit -t ${cpuSeconds} && ulimit -v ${memoryMb * 1024} && ulimit -f 20480 && `;
+      const octaveArgs = [binary, '--norc', '--no-history', '--no-window-system', '--quiet', RUNNER_FILENAME];
+      const { executable, args, env } = buildCommand(octaveArgs, dirs, limits);
+
+      const result = await new Promise((resolve, reject) => {
+        // Inside the sandbox the working directory is /work and /tmp is private
+        const home = isolate ? '/work' : workDir;
+        const child = spawn(executable, args, {
+          ...runAs,
+          cwd: workDir,
+          detached: true, // Own process group, so a timeout kills anything Octave started
+          stdio: ['ignore', 'pipe', 'pipe'],
+          env: {
+            ...env,
+            PATH: process.env.PATH,
+            HOME: home,
+            TMPDIR: isolate ? '/tmp' : workDir,
+            LANG: 'C.UTF-8',
+            OCTAVE_HISTFILE: '/dev/null'
+          }
+        });
+
+        const stdout = createOutputBuffer(maxOutputBytes);
+        const stderr = createOutputBuffer(maxOutputBytes);
+        let killedReason = null;
+
+        const killGroup = (reason) => {
+          if (killedReason) return;
+          killedReason = reason;
+          try {
+            process.kill(-child.pid, 'SIGKILL');
+          } catch {
+            // Already exited
+          }
+        };
+
+        const timer = setTimeout(() => killGroup('timeout'), timeoutMs);
+
+        child.stdout.on('data', chunk => {
+          if (!stdout.append(chunk)) killGroup('output');
+        });
+        child.stderr.on('data', chunk => {
+          if (!stderr.append(chunk)) killGroup('output');
+        });
+
+        child.on('error', error => {
+          clearTimeout(timer);
+          reject(error);
+        });
+
+        child.on('close', (exitCode, signal) => {
+          clearTimeout(timer);
+
+          let errorText = cleanOutput(stderr.text());
+
+          if (killedReason === 'timeout') {
+            errorText = `${errorText}\nExecution timed out after ${timeoutMs / 1000} seconds. Check for infinite loops.`.trim();
+          } else if (killedReason === 'output') {
+            errorText = `${errorText}\nOutput limit reached (${Math.round(maxOutputBytes / 1024)} KB) - execution stopped.`.trim();
+          } else if (signal === 'SIGXCPU' || signal === 'SIGKILL') {
+            errorText = `${errorText}\nExecution stopped: CPU time limit exceeded.`.trim();
+          } else if (signal) {
+            errorText = `${errorText}\nExecution stopped (${signal}). Your code may have used too much memory.`.trim();
+          }
+
+          resolve({
+            stdout: cleanOutput(stdout.text()),
+            stderr: errorText,
+            success: exitCode === 0 && !killedReason,
+            ...(killedReason === 'timeout' && { timedOut: true })
+          });
+        });
+      });
+
+      const { figures, skipped } = await readFigures(workDir, format, maxFigureBytes);
+
+      if (skipped > 0) {
+        result.stderr = `${result.stderr}\n${skipped} figure(s) were too large to return.`.trim();
+      }
+
+      return { ...result, figures };
+    } finally {
+      await fs.rm(dirs.runDir, { recursive: true, force: true });
+    }
+  };
+
+  return {
+    name: 'octave',
+
+    async execute(code, { figureFormat, captureFigures = true, files } = {}) {
+      const supportingFiles = normalizeSupportingFiles(files);
+      await ensureReady();
+
+      console.log('🔧 Executing MATLAB/Octave code locally...');
+      const result = await runLimited(() => run(code, {
+        format: normalizeFigureFormat(figureFormat),
+        captureFigures,
+        files: supportingFiles
+      }));
+      console.log(`✅ Code executed locally (${result.success ? 'ok' : 'error'}, ${result.figures.length} figures)`);
+
+      return result;
+    }
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * Strip ANSI colour codes and surrounding whitespace from interpreter output
+ * @param {string} text - Raw stdout/stderr
+ * @returns {string} - Cleaned output
+ */
+export function cleanOutput(text) {
+  return (text || '').replace(/\x1B\[[0-9;]*[a-zA-Z]/g, '').trim();
+}
+
+/**
+ * Create an error the execute route reports as 503 (executor not configured or not available)
+ * @param {string} message - Explanation shown to the user
+ * @returns {Error}
+ */
+export function executorUnavailable(message) {
+  const error = new Error(message);
+  error.status = 503;
+  return error;
+}
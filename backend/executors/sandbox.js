@@ -0,0 +1,90 @@
+/**
+ * Filesystem, process and network isolation for local code runs (Linux, util-linux tools only)
+ *
+ * A run starts as a dedicated unprivileged uid in new user, mount, PID and network namespaces. Inside,
+ * a setup script builds a fresh root on a tmpfs holding only read-only binds of the system directories
+ * Octave needs (SANDBOX_PATHS), the run's working directory (/work), a private /tmp, a /proc that
+ * only shows the run's own processes and a few /dev nodes. It pivots into that root and detaches
+ * the host's, masks the shells (so system(), unix() and popen() have nothing to run), drops every
+ * capability and execs the command. The server's files, its environment and other processes are
+ * not visible from inside.
+ */
+
+// System directories bound read-only into the sandbox (those that don't exist on the host are skipped;
+// symlinks such as /lib -> usr/lib are recreated as symlinks)
+export const SANDBOX_PATHS = [
+  '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32',
+  '/etc/alternatives', '/etc/ld.so.cache', '/etc/ld.so.conf', '/etc/ld.so.conf.d', '/etc/fonts', '/etc/octave'
+];
+
+// Shells replaced by an empty file inside the sandbox
+const SANDBOX_SHELLS = ['/usr/bin/sh', '/usr/bin/dash', '/usr/bin/bash', '/usr/bin/rbash', '/usr/bin/zsh', '/usr/bin/busybox', '/bin/sh', '/bin/dash', '/bin/bash'];
+
+// Where the working directory is mounted inside the sandbox
+export const SANDBOX_WORK_DIR = '/work';
+
+// Runs as root of the new user namespace (mapped to the sandbox uid outside it), before the command
+// $1 = empty directory for the new root, $2 = working directory, then the command
+const SETUP_SCRIPT = `
+set -e
+root="$1"; work="$2"; shift 2
+PATH="$PATH:/usr/sbin:/sbin"
+
+mount --make-rprivate /
+mount -t tmpfs -o mode=755,size=16m sandbox "$root"
+
+for p in $SANDBOX_PATHS; do
+  if [ -L "$p" ]; then
+    mkdir -p "$root$(dirname "$p")"
+    ln -s "$(readlink "$p")" "$root$p"
+  elif [ -e "$p" ]; then
+    mkdir -p "$root$(dirname "$p")"
+    if [ -d "$p" ]; then mkdir -p "$root$p"; else touch "$root$p"; fi
+    mount --bind "$p" "$root$p"
+    mount -o remount,bind,ro,nosuid,nodev "$root$p"
+  fi
+done
+
+mkdir -p "$root${SANDBOX_WORK_DIR}" "$root/tmp" "$root/proc" "$root/dev"
+mount --bind "$work" "$root${SANDBOX_WORK_DIR}"
+mount -t tmpfs -o size=64m,nosuid,nodev tmpfs "$root/tmp"
+mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+for device in null zero random urandom; do
+  touch "$root/dev/$device"
+  mount --bind "/dev/$device" "$root/dev/$device"
+done
+
+cd "$root"
+mkdir .host
+pivot_root . .host
+umount -l /.host
+rmdir /.host
+
+for shell in $SANDBOX_SHELLS; do
+  if [ -f "$shell" ]; then mount --bind /dev/null "$shell"; fi
+done
+mount -o remount,bind,ro /
+
+unset SANDBOX_PATHS SANDBOX_SHELLS OLDPWD
+exec setpriv --no-new-privs --inh-caps=-all --ambient-caps=-all --bounding-set=-all -- env -C ${SANDBOX_WORK_DIR} "$@"
+`;
+
+/**
+ * Build the command that runs `command` inside the sandbox
+ * @param {Array} command - [binary, ...args], run with SANDBOX_WORK_DIR as its working directory
+ * @param {Object} options - { rootDir: empty directory to mount the new root on, workDir: host directory
+ *   mounted at SANDBOX_WORK_DIR, extraPaths: more host paths to bind read-only }
+ * @returns {Object} - { args: [command, ...args] to spawn, env: variables the setup script needs }
+ */
+export function buildSandboxCommand(command, { rootDir, workDir, extraPaths = [] }) {
+  return {
+    args: [
+      'unshare', '--user', '--map-root-user', '--mount', '--pid', '--fork', '--kill-child', '--net', '--ipc', '--uts',
+      '/bin/sh', '-c', SETUP_SCRIPT, 'octave-sandbox', rootDir, workDir, ...command
+    ],
+    env: {
+      SANDBOX_PATHS: [...SANDBOX_PATHS, ...extraPaths].join(' '),
+      SANDBOX_SHELLS: SANDBOX_SHELLS.join(' ')
+    }
+  };
+}
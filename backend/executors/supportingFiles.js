@@ -0,0 +1,98 @@
+/**
+ * Extra source files placed next to the executed code (e.g. a student's function file for the autograder)
+ */
+
+// Plain .m filenames only - no paths
+const FILENAME_REGEX = /^[A-Za-z][A-Za-z0-9_]*\.m$/;
+
+// Names the executors use themselves
+export const RESERVED_FILENAMES = ['main.m', 'tutor_run.m'];
+
+/**
+ * Validate supporting files
+ * @param {Object} files - { 'filename.m': 'contents' }
+ * @returns {Array} - [[filename, contents]]
+ */
+export function normalizeSupportingFiles(files = {}) {
+  return Object.entries(files).map(([filename, contents]) => {
+    if (!FILENAME_REGEX.test(filename) || RESERVED_FILENAMES.includes(filename)) {
+      throw new Error(`Invalid supporting file name "${filename}"`);
+    }
+    if (typeof contents !== 'string') {
+      throw new Error(`Supporting file "${filename}" must be text`);
+    }
+    return [filename, contents];
+  });
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build an uncompressed .zip archive (Judge0 takes extra files as a base64 zip)
+ * @param {Array} entries - [[filename, contents]]
+ * @returns {Buffer} - Zip file contents
+ */
+export function createZipArchive(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [filename, contents] of entries) {
+    const name = Buffer.from(filename, 'utf-8');
+    const data = Buffer.from(contents, 'utf-8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    local.writeUInt16LE(20, 4); // Version needed to extract
+    local.writeUInt16LE(0, 6); // Flags
+    local.writeUInt16LE(0, 8); // Compression: stored
+    local.writeUInt32LE(0, 10); // Modification time/date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18); // Compressed size
+    local.writeUInt32LE(data.length, 22); // Uncompressed size
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // Extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6); // Version needed to extract
+    central.writeUInt16LE(0, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42); // Offset of local header (bytes 30-41 stay zero)
+
+    localParts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
@@ -0,0 +1,187 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const USER_AGENT = 'MATLAB-Tutor-LinkIndexer/1.0 (+course materials)';
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses a course link must not lead to: this machine, private networks, link-local (incl. the
+// cloud metadata endpoint 169.254.169.254), and other ranges that aren't public hosts. IPv4-mapped
+// IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  // Unspecified, loopback, NAT64, unique local, link-local, multicast
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is outside the public internet
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedAddressError(hostname) {
+  return Object.assign(new Error(`${hostname} is not a public address`), { code: 'EBLOCKED' });
+}
+
+/**
+ * dns.lookup that refuses hostnames resolving to a blocked address
+ * Checked at connect time, so a hostname can't pass a check and then resolve elsewhere
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(blockedAddressError(hostname));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Send one GET request (no redirects) to a public address
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function request(url, headers, signal) {
+  const { protocol, hostname } = new URL(url);
+
+  // IP literals are connected to without a lookup
+  const literal = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(literal) && isBlockedAddress(literal)) {
+    return Promise.reject(blockedAddressError(hostname));
+  }
+
+  const client = protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    client
+      .get(url, { headers, signal, lookup: publicLookup }, resolve)
+      .on('error', reject);
+  });
+}
+
+/**
+ * Read a response body, giving up once it passes maxBytes
+ */
+async function readBody(response, maxBytes) {
+  const declared = parseInt(response.headers['content-length'] || '0', 10);
+  if (declared > maxBytes) {
+    response.destroy();
+    throw new Error(`Page is too large to index (${Math.round(declared / 1024)} KB)`);
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw new Error(`Page is too large to index (over ${Math.round(maxBytes / 1024)} KB)`);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Create a fetcher that downloads links over HTTP(S)
+ * Sends the previous fetch's ETag / Last-Modified so unchanged pages come back as 304s. Only public
+ * addresses are fetched: links (and every redirect they go through) to this machine or private
+ * networks are refused.
+ * @param {Object} options - { timeoutMs, maxBytes }
+ * @returns {Object} - Link fetcher: { name, fetch }
+ */
+export function createHttpFetcher({ timeoutMs = 15000, maxBytes = 5 * 1024 * 1024 } = {}) {
+  return {
+    name: 'http',
+
+    async fetch(url, { etag, lastModified } = {}) {
+      if (!/^https?:\/\//i.test(url)) {
+        throw new Error('Only http and https links can be indexed');
+      }
+
+      const headers = { 'User-Agent': USER_AGENT, Accept: 'text/html, text/markdown, text/plain, application/pdf;q=0.9, */*;q=0.5' };
+      if (etag) headers['If-None-Match'] = etag;
+      if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+      const signal = AbortSignal.timeout(timeoutMs);
+      let currentUrl = url;
+      let response;
+
+      try {
+        for (let redirects = 0; ; redirects++) {
+          response = await request(currentUrl, headers, signal);
+
+          const location = response.headers.location;
+          if (!REDIRECT_STATUSES.includes(response.statusCode) || !location) {
+            break;
+          }
+
+          response.resume();
+
+          if (redirects === MAX_REDIRECTS) {
+            throw new Error(`Too many redirects (over ${MAX_REDIRECTS})`);
+          }
+
+          currentUrl = new URL(location, currentUrl).href;
+          if (!/^https?:\/\//i.test(currentUrl)) {
+            throw new Error('The page redirected to a link that is not http or https');
+          }
+        }
+      } catch (error) {
+        if (signal.aborted) {
+          throw new Error(`Timed out after ${timeoutMs / 1000}s`);
+        }
+        if (error.code === 'EBLOCKED') {
+          throw new Error(`Only public pages can be indexed (${error.message})`);
+        }
+        throw error.code
+          ? new Error(`Could not reach the page (${error.code})`)
+          : error;
+      }
+
+      if (response.statusCode === 304) {
+        response.resume();
+        return { notModified: true };
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw new Error(`The page responded with HTTP ${response.statusCode}`);
+      }
+
+      let body;
+      try {
+        body = await readBody(response, maxBytes);
+      } catch (error) {
+        throw signal.aborted ? new Error(`Timed out after ${timeoutMs / 1000}s`) : error;
+      }
+
+      return {
+        notModified: false,
+        url: currentUrl,
+        contentType: response.headers['content-type'] || '',
+        body,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null
+      };
+    }
+  };
+}
@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+import { createHttpFetcher } from './httpFetcher.js';
+import { createStubFetcher } from './stubFetcher.js';
+
+dotenv.config();
+
+/**
+ * Link fetcher registry (used to index the pages behind course links)
+ *
+ * Every fetcher implements:
+ *   fetch(url, { etag, lastModified }) -> Promise<{ notModified } | { notModified: false, url, contentType, body (Buffer), etag, lastModified }>
+ * where `notModified` means the page is unchanged since the fetch that returned etag / lastModified,
+ * and throws an error whose message says why the page couldn't be fetched.
+ *
+ * Select with LINK_FETCHER=http (default) or LINK_FETCHER=stub (canned pages from LINK_STUB_PAGES, no network).
+ */
+const fetcherFactories = {
+  http: () => createHttpFetcher({
+    timeoutMs: parseInt(process.env.LINK_FETCH_TIMEOUT_MS || '15000', 10),
+    maxBytes: parseInt(process.env.LINK_FETCH_MAX_KB || '5120', 10) * 1024
+  }),
+  stub: () => createStubFetcher({
+    pagesPath: process.env.LINK_STUB_PAGES
+  })
+};
+
+let activeFetcher = null;
+
+/**
+ * Get the configured link fetcher (created once per process)
+ * @returns {Object} - Link fetcher
+ */
+export function getLinkFetcher() {
+  if (!activeFetcher) {
+    const name = (process.env.LINK_FETCHER || 'http').toLowerCase();
+    const factory = fetcherFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown LINK_FETCHER "${name}". Use one of: ${Object.keys(fetcherFactories).join(', ')}`);
+    }
+
+    activeFetcher = factory();
+    console.log(`🌐 Link fetcher: ${activeFetcher.name}`);
+  }
+
+  return activeFetcher;
+}
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Load a stub pages file
+ * Format: { "pages": { "https://...": { "content_type": "text/html", "body": "..." | "file": "page.html" } } }
+ * `file` is read relative to the pages file; URLs that aren't listed fail like a 404.
+ */
+function loadPages(pagesPath) {
+  if (!pagesPath) {
+    return {};
+  }
+
+  const { pages = {} } = JSON.parse(fs.readFileSync(pagesPath, 'utf-8'));
+  const baseDir = path.dirname(pagesPath);
+
+  return Object.fromEntries(Object.entries(pages).map(([url, page]) => [url, {
+    contentType: page.content_type || 'text/html',
+    body: page.file ? fs.readFileSync(path.resolve(baseDir, page.file)) : Buffer.from(page.body || '', 'utf-8')
+  }]));
+}
+
+/**
+ * Create a fetcher that serves canned pages instead of going to the network
+ * Used for developing and testing link indexing offline
+ * @param {Object} options - { pagesPath } - JSON file of pages by URL
+ * @returns {Object} - Link fetcher: { name, fetch }
+ */
+export function createStubFetcher({ pagesPath } = {}) {
+  const pages = loadPages(pagesPath);
+
+  return {
+    name: 'stub',
+
+    async fetch(url) {
+      const page = pages[url];
+
+      if (!page) {
+        throw new Error('The page responded with HTTP 404 (no stub page for this URL)');
+      }
+
+      return { notModified: false, url, contentType: page.contentType, body: page.body, etag: null, lastModified: null };
+    }
+  };
+}
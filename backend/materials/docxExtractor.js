@@ -0,0 +1,142 @@
+import { attribute, decodeXmlEntities, elements, MONOSPACE_FONT, openPackage, readPart } from './officeXml.js';
+import { createSectionBuilder } from './sections.js';
+
+// Paragraph styles (by name or id) used for code in Word and MATLAB live scripts
+const CODE_STYLE = /code|source|verbatim|preformat|plain ?text|macro/i;
+const HEADING_STYLE = /^(heading ?\d*|title|subtitle)$/i;
+
+/**
+ * Paragraph styles by id: { name, heading, monospace }
+ */
+function readStyles(stylesXml) {
+  const styles = {};
+
+  elements(stylesXml || '', 'w:style').forEach(style => {
+    const id = attribute(style, 'w:style', 'w:styleId');
+    if (!id) return;
+
+    const name = attribute(style, 'w:name', 'w:val') || id;
+    const font = attribute(style, 'w:rFonts', 'w:ascii') || attribute(style, 'w:rFonts', 'w:hAnsi') || '';
+
+    styles[id] = {
+      name,
+      heading: HEADING_STYLE.test(name) || HEADING_STYLE.test(id) || /<w:outlineLvl\s/.test(style),
+      monospace: MONOSPACE_FONT.test(font)
+    };
+  });
+
+  return styles;
+}
+
+/**
+ * A paragraph's text: runs in order, with tabs and line breaks kept
+ */
+function paragraphText(paragraphXml) {
+  const tokens = paragraphXml.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br(?:\s[^>]*)?\/>|<w:cr\/>/g) || [];
+
+  return tokens.map(token => {
+    if (token.startsWith('<w:tab')) return '\t';
+    if (token.startsWith('<w:br') || token.startsWith('<w:cr')) return '\n';
+    return decodeXmlEntities(token.replace(/^<w:t[^>]*>|<\/w:t>$/g, ''));
+  }).join('');
+}
+
+/**
+ * Whether every run with text is set in a fixed-width font
+ */
+function runsAreMonospace(paragraphXml) {
+  const runs = elements(paragraphXml, 'w:r').filter(run => /<w:t[\s>]/.test(run));
+
+  return runs.length > 0 && runs.every(run => {
+    const font = attribute(run, 'w:rFonts', 'w:ascii') || attribute(run, 'w:rFonts', 'w:hAnsi') || '';
+    return MONOSPACE_FONT.test(font);
+  });
+}
+
+/**
+ * Read a WordprocessingML body into sections, one per heading
+ * @param {string} documentXml - word/document.xml (or matlab/document.xml of a live script)
+ * @param {string} stylesXml - The package's styles part, if it has one
+ */
+export function readWordSections(documentXml, stylesXml) {
+  const styles = readStyles(stylesXml);
+  const builder = createSectionBuilder();
+  let codeLines = [];
+
+  const flushCode = () => {
+    if (codeLines.length > 0) {
+      builder.code(codeLines.join('\n'));
+      codeLines = [];
+    }
+  };
+
+  const body = documentXml.match(/<w:body>([\s\S]*)<\/w:body>/)?.[1] || documentXml;
+
+  elements(body, 'w:p').forEach(paragraph => {
+    const styleId = attribute(paragraph, 'w:pStyle', 'w:val');
+    const style = styles[styleId] || { name: styleId || '', heading: HEADING_STYLE.test(styleId || ''), monospace: false };
+    const text = paragraphText(paragraph);
+
+    // Consecutive code paragraphs are one listing
+    if (CODE_STYLE.test(style.name) || CODE_STYLE.test(styleId || '') || style.monospace || runsAreMonospace(paragraph)) {
+      codeLines.push(text.replace(/\t/g, '    '));
+      return;
+    }
+
+    flushCode();
+
+    if (style.heading || /<w:outlineLvl\s/.test(paragraph)) {
+      builder.heading(text);
+    } else {
+      builder.paragraph(text);
+    }
+  });
+
+  flushCode();
+  return builder.finish();
+}
+
+/**
+ * Word documents (.docx) - sections start at each Heading or Title paragraph
+ */
+export const docxExtractor = {
+  format: 'docx',
+  label: 'Word document',
+  extensions: ['.docx'],
+  mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  locationType: 'section',
+
+  async readSections(buffer) {
+    const zip = await openPackage(buffer, 'Word document');
+    const documentXml = await readPart(zip, 'word/document.xml');
+
+    if (!documentXml) {
+      throw new Error('This Word document has no word/document.xml');
+    }
+
+    return readWordSections(documentXml, await readPart(zip, 'word/styles.xml'));
+  }
+};
+
+/**
+ * MATLAB live scripts (.mlx) - the same WordprocessingML, stored under matlab/, with code in
+ * "code" paragraphs
+ */
+export const mlxExtractor = {
+  format: 'mlx',
+  label: 'MATLAB live script',
+  extensions: ['.mlx'],
+  mimeType: 'application/vnd.mathworks.mlx',
+  locationType: 'section',
+
+  async readSections(buffer) {
+    const zip = await openPackage(buffer, 'MATLAB live script');
+    const documentXml = await readPart(zip, 'matlab/document.xml');
+
+    if (!documentXml) {
+      throw new Error('This live script has no matlab/document.xml (save it as .mlx from MATLAB R2016a or later)');
+    }
+
+    return readWordSections(documentXml, await readPart(zip, 'matlab/styles.xml'));
+  }
+};
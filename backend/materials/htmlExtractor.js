@@ -0,0 +1,114 @@
+import { createSectionBuilder } from './sections.js';
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', times: '×', divide: '÷', le: '≤', ge: '≥', ne: '≠',
+  deg: '°', plusmn: '±', pi: 'π', copy: '©'
+};
+
+// Elements that end the paragraph before them
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'br', 'hr', 'tr', 'td', 'th', 'table', 'blockquote',
+  'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'figure', 'figcaption', 'caption', 'form'
+]);
+
+export function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Read an HTML page into sections, one per h1-h6
+ * Text inside <pre> is code, with its line breaks and indentation kept; everything else is prose
+ * split at block elements. Scripts, styles and the page head are ignored.
+ * @param {string} html - Page source
+ */
+export function readHtmlSections(html) {
+  const builder = createSectionBuilder();
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template|svg)(?=[\s>])[\s\S]*?<\/\1\s*>/gi, '');
+
+  let text = '';
+  let mode = 'paragraph'; // or 'heading' / 'code'
+
+  const flush = () => {
+    const decoded = decodeHtmlEntities(text);
+    if (mode === 'heading') {
+      builder.heading(decoded);
+    } else if (mode === 'code') {
+      builder.code(decoded);
+    } else {
+      builder.paragraph(decoded);
+    }
+    text = '';
+  };
+
+  const tokens = source.match(/<\/?[a-zA-Z][^>]*>|[^<]+|</g) || [];
+
+  tokens.forEach(token => {
+    const tag = token.match(/^<(\/?)([a-zA-Z][a-zA-Z0-9]*)/);
+
+    if (!tag) {
+      text += token;
+      return;
+    }
+
+    const [, closing, rawName] = tag;
+    const name = rawName.toLowerCase();
+
+    if (/^h[1-6]$/.test(name) || name === 'pre') {
+      flush();
+      mode = closing ? 'paragraph' : (name === 'pre' ? 'code' : 'heading');
+    } else if (mode === 'code') {
+      if (name === 'br') {
+        text += '\n';
+      }
+    } else if (BLOCK_TAGS.has(name)) {
+      flush();
+    } else if (name === 'img' && !closing) {
+      const alt = token.match(/\salt="([^"]*)"/i)?.[1];
+      if (alt) {
+        text += ` ${alt} `;
+      }
+    }
+  });
+
+  flush();
+  return builder.finish();
+}
+
+/**
+ * The part of a live web page worth indexing: its <main> (or single <article>) when it marks one,
+ * without navigation, sidebars and footers, so every documentation page doesn't also index the
+ * site's menus
+ * @param {string} html - Page source
+ * @returns {string} - HTML
+ */
+export function pageContent(html) {
+  const main = html.match(/<main(?=[\s>])[^>]*>([\s\S]*)<\/main\s*>/i)?.[1];
+  const articles = main ? [] : html.match(/<article(?=[\s>])[^>]*>[\s\S]*?<\/article\s*>/gi) || [];
+  const content = main ?? (articles.length === 1 ? articles[0] : html);
+
+  return content.replace(/<(nav|aside|footer)(?=[\s>])[\s\S]*?<\/\1\s*>/gi, '');
+}
+
+/**
+ * Web pages (.html) - saved course pages and exported notebooks
+ */
+export const htmlExtractor = {
+  format: 'html',
+  label: 'web page',
+  extensions: ['.html', '.htm'],
+  mimeType: 'text/html',
+  locationType: 'section',
+
+  async readSections(buffer) {
+    return readHtmlSections(buffer.toString('utf8'));
+  }
+};
@@ -0,0 +1,109 @@
+import path from 'path';
+import { chunkSections } from '../utils/pdfChunker.js';
+import { docxExtractor, mlxExtractor } from './docxExtractor.js';
+import { htmlExtractor } from './htmlExtractor.js';
+import { markdownExtractor } from './markdownExtractor.js';
+import { matlabExtractor } from './matlabExtractor.js';
+import { pdfExtractor } from './pdfExtractor.js';
+import { pptxExtractor } from './pptxExtractor.js';
+
+/**
+ * Course material format registry
+ *
+ * Every format describes itself with
+ *   format, label, extensions, mimeType, locationType ('page' | 'slide' | 'section' | 'line')
+ * and implements one of
+ *   extract(buffer, filename, { onProgress }) -> Promise<{ locationCount, chunks }>   (PDFs)
+ *   readSections(buffer) -> Promise<[{ number, title, blocks: [{ type, text, location?, locationEnd?, notes? }] }]>
+ * Formats with readSections are chunked by chunkSections and can be shown in the material viewer;
+ * PDFs are shown by the PDF viewer. A chunk's page..page_end hold the format's locations, and
+ * pdf_chunks.location_type says which kind they are.
+ *
+ * The format of an upload is chosen by its file extension.
+ */
+const extractors = [pdfExtractor, pptxExtractor, docxExtractor, mlxExtractor, markdownExtractor, htmlExtractor, matlabExtractor];
+
+export const MATERIAL_FORMATS = Object.fromEntries(extractors.map(extractor => [extractor.format, extractor]));
+
+export const MATERIAL_EXTENSIONS = extractors.flatMap(extractor => extractor.extensions);
+
+/**
+ * The format of a file from its name
+ * @returns {string|null} - Format key, or null when the extension isn't supported
+ */
+export function formatForFilename(filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  return extractors.find(extractor => extractor.extensions.includes(extension))?.format ?? null;
+}
+
+/**
+ * The format of fetched content from its Content-Type (plain text is read as Markdown)
+ * @returns {string|null} - Format key, or null when the type isn't supported
+ */
+export function formatForMimeType(contentType) {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (['application/xhtml+xml', 'text/x-markdown', 'text/plain'].includes(mimeType)) {
+    return mimeType === 'application/xhtml+xml' ? 'html' : 'markdown';
+  }
+
+  return extractors.find(extractor => extractor.mimeType === mimeType)?.format ?? null;
+}
+
+/**
+ * @param {string} format - Format key (pdfs.format)
+ * @returns {Object} - The format's extractor
+ */
+export function getMaterialFormat(format) {
+  const extractor = MATERIAL_FORMATS[format || 'pdf'];
+
+  if (!extractor) {
+    throw new Error(`Unknown material format "${format}". Use one of: ${Object.keys(MATERIAL_FORMATS).join(', ')}`);
+  }
+
+  return extractor;
+}
+
+/**
+ * Extract and chunk a course material
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - Format key
+ * @param {string} filename - Original file name, stored on each chunk
+ * @param {Object} options - { onProgress({ done, total }): pages read so far, for formats read page by page }
+ * @returns {Promise<Object>} - { locationType, locationCount, chunks }
+ */
+export async function extractMaterial(buffer, format, filename, options = {}) {
+  const extractor = getMaterialFormat(format);
+
+  if (extractor.extract) {
+    const { locationCount, chunks } = await extractor.extract(buffer, filename, options);
+    return { locationType: extractor.locationType, locationCount, chunks };
+  }
+
+  const sections = await extractor.readSections(buffer);
+  const locationCount = extractor.locationType === 'line'
+    ? Math.max(0, ...sections.flatMap(section => section.blocks.map(block => block.locationEnd ?? section.number)))
+    : sections.length;
+
+  return { locationType: extractor.locationType, locationCount, chunks: chunkSections(sections, filename) };
+}
+
+/**
+ * Read a material's structure for the viewer
+ * @returns {Promise<Object>} - { format, location_type, sections }, plus `text` (the whole file)
+ *   for formats cited by line
+ */
+export async function readMaterialDocument(buffer, format) {
+  const extractor = getMaterialFormat(format);
+
+  if (!extractor.readSections) {
+    throw new Error(`${extractor.label} files are shown in the PDF viewer`);
+  }
+
+  return {
+    format: extractor.format,
+    location_type: extractor.locationType,
+    sections: await extractor.readSections(buffer),
+    ...(extractor.locationType === 'line' ? { text: buffer.toString('utf8') } : {})
+  };
+}
@@ -0,0 +1,139 @@
+import { createSectionBuilder } from './sections.js';
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^ {0,3}#{1,6}(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+/;
+
+/**
+ * Strip inline markup, keeping the text a reader sees
+ * Underscores are left alone: in course material they are far more often part of identifiers
+ * (max_iter, my_function) than emphasis
+ */
+function stripInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>\n]+>/g, '')
+    .replace(/`+([^`]+)`+/g, '$1')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\*([^*\s][^*]*)\*/g, '$1');
+}
+
+/**
+ * Read Markdown into sections, one per heading (ATX "# Title" or underlined)
+ * @param {string} markdown - Document text
+ */
+export function readMarkdownSections(markdown) {
+  const builder = createSectionBuilder();
+  const lines = markdown.replace(/\r\n?/g, '\n').replace(/<!--[\s\S]*?-->/g, '').split('\n');
+  let paragraph = [];
+  let fence = null;
+  let code = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      builder.paragraph(stripInline(paragraph.join(' ')));
+      paragraph = [];
+    }
+  };
+
+  const flushCode = () => {
+    if (code.length > 0) {
+      builder.code(code.join('\n'));
+      code = [];
+    }
+  };
+
+  let start = 0;
+
+  // YAML front matter isn't part of the text
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) {
+      start = end + 1;
+    }
+  }
+
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (fence) {
+      if (line.trim().startsWith(fence)) {
+        flushCode();
+        fence = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      flushParagraph();
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    // Indented code only starts after a blank line, so wrapped list items aren't mistaken for it
+    if (/^( {4}|\t)/.test(line) && paragraph.length === 0 && (code.length > 0 || !lines[i - 1]?.trim())) {
+      code.push(line.replace(/^( {4}|\t)/, ''));
+      continue;
+    }
+    if (code.length > 0 && !line.trim()) {
+      code.push('');
+      continue;
+    }
+    flushCode();
+
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      flushParagraph();
+      builder.heading(stripInline(heading[1] || ''));
+      continue;
+    }
+
+    if (paragraph.length === 1 && SETEXT_UNDERLINE.test(line) && !LIST_ITEM.test(paragraph[0])) {
+      const title = paragraph[0];
+      paragraph = [];
+      builder.heading(stripInline(title));
+      continue;
+    }
+
+    if (!line.trim() || /^ {0,3}([-*_])( *\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      continue;
+    }
+
+    // List items and table rows are paragraphs of their own
+    if (LIST_ITEM.test(line) || /^\s*\|/.test(line)) {
+      flushParagraph();
+      if (/^\s*\|?[\s:|-]+\|?\s*$/.test(line) && line.includes('-')) {
+        continue; // table header separator
+      }
+      paragraph.push(line.replace(LIST_ITEM, '').replace(/\s*\|\s*/g, ' | ').replace(/^ \| | \| $/g, ''));
+      continue;
+    }
+
+    paragraph.push(line.replace(/^\s*>\s?/, '').trim());
+  }
+
+  flushParagraph();
+  flushCode();
+  return builder.finish();
+}
+
+/**
+ * Markdown (.md) - lecture notes and README-style handouts
+ */
+export const markdownExtractor = {
+  format: 'markdown',
+  label: 'Markdown document',
+  extensions: ['.md', '.markdown'],
+  mimeType: 'text/markdown',
+  locationType: 'section',
+
+  async readSections(buffer) {
+    return readMarkdownSections(buffer.toString('utf8'));
+  }
+};
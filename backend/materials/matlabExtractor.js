@@ -0,0 +1,101 @@
+const CELL_MARKER = /^\s*%%(?!%)\s*(.*)$/;
+const FUNCTION_LINE = /^\s*function\b\s*(?:\[[^\]]*\]\s*=\s*|\w+\s*=\s*)?([A-Za-z]\w*)/;
+
+// Under the chunker's listing limit, so a block is never split without its own line range
+const MAX_BLOCK_SIZE = 1500;
+
+/**
+ * Split a section's lines into code blocks at blank lines (and within long stretches without
+ * one), each block carrying its line range
+ * @param {Array} lines - [{ number, text }]
+ */
+function codeBlocks(lines) {
+  const blocks = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      blocks.push({
+        type: 'code',
+        text: current.map(line => line.text).join('\n'),
+        location: current[0].number,
+        locationEnd: current[current.length - 1].number
+      });
+      current = [];
+    }
+  };
+
+  let length = 0;
+
+  lines.forEach(line => {
+    if (!line.text.trim()) {
+      flush();
+      length = 0;
+      return;
+    }
+
+    if (length + line.text.length > MAX_BLOCK_SIZE && current.length > 0) {
+      flush();
+      length = 0;
+    }
+
+    current.push(line);
+    length += line.text.length + 1;
+  });
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Read a MATLAB script or function file into sections
+ * Scripts with %% cells get one section per cell, titled by the cell; otherwise each function is a
+ * section. Sections are numbered by their first line, and every block of code keeps its own line
+ * range, so citations point at "Lines 12-30".
+ * @param {string} source - File contents
+ */
+export function readMatlabSections(source) {
+  const lines = source.replace(/\r\n?/g, '\n').replace(/\s+$/, '').split('\n')
+    .map((text, i) => ({ number: i + 1, text: text.replace(/\t/g, '    ') }));
+
+  const hasCells = lines.some(line => CELL_MARKER.test(line.text));
+  const sections = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const cell = hasCells && line.text.match(CELL_MARKER);
+    const fn = !hasCells && line.text.match(FUNCTION_LINE);
+
+    if (cell || fn) {
+      current = { number: line.number, title: cell ? cell[1].trim() || null : `function ${fn[1]}`, lines: [] };
+      sections.push(current);
+
+      // A cell's %% line is its title; a function's signature line is code
+      if (cell) return;
+    } else if (!current) {
+      current = { number: line.number, title: null, lines: [] };
+      sections.push(current);
+    }
+
+    current.lines.push(line);
+  });
+
+  return sections
+    .map(({ lines: sectionLines, ...section }) => ({ ...section, blocks: codeBlocks(sectionLines) }))
+    .filter(section => section.title || section.blocks.length > 0);
+}
+
+/**
+ * MATLAB code (.m) - example scripts and functions, cited by line
+ */
+export const matlabExtractor = {
+  format: 'matlab',
+  label: 'MATLAB file',
+  extensions: ['.m'],
+  mimeType: 'text/x-matlab',
+  locationType: 'line',
+
+  async readSections(buffer) {
+    return readMatlabSections(buffer.toString('utf8'));
+  }
+};
@@ -0,0 +1,146 @@
+import JSZip from 'jszip';
+
+/**
+ * Reading Office Open XML packages (.docx, .pptx, .mlx)
+ *
+ * The packages are zip files of XML parts. Extraction only needs text, paragraph styles and fonts,
+ * so the parts are scanned with regular expressions rather than parsed into a DOM.
+ */
+
+// Typefaces that mark a run as code
+export const MONOSPACE_FONT = /mono|courier|consol|menlo|lucida console/i;
+
+// What a package may unpack to. Uploads are small, but a zip can hold parts that inflate to
+// thousands of times their compressed size (a zip bomb)
+const MAX_PART_SIZE = 50 * 1024 * 1024;
+const MAX_PACKAGE_SIZE = 200 * 1024 * 1024;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Open a package, refusing one whose parts would unpack to more than MAX_PART_SIZE each or
+ * MAX_PACKAGE_SIZE together (going by the sizes the zip declares; readPart checks what it inflates)
+ * @param {Buffer} buffer - File contents
+ * @param {string} label - What the file is, for the error when it isn't a zip
+ */
+export async function openPackage(buffer, label) {
+  let zip;
+
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error(`This doesn't look like a valid ${label} (${error.message})`);
+  }
+
+  const sizes = Object.values(zip.files)
+    .filter(file => !file.dir)
+    .map(file => file._data?.uncompressedSize ?? 0);
+  const totalSize = sizes.reduce((total, size) => total + size, 0);
+
+  if (sizes.some(size => size > MAX_PART_SIZE) || totalSize > MAX_PACKAGE_SIZE) {
+    throw new Error(`This ${label} is too large to read: it unpacks to ${Math.round(totalSize / 1024 / 1024)} MB`);
+  }
+
+  return zip;
+}
+
+/**
+ * Read a part of the package as text
+ * Stops at MAX_PART_SIZE, in case the part inflates to more than the zip declared.
+ * @returns {Promise<string|null>} - null when the package has no such part
+ */
+export async function readPart(zip, path) {
+  const file = zip.file(path);
+
+  if (!file) {
+    return null;
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = file.internalStream('uint8array');
+
+    stream
+      .on('data', chunk => {
+        size += chunk.length;
+
+        if (size > MAX_PART_SIZE) {
+          stream.pause();
+          reject(new Error(`${path} is too large to read`));
+          return;
+        }
+
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+      .resume();
+  });
+}
+
+/**
+ * Every element with this tag, outermost first and in document order
+ * @param {string} xml - XML to search
+ * @param {string} tag - Qualified name, e.g. 'w:p'
+ * @returns {Array<string>} - The elements' XML, including their own tags
+ */
+export function elements(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?=[\\s/>])[^>]*?(?:/>|>[\\s\\S]*?</${tag}>)`, 'g');
+  return xml.match(pattern) || [];
+}
+
+/**
+ * The value of an attribute on the first element with this tag
+ * @returns {string|null}
+ */
+export function attribute(xml, tag, name) {
+  const element = xml.match(new RegExp(`<${tag}(?=[\\s/>])[^>]*>`));
+  const value = element?.[0].match(new RegExp(`\\s${name}="([^"]*)"`));
+  return value ? decodeXmlEntities(value[1]) : null;
+}
+
+/**
+ * Resolve a relationships part to { id: target path } with targets relative to the package root
+ * @param {string} relsXml - e.g. ppt/_rels/presentation.xml.rels
+ * @param {string} baseDir - Directory of the part the relationships belong to, e.g. 'ppt'
+ */
+export function readRelationships(relsXml, baseDir) {
+  const relationships = {};
+
+  elements(relsXml || '', 'Relationship').forEach(relationship => {
+    const id = attribute(relationship, 'Relationship', 'Id');
+    const target = attribute(relationship, 'Relationship', 'Target');
+    const type = attribute(relationship, 'Relationship', 'Type') || '';
+
+    if (id && target) {
+      relationships[id] = { type: type.split('/').pop(), path: resolvePath(baseDir, target) };
+    }
+  });
+
+  return relationships;
+}
+
+function resolvePath(baseDir, target) {
+  const parts = target.startsWith('/') ? [] : baseDir.split('/').filter(Boolean);
+
+  target.split('/').filter(Boolean).forEach(part => {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '.') {
+      parts.push(part);
+    }
+  });
+
+  return parts.join('/');
+}
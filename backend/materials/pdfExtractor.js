@@ -0,0 +1,21 @@
+import { extractPDFPages } from '../utils/pdfEmbeddings.js';
+import { chunkPDFPages } from '../utils/pdfChunker.js';
+
+/**
+ * PDFs - chunked from the laid-out page text, cited by page
+ */
+export const pdfExtractor = {
+  format: 'pdf',
+  label: 'PDF',
+  extensions: ['.pdf'],
+  mimeType: 'application/pdf',
+  locationType: 'page',
+
+  async extract(buffer, filename, { onProgress } = {}) {
+    const { totalPages, pages } = await extractPDFPages(buffer, {
+      onPage: ({ pageNumber, totalPages: total }) => onProgress?.({ done: pageNumber, total })
+    });
+
+    return { locationCount: totalPages, chunks: chunkPDFPages(pages, filename) };
+  }
+};
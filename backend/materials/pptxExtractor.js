@@ -0,0 +1,129 @@
+import { attribute, decodeXmlEntities, elements, MONOSPACE_FONT, openPackage, readPart, readRelationships } from './officeXml.js';
+
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+
+/**
+ * A DrawingML paragraph's text, with line breaks kept
+ */
+function paragraphText(paragraphXml) {
+  const tokens = paragraphXml.match(/<a:t(?:\s[^>]*)?>[^<]*<\/a:t>|<a:br(?:\s[^>]*)?\/?>/g) || [];
+
+  return tokens.map(token => (
+    token.startsWith('<a:br') ? '\n' : decodeXmlEntities(token.replace(/^<a:t[^>]*>|<\/a:t>$/g, ''))
+  )).join('');
+}
+
+function isMonospace(paragraphXml) {
+  const runs = elements(paragraphXml, 'a:r');
+
+  return runs.length > 0 && runs.every(run => MONOSPACE_FONT.test(attribute(run, 'a:latin', 'typeface') || ''));
+}
+
+/**
+ * A shape's paragraphs as blocks; runs of fixed-width paragraphs (code pasted onto a slide) are
+ * kept together as one code block
+ */
+function shapeBlocks(shapeXml) {
+  const blocks = [];
+  let codeLines = [];
+
+  const flushCode = () => {
+    if (codeLines.some(line => line.trim())) {
+      blocks.push({ type: 'code', text: codeLines.join('\n').replace(/\s+$/, '') });
+    }
+    codeLines = [];
+  };
+
+  elements(shapeXml, 'a:p').forEach(paragraph => {
+    const text = paragraphText(paragraph);
+
+    if (isMonospace(paragraph)) {
+      codeLines.push(text);
+      return;
+    }
+
+    flushCode();
+    const normalised = text.replace(/\s+/g, ' ').trim();
+    if (normalised) {
+      blocks.push({ type: 'paragraph', text: normalised });
+    }
+  });
+
+  flushCode();
+  return blocks;
+}
+
+function placeholderType(shapeXml) {
+  return attribute(shapeXml, 'p:ph', 'type');
+}
+
+/**
+ * Read a slide: its title placeholder, the text of its other shapes and tables, and its speaker notes
+ */
+async function readSlide(zip, slidePath, number) {
+  const slideXml = await readPart(zip, slidePath);
+  if (!slideXml) {
+    return { number, title: `Slide ${number}`, blocks: [] };
+  }
+
+  // Text boxes and tables, top of the shape tree first
+  const shapes = [...elements(slideXml, 'p:sp'), ...elements(slideXml, 'p:graphicFrame')]
+    .sort((a, b) => slideXml.indexOf(a) - slideXml.indexOf(b));
+  const titleShape = shapes.find(shape => TITLE_PLACEHOLDERS.includes(placeholderType(shape)));
+  const title = titleShape
+    ? elements(titleShape, 'a:p').map(paragraphText).join(' ').replace(/\s+/g, ' ').trim()
+    : '';
+
+  const blocks = shapes
+    .filter(shape => shape !== titleShape && !['sldNum', 'dt', 'ftr'].includes(placeholderType(shape)))
+    .flatMap(shapeBlocks);
+
+  // Speaker notes often carry the explanation the slide only sketches
+  const slideDir = slidePath.slice(0, slidePath.lastIndexOf('/'));
+  const slideName = slidePath.slice(slidePath.lastIndexOf('/') + 1);
+  const relationships = readRelationships(await readPart(zip, `${slideDir}/_rels/${slideName}.rels`), slideDir);
+  const notes = Object.values(relationships).find(relationship => relationship.type === 'notesSlide');
+  const notesXml = notes ? await readPart(zip, notes.path) : null;
+
+  if (notesXml) {
+    elements(notesXml, 'p:sp')
+      .filter(shape => placeholderType(shape) === 'body')
+      .flatMap(shapeBlocks)
+      .forEach(block => blocks.push({ ...block, notes: true }));
+  }
+
+  return { number, title: title || `Slide ${number}`, blocks };
+}
+
+/**
+ * PowerPoint presentations (.pptx) - one section per slide, in presentation order, titled by the
+ * slide's title placeholder
+ */
+export const pptxExtractor = {
+  format: 'pptx',
+  label: 'PowerPoint presentation',
+  extensions: ['.pptx'],
+  mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  locationType: 'slide',
+
+  async readSections(buffer) {
+    const zip = await openPackage(buffer, 'PowerPoint presentation');
+    const presentationXml = await readPart(zip, 'ppt/presentation.xml');
+
+    if (!presentationXml) {
+      throw new Error('This presentation has no ppt/presentation.xml');
+    }
+
+    const relationships = readRelationships(await readPart(zip, 'ppt/_rels/presentation.xml.rels'), 'ppt');
+    const slidePaths = elements(presentationXml, 'p:sldId')
+      .map(slideId => relationships[attribute(slideId, 'p:sldId', 'r:id')]?.path)
+      .filter(Boolean);
+
+    const slides = [];
+    for (let i = 0; i < slidePaths.length; i++) {
+      slides.push(await readSlide(zip, slidePaths[i], i + 1));
+    }
+
+    return slides;
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Collect a document's headings, paragraphs and code blocks into numbered sections
+ * (the shape chunkSections in utils/pdfChunker.js takes)
+ *
+ * Every heading starts a section; text before the first heading forms an untitled section of its
+ * own. Sections are numbered from 1 in document order, so "Section 3" is the third heading (or the
+ * second, when the document opens with untitled text).
+ * @returns {Object} - { heading(title), paragraph(text), code(text), finish() -> sections }
+ */
+export function createSectionBuilder() {
+  const sections = [];
+  let current = null;
+
+  const section = () => {
+    if (!current) {
+      current = { title: null, blocks: [] };
+      sections.push(current);
+    }
+    return current;
+  };
+
+  return {
+    heading(title) {
+      const text = title.replace(/\s+/g, ' ').trim();
+      if (text) {
+        current = { title: text, blocks: [] };
+        sections.push(current);
+      }
+    },
+
+    paragraph(text) {
+      const normalised = text.replace(/\s+/g, ' ').trim();
+      if (normalised) {
+        section().blocks.push({ type: 'paragraph', text: normalised });
+      }
+    },
+
+    code(text) {
+      const trimmed = text.replace(/\s+$/, '').replace(/^(\s*\n)+/, '');
+      if (trimmed.trim()) {
+        section().blocks.push({ type: 'code', text: trimmed });
+      }
+    },
+
+    finish() {
+      return sections.map((entry, i) => ({ number: i + 1, ...entry }));
+    }
+  };
+}
@@ -0,0 +1,133 @@
+import { supabase, getAuthUser } from '../config/supabase.js';
+import { getCourseAccess } from '../utils/courseAccess.js';
+
+/**
+ * Authorization middleware
+ *
+ * Routers run `authenticate` once for every route; routes scoped to a course then declare who may use them,
+ * by role and/or by staff permission (see utils/courseAccess.js):
+ *
+ *   router.delete('/:id', requireCourseAccess({ roles: ['owner'], courseId: courseIdFrom.param('id') }), handler)
+ *   router.post('/upload', requireCourseAccess({ permission: 'edit_materials', courseId: courseIdFrom.body() }), handler)
+ *
+ * Course roles: 'owner' (the course's professor), 'co_instructor' and 'ta' (staff) and 'student' (enrolled).
+ */
+
+export const COURSE_ROLES = ['owner', 'co_instructor', 'ta', 'student'];
+
+/**
+ * Create an error the error handler in server.js responds to with its status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Where a route finds its course ID - each returns (req) => courseId
+ */
+export const courseIdFrom = {
+  param: (name = 'course_id') => (req) => req.params[name],
+  body: (name = 'course_id') => (req) => req.body?.[name],
+  query: (name = 'course_id') => (req) => req.query[name],
+
+  /**
+   * The course of a record addressed by a URL parameter, e.g. record('pdfs', 'PDF not found') for DELETE /api/pdfs/:id
+   * @param {string} table - Table with a course_id column
+   * @param {string} notFoundMessage - 404 message when the record doesn't exist
+   * @param {string} param - URL parameter holding the record ID
+   */
+  record: (table, notFoundMessage, param = 'id') => async (req) => {
+    const { data } = await supabase
+      .from(table)
+      .select('course_id')
+      .eq('id', req.params[param])
+      .maybeSingle();
+
+    if (!data) {
+      throw httpError(404, notFoundMessage);
+    }
+
+    return data.course_id;
+  }
+};
+
+/**
+ * Authenticate the request's bearer token
+ * Sets req.user (Supabase auth user) and req.profile ({ id, role, full_name, email }); responds 401 if the token is missing or invalid
+ */
+export async function authenticate(req, res, next) {
+  let user;
+
+  try {
+    user = await getAuthUser(req);
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
+
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('id, role, full_name, email')
+      .eq('id', user.id)
+      .maybeSingle();
+
+    req.user = user;
+    req.profile = profile;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require an account role ('professor' or 'student'), e.g. only professors create courses
+ * @param {string} role - Required profile role
+ */
+export function requireUserRole(role) {
+  return (req, res, next) => {
+    if (req.profile?.role !== role) {
+      return res.status(403).json({ error: `Only ${role}s can do this` });
+    }
+    next();
+  };
+}
+
+/**
+ * Require a role and/or permission in the request's course
+ * Sets req.course ({ id, professor_id, role, permissions }); responds 400 without a course ID, 404 if the course
+ * doesn't exist, and 403 if the user isn't a member or lacks the role or permission
+ * @param {Object} options - { roles: allowed course roles (default: any member), permission: required staff permission,
+ *   courseId: resolver from courseIdFrom (default: :course_id) }
+ */
+export function requireCourseAccess({ roles = COURSE_ROLES, permission = null, courseId = courseIdFrom.param() } = {}) {
+  return async (req, res, next) => {
+    try {
+      const id = await courseId(req);
+
+      if (!id) {
+        return res.status(400).json({ error: 'course_id is required' });
+      }
+
+      const access = await getCourseAccess(supabase, id, req.user.id);
+
+      if (!access) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      if (!access.role) {
+        return res.status(403).json({ error: 'You are not enrolled in this course' });
+      }
+
+      if (!roles.includes(access.role) || (permission && !access.permissions.includes(permission))) {
+        return res.status(403).json({ error: 'You do not have permission to do this in this course' });
+      }
+
+      req.course = { ...access.course, role: access.role, permissions: access.permissions };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,5 @@
+-- Per-course LLM model selection
+-- Run this in Supabase SQL Editor
+
+-- NULL means "use the provider's default model" (LLM_DEFAULT_MODEL)
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS llm_model TEXT;
@@ -0,0 +1,27 @@
+-- Server-side conversation memory
+-- Run this in Supabase SQL Editor
+
+-- Rolling summary of turns too old to send to the model verbatim (one per student per course)
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  student_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  summary TEXT NOT NULL,
+  summarized_until TIMESTAMPTZ NOT NULL, -- created_at of the newest message folded into the summary
+  summarized_messages INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (student_id, course_id)
+);
+
+-- History is loaded per student and course in time order on every message
+CREATE INDEX IF NOT EXISTS idx_conversations_student_course_created
+  ON conversations(student_id, course_id, created_at);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE conversation_summaries ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (the backend uses the service role key and bypasses these)
+CREATE POLICY "Students can view their own conversation summaries"
+  ON conversation_summaries FOR SELECT
+  USING (student_id = auth.uid());
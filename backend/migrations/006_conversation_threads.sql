@@ -0,0 +1,74 @@
+-- Named conversation threads (several per student per course)
+-- Run this in Supabase SQL Editor, after 005_conversation_memory.sql
+
+CREATE TABLE IF NOT EXISTS conversation_threads (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  student_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  archived_at TIMESTAMPTZ, -- NULL while the thread is active
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW() -- last activity, used to order the sidebar
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_threads_student_course
+  ON conversation_threads(student_id, course_id, updated_at DESC);
+
+-- Every message belongs to a thread
+ALTER TABLE conversations
+  ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES conversation_threads(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_thread_created
+  ON conversations(thread_id, created_at);
+
+-- Rolling summaries are kept per thread instead of per student and course
+ALTER TABLE conversation_summaries
+  ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES conversation_threads(id) ON DELETE CASCADE;
+
+-- Questions are tagged with the thread they were asked in
+ALTER TABLE analytics_events
+  ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES conversation_threads(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_thread ON analytics_events(thread_id);
+
+-- Backfill: move each student's existing history for a course into a "General" thread
+INSERT INTO conversation_threads (student_id, course_id, title, created_at, updated_at)
+SELECT student_id, course_id, 'General', MIN(created_at), MAX(created_at)
+FROM conversations
+WHERE thread_id IS NULL
+GROUP BY student_id, course_id;
+
+UPDATE conversations c
+SET thread_id = t.id
+FROM conversation_threads t
+WHERE c.thread_id IS NULL
+  AND t.student_id = c.student_id
+  AND t.course_id = c.course_id
+  AND t.title = 'General';
+
+UPDATE conversation_summaries s
+SET thread_id = t.id
+FROM conversation_threads t
+WHERE s.thread_id IS NULL
+  AND t.student_id = s.student_id
+  AND t.course_id = s.course_id
+  AND t.title = 'General';
+
+-- Summaries without any messages left have nothing to attach to
+DELETE FROM conversation_summaries WHERE thread_id IS NULL;
+
+ALTER TABLE conversations ALTER COLUMN thread_id SET NOT NULL;
+ALTER TABLE conversation_summaries ALTER COLUMN thread_id SET NOT NULL;
+
+ALTER TABLE conversation_summaries
+  DROP CONSTRAINT IF EXISTS conversation_summaries_student_id_course_id_key;
+ALTER TABLE conversation_summaries
+  ADD CONSTRAINT conversation_summaries_thread_id_key UNIQUE (thread_id);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE conversation_threads ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (the backend uses the service role key and bypasses these)
+CREATE POLICY "Students can view their own conversation threads"
+  ON conversation_threads FOR SELECT
+  USING (student_id = auth.uid());
@@ -0,0 +1,88 @@
+-- Professor-authored coding exercises with autograded tests
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS exercises (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  prompt TEXT NOT NULL, -- task description shown to students
+  function_name TEXT NOT NULL, -- function students implement, e.g. "add_one"
+  starter_code TEXT,
+  position INTEGER NOT NULL DEFAULT 0, -- order within the course
+  published BOOLEAN NOT NULL DEFAULT FALSE, -- drafts are only visible to the professor
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS exercise_tests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  exercise_id UUID NOT NULL REFERENCES exercises(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  inputs TEXT NOT NULL DEFAULT '', -- MATLAB argument list, e.g. "[1 2 3], 2"
+  expected TEXT NOT NULL, -- MATLAB literal, e.g. "6", "[1 2; 3 4]" or "'text'"
+  tolerance DOUBLE PRECISION NOT NULL DEFAULT 1e-6,
+  hidden BOOLEAN NOT NULL DEFAULT FALSE, -- hidden tests only report pass/fail to students
+  points INTEGER NOT NULL DEFAULT 1 CHECK (points >= 0),
+  position INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS exercise_submissions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  exercise_id UUID NOT NULL REFERENCES exercises(id) ON DELETE CASCADE,
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL, -- 'passed', 'failed' or 'error'
+  score INTEGER NOT NULL DEFAULT 0,
+  max_score INTEGER NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]', -- per-test results, including hidden test details
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_exercises_course ON exercises(course_id, position);
+CREATE INDEX IF NOT EXISTS idx_exercise_tests_exercise ON exercise_tests(exercise_id, position);
+CREATE INDEX IF NOT EXISTS idx_exercise_submissions_student
+  ON exercise_submissions(exercise_id, student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_exercise_submissions_course ON exercise_submissions(course_id);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE exercises ENABLE ROW LEVEL SECURITY;
+ALTER TABLE exercise_tests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE exercise_submissions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (the backend uses the service role key and bypasses these;
+-- tests are deliberately not readable by students directly, since hidden tests hold the answers)
+CREATE POLICY "Professors can manage exercises for their courses"
+  ON exercises FOR ALL
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Students can view published exercises"
+  ON exercises FOR SELECT
+  USING (published = TRUE);
+
+CREATE POLICY "Professors can manage tests for their exercises"
+  ON exercise_tests FOR ALL
+  USING (
+    exercise_id IN (
+      SELECT e.id FROM exercises e
+      JOIN courses c ON c.id = e.course_id
+      WHERE c.professor_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Professors can view submissions for their courses"
+  ON exercise_submissions FOR SELECT
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Students can view their own submissions"
+  ON exercise_submissions FOR SELECT
+  USING (student_id = auth.uid());
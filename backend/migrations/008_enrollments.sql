@@ -0,0 +1,65 @@
+-- Course enrollments, join codes and email invites
+-- Run this in Supabase SQL Editor
+
+-- Students join a course with its join code; NULL means joining by code is turned off
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS join_code TEXT UNIQUE;
+
+CREATE TABLE IF NOT EXISTS enrollments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  joined_via VARCHAR(20) NOT NULL DEFAULT 'code', -- 'code', 'invite' or 'existing' (backfilled below)
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (course_id, student_id)
+);
+
+-- Invites by email; students who sign up later are enrolled the next time they load their courses
+CREATE TABLE IF NOT EXISTS course_invites (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  email TEXT NOT NULL, -- stored lower-case
+  invited_at TIMESTAMPTZ DEFAULT NOW(),
+  accepted_at TIMESTAMPTZ, -- NULL while pending
+  UNIQUE (course_id, email)
+);
+
+-- Indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_enrollments_student ON enrollments(student_id);
+CREATE INDEX IF NOT EXISTS idx_course_invites_email ON course_invites(email) WHERE accepted_at IS NULL;
+
+-- Give existing courses a join code (professors can rotate it)
+UPDATE courses
+SET join_code = upper(substr(md5(random()::text || id::text), 1, 8))
+WHERE join_code IS NULL;
+
+-- Keep access for students who already used a course before enrollments existed
+INSERT INTO enrollments (course_id, student_id, joined_via)
+SELECT DISTINCT c.course_id, c.student_id, 'existing'
+FROM conversations c
+JOIN profiles p ON p.id = c.student_id AND p.role = 'student'
+ON CONFLICT (course_id, student_id) DO NOTHING;
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE enrollments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE course_invites ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (the backend uses the service role key and bypasses these)
+CREATE POLICY "Students can view their own enrollments"
+  ON enrollments FOR SELECT
+  USING (student_id = auth.uid());
+
+CREATE POLICY "Professors can manage enrollments for their courses"
+  ON enrollments FOR ALL
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Professors can manage invites for their courses"
+  ON course_invites FOR ALL
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
@@ -0,0 +1,33 @@
+-- Course staff: co-instructors and teaching assistants
+-- Run this in Supabase SQL Editor
+
+-- The course's professor (courses.professor_id) is its owner and isn't listed here
+CREATE TABLE IF NOT EXISTS course_staff (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('co_instructor', 'ta')),
+  -- Any of 'edit_course', 'edit_materials', 'view_analytics', 'view_student_chats'
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (course_id, user_id)
+);
+
+-- Indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_course_staff_user ON course_staff(user_id);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE course_staff ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (the backend uses the service role key and bypasses these)
+CREATE POLICY "Staff can view their own staff roles"
+  ON course_staff FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Professors can manage staff for their courses"
+  ON course_staff FOR ALL
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
@@ -0,0 +1,51 @@
+-- Background ingestion of uploaded PDFs (extract text, chunk, index for search)
+-- Run this in Supabase SQL Editor
+
+-- One job per PDF; retrying a failed PDF reuses its job
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  pdf_id UUID NOT NULL UNIQUE REFERENCES pdfs(id) ON DELETE CASCADE,
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'extracting', 'chunking', 'indexed', 'failed')),
+  pages_total INTEGER, -- known once extraction starts
+  pages_done INTEGER NOT NULL DEFAULT 0,
+  chunk_count INTEGER,
+  error TEXT, -- why the last attempt failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_course ON ingestion_jobs(course_id);
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_pending ON ingestion_jobs(created_at)
+  WHERE status IN ('queued', 'extracting', 'chunking');
+
+-- PDFs uploaded before jobs existed were processed inline; mark the ones that have chunks as indexed
+INSERT INTO ingestion_jobs (pdf_id, course_id, status, chunk_count, attempts, finished_at)
+SELECT p.id, p.course_id, 'indexed', COUNT(c.id), 1, NOW()
+FROM pdfs p
+JOIN pdf_chunks c ON c.pdf_id = p.id
+GROUP BY p.id, p.course_id
+ON CONFLICT (pdf_id) DO NOTHING;
+
+-- ...and the ones without chunks as failed, so professors can retry them
+INSERT INTO ingestion_jobs (pdf_id, course_id, status, error, attempts, finished_at)
+SELECT p.id, p.course_id, 'failed', 'No text was extracted when this PDF was uploaded', 1, NOW()
+FROM pdfs p
+ON CONFLICT (pdf_id) DO NOTHING;
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE ingestion_jobs ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (the backend uses the service role key and bypasses these)
+CREATE POLICY "Professors can view ingestion jobs for their courses"
+  ON ingestion_jobs FOR SELECT
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
@@ -0,0 +1,97 @@
+-- BM25 search index for course materials (built when a PDF is ingested)
+-- Run this in Supabase SQL Editor
+
+-- Number of index terms in the chunk; NULL for chunks stored before the index existed
+ALTER TABLE pdf_chunks ADD COLUMN IF NOT EXISTS token_count INTEGER;
+
+-- Inverted index: which chunks of a course contain a term, and how often
+CREATE TABLE IF NOT EXISTS chunk_terms (
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  chunk_id UUID NOT NULL REFERENCES pdf_chunks(id) ON DELETE CASCADE,
+  term TEXT NOT NULL,
+  tf INTEGER NOT NULL, -- occurrences of the term in the chunk
+  doc_length INTEGER NOT NULL, -- the chunk's token_count, copied so a search reads one table
+  PRIMARY KEY (course_id, term, chunk_id)
+);
+
+-- Corpus statistics BM25 needs per course, kept current by the triggers below
+CREATE TABLE IF NOT EXISTS course_search_stats (
+  course_id UUID PRIMARY KEY REFERENCES courses(id) ON DELETE CASCADE,
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  total_tokens BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for faster queries (the primary key covers searches; this one covers chunk deletes)
+CREATE INDEX IF NOT EXISTS idx_chunk_terms_chunk ON chunk_terms(chunk_id);
+
+-- Add indexed chunks to their course's statistics
+CREATE OR REPLACE FUNCTION add_chunks_to_search_stats() RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO course_search_stats (course_id, chunk_count, total_tokens, updated_at)
+  SELECT course_id, COUNT(*), SUM(token_count), NOW()
+  FROM new_chunks
+  WHERE token_count IS NOT NULL
+  GROUP BY course_id
+  ON CONFLICT (course_id) DO UPDATE SET
+    chunk_count = course_search_stats.chunk_count + EXCLUDED.chunk_count,
+    total_tokens = course_search_stats.total_tokens + EXCLUDED.total_tokens,
+    updated_at = NOW();
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Remove deleted chunks from their course's statistics (a no-op when the course itself is being deleted)
+CREATE OR REPLACE FUNCTION remove_chunks_from_search_stats() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE course_search_stats s SET
+    chunk_count = s.chunk_count - d.chunk_count,
+    total_tokens = s.total_tokens - d.total_tokens,
+    updated_at = NOW()
+  FROM (
+    SELECT course_id, COUNT(*) AS chunk_count, SUM(token_count) AS total_tokens
+    FROM old_chunks
+    WHERE token_count IS NOT NULL
+    GROUP BY course_id
+  ) d
+  WHERE s.course_id = d.course_id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS pdf_chunks_search_stats_insert ON pdf_chunks;
+CREATE TRIGGER pdf_chunks_search_stats_insert
+  AFTER INSERT ON pdf_chunks
+  REFERENCING NEW TABLE AS new_chunks
+  FOR EACH STATEMENT EXECUTE FUNCTION add_chunks_to_search_stats();
+
+DROP TRIGGER IF EXISTS pdf_chunks_search_stats_delete ON pdf_chunks;
+CREATE TRIGGER pdf_chunks_search_stats_delete
+  AFTER DELETE ON pdf_chunks
+  REFERENCING OLD TABLE AS old_chunks
+  FOR EACH STATEMENT EXECUTE FUNCTION remove_chunks_from_search_stats();
+
+-- Re-ingest PDFs whose chunks predate the index; the server picks queued jobs up when it starts
+UPDATE ingestion_jobs SET status = 'queued', updated_at = NOW()
+WHERE pdf_id IN (SELECT DISTINCT pdf_id FROM pdf_chunks WHERE token_count IS NULL);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE chunk_terms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE course_search_stats ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies (the backend uses the service role key and bypasses these)
+CREATE POLICY "Professors can view the search index for their courses"
+  ON chunk_terms FOR SELECT
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Professors can view search statistics for their courses"
+  ON course_search_stats FOR SELECT
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
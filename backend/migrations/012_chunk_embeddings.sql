@@ -0,0 +1,34 @@
+-- Vector embeddings of course material chunks, for semantic search
+-- Run this in Supabase SQL Editor
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- The embedding and the model that produced it (vectors of different models aren't comparable)
+ALTER TABLE pdf_chunks ADD COLUMN IF NOT EXISTS embedding vector(384);
+ALTER TABLE pdf_chunks ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+-- Approximate nearest neighbour index (cosine distance)
+CREATE INDEX IF NOT EXISTS idx_pdf_chunks_embedding ON pdf_chunks
+  USING hnsw (embedding vector_cosine_ops);
+
+-- Chunks of a course closest to a query vector, most similar first
+-- (called by the backend through supabase.rpc; similarity is cosine similarity, 1 = same direction)
+CREATE OR REPLACE FUNCTION match_chunk_embeddings(
+  p_course_id UUID,
+  p_embedding vector(384),
+  p_model TEXT,
+  p_match_count INTEGER
+)
+RETURNS TABLE (chunk_id UUID, similarity FLOAT)
+LANGUAGE sql STABLE
+AS $$
+  SELECT id, 1 - (embedding <=> p_embedding)
+  FROM pdf_chunks
+  WHERE course_id = p_course_id
+    AND embedding_model = p_model
+    AND embedding IS NOT NULL
+  ORDER BY embedding <=> p_embedding
+  LIMIT p_match_count;
+$$;
+
+-- Existing chunks have no embeddings yet; fill them in with `npm run embed:chunks` in backend/
@@ -0,0 +1,13 @@
+-- Structure-aware chunks: page ranges and section titles
+-- Run this in Supabase SQL Editor
+
+-- Chunks can continue onto later pages; page is where a chunk starts, page_end where it ends
+ALTER TABLE pdf_chunks ADD COLUMN IF NOT EXISTS page_end INTEGER;
+ALTER TABLE pdf_chunks ADD COLUMN IF NOT EXISTS section_title TEXT;
+
+UPDATE pdf_chunks SET page_end = page WHERE page_end IS NULL;
+
+-- Re-chunk existing PDFs by section; the server picks queued jobs up when it starts
+-- (then run `npm run embed:chunks` in backend/ if embedding is configured after the restart)
+UPDATE ingestion_jobs SET status = 'queued', updated_at = NOW()
+WHERE status = 'indexed';
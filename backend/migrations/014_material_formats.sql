@@ -0,0 +1,16 @@
+-- Course materials beyond PDFs: slides, Word documents, Markdown, web pages and MATLAB files
+-- Run this in Supabase SQL Editor
+
+-- The format an upload was ingested as (chosen from its file extension)
+ALTER TABLE pdfs ADD COLUMN IF NOT EXISTS format VARCHAR(20) NOT NULL DEFAULT 'pdf';
+
+ALTER TABLE pdfs DROP CONSTRAINT IF EXISTS pdfs_format_check;
+ALTER TABLE pdfs ADD CONSTRAINT pdfs_format_check
+  CHECK (format IN ('pdf', 'pptx', 'docx', 'mlx', 'markdown', 'html', 'matlab'));
+
+-- What a chunk's page..page_end count: PDF pages, slides, document sections or lines of code
+ALTER TABLE pdf_chunks ADD COLUMN IF NOT EXISTS location_type VARCHAR(20) NOT NULL DEFAULT 'page';
+
+ALTER TABLE pdf_chunks DROP CONSTRAINT IF EXISTS pdf_chunks_location_type_check;
+ALTER TABLE pdf_chunks ADD CONSTRAINT pdf_chunks_location_type_check
+  CHECK (location_type IN ('page', 'slide', 'section', 'line'));
@@ -0,0 +1,29 @@
+-- Index the pages behind course links alongside the PDFs
+-- Run this in Supabase SQL Editor
+
+-- Fetching state of each link's page; existing links start queued and are indexed when the server starts
+ALTER TABLE course_links ADD COLUMN IF NOT EXISTS fetch_status VARCHAR(20) NOT NULL DEFAULT 'queued';
+ALTER TABLE course_links ADD COLUMN IF NOT EXISTS fetch_error TEXT; -- why the last fetch failed
+ALTER TABLE course_links ADD COLUMN IF NOT EXISTS fetched_at TIMESTAMPTZ;
+ALTER TABLE course_links ADD COLUMN IF NOT EXISTS chunk_count INTEGER;
+-- Kept to skip re-indexing pages that haven't changed
+ALTER TABLE course_links ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE course_links ADD COLUMN IF NOT EXISTS etag TEXT;
+ALTER TABLE course_links ADD COLUMN IF NOT EXISTS last_modified TEXT;
+
+ALTER TABLE course_links DROP CONSTRAINT IF EXISTS course_links_fetch_status_check;
+ALTER TABLE course_links ADD CONSTRAINT course_links_fetch_status_check
+  CHECK (fetch_status IN ('queued', 'fetching', 'indexed', 'failed'));
+
+-- A chunk comes from either an uploaded file or a link's page
+ALTER TABLE pdf_chunks ALTER COLUMN pdf_id DROP NOT NULL;
+ALTER TABLE pdf_chunks ADD COLUMN IF NOT EXISTS link_id UUID REFERENCES course_links(id) ON DELETE CASCADE;
+
+ALTER TABLE pdf_chunks DROP CONSTRAINT IF EXISTS pdf_chunks_source_check;
+ALTER TABLE pdf_chunks ADD CONSTRAINT pdf_chunks_source_check
+  CHECK ((pdf_id IS NULL) <> (link_id IS NULL));
+
+-- Indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_pdf_chunks_link ON pdf_chunks(link_id);
+CREATE INDEX IF NOT EXISTS idx_course_links_refresh ON course_links(fetched_at)
+  WHERE fetch_status IN ('indexed', 'failed');
@@ -0,0 +1,30 @@
+-- Keep every uploaded version of a course material, so old citations open the file they were made from
+-- Run this in Supabase SQL Editor
+
+-- The pdfs row holds the current version's file; its filename stays the name the tutor cites
+ALTER TABLE pdfs ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS pdf_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  pdf_id UUID NOT NULL REFERENCES pdfs(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  filename TEXT NOT NULL, -- name of the uploaded file
+  file_path TEXT NOT NULL,
+  file_url TEXT NOT NULL,
+  format VARCHAR(20) NOT NULL DEFAULT 'pdf',
+  uploaded_at TIMESTAMPTZ DEFAULT NOW(),
+  -- When this version's chunks replaced the previous version's in search; tutor messages from then
+  -- on cite this version
+  indexed_at TIMESTAMPTZ,
+  UNIQUE (pdf_id, version)
+);
+
+-- Existing materials become their own first version
+INSERT INTO pdf_versions (pdf_id, version, filename, file_path, file_url, format, uploaded_at, indexed_at)
+SELECT p.id, p.version, p.filename, p.file_path, p.file_url, p.format, p.uploaded_at, p.uploaded_at
+FROM pdfs p
+ON CONFLICT (pdf_id, version) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_pdf_versions_pdf ON pdf_versions(pdf_id);
+
+ALTER TABLE pdf_versions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,40 @@
+-- Per-student, per-topic mastery built from questions, code reviews, exercise results and run errors
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS topic_mastery (
+  id BIGSERIAL PRIMARY KEY,
+  student_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  topic VARCHAR(100) NOT NULL,
+  mastery REAL NOT NULL DEFAULT 0, -- 0-100 as of last_evidence_at (decay is applied when read)
+  evidence_count INTEGER NOT NULL DEFAULT 0,
+  -- Evidence behind the level, by kind
+  questions INTEGER NOT NULL DEFAULT 0,
+  code_reviews INTEGER NOT NULL DEFAULT 0,
+  code_reviews_clean INTEGER NOT NULL DEFAULT 0, -- reviews where the tutor found no problems
+  exercise_attempts INTEGER NOT NULL DEFAULT 0,
+  exercises_passed INTEGER NOT NULL DEFAULT 0,
+  execution_errors INTEGER NOT NULL DEFAULT 0,
+  last_evidence_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (student_id, course_id, topic)
+);
+
+-- Indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_topic_mastery_course ON topic_mastery(course_id);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE topic_mastery ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "Professors can view mastery for their courses"
+  ON topic_mastery FOR SELECT
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Students can view their own mastery"
+  ON topic_mastery FOR SELECT
+  USING (student_id = auth.uid());
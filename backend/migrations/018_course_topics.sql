@@ -0,0 +1,29 @@
+-- Per-course topic taxonomy used to file questions, exercises and mastery under topics
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS course_topics (
+  id BIGSERIAL PRIMARY KEY,
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  topic_key VARCHAR(100) NOT NULL, -- stored on analytics events and topic_mastery rows
+  display_name TEXT NOT NULL,
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+  parent_key VARCHAR(100), -- topic_key of the parent topic in the same course, NULL for top-level topics
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (course_id, topic_key)
+);
+
+-- Indexes for faster queries
+CREATE INDEX IF NOT EXISTS idx_course_topics_course ON course_topics(course_id);
+
+-- Enable RLS (Row Level Security)
+ALTER TABLE course_topics ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "Professors can manage topics for their courses"
+  ON course_topics FOR ALL
+  USING (
+    course_id IN (
+      SELECT id FROM courses WHERE professor_id = auth.uid()
+    )
+  );
@@ -0,0 +1,10 @@
+-- Weighted topic labels for each question, the tutor's reply and submitted code
+-- Run this in Supabase SQL Editor
+
+-- { "question": [{ "topic": "loops", "weight": 0.6 }, ...], "reply": [...], "code": [...] }
+-- An empty list means the text is about none of the course's topics; "code" is only there for code
+-- sent for review. topic stays the question's heaviest label ('general' if it has none).
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS topic_labels JSONB;
+
+-- Classifier that produced the labels: keyword, llm or mock (llm+keyword when some fell back to keywords)
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS classified_by VARCHAR(20);
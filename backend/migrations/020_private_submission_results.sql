@@ -0,0 +1,5 @@
+-- Stop students reading their exercise submissions directly (results hold hidden tests' expected values)
+-- Run this in Supabase SQL Editor
+
+-- The backend serves submissions with hidden test details removed
+DROP POLICY IF EXISTS "Students can view their own submissions" ON exercise_submissions;
@@ -0,0 +1,76 @@
+-- Record mastery evidence in one statement, so evidence arriving at the same time isn't lost
+-- Run this in Supabase SQL Editor
+
+-- Mastery after time without practice: unchanged for a week, then slowly forgotten
+-- (the same rule as decayMastery in backend/utils/topicExtraction.js; keep them in step)
+CREATE OR REPLACE FUNCTION decayed_mastery(
+  p_mastery REAL,
+  p_last_evidence_at TIMESTAMPTZ,
+  p_at TIMESTAMPTZ
+)
+RETURNS REAL
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT (CASE
+    WHEN days > 14 THEN GREATEST(0, p_mastery * (1 - LEAST(0.3, (days - 14) * 0.02)))
+    WHEN days > 7 THEN GREATEST(0, p_mastery * 0.95)
+    ELSE p_mastery
+  END)::REAL
+  FROM (
+    SELECT COALESCE(FLOOR(EXTRACT(EPOCH FROM (p_at - p_last_evidence_at)) / 86400), 0) AS days
+  ) AS elapsed;
+$$;
+
+-- Fold one piece of evidence into a student's topic_mastery row (created on first evidence) and
+-- return the row. Mastery, decayed to the evidence's time, moves towards p_score (0-1) by p_rate,
+-- or by more while the row has little evidence; the counter for p_type goes up by one.
+-- (called by the backend through supabase.rpc, see recordMasteryEvidence)
+CREATE OR REPLACE FUNCTION record_mastery_evidence(
+  p_student_id UUID,
+  p_course_id UUID,
+  p_topic VARCHAR(100),
+  p_type TEXT,
+  p_score REAL,
+  p_rate REAL,
+  p_clean BOOLEAN,
+  p_passed BOOLEAN,
+  p_at TIMESTAMPTZ
+)
+RETURNS topic_mastery
+LANGUAGE sql
+AS $$
+  INSERT INTO topic_mastery AS existing (
+    student_id, course_id, topic, mastery, evidence_count,
+    questions, code_reviews, code_reviews_clean, exercise_attempts, exercises_passed, execution_errors,
+    last_evidence_at, updated_at
+  )
+  VALUES (
+    p_student_id, p_course_id, p_topic,
+    ROUND(LEAST(100, GREATEST(0, GREATEST(p_rate, 0.5) * LEAST(1, GREATEST(0, p_score)) * 100))::NUMERIC, 1),
+    1,
+    (p_type = 'question')::INTEGER,
+    (p_type = 'code_review')::INTEGER,
+    p_clean::INTEGER,
+    (p_type = 'exercise')::INTEGER,
+    p_passed::INTEGER,
+    (p_type = 'execution_error')::INTEGER,
+    p_at,
+    NOW()
+  )
+  ON CONFLICT (student_id, course_id, topic) DO UPDATE SET
+    mastery = ROUND(LEAST(100, GREATEST(0,
+      decayed_mastery(existing.mastery, existing.last_evidence_at, p_at)
+      + GREATEST(p_rate, 1.0 / (existing.evidence_count + 2))
+        * (LEAST(1, GREATEST(0, p_score)) * 100 - decayed_mastery(existing.mastery, existing.last_evidence_at, p_at))
+    ))::NUMERIC, 1),
+    evidence_count = existing.evidence_count + 1,
+    questions = existing.questions + EXCLUDED.questions,
+    code_reviews = existing.code_reviews + EXCLUDED.code_reviews,
+    code_reviews_clean = existing.code_reviews_clean + EXCLUDED.code_reviews_clean,
+    exercise_attempts = existing.exercise_attempts + EXCLUDED.exercise_attempts,
+    exercises_passed = existing.exercises_passed + EXCLUDED.exercises_passed,
+    execution_errors = existing.execution_errors + EXCLUDED.execution_errors,
+    last_evidence_at = p_at,
+    updated_at = NOW()
+  RETURNING *;
+$$;
@@ -0,0 +1,52 @@
+-- Swap a material's chunks for a new version's in one step, so searches never see both versions
+-- Run this in Supabase SQL Editor
+
+-- A new version's chunks are stored staged (left out of searches) and replace the current ones
+-- when publish_staged_chunks runs. chunk_terms copies the flag so a keyword search reads one table.
+ALTER TABLE pdf_chunks ADD COLUMN IF NOT EXISTS staged BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE chunk_terms ADD COLUMN IF NOT EXISTS staged BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Chunks of a course closest to a query vector, most similar first (as in 012, without staged chunks)
+CREATE OR REPLACE FUNCTION match_chunk_embeddings(
+  p_course_id UUID,
+  p_embedding vector(384),
+  p_model TEXT,
+  p_match_count INTEGER
+)
+RETURNS TABLE (chunk_id UUID, similarity FLOAT)
+LANGUAGE sql STABLE
+AS $$
+  SELECT id, 1 - (embedding <=> p_embedding)
+  FROM pdf_chunks
+  WHERE course_id = p_course_id
+    AND embedding_model = p_model
+    AND embedding IS NOT NULL
+    AND NOT staged
+  ORDER BY embedding <=> p_embedding
+  LIMIT p_match_count;
+$$;
+
+-- Delete a material's current chunks and make its staged ones current, in one transaction
+-- (called by the backend through supabase.rpc, see replaceChunks; pass the material's pdf_id or link_id)
+CREATE OR REPLACE FUNCTION publish_staged_chunks(
+  p_pdf_id UUID,
+  p_link_id UUID
+)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  DELETE FROM pdf_chunks
+  WHERE (pdf_id = p_pdf_id OR link_id = p_link_id)
+    AND NOT staged;
+
+  UPDATE chunk_terms SET staged = FALSE
+  WHERE chunk_id IN (
+    SELECT id FROM pdf_chunks
+    WHERE (pdf_id = p_pdf_id OR link_id = p_link_id)
+      AND staged
+  );
+
+  UPDATE pdf_chunks SET staged = FALSE
+  WHERE (pdf_id = p_pdf_id OR link_id = p_link_id)
+    AND staged;
+$$;
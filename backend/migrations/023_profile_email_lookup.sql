@@ -0,0 +1,7 @@
+-- Find accounts by email regardless of case (invites and adding staff look people up by email)
+-- Run this in Supabase SQL Editor
+
+-- profiles.email keeps the case it was signed up with; lookups compare this lower-case copy
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS email_lower TEXT GENERATED ALWAYS AS (LOWER(email)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_email_lower ON profiles(email_lower);
@@ -1,28 +1,73 @@
 import express from 'express';
-import { supabase, getAuthUser } from '../config/supabase.js';
+import { supabase } from '../config/supabase.js';
+import { authenticate, requireCourseAccess, courseIdFrom } from '../middleware/auth.js';
 import { getAllTopics, formatTopicName } from '../utils/topicExtraction.js';
+import { presentMastery } from '../utils/masteryTracking.js';
+import { getCourseTopics } from '../utils/courseTaxonomy.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
+// Analytics are for the course's professor and staff with view_analytics
+const courseAnalytics = requireCourseAccess({ permission: 'view_analytics', courseId: courseIdFrom.param('courseId') });
+
+/**
+ * A question event's topic labels; events from before labels count fully for their one topic
+ * @returns {Array} - [{ topic, weight }]
+ */
+function questionLabels(event) {
+  const labels = event.topic_labels?.question;
+
+  if (labels?.length > 0) {
+    return labels;
+  }
+
+  return event.topic ? [{ topic: event.topic, weight: 1 }] : [];
+}
+
+/**
+ * Load a course's mastery rows (one student's if studentId is given), decayed to now and in the order
+ * of the course's taxonomy
+ */
+async function loadMastery(courseId, taxonomy, studentId = null) {
+  let query = supabase
+    .from('topic_mastery')
+    .select('*')
+    .eq('course_id', courseId);
+
+  if (studentId) {
+    query = query.eq('student_id', studentId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  // Topics no longer in the taxonomy go last
+  const topicOrder = getAllTopics(taxonomy);
+  const position = (topic) => topicOrder.includes(topic) ? topicOrder.indexOf(topic) : topicOrder.length;
+  const now = new Date();
+
+  return (data || [])
+    .sort((a, b) => position(a.topic) - position(b.topic))
+    .map(row => ({ student_id: row.student_id, ...presentMastery(row, taxonomy, now) }));
+}
+
 /**
  * GET /api/analytics/course/:courseId/overview - Get course overview analytics
  */
-router.get('/course/:courseId/overview', async (req, res) => {
+router.get('/course/:courseId/overview', courseAnalytics, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { courseId } = req.params;
 
-    // Verify professor owns this course
     const { data: course, error: courseError } = await supabase
       .from('courses')
-      .select('*')
+      .select('course_name')
       .eq('id', courseId)
-      .eq('professor_id', user.id)
       .single();
 
-    if (courseError || !course) {
-      return res.status(404).json({ error: 'Course not found or access denied' });
-    }
+    if (courseError) throw courseError;
 
     // Get total students enrolled
     const { data: enrollments } = await supabase
@@ -81,23 +126,10 @@ router.get('/course/:courseId/overview', async (req, res) => {
 /**
  * GET /api/analytics/course/:courseId/students - Get student list with activity
  */
-router.get('/course/:courseId/students', async (req, res) => {
+router.get('/course/:courseId/students', courseAnalytics, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { courseId } = req.params;
 
-    // Verify professor owns this course
-    const { data: course } = await supabase
-      .from('courses')
-      .select('*')
-      .eq('id', courseId)
-      .eq('professor_id', user.id)
-      .single();
-
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found or access denied' });
-    }
-
     // Get all students who have asked questions in this course
     const { data: analyticsEvents } = await supabase
       .from('analytics_events')
@@ -167,56 +199,52 @@ router.get('/course/:courseId/students', async (req, res) => {
 
 /**
  * GET /api/analytics/course/:courseId/topics - Get topic distribution for heatmap
+ * Covers every topic of the course's taxonomy; parent is the key of the topic it is nested under.
+ * question_count counts every question labelled with the topic, weighted_count adds up their weights
+ * (a question split between loops 0.6 and performance 0.4 adds 0.6 and 0.4)
  */
-router.get('/course/:courseId/topics', async (req, res) => {
+router.get('/course/:courseId/topics', courseAnalytics, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { courseId } = req.params;
 
-    // Verify professor owns this course
-    const { data: course } = await supabase
-      .from('courses')
-      .select('*')
-      .eq('id', courseId)
-      .eq('professor_id', user.id)
-      .single();
-
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found or access denied' });
-    }
-
     // Get all analytics events for this course
     const { data: events } = await supabase
       .from('analytics_events')
-      .select('topic')
+      .select('topic, topic_labels')
       .eq('course_id', courseId)
       .eq('event_type', 'question');
 
     // Count questions per topic
+    const taxonomy = await getCourseTopics(supabase, courseId);
     const topicCounts = {};
-    const allTopics = getAllTopics();
+    const allTopics = getAllTopics(taxonomy);
 
     // Initialize all topics with 0
     allTopics.forEach(topic => {
-      topicCounts[topic] = 0;
+      topicCounts[topic] = { questions: 0, weight: 0 };
     });
 
-    // Count actual questions
+    // Count actual questions; a question about several topics counts for each, by its weight
     events?.forEach(event => {
-      if (event.topic && topicCounts.hasOwnProperty(event.topic)) {
-        topicCounts[event.topic]++;
-      }
+      questionLabels(event).forEach(label => {
+        if (topicCounts.hasOwnProperty(label.topic)) {
+          topicCounts[label.topic].questions++;
+          topicCounts[label.topic].weight += label.weight;
+        }
+      });
     });
 
     // Format for frontend
-    const topicData = Object.entries(topicCounts).map(([topic, count]) => ({
+    const topicData = Object.entries(topicCounts).map(([topic, counts]) => ({
       topic: topic,
-      display_name: formatTopicName(topic),
-      question_count: count
+      display_name: formatTopicName(topic, taxonomy),
+      parent: taxonomy.find(candidate => candidate.key === topic).parent,
+      question_count: counts.questions,
+      weighted_count: Math.round(counts.weight * 10) / 10
     }));
 
-    // Sort by question count (descending)
-    topicData.sort((a, b) => b.question_count - a.question_count);
+    // Sort by weighted question count (descending)
+    topicData.sort((a, b) => b.weighted_count - a.weighted_count || b.question_count - a.question_count);
 
     res.json(topicData);
   } catch (error) {
@@ -226,24 +254,74 @@ router.get('/course/:courseId/topics', async (req, res) => {
 });
 
 /**
- * GET /api/analytics/student/:studentId/:courseId - Get individual student analytics
+ * GET /api/analytics/course/:courseId/mastery - Mastery grid: every enrolled student's mastery of each topic
+ * @returns { topics: [{ topic, display_name, average_mastery, students_assessed }],
+ *   students: [{ id, name, email, mastery: { [topic]: { mastery, evidence, last_evidence_at } } }] }
  */
-router.get('/student/:studentId/:courseId', async (req, res) => {
+router.get('/course/:courseId/mastery', courseAnalytics, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
-    const { studentId, courseId } = req.params;
+    const { courseId } = req.params;
 
-    // Verify professor owns this course
-    const { data: course } = await supabase
-      .from('courses')
-      .select('*')
-      .eq('id', courseId)
-      .eq('professor_id', user.id)
-      .single();
+    const { data: enrollments, error } = await supabase
+      .from('enrollments')
+      .select('student_id, profiles(full_name, email)')
+      .eq('course_id', courseId);
 
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found or access denied' });
-    }
+    if (error) throw error;
+
+    const taxonomy = await getCourseTopics(supabase, courseId);
+    const mastery = await loadMastery(courseId, taxonomy);
+
+    const students = (enrollments || []).map(enrollment => ({
+      id: enrollment.student_id,
+      name: enrollment.profiles?.full_name || 'Unknown',
+      email: enrollment.profiles?.email || '',
+      mastery: Object.fromEntries(mastery
+        .filter(entry => entry.student_id === enrollment.student_id)
+        .map(({ student_id, topic, display_name, ...entry }) => [topic, entry]))
+    })).sort((a, b) => a.name.localeCompare(b.name));
+
+    // Only topics someone has shown evidence for get a column
+    const topics = [...new Set(mastery.map(entry => entry.topic))].map(topic => {
+      const levels = mastery.filter(entry => entry.topic === topic).map(entry => entry.mastery);
+      return {
+        topic,
+        display_name: formatTopicName(topic, taxonomy),
+        average_mastery: Math.round(levels.reduce((sum, level) => sum + level, 0) / levels.length),
+        students_assessed: levels.length
+      };
+    });
+
+    res.json({ topics, students });
+  } catch (error) {
+    console.error('Error fetching mastery grid:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/analytics/me/:courseId/mastery - The signed-in student's own mastery of each topic
+ * @returns [{ topic, display_name, mastery, evidence, last_evidence_at }]
+ */
+router.get('/me/:courseId/mastery', requireCourseAccess({ courseId: courseIdFrom.param('courseId') }), async (req, res) => {
+  try {
+    const taxonomy = await getCourseTopics(supabase, req.params.courseId);
+    const mastery = await loadMastery(req.params.courseId, taxonomy, req.user.id);
+
+    res.json(mastery.map(({ student_id, ...entry }) => entry));
+  } catch (error) {
+    console.error('Error fetching own mastery:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/analytics/student/:studentId/:courseId - Get individual student analytics
+ * Timeline messages are only included for users with view_student_chats (null otherwise)
+ */
+router.get('/student/:studentId/:courseId', courseAnalytics, async (req, res) => {
+  try {
+    const { studentId, courseId } = req.params;
 
     // Get student profile
     const { data: profile } = await supabase
@@ -262,31 +340,35 @@ router.get('/student/:studentId/:courseId', async (req, res) => {
       .order('created_at', { ascending: false });
 
     const totalQuestions = allActivity?.length || 0;
+    const taxonomy = await getCourseTopics(supabase, courseId);
 
     // Get unique topics asked about
-    const uniqueTopics = new Set(allActivity?.map(a => a.topic).filter(Boolean) || []);
+    const uniqueTopics = new Set(allActivity?.flatMap(event => questionLabels(event).map(label => label.topic)) || []);
 
     // Count questions per topic
     const topicCounts = {};
     allActivity?.forEach(event => {
-      if (event.topic) {
-        topicCounts[event.topic] = (topicCounts[event.topic] || 0) + 1;
-      }
+      questionLabels(event).forEach(label => {
+        topicCounts[label.topic] = (topicCounts[label.topic] || 0) + 1;
+      });
     });
 
     // Format topic breakdown
     const topicBreakdown = Object.entries(topicCounts).map(([topic, count]) => ({
-      topic: formatTopicName(topic),
+      topic: formatTopicName(topic, taxonomy),
       question_count: count
     })).sort((a, b) => b.question_count - a.question_count);
 
     // Format activity timeline (last 20)
+    const canViewChats = req.course.permissions.includes('view_student_chats');
     const timeline = allActivity?.slice(0, 20).map(event => ({
-      topic: formatTopicName(event.topic),
-      message: event.message_content,
+      topic: formatTopicName(event.topic, taxonomy),
+      message: canViewChats ? event.message_content : null,
       created_at: event.created_at
     })) || [];
 
+    const mastery = await loadMastery(courseId, taxonomy, studentId);
+
     res.json({
       student: {
         id: studentId,
@@ -298,6 +380,7 @@ router.get('/student/:studentId/:courseId', async (req, res) => {
         topics_explored: uniqueTopics.size
       },
       topic_breakdown: topicBreakdown,
+      mastery: mastery.map(({ student_id, ...entry }) => entry),
       activity_timeline: timeline
     });
   } catch (error) {
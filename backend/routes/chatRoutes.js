@@ -1,147 +1,714 @@
 import express from 'express';
-import { supabase, getAuthUser } from '../config/supabase.js';
-import { generateTutorResponse } from '../ai/tutorAgent.js';
-import { getCoursePDFChunks, searchRelevantChunks } from '../utils/pdfEmbeddings.js';
-import { extractTopic, calculateMasteryLevel } from '../utils/topicExtraction.js';
+import { supabase } from '../config/supabase.js';
+import { authenticate, requireCourseAccess, courseIdFrom } from '../middleware/auth.js';
+import { generateTutorResponse, streamTutorResponse } from '../ai/tutorAgent.js';
+import { formatLocation } from '../ai/citationValidator.js';
+import { searchCourseChunks } from '../utils/searchIndex.js';
+import { loadConversationMemory, updateRollingSummary, clearConversationMemory } from '../ai/conversationMemory.js';
+import { createThread, getStudentThread, resolveMessageThread, touchThread, normalizeThreadTitle } from '../utils/conversationThreads.js';
+import { getCodeExecutor } from '../executors/index.js';
+import { extractTopic, primaryTopic } from '../utils/topicExtraction.js';
+import { codeReviewSubmission, recordMasteryEvidence, reviewOutcome } from '../utils/masteryTracking.js';
+import { getCourseAccess } from '../utils/courseAccess.js';
+import { getCourseTopics } from '../utils/courseTaxonomy.js';
+import { classifyTopics } from '../classifiers/index.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
+// Chatting is for the course's members; thread routes are further limited to the thread's own student
+const courseMemberFromBody = requireCourseAccess({ courseId: courseIdFrom.body() });
+
 /**
- * Track analytics event for a student question (simple activity tracking only)
+ * Label an exchange with the course's topics: the question, the tutor's reply and, for a review
+ * request, the submitted code
+ * @returns {Promise<Object>} - { question, reply, code? } label lists ([{ topic, weight }]), classifier, reviewedCode
  */
-async function trackAnalyticsEvent(studentId, courseId, message) {
+async function labelExchange(thread, message, tutorResponse) {
+  const reviewedCode = codeReviewSubmission(message);
+  const taxonomy = await getCourseTopics(supabase, thread.course_id);
+
+  const { labels: [question, reply, code], classifier } = await classifyTopics([
+    { kind: 'question', text: message },
+    { kind: 'reply', text: tutorResponse },
+    { kind: 'code', text: reviewedCode }
+  ], { taxonomy });
+
+  return { question, reply, ...(reviewedCode ? { code } : {}), classifier, reviewedCode };
+}
+
+/**
+ * Track analytics event for a student question (activity and the topic heatmap)
+ */
+async function trackAnalyticsEvent(thread, message, { classifier, reviewedCode, ...topicLabels }) {
   try {
-    // Extract topic from message (for topic heatmap only, no mastery)
-    const topic = extractTopic(message);
+    const topic = primaryTopic(topicLabels.question);
 
     // Insert analytics event
-    await supabase.from('analytics_events').insert({
-      student_id: studentId,
-      course_id: courseId,
+    const { error } = await supabase.from('analytics_events').insert({
+      student_id: thread.student_id,
+      course_id: thread.course_id,
+      thread_id: thread.id,
       event_type: 'question',
       topic: topic,
+      topic_labels: topicLabels,
+      classified_by: classifier,
       message_content: message
     });
 
-    console.log(`📊 Tracked analytics: student=${studentId}, topic=${topic}`);
+    if (error) throw error;
+
+    console.log(`📊 Tracked analytics: student=${thread.student_id}, topics=${topicLabels.question.map(label => `${label.topic}:${label.weight}`).join(',') || topic} (${classifier})`);
   } catch (error) {
     console.error('Error tracking analytics:', error);
     // Don't throw - analytics should not block the main flow
   }
 }
 
+/**
+ * Record what an exchange shows about the student's mastery: a review request is judged by the
+ * tutor's reply and counts for the code's main topic, any other message counts as a question about
+ * its main topic
+ */
+async function trackMasteryEvidence(thread, tutorResponse, labels) {
+  const evidence = { studentId: thread.student_id, courseId: thread.course_id };
+
+  if (!labels.reviewedCode) {
+    await recordMasteryEvidence(supabase, { ...evidence, topic: primaryTopic(labels.question), type: 'question' });
+    return;
+  }
+
+  const outcome = reviewOutcome(tutorResponse);
+
+  // A reply that neither praises nor faults the code says nothing about it
+  if (outcome) {
+    await recordMasteryEvidence(supabase, { ...evidence, topic: primaryTopic(labels.code), type: 'code_review', outcome });
+  }
+}
+
+/**
+ * Load course context and retrieve the PDF chunks relevant to a student's message
+ * @returns {Promise<Object|null>} - { courseContext, relevantChunks }, or null if the course doesn't exist
+ */
+async function prepareTutorContext(courseId, message) {
+  // Fetch course details and teaching preferences
+  const { data: course, error: courseError } = await supabase
+    .from('courses')
+    .select(`
+      *,
+      profiles!courses_professor_id_fkey(full_name)
+    `)
+    .eq('id', courseId)
+    .single();
+
+  if (courseError || !course) {
+    return null;
+  }
+
+  // Fetch course links
+  const { data: links } = await supabase
+    .from('course_links')
+    .select('*')
+    .eq('course_id', courseId)
+    .order('created_at', { ascending: true });
+
+  // Fetch course PDFs (used to validate the tutor's citations)
+  const { data: pdfs } = await supabase
+    .from('pdfs')
+    .select('id, filename')
+    .eq('course_id', courseId);
+
+  // Prepare course context for the tutor
+  const courseContext = {
+    course_name: course.course_name,
+    professor_name: course.profiles?.full_name || 'Professor',
+    learning_goals: course.learning_goals,
+    teaching_style: course.teaching_style,
+    teaching_pace: course.teaching_pace,
+    llm_model: course.llm_model,
+    links: links || [],
+    pdfs: pdfs || []
+  };
+
+  // Search the course's PDF index for chunks relevant to the student's message (BM25)
+  let relevantChunks = [];
+  try {
+    relevantChunks = await searchCourseChunks(supabase, courseId, message, 8);
+  } catch (error) {
+    console.error('Error searching course materials:', error);
+  }
+  console.log(`🔍 Found ${relevantChunks.length} relevant chunks for query: "${message}"`);
+  relevantChunks.forEach((chunk, i) => {
+    console.log(`  ${i + 1}. "${chunk.filename}" - ${chunk.link_id ? 'link' : formatLocation(chunk.location_type, chunk.page)}${chunk.section_title ? ` [${chunk.section_title}]` : ''} (score: ${chunk.score?.toFixed(2)})`);
+    console.log(`      Preview: ${chunk.content.substring(0, 80)}...`);
+  });
+
+  return { courseContext, relevantChunks };
+}
+
+// Plot images a student may attach to a message (e.g. figures from running their code)
+const MAX_IMAGE_ATTACHMENTS = 4;
+const MAX_IMAGE_BYTES = 1.5 * 1024 * 1024;
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Validate image attachments sent with a message
+ * @param {Array} attachments - [{ mime_type, data (base64) }]
+ * @returns {Object} - { images } or { error }
+ */
+function parseImageAttachments(attachments) {
+  if (attachments === undefined || attachments === null) {
+    return { images: [] };
+  }
+
+  if (!Array.isArray(attachments) || attachments.length > MAX_IMAGE_ATTACHMENTS) {
+    return { error: `attachments must be a list of at most ${MAX_IMAGE_ATTACHMENTS} images` };
+  }
+
+  for (const attachment of attachments) {
+    if (!IMAGE_MIME_TYPES.includes(attachment?.mime_type) || typeof attachment.data !== 'string') {
+      return { error: `Attachments must be ${IMAGE_MIME_TYPES.join(' or ')} images` };
+    }
+
+    if (attachment.data.length * 0.75 > MAX_IMAGE_BYTES) {
+      return { error: 'Attached image is too large (max 1.5 MB)' };
+    }
+  }
+
+  return {
+    images: attachments.map(attachment => ({
+      mime_type: attachment.mime_type,
+      data: attachment.data
+    }))
+  };
+}
+
+/**
+ * Load the thread's history from the database and append the new message
+ * History is never taken from the client, so earlier turns can't be forged
+ * Images are only sent with this turn; the stored history keeps the text
+ * @returns {Promise<Object>} - { summary, messages } ready for the tutor
+ */
+async function buildConversation(thread, message, images = []) {
+  const memory = await loadConversationMemory(supabase, thread.id);
+
+  const content = images.length > 0
+    ? [
+      ...images.map(image => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mime_type, data: image.data }
+      })),
+      { type: 'text', text: message }
+    ]
+    : message;
+
+  return {
+    summary: memory.summary,
+    messages: [
+      ...memory.messages,
+      {
+        role: 'user',
+        content
+      }
+    ]
+  };
+}
+
+/**
+ * Store a completed exchange, track analytics and keep the rolling summary up to date
+ * @param {string} askedAt - When the student's message arrived (keeps the pair correctly ordered)
+ * @param {string} role - The sender's course role (mastery is only tracked for students)
+ */
+async function saveExchange(thread, message, tutorResponse, askedAt, role) {
+  // Store the conversation in the database
+  await supabase.from('conversations').insert([
+    {
+      course_id: thread.course_id,
+      student_id: thread.student_id,
+      thread_id: thread.id,
+      role: 'user',
+      content: message,
+      created_at: askedAt
+    },
+    {
+      course_id: thread.course_id,
+      student_id: thread.student_id,
+      thread_id: thread.id,
+      role: 'assistant',
+      content: tutorResponse,
+      created_at: new Date().toISOString()
+    }
+  ]);
+
+  thread.updated_at = await touchThread(supabase, thread.id);
+
+  // Label the exchange's topics, then track analytics and mastery (async, don't block response);
+  // staff trying the tutor in their own course don't count as students
+  labelExchange(thread, message, tutorResponse)
+    .then(async (labels) => {
+      if (role !== 'student') {
+        return;
+      }
+
+      await trackAnalyticsEvent(thread, message, labels);
+      await trackMasteryEvidence(thread, tutorResponse, labels).catch(err => {
+        console.error('Error tracking mastery:', err);
+      });
+    })
+    .catch(err => {
+      console.error('Error labelling exchange topics:', err);
+    });
+
+  // Summarise older turns in the background once history outgrows the token budget
+  updateRollingSummary(supabase, thread).catch(err => {
+    console.error('Error updating conversation summary:', err);
+  });
+}
+
+/**
+ * Delete a thread a message started when its reply never arrived, so failed or abandoned first
+ * messages don't leave empty threads behind
+ */
+async function discardNewThread(thread) {
+  if (!thread) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('conversation_threads')
+    .delete()
+    .eq('id', thread.id);
+
+  if (error) {
+    console.error('Error discarding empty thread:', error);
+  }
+}
+
+/**
+ * Summarise retrieved chunks for the client
+ */
+function formatRelevantMaterials(relevantChunks) {
+  return relevantChunks.map(chunk => ({
+    filename: chunk.filename,
+    link_id: chunk.link_id ?? null,
+    page: chunk.page,
+    page_end: chunk.page_end ?? chunk.page,
+    location_type: chunk.location_type || 'page',
+    section_title: chunk.section_title ?? null
+  }));
+}
+
+/**
+ * Summarise a thread for the client
+ */
+function formatThread(thread) {
+  return {
+    id: thread.id,
+    course_id: thread.course_id,
+    title: thread.title,
+    archived_at: thread.archived_at,
+    created_at: thread.created_at,
+    updated_at: thread.updated_at
+  };
+}
+
+// Well under the client's 30s limit for a quiet stream (streamRequest in frontend/src/services/api.js)
+const STREAM_HEARTBEAT_MS = 10000;
+
+/**
+ * Write a single Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 /**
  * POST /api/chat/message - Send a message to the tutor and get a response
+ * Prior turns are loaded server-side from the thread; any client-sent conversation_history is ignored
+ * Without a thread_id a new thread is started, titled after the message (and deleted again if the reply fails)
+ * Optional attachments: [{ mime_type, data }] PNG/JPEG images (e.g. plots) shown to the tutor with this message
  */
-router.post('/message', async (req, res) => {
+router.post('/message', courseMemberFromBody, async (req, res) => {
+  let newThread = null;
+
   try {
-    const user = await getAuthUser(req);
-    const { course_id, message, conversation_history = [] } = req.body;
+    const askedAt = new Date().toISOString();
+    const { user } = req;
+    const { course_id, thread_id, message, attachments } = req.body;
 
     if (!course_id || !message) {
       return res.status(400).json({ error: 'course_id and message are required' });
     }
 
-    // Fetch course details and teaching preferences
-    const { data: course, error: courseError } = await supabase
-      .from('courses')
-      .select(`
-        *,
-        profiles!courses_professor_id_fkey(full_name)
-      `)
-      .eq('id', course_id)
-      .single();
+    const { images, error: attachmentError } = parseImageAttachments(attachments);
 
-    if (courseError || !course) {
-      return res.status(404).json({ error: 'Course not found' });
+    if (attachmentError) {
+      return res.status(400).json({ error: attachmentError });
     }
 
-    // Fetch course links
-    const { data: links } = await supabase
-      .from('course_links')
-      .select('*')
-      .eq('course_id', course_id)
-      .order('created_at', { ascending: true });
+    const tutorContext = await prepareTutorContext(course_id, message);
 
-    // Prepare course context for the tutor
-    const courseContext = {
-      course_name: course.course_name,
-      professor_name: course.profiles?.full_name || 'Professor',
-      learning_goals: course.learning_goals,
-      links: links || []
-    };
-
-    // Retrieve PDF chunks for this course
-    const pdfChunks = await getCoursePDFChunks(supabase, course_id);
-    console.log(`📚 Found ${pdfChunks.length} total PDF chunks for course`);
-
-    // Search for relevant PDF chunks based on the student's message (using enhanced semantic search)
-    const relevantChunks = searchRelevantChunks(message, pdfChunks, 8);
-    console.log(`🔍 Found ${relevantChunks.length} relevant chunks for query: "${message}"`);
-    relevantChunks.forEach((chunk, i) => {
-      console.log(`  ${i + 1}. "${chunk.filename}" - Page ${chunk.page} (score: ${chunk.score?.toFixed(1)})`);
-      console.log(`      Preview: ${chunk.content.substring(0, 80)}...`);
+    if (!tutorContext) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const thread = await resolveMessageThread(supabase, {
+      threadId: thread_id,
+      studentId: user.id,
+      courseId: course_id,
+      message
     });
 
-    // Prepare conversation history for Claude API
-    const formattedHistory = conversation_history.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
 
-    // Add current message
-    formattedHistory.push({
-      role: 'user',
-      content: message
-    });
+    if (!thread_id) {
+      newThread = thread;
+    }
+
+    const { courseContext, relevantChunks } = tutorContext;
+    const conversation = await buildConversation(thread, message, images);
 
     // Generate tutor response
     const tutorResponse = await generateTutorResponse(
-      formattedHistory,
-      courseContext,
+      conversation.messages,
+      { ...courseContext, conversation_summary: conversation.summary },
       relevantChunks
     );
 
-    // Store the conversation in the database
-    await supabase.from('conversations').insert([
-      {
-        course_id: course_id,
-        student_id: user.id,
-        role: 'user',
-        content: message
-      },
-      {
-        course_id: course_id,
-        student_id: user.id,
-        role: 'assistant',
-        content: tutorResponse
+    await saveExchange(thread, message, tutorResponse, askedAt, req.course.role);
+    newThread = null;
+
+    res.json({
+      response: tutorResponse,
+      relevant_materials: formatRelevantMaterials(relevantChunks),
+      thread: formatThread(thread)
+    });
+  } catch (error) {
+    console.error('Error processing chat message:', error);
+    await discardNewThread(newThread);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/chat/message/stream - Send a message and stream the tutor's reply as Server-Sent Events
+ * Events: `delta` { text }, then either `done` { response, relevant_materials, thread } or `error` { error };
+ * a `: ping` comment every STREAM_HEARTBEAT_MS while nothing else is sent
+ */
+router.post('/message/stream', courseMemberFromBody, async (req, res) => {
+  const abortController = new AbortController();
+  let newThread = null;
+  let heartbeat = null;
+
+  try {
+    const askedAt = new Date().toISOString();
+    const { user } = req;
+    const { course_id, thread_id, message, attachments } = req.body;
+
+    if (!course_id || !message) {
+      return res.status(400).json({ error: 'course_id and message are required' });
+    }
+
+    const { images, error: attachmentError } = parseImageAttachments(attachments);
+
+    if (attachmentError) {
+      return res.status(400).json({ error: attachmentError });
+    }
+
+    // Start the stream before searching the materials, so the heartbeat covers that wait too
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Render)
+    });
+    res.flushHeaders();
+
+    // A comment line now and then, so the client (which gives up on a quiet stream) and proxies
+    // know the connection is alive while the tutor is still thinking
+    heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    // Stop the model if the student navigates away mid-reply
+    res.on('close', () => {
+      clearInterval(heartbeat);
+
+      if (!res.writableFinished) {
+        abortController.abort();
       }
-    ]);
+    });
+
+    const tutorContext = await prepareTutorContext(course_id, message);
+
+    if (!tutorContext) {
+      sendEvent(res, 'error', { error: 'Course not found' });
+      return res.end();
+    }
 
-    // Track analytics event (async, don't block response)
-    trackAnalyticsEvent(user.id, course_id, message).catch(err => {
-      console.error('Error tracking analytics:', err);
+    const thread = await resolveMessageThread(supabase, {
+      threadId: thread_id,
+      studentId: user.id,
+      courseId: course_id,
+      message
     });
 
-    res.json({
+    if (!thread) {
+      sendEvent(res, 'error', { error: 'Thread not found' });
+      return res.end();
+    }
+
+    if (!thread_id) {
+      newThread = thread;
+    }
+
+    const { courseContext, relevantChunks } = tutorContext;
+    const conversation = await buildConversation(thread, message, images);
+
+    const tutorResponse = await streamTutorResponse(
+      conversation.messages,
+      { ...courseContext, conversation_summary: conversation.summary },
+      relevantChunks,
+      {
+        onText: (text) => sendEvent(res, 'delta', { text }),
+        signal: abortController.signal
+      }
+    );
+
+    // Only persist replies the student actually received in full
+    await saveExchange(thread, message, tutorResponse, askedAt, req.course.role);
+    newThread = null;
+
+    sendEvent(res, 'done', {
       response: tutorResponse,
-      relevant_materials: relevantChunks.map(chunk => ({
-        filename: chunk.filename,
-        page: chunk.page
-      }))
+      relevant_materials: formatRelevantMaterials(relevantChunks),
+      thread: formatThread(thread)
     });
+    res.end();
   } catch (error) {
-    console.error('Error processing chat message:', error);
+    await discardNewThread(newThread);
+
+    if (abortController.signal.aborted) {
+      console.log('⏹️ Client disconnected, tutor stream aborted');
+      return;
+    }
+
+    console.error('Error streaming chat message:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    sendEvent(res, 'error', { error: error.message });
+    res.end();
+  } finally {
+    clearInterval(heartbeat);
+  }
+});
+
+/**
+ * GET /api/chat/threads?course_id=...&include_archived=true - List the student's threads for a course
+ * Most recently active first; archived threads are only included when asked for
+ */
+router.get('/threads', requireCourseAccess({ courseId: courseIdFrom.query() }), async (req, res) => {
+  try {
+    const { user } = req;
+    const { course_id, include_archived } = req.query;
+
+    let query = supabase
+      .from('conversation_threads')
+      .select('*')
+      .eq('course_id', course_id)
+      .eq('student_id', user.id)
+      .order('updated_at', { ascending: false });
+
+    if (include_archived !== 'true') {
+      query = query.is('archived_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json((data || []).map(formatThread));
+  } catch (error) {
+    console.error('Error fetching conversation threads:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/chat/threads - Start a new, empty thread
+ */
+router.post('/threads', courseMemberFromBody, async (req, res) => {
+  try {
+    const { user } = req;
+    const { course_id, title } = req.body;
+
+    const thread = await createThread(supabase, {
+      studentId: user.id,
+      courseId: course_id,
+      title
+    });
+
+    res.status(201).json(formatThread(thread));
+  } catch (error) {
+    console.error('Error creating conversation thread:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/chat/threads/:thread_id - Rename a thread and/or archive or restore it
+ * Body: { title?, archived? }
+ */
+router.put('/threads/:thread_id', async (req, res) => {
+  try {
+    const { user } = req;
+    const { thread_id } = req.params;
+    const { title, archived } = req.body;
+
+    const thread = await getStudentThread(supabase, thread_id, user.id);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const updates = {};
+
+    if (title !== undefined) {
+      updates.title = normalizeThreadTitle(title);
+
+      if (!updates.title) {
+        return res.status(400).json({ error: 'Title cannot be empty' });
+      }
+    }
+
+    if (archived !== undefined) {
+      if (typeof archived !== 'boolean') {
+        return res.status(400).json({ error: 'archived must be true or false' });
+      }
+
+      updates.archived_at = archived ? (thread.archived_at || new Date().toISOString()) : null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (expected title or archived)' });
+    }
+
+    const { data, error } = await supabase
+      .from('conversation_threads')
+      .update(updates)
+      .eq('id', thread_id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(formatThread(data));
+  } catch (error) {
+    console.error('Error updating conversation thread:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/chat/threads/:thread_id - Delete a thread with its messages and summary
+ * Analytics events stay, with their thread_id cleared
+ */
+router.delete('/threads/:thread_id', async (req, res) => {
+  try {
+    const { user } = req;
+    const { thread_id } = req.params;
+
+    const thread = await getStudentThread(supabase, thread_id, user.id);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const { error } = await supabase
+      .from('conversation_threads')
+      .delete()
+      .eq('id', thread_id);
+
+    if (error) throw error;
+
+    console.log(`🗑️ Deleted thread "${thread.title}" for student=${user.id}`);
+    res.json({ message: 'Thread deleted' });
+  } catch (error) {
+    console.error('Error deleting conversation thread:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/chat/threads/:thread_id/messages - Get a thread's messages
+ */
+router.get('/threads/:thread_id/messages', async (req, res) => {
+  try {
+    const { user } = req;
+    const { thread_id } = req.params;
+
+    const thread = await getStudentThread(supabase, thread_id, user.id);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('conversations')
+      .select('*')
+      .eq('thread_id', thread_id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error fetching thread messages:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/chat/history/:course_id - Get conversation history for a course
+ * DELETE /api/chat/threads/:thread_id/messages - Clear a thread's messages but keep the thread
  */
-router.get('/history/:course_id', async (req, res) => {
+router.delete('/threads/:thread_id/messages', async (req, res) => {
   try {
-    const user = await getAuthUser(req);
+    const { user } = req;
+    const { thread_id } = req.params;
+
+    const thread = await getStudentThread(supabase, thread_id, user.id);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const { error } = await supabase
+      .from('conversations')
+      .delete()
+      .eq('thread_id', thread_id);
+
+    if (error) throw error;
+
+    await clearConversationMemory(supabase, thread_id);
+
+    res.json({ message: 'Thread history cleared' });
+  } catch (error) {
+    console.error('Error clearing thread history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/chat/history/:course_id - Get conversation history for a course across all threads
+ * Kept for older clients; use /threads/:thread_id/messages instead
+ */
+router.get('/history/:course_id', requireCourseAccess(), async (req, res) => {
+  try {
+    const { user } = req;
     const { course_id } = req.params;
 
     const { data, error } = await supabase
@@ -161,15 +728,17 @@ router.get('/history/:course_id', async (req, res) => {
 });
 
 /**
- * DELETE /api/chat/history/:course_id - Clear conversation history for a course
+ * DELETE /api/chat/history/:course_id - Delete all of the student's threads for a course
+ * Kept for older clients; use DELETE /threads/:thread_id to remove a single thread
  */
 router.delete('/history/:course_id', async (req, res) => {
   try {
-    const user = await getAuthUser(req);
+    const { user } = req;
     const { course_id } = req.params;
 
+    // Messages and summaries are removed with their threads (ON DELETE CASCADE)
     const { error } = await supabase
-      .from('conversations')
+      .from('conversation_threads')
       .delete()
       .eq('course_id', course_id)
       .eq('student_id', user.id);
@@ -184,12 +753,32 @@ router.delete('/history/:course_id', async (req, res) => {
 });
 
 /**
- * POST /api/chat/execute - Execute MATLAB/Octave code using Judge0 API
+ * Count a failed run from the editor against the mastery of the topic the code is about, when a
+ * student ran it in one of their courses
+ */
+async function trackExecutionError(user, courseId, code) {
+  const access = await getCourseAccess(supabase, courseId, user.id);
+
+  if (access?.role !== 'student') {
+    return;
+  }
+
+  await recordMasteryEvidence(supabase, {
+    studentId: user.id,
+    courseId,
+    topic: extractTopic(code, await getCourseTopics(supabase, courseId), { isCode: true }),
+    type: 'execution_error'
+  });
+}
+
+/**
+ * POST /api/chat/execute - Execute MATLAB/Octave code with the configured executor (Judge0 or local Octave)
+ * Body: { code, figure_format? ('png' | 'svg'), course_id? } - plots the code creates are returned as base64 `figures`;
+ *   failed runs in a course count towards the student's mastery
  */
 router.post('/execute', async (req, res) => {
   try {
-    await getAuthUser(req); // Ensure user is authenticated
-    const { code } = req.body;
+    const { code, figure_format, course_id } = req.body;
 
     if (!code || typeof code !== 'string') {
       return res.status(400).json({ error: 'Code is required' });
@@ -200,73 +789,30 @@ router.post('/execute', async (req, res) => {
       return res.status(400).json({ error: 'Code too long (max 10000 characters)' });
     }
 
-    const rapidApiKey = process.env.RAPIDAPI_KEY;
+    const result = await getCodeExecutor().execute(code, { figureFormat: figure_format });
 
-    if (!rapidApiKey) {
-      return res.status(503).json({
-        error: true,
-        message: 'Code execution is not configured. Please add RAPIDAPI_KEY to your .env file.\n\nGet a free API key at: https://rapidapi.com/judge0-official/api/judge0-ce'
+    if (course_id && !result.success) {
+      trackExecutionError(req.user, course_id, code).catch(err => {
+        console.error('Error tracking mastery:', err);
       });
     }
 
-    console.log('🔧 Executing MATLAB/Octave code via Judge0...');
-
-    // Judge0 language ID: 66 = Octave (MATLAB-compatible)
-    // Submit code for execution
-    const submissionResponse = await fetch('https://judge0-ce.p.rapidapi.com/submissions?wait=true', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-RapidAPI-Key': rapidApiKey,
-        'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
-      },
-      body: JSON.stringify({
-        source_code: code,
-        language_id: 66, // Octave
-        stdin: '',
-      })
-    });
-
-    if (!submissionResponse.ok) {
-      const errorText = await submissionResponse.text();
-      console.error('Judge0 API error:', errorText);
-      throw new Error(`API request failed: ${submissionResponse.statusText}`);
-    }
-
-    const result = await submissionResponse.json();
-
-    console.log('✅ Code executed via Judge0');
-
-    // Extract output and decode from base64
-    let stdout = result.stdout ? Buffer.from(result.stdout, 'base64').toString('utf-8') : '';
-    let stderr = result.stderr ? Buffer.from(result.stderr, 'base64').toString('utf-8') : '';
-    const compileOutput = result.compile_output ? Buffer.from(result.compile_output, 'base64').toString('utf-8') : '';
-
-    // Clean up ANSI color codes and control characters
-    stdout = stdout.replace(/\x1B\[[0-9;]*[a-zA-Z]/g, '').trim();
-    stderr = stderr.replace(/\x1B\[[0-9;]*[a-zA-Z]/g, '').trim();
-
-    // Check for errors
-    if (result.status.id >= 6) { // Status 6+ are errors
-      return res.json({
-        stdout: stdout,
-        stderr: stderr || compileOutput || result.status.description,
-        success: false
+    res.json(result);
+  } catch (error) {
+    if (error.status === 503) {
+      return res.status(503).json({
+        error: true,
+        message: error.message
       });
     }
 
-    res.json({
-      stdout: stdout,
-      stderr: stderr,
-      success: true
-    });
-  } catch (error) {
     console.error('❌ Error executing code:', error);
 
     res.json({
       stdout: '',
       stderr: error.message || 'Failed to execute code',
-      success: false
+      success: false,
+      figures: []
     });
   }
 });
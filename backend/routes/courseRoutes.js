@@ -1,39 +1,109 @@
 import express from 'express';
-import { supabase, getAuthUser } from '../config/supabase.js';
+import { supabase } from '../config/supabase.js';
+import { authenticate, requireUserRole, requireCourseAccess, courseIdFrom } from '../middleware/auth.js';
+import { buildSystemPrompt } from '../ai/tutorAgent.js';
+import { getModelOptions } from '../ai/providers/index.js';
+import {
+  DEFAULT_TEACHING_STYLE,
+  DEFAULT_TEACHING_PACE,
+  normalizeTeachingStyle,
+  normalizeTeachingPace,
+  resolveTeachingPreferences,
+  getTeachingOptions
+} from '../ai/teachingPreferences.js';
+import { generateJoinCode, acceptPendingInvites, getCourseRoles } from '../utils/courseAccess.js';
+import { explainCourseSearch } from '../utils/searchIndex.js';
+import { seedCourseTaxonomy } from '../utils/courseTaxonomy.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
+// Course routes address the course as :id
+const courseMember = requireCourseAccess({ courseId: courseIdFrom.param('id') });
+const courseEditor = requireCourseAccess({ permission: 'edit_course', courseId: courseIdFrom.param('id') });
+const courseOwner = requireCourseAccess({ roles: ['owner'], courseId: courseIdFrom.param('id') });
+const courseInstructor = requireCourseAccess({ roles: ['owner', 'co_instructor'], courseId: courseIdFrom.param('id') });
+
+// Most results the search explanation returns (the tutor gets 8)
+const MAX_EXPLAINED_RESULTS = 20;
+
+/**
+ * Validate teaching_style / teaching_pace / llm_model from a request body
+ * Missing values are left undefined so updates don't overwrite them
+ * @returns {Object} - { teaching_style, teaching_pace, llm_model } as option keys, or { error }
+ */
+function parseCourseSettings({ teaching_style, teaching_pace, llm_model }) {
+  const settings = {};
+
+  // An empty string clears the override so the course uses the default model
+  if (llm_model === '') {
+    settings.llm_model = null;
+  } else if (llm_model) {
+    if (!getModelOptions().some(model => model.value === llm_model)) {
+      return { error: `Invalid llm_model: ${llm_model}` };
+    }
+    settings.llm_model = llm_model;
+  }
+
+  if (teaching_style) {
+    settings.teaching_style = normalizeTeachingStyle(teaching_style);
+    if (!settings.teaching_style) {
+      return { error: `Invalid teaching_style: ${teaching_style}` };
+    }
+  }
+
+  if (teaching_pace) {
+    settings.teaching_pace = normalizeTeachingPace(teaching_pace);
+    if (!settings.teaching_pace) {
+      return { error: `Invalid teaching_pace: ${teaching_pace}` };
+    }
+  }
+
+  return settings;
+}
+
 /**
- * GET /api/courses - Get all courses (students) or professor's courses (professors)
+ * Add the user's role and permissions to a course (my_role, my_permissions)
+ * The join code is only included for users who manage enrollment
+ */
+function withCourseRole(course, { role, permissions }) {
+  const { join_code, ...visibleCourse } = course;
+
+  return {
+    ...visibleCourse,
+    ...(permissions.includes('edit_course') && { join_code }),
+    my_role: role,
+    my_permissions: permissions
+  };
+}
+
+/**
+ * GET /api/courses - Get the courses the user owns, helps teach (co-instructor/TA) or is enrolled in
  */
 router.get('/', async (req, res) => {
   try {
-    const user = await getAuthUser(req);
+    const { user, profile } = req;
 
-    // Get user profile to check role
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', user.id)
-      .single();
+    // Students also see courses they were invited to since last time
+    if (profile?.role !== 'professor') {
+      await acceptPendingInvites(supabase, user);
+    }
 
-    let query = supabase
+    const roles = await getCourseRoles(supabase, user.id);
+
+    const { data, error } = await supabase
       .from('courses')
       .select(`
         *,
         profiles!courses_professor_id_fkey(id, full_name, email)
-      `);
-
-    // If professor, only show their courses
-    if (profile?.role === 'professor') {
-      query = query.eq('professor_id', user.id);
-    }
-
-    const { data, error } = await query.order('created_at', { ascending: false });
+      `)
+      .in('id', [...roles.keys()])
+      .order('created_at', { ascending: false });
 
     if (error) throw error;
 
-    res.json(data || []);
+    res.json((data || []).map(course => withCourseRole(course, roles.get(course.id))));
   } catch (error) {
     console.error('Error fetching courses:', error);
     res.status(500).json({ error: error.message });
@@ -41,11 +111,25 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /api/courses/:id - Get a specific course
+ * GET /api/courses/options - Get the teaching style, pace and model options for course forms
  */
-router.get('/:id', async (req, res) => {
+router.get('/options', async (req, res) => {
+  try {
+    res.json({
+      ...getTeachingOptions(),
+      models: getModelOptions()
+    });
+  } catch (error) {
+    console.error('Error fetching course options:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/courses/:id - Get a specific course (its professor, staff and enrolled students only)
+ */
+router.get('/:id', courseMember, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { id } = req.params;
 
     const { data, error } = await supabase
@@ -64,7 +148,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Course not found' });
     }
 
-    res.json(data);
+    res.json(withCourseRole(data, req.course));
   } catch (error) {
     console.error('Error fetching course:', error);
     res.status(500).json({ error: error.message });
@@ -74,48 +158,51 @@ router.get('/:id', async (req, res) => {
 /**
  * POST /api/courses - Create a new course (professors only)
  */
-router.post('/', async (req, res) => {
+router.post('/', requireUserRole('professor'), async (req, res) => {
   try {
-    const user = await getAuthUser(req);
-
-    // Verify user is a professor
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', user.id)
-      .single();
-
-    if (profile?.role !== 'professor') {
-      return res.status(403).json({ error: 'Only professors can create courses' });
-    }
-
     const {
       course_name,
       description,
       teaching_style,
       teaching_pace,
-      learning_goals
+      learning_goals,
+      llm_model
     } = req.body;
 
     if (!course_name) {
       return res.status(400).json({ error: 'Course name is required' });
     }
 
+    const settings = parseCourseSettings({ teaching_style, teaching_pace, llm_model });
+
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
+
     const { data, error } = await supabase
       .from('courses')
       .insert({
-        professor_id: user.id,
+        professor_id: req.user.id,
         course_name,
         description,
-        teaching_style,
-        teaching_pace,
-        learning_goals
+        teaching_style: settings.teaching_style || DEFAULT_TEACHING_STYLE,
+        teaching_pace: settings.teaching_pace || DEFAULT_TEACHING_PACE,
+        learning_goals,
+        llm_model: settings.llm_model || null,
+        join_code: generateJoinCode()
       })
       .select()
       .single();
 
     if (error) throw error;
 
+    // Start from the default topics; without them the course falls back to the same defaults
+    try {
+      await seedCourseTaxonomy(supabase, data.id);
+    } catch (seedError) {
+      console.error('Error seeding course topics:', seedError);
+    }
+
     res.status(201).json(data);
   } catch (error) {
     console.error('Error creating course:', error);
@@ -124,40 +211,36 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * PUT /api/courses/:id - Update a course (professor only, own courses)
+ * PUT /api/courses/:id - Update a course (professor and staff with edit_course)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', courseEditor, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { id } = req.params;
 
-    // Verify ownership
-    const { data: course } = await supabase
-      .from('courses')
-      .select('professor_id')
-      .eq('id', id)
-      .single();
-
-    if (!course || course.professor_id !== user.id) {
-      return res.status(403).json({ error: 'Not authorized to update this course' });
-    }
-
     const {
       course_name,
       description,
       teaching_style,
       teaching_pace,
-      learning_goals
+      learning_goals,
+      llm_model
     } = req.body;
 
+    const settings = parseCourseSettings({ teaching_style, teaching_pace, llm_model });
+
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
+
     const { data, error } = await supabase
       .from('courses')
       .update({
         course_name,
         description,
-        teaching_style,
-        teaching_pace,
-        learning_goals
+        teaching_style: settings.teaching_style,
+        teaching_pace: settings.teaching_pace,
+        learning_goals,
+        llm_model: settings.llm_model
       })
       .eq('id', id)
       .select()
@@ -173,24 +256,67 @@ router.put('/:id', async (req, res) => {
 });
 
 /**
- * DELETE /api/courses/:id - Delete a course (professor only, own courses)
+ * GET /api/courses/:id/tutor-prompt - Preview the system prompt the tutor uses for this course (professor and staff with edit_course)
  */
-router.delete('/:id', async (req, res) => {
+router.get('/:id/tutor-prompt', courseEditor, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { id } = req.params;
 
-    // Verify ownership
-    const { data: course } = await supabase
+    const { data: course, error } = await supabase
       .from('courses')
-      .select('professor_id')
+      .select('teaching_style, teaching_pace')
       .eq('id', id)
       .single();
 
-    if (!course || course.professor_id !== user.id) {
-      return res.status(403).json({ error: 'Not authorized to delete this course' });
+    if (error) throw error;
+
+    const { style, pace } = resolveTeachingPreferences(course);
+
+    res.json({
+      teaching_style: style,
+      teaching_pace: pace,
+      system_prompt: buildSystemPrompt(course)
+    });
+  } catch (error) {
+    console.error('Error building tutor prompt preview:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/courses/:id/search-explain?query=...&k=8 - Show which course material passages the tutor
+ * would get for a student's message, with each candidate's score breakdown (professor and co-instructors)
+ */
+router.get('/:id/search-explain', courseInstructor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const query = String(req.query.query || '').trim();
+    const topK = req.query.k === undefined ? undefined : Number(req.query.k);
+
+    if (!query) {
+      return res.status(400).json({ error: 'query is required' });
+    }
+
+    if (topK !== undefined && (!Number.isInteger(topK) || topK < 1 || topK > MAX_EXPLAINED_RESULTS)) {
+      return res.status(400).json({ error: `k must be a whole number from 1 to ${MAX_EXPLAINED_RESULTS}` });
     }
 
+    const explanation = await explainCourseSearch(supabase, id, query, topK);
+
+    res.json({ query, ...explanation });
+  } catch (error) {
+    console.error('Error explaining material search:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/courses/:id - Delete a course (professor only, own courses)
+ */
+router.delete('/:id', courseOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+
     const { error } = await supabase
       .from('courses')
       .delete()
@@ -0,0 +1,280 @@
+import express from 'express';
+import { supabase } from '../config/supabase.js';
+import { authenticate, requireUserRole, requireCourseAccess } from '../middleware/auth.js';
+import { generateJoinCode, normalizeJoinCode, normalizeEmail, enrollStudent } from '../utils/courseAccess.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Enrollment is managed by the professor and staff with edit_course
+const courseEditor = requireCourseAccess({ permission: 'edit_course' });
+
+const MAX_INVITES_PER_REQUEST = 500;
+
+/**
+ * Split an invite list into email addresses (accepts an array or comma/whitespace-separated text)
+ */
+function parseEmailList(emails) {
+  const entries = Array.isArray(emails) ? emails : (emails || '').toString().split(/[\s,;]+/);
+  return [...new Set(entries.map(entry => (entry ?? '').toString().trim()).filter(entry => entry))];
+}
+
+/**
+ * POST /api/enrollments/join - Join a course with its join code (students)
+ * Body: { code }
+ */
+router.post('/join', requireUserRole('student'), async (req, res) => {
+  try {
+    const { user } = req;
+    const code = normalizeJoinCode(req.body.code);
+
+    if (!code) {
+      return res.status(400).json({ error: 'Join code is required' });
+    }
+
+    const { data: course } = await supabase
+      .from('courses')
+      .select(`
+        *,
+        profiles!courses_professor_id_fkey(id, full_name, email)
+      `)
+      .eq('join_code', code)
+      .maybeSingle();
+
+    if (!course) {
+      return res.status(404).json({ error: 'No course found with that join code' });
+    }
+
+    await enrollStudent(supabase, { courseId: course.id, studentId: user.id, joinedVia: 'code' });
+
+    console.log(`🎓 Student ${user.id} joined course ${course.id}`);
+
+    const { join_code, ...visibleCourse } = course;
+    res.json(visibleCourse);
+  } catch (error) {
+    console.error('Error joining course:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/enrollments/course/:course_id - Get the join code, enrolled students and pending invites (course editors only)
+ */
+router.get('/course/:course_id', courseEditor, async (req, res) => {
+  try {
+    const { course } = req;
+
+    const { data: courseRecord, error: courseError } = await supabase
+      .from('courses')
+      .select('join_code')
+      .eq('id', course.id)
+      .single();
+
+    if (courseError) throw courseError;
+
+    const { data: enrollments, error } = await supabase
+      .from('enrollments')
+      .select('student_id, joined_via, created_at, profiles(full_name, email)')
+      .eq('course_id', course.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const { data: invites, error: invitesError } = await supabase
+      .from('course_invites')
+      .select('id, email, invited_at')
+      .eq('course_id', course.id)
+      .is('accepted_at', null)
+      .order('invited_at', { ascending: true });
+
+    if (invitesError) throw invitesError;
+
+    res.json({
+      join_code: courseRecord.join_code,
+      students: (enrollments || []).map(enrollment => ({
+        id: enrollment.student_id,
+        full_name: enrollment.profiles?.full_name || 'Unknown',
+        email: enrollment.profiles?.email || '',
+        joined_via: enrollment.joined_via,
+        enrolled_at: enrollment.created_at
+      })),
+      invites: invites || []
+    });
+  } catch (error) {
+    console.error('Error fetching enrollments:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/enrollments/course/:course_id/join-code - Generate a new join code (course editors only)
+ * The old code stops working; students who already joined stay enrolled
+ */
+router.post('/course/:course_id/join-code', courseEditor, async (req, res) => {
+  try {
+    const { course } = req;
+
+    const { data, error } = await supabase
+      .from('courses')
+      .update({ join_code: generateJoinCode() })
+      .eq('id', course.id)
+      .select('join_code')
+      .single();
+
+    if (error) throw error;
+
+    res.json({ join_code: data.join_code });
+  } catch (error) {
+    console.error('Error rotating join code:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/enrollments/course/:course_id/join-code - Turn off joining by code (course editors only)
+ */
+router.delete('/course/:course_id/join-code', courseEditor, async (req, res) => {
+  try {
+    const { course } = req;
+
+    const { error } = await supabase
+      .from('courses')
+      .update({ join_code: null })
+      .eq('id', course.id);
+
+    if (error) throw error;
+
+    res.json({ join_code: null });
+  } catch (error) {
+    console.error('Error disabling join code:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/enrollments/course/:course_id/invites - Invite students by email (course editors only)
+ * Body: { emails } - array, or text separated by commas/newlines
+ * Students who already have an account are enrolled right away; others are enrolled once they sign up
+ * @returns { enrolled: [email], invited: [email], invalid: [{ email, reason }] }
+ */
+router.post('/course/:course_id/invites', courseEditor, async (req, res) => {
+  try {
+    const { course } = req;
+
+    const entries = parseEmailList(req.body.emails);
+
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'At least one email is required' });
+    }
+
+    if (entries.length > MAX_INVITES_PER_REQUEST) {
+      return res.status(400).json({ error: `Too many emails (max ${MAX_INVITES_PER_REQUEST} per request)` });
+    }
+
+    const result = { enrolled: [], invited: [], invalid: [] };
+    const emails = [];
+
+    entries.forEach(entry => {
+      const email = normalizeEmail(entry);
+      if (email) {
+        emails.push(email);
+      } else {
+        result.invalid.push({ email: entry, reason: 'Not a valid email address' });
+      }
+    });
+
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id, email, role')
+      .in('email_lower', emails);
+
+    if (profilesError) throw profilesError;
+
+    const profilesByEmail = new Map((profiles || []).map(profile => [profile.email.toLowerCase(), profile]));
+    const now = new Date().toISOString();
+
+    for (const email of emails) {
+      const profile = profilesByEmail.get(email);
+
+      if (profile && profile.role !== 'student') {
+        result.invalid.push({ email, reason: 'This account is not a student account' });
+        continue;
+      }
+
+      if (profile) {
+        await enrollStudent(supabase, { courseId: course.id, studentId: profile.id, joinedVia: 'invite' });
+      }
+
+      const { error } = await supabase
+        .from('course_invites')
+        .upsert(
+          { course_id: course.id, email, invited_at: now, accepted_at: profile ? now : null },
+          { onConflict: 'course_id,email' }
+        );
+
+      if (error) throw error;
+
+      result[profile ? 'enrolled' : 'invited'].push(email);
+    }
+
+    console.log(`✉️ Invites for course ${course.id}: ${result.enrolled.length} enrolled, ${result.invited.length} pending`);
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error inviting students:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/enrollments/course/:course_id/invites/:invite_id - Cancel a pending invite (course editors only)
+ */
+router.delete('/course/:course_id/invites/:invite_id', courseEditor, async (req, res) => {
+  try {
+    const { course } = req;
+
+    const { error } = await supabase
+      .from('course_invites')
+      .delete()
+      .eq('id', req.params.invite_id)
+      .eq('course_id', course.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Invite cancelled' });
+  } catch (error) {
+    console.error('Error cancelling invite:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/enrollments/course/:course_id/students/:student_id - Remove a student from a course
+ * The professor and staff with edit_course can remove any student; students can remove themselves (leave the course)
+ * Conversations and submissions are kept, so rejoining restores them
+ */
+router.delete('/course/:course_id/students/:student_id', requireCourseAccess(), async (req, res) => {
+  try {
+    const { course_id, student_id } = req.params;
+
+    if (!req.course.permissions.includes('edit_course') && student_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to remove this student' });
+    }
+
+    const { error } = await supabase
+      .from('enrollments')
+      .delete()
+      .eq('course_id', course_id)
+      .eq('student_id', student_id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Student removed from course' });
+  } catch (error) {
+    console.error('Error removing enrollment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,527 @@
+import express from 'express';
+import { supabase } from '../config/supabase.js';
+import { authenticate, requireCourseAccess, courseIdFrom } from '../middleware/auth.js';
+import { getCodeExecutor } from '../executors/index.js';
+import {
+  DEFAULT_TOLERANCE,
+  gradeSubmission,
+  isReservedFunctionName,
+  isValidFunctionName,
+  parseMatlabLiteral
+} from '../utils/autograder.js';
+import { extractTopic } from '../utils/topicExtraction.js';
+import { recordMasteryEvidence } from '../utils/masteryTracking.js';
+import { getCourseTopics } from '../utils/courseTaxonomy.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Routes for a single exercise find the course through the exercise
+const exerciseCourse = courseIdFrom.record('exercises', 'Exercise not found');
+const exerciseMember = requireCourseAccess({ courseId: exerciseCourse });
+const exerciseEditor = requireCourseAccess({ permission: 'edit_materials', courseId: exerciseCourse });
+
+const MAX_CODE_LENGTH = 10000;
+const MAX_TESTS = 50;
+
+/**
+ * Validate the tests of an exercise from a request body
+ * @param {Array} tests - [{ name, inputs, expected, tolerance?, hidden?, points? }]
+ * @returns {Object} - { tests } ready to insert (without exercise_id), or { error }
+ */
+function parseTests(tests) {
+  if (!Array.isArray(tests) || tests.length === 0) {
+    return { error: 'At least one test is required' };
+  }
+
+  if (tests.length > MAX_TESTS) {
+    return { error: `At most ${MAX_TESTS} tests per exercise` };
+  }
+
+  const parsed = [];
+
+  for (const [index, test] of tests.entries()) {
+    const label = test?.name?.trim() || `Test ${index + 1}`;
+
+    try {
+      parseMatlabLiteral(test?.expected);
+    } catch (error) {
+      return { error: `${label}: ${error.message}` };
+    }
+
+    const points = test.points === undefined ? 1 : Number(test.points);
+    if (!Number.isInteger(points) || points < 0) {
+      return { error: `${label}: points must be a whole number of 0 or more` };
+    }
+
+    const tolerance = test.tolerance === undefined || test.tolerance === '' ? DEFAULT_TOLERANCE : Number(test.tolerance);
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      return { error: `${label}: tolerance must be 0 or more` };
+    }
+
+    parsed.push({
+      name: label,
+      inputs: (test.inputs || '').toString().trim(),
+      expected: test.expected.toString().trim(),
+      tolerance,
+      hidden: !!test.hidden,
+      points,
+      position: index
+    });
+  }
+
+  return { tests: parsed };
+}
+
+/**
+ * Validate exercise fields from a request body
+ * Missing fields are left undefined so updates don't overwrite them
+ * @returns {Object} - Exercise fields, or { error }
+ */
+function parseExerciseFields({ title, prompt, function_name, starter_code, position, published }, { requireAll }) {
+  const fields = {};
+
+  if (requireAll && (!title || !prompt || !function_name)) {
+    return { error: 'title, prompt and function_name are required' };
+  }
+
+  if (title !== undefined) fields.title = title.toString().trim();
+  if (prompt !== undefined) fields.prompt = prompt.toString();
+  if (starter_code !== undefined) fields.starter_code = starter_code;
+  if (published !== undefined) fields.published = !!published;
+
+  if (function_name !== undefined) {
+    if (!isValidFunctionName(function_name)) {
+      return { error: 'function_name must be a valid MATLAB function name (letters, digits and underscores, starting with a letter)' };
+    }
+    if (isReservedFunctionName(function_name)) {
+      return { error: `function_name "${function_name}" is reserved, please choose another name` };
+    }
+    fields.function_name = function_name;
+  }
+
+  if (position !== undefined) {
+    if (!Number.isInteger(position)) {
+      return { error: 'position must be a whole number' };
+    }
+    fields.position = position;
+  }
+
+  return fields;
+}
+
+/**
+ * Fetch an exercise
+ * @returns {Promise<Object|null>}
+ */
+async function getExercise(exerciseId) {
+  const { data } = await supabase
+    .from('exercises')
+    .select('*')
+    .eq('id', exerciseId)
+    .single();
+
+  return data;
+}
+
+/**
+ * Fetch an exercise's tests in order
+ */
+async function getTests(exerciseId) {
+  const { data, error } = await supabase
+    .from('exercise_tests')
+    .select('*')
+    .eq('exercise_id', exerciseId)
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+/**
+ * Hide what hidden tests check - students only see whether they passed
+ */
+function presentResults(results, canSeeHidden) {
+  let hiddenNumber = 0;
+
+  return results.map(result => {
+    if (!result.hidden || canSeeHidden) {
+      return result;
+    }
+
+    hiddenNumber++;
+    return {
+      test_id: result.test_id,
+      name: `Hidden test ${hiddenNumber}`,
+      hidden: true,
+      points: result.points,
+      passed: result.passed
+    };
+  });
+}
+
+/**
+ * Shape an exercise and its tests for the client
+ */
+function presentExercise(exercise, tests, canSeeHidden) {
+  const visibleTests = canSeeHidden ? tests : tests.filter(test => !test.hidden);
+  const hiddenTests = tests.filter(test => test.hidden);
+
+  return {
+    ...exercise,
+    tests: visibleTests,
+    hidden_tests: {
+      count: hiddenTests.length,
+      points: hiddenTests.reduce((total, test) => total + test.points, 0)
+    },
+    max_score: tests.reduce((total, test) => total + test.points, 0)
+  };
+}
+
+/**
+ * Shape a stored submission for the client
+ */
+function presentSubmission(submission, canSeeHidden) {
+  return {
+    ...submission,
+    results: presentResults(submission.results || [], canSeeHidden)
+  };
+}
+
+/**
+ * GET /api/exercises/course/:course_id - List a course's exercises
+ * The professor and staff with edit_materials see drafts; students see published exercises with their best score
+ */
+router.get('/course/:course_id', requireCourseAccess(), async (req, res) => {
+  try {
+    const { user } = req;
+    const { course_id } = req.params;
+    const canManage = req.course.permissions.includes('edit_materials');
+
+    let query = supabase
+      .from('exercises')
+      .select('*, exercise_tests(hidden, points)')
+      .eq('course_id', course_id)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (!canManage) {
+      query = query.eq('published', true);
+    }
+
+    const { data: exercises, error } = await query;
+
+    if (error) throw error;
+
+    // Students' best score per exercise
+    let bestScores = {};
+    if (!canManage && exercises.length > 0) {
+      const { data: submissions } = await supabase
+        .from('exercise_submissions')
+        .select('exercise_id, score, status')
+        .eq('student_id', user.id)
+        .in('exercise_id', exercises.map(exercise => exercise.id));
+
+      bestScores = (submissions || []).reduce((best, submission) => {
+        const current = best[submission.exercise_id];
+        best[submission.exercise_id] = {
+          best_score: Math.max(current?.best_score ?? 0, submission.score),
+          attempts: (current?.attempts || 0) + 1,
+          solved: current?.solved || submission.status === 'passed'
+        };
+        return best;
+      }, {});
+    }
+
+    res.json(exercises.map(({ exercise_tests: tests = [], ...exercise }) => ({
+      ...exercise,
+      test_count: tests.length,
+      hidden_test_count: tests.filter(test => test.hidden).length,
+      max_score: tests.reduce((total, test) => total + test.points, 0),
+      ...(!canManage && {
+        best_score: bestScores[exercise.id]?.best_score ?? null,
+        attempts: bestScores[exercise.id]?.attempts || 0,
+        solved: bestScores[exercise.id]?.solved || false
+      })
+    })));
+  } catch (error) {
+    console.error('Error fetching exercises:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/exercises/:id - Get an exercise with its tests (hidden tests only for the professor and staff with edit_materials)
+ */
+router.get('/:id', exerciseMember, async (req, res) => {
+  try {
+    const exercise = await getExercise(req.params.id);
+    const canManage = req.course.permissions.includes('edit_materials');
+
+    if (!exercise || (!exercise.published && !canManage)) {
+      return res.status(404).json({ error: 'Exercise not found' });
+    }
+
+    const tests = await getTests(exercise.id);
+
+    res.json(presentExercise(exercise, tests, canManage));
+  } catch (error) {
+    console.error('Error fetching exercise:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/exercises - Create an exercise with its tests (professor and staff with edit_materials)
+ */
+router.post('/', requireCourseAccess({ permission: 'edit_materials', courseId: courseIdFrom.body() }), async (req, res) => {
+  try {
+    const { course_id, tests } = req.body;
+
+    const fields = parseExerciseFields(req.body, { requireAll: true });
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+
+    const parsedTests = parseTests(tests);
+    if (parsedTests.error) {
+      return res.status(400).json({ error: parsedTests.error });
+    }
+
+    const { data: exercise, error } = await supabase
+      .from('exercises')
+      .insert({ ...fields, course_id })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { data: insertedTests, error: testsError } = await supabase
+      .from('exercise_tests')
+      .insert(parsedTests.tests.map(test => ({ ...test, exercise_id: exercise.id })))
+      .select();
+
+    if (testsError) {
+      await supabase.from('exercises').delete().eq('id', exercise.id);
+      throw testsError;
+    }
+
+    console.log(`📝 Created exercise "${exercise.title}" with ${insertedTests.length} tests`);
+
+    res.status(201).json(presentExercise(exercise, insertedTests.sort((a, b) => a.position - b.position), true));
+  } catch (error) {
+    console.error('Error creating exercise:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/exercises/:id - Update an exercise (professor and staff with edit_materials)
+ * When `tests` is given it replaces all existing tests
+ */
+router.put('/:id', exerciseEditor, async (req, res) => {
+  try {
+    const exercise = await getExercise(req.params.id);
+
+    const fields = parseExerciseFields(req.body, { requireAll: false });
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+
+    let parsedTests = null;
+    if (req.body.tests !== undefined) {
+      parsedTests = parseTests(req.body.tests);
+      if (parsedTests.error) {
+        return res.status(400).json({ error: parsedTests.error });
+      }
+    }
+
+    // New tests go in before the old ones are deleted, so a failed write never leaves the exercise without tests
+    if (parsedTests) {
+      const previousTests = await getTests(exercise.id);
+
+      const { data: insertedTests, error: insertError } = await supabase
+        .from('exercise_tests')
+        .insert(parsedTests.tests.map(test => ({ ...test, exercise_id: exercise.id })))
+        .select('id');
+
+      if (insertError) throw insertError;
+
+      if (previousTests.length > 0) {
+        const { error: deleteError } = await supabase
+          .from('exercise_tests')
+          .delete()
+          .in('id', previousTests.map(test => test.id));
+
+        if (deleteError) {
+          await supabase.from('exercise_tests').delete().in('id', insertedTests.map(test => test.id));
+          throw deleteError;
+        }
+      }
+    }
+
+    const { data: updated, error } = await supabase
+      .from('exercises')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', exercise.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const tests = await getTests(exercise.id);
+
+    res.json(presentExercise(updated, tests, true));
+  } catch (error) {
+    console.error('Error updating exercise:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/exercises/:id - Delete an exercise with its tests and submissions (professor and staff with edit_materials)
+ */
+router.delete('/:id', exerciseEditor, async (req, res) => {
+  try {
+    const exercise = await getExercise(req.params.id);
+
+    const { error } = await supabase
+      .from('exercises')
+      .delete()
+      .eq('id', exercise.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Exercise deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting exercise:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/exercises/:id/submit - Grade a student's solution against all tests
+ * Body: { code } - a function file defining the exercise's function
+ */
+router.post('/:id/submit', exerciseMember, async (req, res) => {
+  try {
+    const { user } = req;
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    if (code.length > MAX_CODE_LENGTH) {
+      return res.status(400).json({ error: `Code too long (max ${MAX_CODE_LENGTH} characters)` });
+    }
+
+    const exercise = await getExercise(req.params.id);
+    const canManage = req.course.permissions.includes('edit_materials');
+
+    if (!exercise || (!exercise.published && !canManage)) {
+      return res.status(404).json({ error: 'Exercise not found' });
+    }
+
+    const tests = await getTests(exercise.id);
+    const grade = await gradeSubmission(getCodeExecutor(), {
+      functionName: exercise.function_name,
+      tests,
+      code
+    });
+
+    // Only students' attempts are recorded; the professor and staff can try exercises freely
+    let submission = {
+      exercise_id: exercise.id,
+      course_id: exercise.course_id,
+      student_id: user.id,
+      code,
+      status: grade.status,
+      score: grade.score,
+      max_score: grade.max_score,
+      results: grade.results
+    };
+
+    if (req.course.role === 'student') {
+      const { data, error } = await supabase
+        .from('exercise_submissions')
+        .insert(submission)
+        .select()
+        .single();
+
+      if (error) throw error;
+      submission = data;
+
+      // The score counts towards mastery of what the exercise practises
+      if (grade.max_score > 0) {
+        getCourseTopics(supabase, exercise.course_id)
+          .then(topics => recordMasteryEvidence(supabase, {
+            studentId: user.id,
+            courseId: exercise.course_id,
+            topic: extractTopic(`${exercise.title} ${exercise.prompt}`, topics),
+            type: 'exercise',
+            score: grade.score / grade.max_score
+          }))
+          .catch(err => {
+            console.error('Error tracking mastery:', err);
+          });
+      }
+    }
+
+    // Printed output and errors could reveal hidden test inputs, so students only get them when there are none
+    const canSeeOutput = canManage || !tests.some(test => test.hidden);
+
+    res.json({
+      ...presentSubmission(submission, canManage),
+      output: canSeeOutput ? grade.output : '',
+      error: canManage && grade.status === 'error' && grade.stderr ? grade.stderr : grade.error
+    });
+  } catch (error) {
+    if (error.status === 503) {
+      return res.status(503).json({ error: error.message });
+    }
+
+    console.error('Error grading submission:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/exercises/:id/submissions - Students get their own submissions; the professor and staff with view_analytics get everyone's
+ */
+router.get('/:id/submissions', exerciseMember, async (req, res) => {
+  try {
+    const { user } = req;
+    const exercise = await getExercise(req.params.id);
+    const canManage = req.course.permissions.includes('edit_materials');
+    const canViewAll = req.course.permissions.includes('view_analytics');
+
+    if (!exercise || (!exercise.published && !canManage)) {
+      return res.status(404).json({ error: 'Exercise not found' });
+    }
+
+    let query = supabase
+      .from('exercise_submissions')
+      .select('*, profiles(full_name, email)')
+      .eq('exercise_id', exercise.id)
+      .order('created_at', { ascending: false })
+      .limit(canViewAll ? 500 : 20);
+
+    if (!canViewAll) {
+      query = query.eq('student_id', user.id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json((data || []).map(submission => presentSubmission(submission, canManage)));
+  } catch (error) {
+    console.error('Error fetching submissions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,14 +1,27 @@
 import express from 'express';
-import { supabase, getAuthUser } from '../config/supabase.js';
+import { supabase } from '../config/supabase.js';
+import { authenticate, requireCourseAccess, courseIdFrom } from '../middleware/auth.js';
+import { getLinkFetcher } from '../fetchers/index.js';
+import { createLinkIndexer } from '../utils/linkIndexer.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
+// Fetches and indexes the pages behind links in the background (server.js resumes and refreshes it)
+export const linkIndexer = createLinkIndexer(supabase, {
+  fetcher: getLinkFetcher(),
+  refreshIntervalMs: parseFloat(process.env.LINK_REFRESH_HOURS || '168') * 60 * 60 * 1000
+});
+
+// Only the professor and staff who manage materials change links
+const linkEditor = requireCourseAccess({ permission: 'edit_materials', courseId: courseIdFrom.record('course_links', 'Link not found') });
+
 /**
- * GET /api/links/:course_id - Get all links for a course
+ * GET /api/links/:course_id - Get all links for a course, with the indexing status of their pages
  */
-router.get('/:course_id', async (req, res) => {
+router.get('/:course_id', requireCourseAccess(), async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { course_id } = req.params;
 
     const { data, error } = await supabase
@@ -28,25 +41,18 @@ router.get('/:course_id', async (req, res) => {
 
 /**
  * POST /api/links - Add a link to a course
+ * The page behind it is fetched and indexed in the background; the link is citable right away
  */
-router.post('/', async (req, res) => {
+router.post('/', requireCourseAccess({ permission: 'edit_materials', courseId: courseIdFrom.body() }), async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { course_id, title, url, description } = req.body;
 
-    if (!course_id || !title || !url) {
-      return res.status(400).json({ error: 'course_id, title, and url are required' });
+    if (!title || !url) {
+      return res.status(400).json({ error: 'title and url are required' });
     }
 
-    // Verify user owns the course
-    const { data: course } = await supabase
-      .from('courses')
-      .select('professor_id')
-      .eq('id', course_id)
-      .single();
-
-    if (!course || course.professor_id !== user.id) {
-      return res.status(403).json({ error: 'Not authorized to add links to this course' });
+    if (!/^https?:\/\/\S+$/i.test(url)) {
+      return res.status(400).json({ error: 'url must be an http or https address' });
     }
 
     const { data, error} = await supabase
@@ -62,6 +68,8 @@ router.post('/', async (req, res) => {
 
     if (error) throw error;
 
+    linkIndexer.enqueue(data.id);
+
     res.status(201).json(data);
   } catch (error) {
     console.error('Error adding link:', error);
@@ -70,29 +78,40 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * DELETE /api/links/:id - Delete a link
+ * POST /api/links/:id/refresh - Fetch and index a link's page again now
  */
-router.delete('/:id', async (req, res) => {
+router.post('/:id/refresh', linkEditor, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
-    const { id } = req.params;
-
-    // Get link details
-    const { data: link, error: linkError } = await supabase
+    const { data, error } = await supabase
       .from('course_links')
-      .select('*, courses(professor_id)')
-      .eq('id', id)
-      .single();
+      .update({ fetch_status: 'queued', fetch_error: null })
+      .eq('id', req.params.id)
+      .neq('fetch_status', 'fetching')
+      .select()
+      .maybeSingle();
 
-    if (linkError || !link) {
-      return res.status(404).json({ error: 'Link not found' });
-    }
+    if (error) throw error;
 
-    // Verify user owns the course
-    if (link.courses.professor_id !== user.id) {
-      return res.status(403).json({ error: 'Not authorized to delete this link' });
+    if (!data) {
+      return res.status(409).json({ error: 'This link is being fetched already' });
     }
 
+    linkIndexer.enqueue(data.id);
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error refreshing link:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/links/:id - Delete a link (its indexed chunks go with it)
+ */
+router.delete('/:id', linkEditor, async (req, res) => {
+  try {
+    const { id } = req.params;
+
     const { error } = await supabase
       .from('course_links')
       .delete()
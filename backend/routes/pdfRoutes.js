@@ -1,69 +1,109 @@
 import express from 'express';
 import multer from 'multer';
-import { supabase, getAuthUser } from '../config/supabase.js';
-import { extractAndChunkPDF, storePDFChunks } from '../utils/pdfEmbeddings.js';
+import { supabase } from '../config/supabase.js';
+import { authenticate, requireCourseAccess, courseIdFrom } from '../middleware/auth.js';
+import { createIngestionQueue } from '../utils/ingestionQueue.js';
+import { formatForFilename, getMaterialFormat, MATERIAL_EXTENSIONS, readMaterialDocument } from '../materials/index.js';
 
 const router = express.Router();
 
+router.use(authenticate);
+
+// Extracts and indexes uploaded materials in the background (server.js resumes it on startup)
+export const ingestionQueue = createIngestionQueue(supabase);
+
+const INGESTION_FIELDS = 'id, status, pages_total, pages_done, chunk_count, error, attempts, started_at, finished_at, updated_at';
+
+const VERSION_FIELDS = 'id, version, filename, file_url, format, uploaded_at, indexed_at';
+
+const ACTIVE_INGESTION_STATUSES = ['queued', 'extracting', 'chunking'];
+
+// Only the professor and staff who manage materials see and retry ingestion
+const pdfEditor = requireCourseAccess({ permission: 'edit_materials', courseId: courseIdFrom.record('pdfs', 'PDF not found') });
+
+/**
+ * Flatten a PDF's ingestion job into `ingestion` (null for PDFs without one) and list its
+ * versions oldest first
+ */
+function presentPdf({ ingestion_jobs, pdf_versions, ...pdf }) {
+  const [ingestion = null] = [].concat(ingestion_jobs ?? []);
+  const versions = (pdf_versions ?? []).sort((a, b) => a.version - b.version);
+  return { ...pdf, ingestion, versions };
+}
+
+/**
+ * Store an uploaded file in the course's storage folder
+ * @returns {Promise<Object>} - { file_path, file_url }
+ */
+async function storeUpload(courseId, file, format) {
+  const filePath = `${courseId}/${Date.now()}-${file.originalname}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from('course-pdfs')
+    .upload(filePath, file.buffer, {
+      contentType: format.mimeType,
+      upsert: false
+    });
+
+  if (uploadError) throw uploadError;
+
+  const { data: urlData } = supabase.storage
+    .from('course-pdfs')
+    .getPublicUrl(filePath);
+
+  return { file_path: filePath, file_url: urlData.publicUrl };
+}
+
+/**
+ * Record an uploaded file as a version of a PDF
+ */
+async function insertVersion(pdfId, version, filename, stored, format) {
+  const { data, error } = await supabase
+    .from('pdf_versions')
+    .insert({ pdf_id: pdfId, version, filename, ...stored, format })
+    .select(VERSION_FIELDS)
+    .single();
+
+  if (error) throw error;
+
+  return data;
+}
+
 // Configure multer for file upload (memory storage)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
+  // Browsers report inconsistent types for .m, .md and .mlx files, so formats go by extension
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (formatForFilename(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'));
+      cb(new Error(`Unsupported file type. Upload one of: ${MATERIAL_EXTENSIONS.join(', ')}`));
     }
   }
 });
 
 /**
- * POST /api/pdfs/upload - Upload a PDF for a course
+ * POST /api/pdfs/upload - Upload a course material (PDF, slides, document, Markdown, HTML or MATLAB file)
+ * Responds 202 once the file is stored; the material is searchable when its ingestion job reaches 'indexed'
  */
-router.post('/upload', upload.single('pdf'), async (req, res) => {
+// course_id comes in the multipart form, so the upload is parsed before the access check
+const uploadAccess = requireCourseAccess({ permission: 'edit_materials', courseId: courseIdFrom.body() });
+
+router.post('/upload', upload.single('pdf'), uploadAccess, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { course_id } = req.body;
 
-    if (!course_id) {
-      return res.status(400).json({ error: 'course_id is required' });
-    }
-
     if (!req.file) {
-      return res.status(400).json({ error: 'PDF file is required' });
+      return res.status(400).json({ error: 'A file is required' });
     }
 
-    // Verify user owns the course
-    const { data: course } = await supabase
-      .from('courses')
-      .select('professor_id')
-      .eq('id', course_id)
-      .single();
-
-    if (!course || course.professor_id !== user.id) {
-      return res.status(403).json({ error: 'Not authorized to upload to this course' });
-    }
+    const format = getMaterialFormat(formatForFilename(req.file.originalname));
 
     // Upload to Supabase Storage
-    const filename = `${Date.now()}-${req.file.originalname}`;
-    const filePath = `${course_id}/${filename}`;
-
-    const { error: uploadError } = await supabase.storage
-      .from('course-pdfs')
-      .upload(filePath, req.file.buffer, {
-        contentType: 'application/pdf',
-        upsert: false
-      });
-
-    if (uploadError) throw uploadError;
-
-    // Get public URL
-    const { data: urlData } = supabase.storage
-      .from('course-pdfs')
-      .getPublicUrl(filePath);
+    const stored = await storeUpload(course_id, req.file, format);
 
     // Save PDF metadata to database
     const { data: pdfRecord, error: dbError } = await supabase
@@ -71,25 +111,30 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
       .insert({
         course_id: course_id,
         filename: req.file.originalname,
-        file_path: filePath,
-        file_url: urlData.publicUrl
+        ...stored,
+        format: format.format
       })
       .select()
       .single();
 
     if (dbError) throw dbError;
 
-    // Extract and store PDF chunks for search
-    try {
-      const chunks = await extractAndChunkPDF(req.file.buffer, req.file.originalname);
-      await storePDFChunks(supabase, course_id, pdfRecord.id, chunks);
-      console.log(`Extracted ${chunks.length} chunks from ${req.file.originalname}`);
-    } catch (chunkError) {
-      console.error('Error processing PDF chunks:', chunkError);
-      // Don't fail the upload if chunking fails
-    }
+    const version = await insertVersion(pdfRecord.id, 1, req.file.originalname, stored, format.format);
+
+    // Queue extraction and indexing for search
+    const { data: job, error: jobError } = await supabase
+      .from('ingestion_jobs')
+      .insert({ pdf_id: pdfRecord.id, course_id })
+      .select(INGESTION_FIELDS)
+      .single();
+
+    if (jobError) throw jobError;
 
-    res.status(201).json(pdfRecord);
+    ingestionQueue.enqueue(job.id, { buffer: req.file.buffer });
+
+    console.log(`📥 Queued ingestion of ${req.file.originalname} (job ${job.id})`);
+
+    res.status(202).json({ ...pdfRecord, ingestion: job, versions: [version] });
   } catch (error) {
     console.error('Error uploading PDF:', error);
     res.status(500).json({ error: error.message });
@@ -97,22 +142,97 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
 });
 
 /**
- * GET /api/pdfs/:course_id - Get all PDFs for a course
+ * POST /api/pdfs/:id/versions - Upload a new version of a material (e.g. updated lecture notes)
+ * The file must be the same format. It becomes the current version and is indexed in place of the
+ * previous one, keeping the material's name so the tutor's citations stay the same; earlier
+ * versions stay viewable for the messages that cited them.
  */
-router.get('/:course_id', async (req, res) => {
+router.post('/:id/versions', pdfEditor, upload.single('pdf'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required' });
+    }
+
+    const { data: pdf, error: pdfError } = await supabase
+      .from('pdfs')
+      .select(`*, ingestion_jobs(${INGESTION_FIELDS})`)
+      .eq('id', req.params.id)
+      .single();
+
+    if (pdfError) throw pdfError;
+
+    const format = getMaterialFormat(pdf.format);
+
+    if (formatForFilename(req.file.originalname) !== format.format) {
+      return res.status(400).json({ error: `A new version of ${pdf.filename} must be a ${format.label} file (${format.extensions.join(', ')})` });
+    }
+
+    if (ACTIVE_INGESTION_STATUSES.includes(presentPdf(pdf).ingestion?.status)) {
+      return res.status(409).json({ error: 'Wait for the current version to finish processing' });
+    }
+
+    const stored = await storeUpload(pdf.course_id, req.file, format);
+    const version = await insertVersion(pdf.id, pdf.version + 1, req.file.originalname, stored, format.format);
+
+    const { data: pdfRecord, error: updateError } = await supabase
+      .from('pdfs')
+      .update({ ...stored, version: version.version })
+      .eq('id', pdf.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    // Index the new version; the old chunks are searched until it's done
+    const { data: job, error: jobError } = await supabase
+      .from('ingestion_jobs')
+      .upsert({
+        pdf_id: pdf.id,
+        course_id: pdf.course_id,
+        status: 'queued',
+        error: null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'pdf_id' })
+      .select(INGESTION_FIELDS)
+      .single();
+
+    if (jobError) throw jobError;
+
+    ingestionQueue.enqueue(job.id, { buffer: req.file.buffer });
+
+    console.log(`📥 Queued ingestion of ${pdf.filename} version ${version.version} (job ${job.id})`);
+
+    const { data: versions, error: versionsError } = await supabase
+      .from('pdf_versions')
+      .select(VERSION_FIELDS)
+      .eq('pdf_id', pdf.id)
+      .order('version', { ascending: true });
+
+    if (versionsError) throw versionsError;
+
+    res.status(202).json({ ...pdfRecord, ingestion: job, versions });
+  } catch (error) {
+    console.error('Error uploading PDF version:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/pdfs/:course_id - Get all PDFs for a course, with their ingestion status
+ */
+router.get('/:course_id', requireCourseAccess(), async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { course_id } = req.params;
 
     const { data, error } = await supabase
       .from('pdfs')
-      .select('*')
+      .select(`*, ingestion_jobs(${INGESTION_FIELDS}), pdf_versions(${VERSION_FIELDS})`)
       .eq('course_id', course_id)
       .order('uploaded_at', { ascending: false });
 
     if (error) throw error;
 
-    res.json(data || []);
+    res.json((data || []).map(presentPdf));
   } catch (error) {
     console.error('Error fetching PDFs:', error);
     res.status(500).json({ error: error.message });
@@ -120,33 +240,133 @@ router.get('/:course_id', async (req, res) => {
 });
 
 /**
- * DELETE /api/pdfs/:id - Delete a PDF
+ * GET /api/pdfs/:id/status - Get a PDF's ingestion status
+ * @returns { id, status, pages_total, pages_done, chunk_count, error, attempts, ... }
+ */
+router.get('/:id/status', pdfEditor, async (req, res) => {
+  try {
+    const { data: job, error } = await supabase
+      .from('ingestion_jobs')
+      .select(INGESTION_FIELDS)
+      .eq('pdf_id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!job) {
+      return res.status(404).json({ error: 'No ingestion job for this PDF' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching ingestion status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/pdfs/:id/retry - Retry a failed ingestion (the file is read again from storage)
+ */
+router.post('/:id/retry', pdfEditor, async (req, res) => {
+  try {
+    const { data: job, error } = await supabase
+      .from('ingestion_jobs')
+      .update({ status: 'queued', error: null, updated_at: new Date().toISOString() })
+      .eq('pdf_id', req.params.id)
+      .eq('status', 'failed')
+      .select(INGESTION_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!job) {
+      return res.status(409).json({ error: 'Only failed ingestion jobs can be retried' });
+    }
+
+    ingestionQueue.enqueue(job.id);
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error retrying ingestion:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/pdfs/:id/document?version=N - A non-PDF material's slides or sections, for the material viewer
+ * Reads the current version unless an earlier one is asked for
+ * @returns { format, location_type, sections: [{ number, title, blocks }], text? (MATLAB files) }
  */
-router.delete('/:id', async (req, res) => {
+router.get('/:id/document', requireCourseAccess({ courseId: courseIdFrom.record('pdfs', 'PDF not found') }), async (req, res) => {
+  try {
+    const { version } = req.query;
+
+    if (version !== undefined && !/^[1-9]\d{0,8}$/.test(version)) {
+      return res.status(400).json({ error: 'version must be a positive whole number' });
+    }
+
+    const { data: pdf, error } = version
+      ? await supabase
+        .from('pdf_versions')
+        .select('file_path, format')
+        .eq('pdf_id', req.params.id)
+        .eq('version', parseInt(version, 10))
+        .maybeSingle()
+      : await supabase
+        .from('pdfs')
+        .select('file_path, format')
+        .eq('id', req.params.id)
+        .single();
+
+    if (error) throw error;
+
+    if (!pdf) {
+      return res.status(404).json({ error: `Version ${version} not found` });
+    }
+
+    if (!getMaterialFormat(pdf.format).readSections) {
+      return res.status(400).json({ error: 'PDFs are opened from their file URL' });
+    }
+
+    const { data: file, error: downloadError } = await supabase.storage
+      .from('course-pdfs')
+      .download(pdf.file_path);
+
+    if (downloadError) throw downloadError;
+
+    res.json(await readMaterialDocument(Buffer.from(await file.arrayBuffer()), pdf.format));
+  } catch (error) {
+    console.error('Error reading material:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/pdfs/:id - Delete a PDF and all its versions
+ */
+router.delete('/:id', pdfEditor, async (req, res) => {
   try {
-    const user = await getAuthUser(req);
     const { id } = req.params;
 
     // Get PDF details
     const { data: pdf, error: pdfError } = await supabase
       .from('pdfs')
-      .select('*, courses(professor_id)')
+      .select('*')
       .eq('id', id)
       .single();
 
-    if (pdfError || !pdf) {
-      return res.status(404).json({ error: 'PDF not found' });
-    }
+    if (pdfError) throw pdfError;
 
-    // Verify user owns the course
-    if (pdf.courses.professor_id !== user.id) {
-      return res.status(403).json({ error: 'Not authorized to delete this PDF' });
-    }
+    const { data: versions } = await supabase
+      .from('pdf_versions')
+      .select('file_path')
+      .eq('pdf_id', id);
 
-    // Delete from storage
+    // Delete every version from storage
+    const filePaths = [...new Set([pdf.file_path, ...(versions || []).map(version => version.file_path)])];
     const { error: storageError } = await supabase.storage
       .from('course-pdfs')
-      .remove([pdf.file_path]);
+      .remove(filePaths);
 
     if (storageError) console.error('Storage delete error:', storageError);
 
@@ -0,0 +1,215 @@
+import express from 'express';
+import { supabase } from '../config/supabase.js';
+import { authenticate, requireCourseAccess } from '../middleware/auth.js';
+import {
+  STAFF_ROLES,
+  DEFAULT_STAFF_PERMISSIONS,
+  normalizePermissions,
+  normalizeEmail
+} from '../utils/courseAccess.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Only the course's professor adds and changes staff; staff can see who else teaches and leave
+const courseOwner = requireCourseAccess({ roles: ['owner'] });
+const courseStaff = requireCourseAccess({ roles: ['owner', ...STAFF_ROLES] });
+
+/**
+ * Validate role / permissions from a request body
+ * Permissions default to the role's defaults when a role is given without them
+ * @returns {Object} - { role, permissions } (missing values left undefined), or { error }
+ */
+function parseStaffFields({ role, permissions }) {
+  const fields = {};
+
+  if (role !== undefined) {
+    if (!STAFF_ROLES.includes(role)) {
+      return { error: `Invalid role: ${role}` };
+    }
+    fields.role = role;
+  }
+
+  if (permissions !== undefined) {
+    fields.permissions = normalizePermissions(permissions);
+    if (!fields.permissions) {
+      return { error: 'Invalid permissions' };
+    }
+  } else if (fields.role) {
+    fields.permissions = DEFAULT_STAFF_PERMISSIONS[fields.role];
+  }
+
+  return fields;
+}
+
+/**
+ * GET /api/staff/course/:course_id - List a course's professor and staff (professor and staff only)
+ */
+router.get('/course/:course_id', courseStaff, async (req, res) => {
+  try {
+    const { course } = req;
+
+    const { data: owner, error: ownerError } = await supabase
+      .from('profiles')
+      .select('id, full_name, email')
+      .eq('id', course.professor_id)
+      .single();
+
+    if (ownerError) throw ownerError;
+
+    const { data: staff, error } = await supabase
+      .from('course_staff')
+      .select('user_id, role, permissions, created_at, profiles(full_name, email)')
+      .eq('course_id', course.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      owner,
+      staff: (staff || []).map(member => ({
+        id: member.user_id,
+        full_name: member.profiles?.full_name || 'Unknown',
+        email: member.profiles?.email || '',
+        role: member.role,
+        permissions: member.permissions,
+        added_at: member.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching course staff:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/staff/course/:course_id - Add a co-instructor or TA by email (professor only)
+ * Body: { email, role, permissions? } - the person needs an account; permissions default to the role's
+ */
+router.post('/course/:course_id', courseOwner, async (req, res) => {
+  try {
+    const { course } = req;
+    const email = normalizeEmail(req.body.email);
+
+    if (!email) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (!req.body.role) {
+      return res.status(400).json({ error: 'Role is required' });
+    }
+
+    const fields = parseStaffFields(req.body);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('id, full_name, email')
+      .eq('email_lower', email)
+      .maybeSingle();
+
+    if (!profile) {
+      return res.status(404).json({ error: 'No account found with that email' });
+    }
+
+    if (profile.id === course.professor_id) {
+      return res.status(400).json({ error: 'The course professor is already its owner' });
+    }
+
+    const { data, error } = await supabase
+      .from('course_staff')
+      .upsert(
+        { course_id: course.id, user_id: profile.id, role: fields.role, permissions: fields.permissions },
+        { onConflict: 'course_id,user_id' }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🧑‍🏫 Added ${fields.role} ${profile.id} to course ${course.id}`);
+
+    res.status(201).json({
+      id: profile.id,
+      full_name: profile.full_name,
+      email: profile.email,
+      role: data.role,
+      permissions: data.permissions,
+      added_at: data.created_at
+    });
+  } catch (error) {
+    console.error('Error adding course staff:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/staff/course/:course_id/:user_id - Change a staff member's role or permissions (professor only)
+ * Body: { role?, permissions? }
+ */
+router.put('/course/:course_id/:user_id', courseOwner, async (req, res) => {
+  try {
+    const { course } = req;
+
+    const fields = parseStaffFields(req.body);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+
+    if (!fields.role && !fields.permissions) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data, error } = await supabase
+      .from('course_staff')
+      .update(fields)
+      .eq('course_id', course.id)
+      .eq('user_id', req.params.user_id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    res.json({ id: data.user_id, role: data.role, permissions: data.permissions });
+  } catch (error) {
+    console.error('Error updating course staff:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/staff/course/:course_id/:user_id - Remove a staff member
+ * The professor can remove anyone; staff can remove themselves (leave the course)
+ */
+router.delete('/course/:course_id/:user_id', courseStaff, async (req, res) => {
+  try {
+    const { course } = req;
+    const { user_id } = req.params;
+
+    if (course.role !== 'owner' && user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to remove this staff member' });
+    }
+
+    const { error } = await supabase
+      .from('course_staff')
+      .delete()
+      .eq('course_id', course.id)
+      .eq('user_id', user_id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Staff member removed from course' });
+  } catch (error) {
+    console.error('Error removing course staff:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,141 @@
+import express from 'express';
+import { supabase } from '../config/supabase.js';
+import { authenticate, requireCourseAccess } from '../middleware/auth.js';
+import { DEFAULT_TAXONOMY, GENERAL_TOPIC } from '../utils/topicExtraction.js';
+import { loadCourseTaxonomy, saveCourseTaxonomy } from '../utils/courseTaxonomy.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Everyone in the course can see its topics; the professor and staff with edit_course change them
+const courseMember = requireCourseAccess();
+const courseEditor = requireCourseAccess({ permission: 'edit_course' });
+
+const MAX_TOPICS = 100;
+const MAX_KEYWORDS = 50;
+const MAX_KEYWORD_LENGTH = 100;
+const TOPIC_KEY_REGEX = /^[a-z0-9_]{1,100}$/;
+
+/**
+ * Split keywords into a list (accepts an array or comma-separated text)
+ */
+function parseKeywordList(keywords) {
+  const entries = Array.isArray(keywords) ? keywords : (keywords || '').toString().split(',');
+  return [...new Set(entries.map(entry => (entry ?? '').toString().trim().toLowerCase()).filter(entry => entry))];
+}
+
+/**
+ * Validate a taxonomy from a request body
+ * Parents must be other topics in the list, without cycles.
+ * @param {Array} topics - [{ key, display_name, keywords, parent? }]
+ * @returns {Object} - { topics } ready to save, or { error }
+ */
+function parseTopics(topics) {
+  if (!Array.isArray(topics) || topics.length === 0) {
+    return { error: 'At least one topic is required' };
+  }
+
+  if (topics.length > MAX_TOPICS) {
+    return { error: `At most ${MAX_TOPICS} topics per course` };
+  }
+
+  const parsed = [];
+
+  for (const [index, topic] of topics.entries()) {
+    const key = (topic?.key ?? '').toString().trim();
+    const label = topic?.display_name?.toString().trim() || key || `Topic ${index + 1}`;
+
+    if (!TOPIC_KEY_REGEX.test(key)) {
+      return { error: `${label}: key must be lowercase letters, digits and underscores` };
+    }
+
+    if (key === GENERAL_TOPIC) {
+      return { error: `${label}: "${GENERAL_TOPIC}" is reserved for messages that match no topic` };
+    }
+
+    if (parsed.some(other => other.key === key)) {
+      return { error: `${label}: key "${key}" is used by more than one topic` };
+    }
+
+    const keywords = parseKeywordList(topic.keywords);
+    if (keywords.length > MAX_KEYWORDS) {
+      return { error: `${label}: at most ${MAX_KEYWORDS} keywords per topic` };
+    }
+    if (keywords.some(keyword => keyword.length > MAX_KEYWORD_LENGTH)) {
+      return { error: `${label}: keywords can be at most ${MAX_KEYWORD_LENGTH} characters` };
+    }
+
+    parsed.push({
+      key,
+      display_name: topic.display_name?.toString().trim() || key,
+      keywords,
+      parent: (topic.parent ?? '').toString().trim() || null
+    });
+  }
+
+  // Every parent must exist before the walk below can follow them
+  const missingParent = parsed.find(topic => topic.parent && !parsed.some(other => other.key === topic.parent));
+  if (missingParent) {
+    return { error: `${missingParent.display_name}: parent "${missingParent.parent}" is not a topic of this course` };
+  }
+
+  for (const topic of parsed) {
+    // Walk up from the topic; coming back to it means a cycle
+    const seen = new Set([topic.key]);
+    let parent = topic.parent;
+    while (parent) {
+      if (seen.has(parent)) {
+        return { error: `${topic.display_name}: a topic can't be nested inside itself` };
+      }
+      seen.add(parent);
+      parent = parsed.find(other => other.key === parent).parent;
+    }
+  }
+
+  return { topics: parsed };
+}
+
+/**
+ * GET /api/topics/template - The default taxonomy new courses start from
+ */
+router.get('/template', (req, res) => {
+  res.json(DEFAULT_TAXONOMY);
+});
+
+/**
+ * GET /api/topics/course/:course_id - A course's topics
+ * is_default is true for courses using the default taxonomy without topics of their own
+ */
+router.get('/course/:course_id', courseMember, async (req, res) => {
+  try {
+    const { topics, isDefault } = await loadCourseTaxonomy(supabase, req.course.id);
+    res.json({ topics, is_default: isDefault });
+  } catch (error) {
+    console.error('Error fetching topics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/topics/course/:course_id - Replace a course's topics
+ * Body: { topics: [{ key, display_name, keywords (array or comma-separated), parent? }] }
+ * Only new messages and exercise submissions are filed under the new topics.
+ */
+router.put('/course/:course_id', courseEditor, async (req, res) => {
+  try {
+    const parsed = parseTopics(req.body.topics);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const topics = await saveCourseTaxonomy(supabase, req.course.id, parsed.topics);
+
+    res.json({ topics, is_default: false });
+  } catch (error) {
+    console.error('Error saving topics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,210 @@
+/**
+ * Benchmark PDF ingestion (text extraction + chunking) on a large PDF
+ *
+ *   node scripts/benchmarkPdfIngestion.js                  # generated 300-page textbook
+ *   node scripts/benchmarkPdfIngestion.js --pages 600
+ *   node scripts/benchmarkPdfIngestion.js path/to/book.pdf
+ *   node scripts/benchmarkPdfIngestion.js --compare        # also time the old per-page re-parsing
+ *   node scripts/benchmarkPdfIngestion.js --help
+ *
+ * Generated PDFs start every page with a "Page N" marker, start a numbered section every few
+ * pages and include MATLAB listings set in Courier, so the benchmark also checks that each page's
+ * text is stored under the right page number and that the chunker keeps every listing whole.
+ */
+import fs from 'fs';
+import pdfParse from 'pdf-parse-fork';
+import { extractAndChunkPDF, extractPDFPages } from '../utils/pdfEmbeddings.js';
+import { buildTextPDF } from './lib/textPdf.js';
+
+const DEFAULT_PAGES = 300;
+const LINES_PER_PAGE = 40;
+const PAGES_PER_SECTION = 5;
+const LISTING_EVERY_PAGES = 3;
+
+const SECTION_TITLES = ['Matrices and Arrays', 'Loops', 'Functions', 'Plotting', 'Logical Indexing'];
+
+const SAMPLE_LINES = [
+  'A matrix is a two-dimensional array of numbers; vectors are matrices with one row or column.',
+  'Use a for loop to repeat statements a fixed number of times, e.g. for k = 1:10 ... end.',
+  'The colon operator creates regularly spaced vectors: x = 0:0.1:1 has eleven elements.',
+  'Element-wise operators such as .* and ./ act on corresponding entries of two arrays.',
+  'A function file begins with function [out1, out2] = name(in1, in2) and ends with end.',
+  'plot(x, y) draws a line; hold on keeps the current figure so more lines can be added.',
+  'Logical indexing selects elements where a condition holds, e.g. A(A > 0) = 0.',
+  'Preallocate arrays with zeros(n, m) before filling them inside a loop to save time.'
+];
+
+const USAGE = `Usage: node scripts/benchmarkPdfIngestion.js [path/to/book.pdf] [--pages N] [--compare]
+
+  path/to/book.pdf  PDF to ingest (default: a generated textbook)
+  --pages N         Pages of the generated textbook (default: ${DEFAULT_PAGES})
+  --compare         Also time the old per-page re-parsing`;
+
+/**
+ * An error in the command line, reported with the usage instead of a stack trace
+ */
+function usageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+function parseArgs(argv) {
+  const args = { file: null, pages: DEFAULT_PAGES, compare: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--pages') {
+      args.pages = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--compare') {
+      args.compare = true;
+    } else if (argv[i] === '--help' || argv[i] === '-h') {
+      args.help = true;
+    } else if (argv[i].startsWith('-')) {
+      throw usageError(`Unknown option: ${argv[i]}`);
+    } else if (args.file) {
+      throw usageError(`Only one PDF can be benchmarked at a time (got ${args.file} and ${argv[i]})`);
+    } else {
+      args.file = argv[i];
+    }
+  }
+
+  if (!Number.isInteger(args.pages) || args.pages < 1) {
+    throw usageError('--pages must be a positive integer');
+  }
+
+  return args;
+}
+
+/**
+ * The MATLAB listing printed on a page: [indent, text] lines
+ */
+function listingFor(page) {
+  return [
+    [0, `% listing ${page}`],
+    [0, 'total = 0;'],
+    [0, `for k = 1:${page}`],
+    [4, 'total = total + k;'],
+    [0, 'end']
+  ];
+}
+
+/**
+ * Build a text-only PDF with the given number of pages
+ * @returns {Buffer}
+ */
+function generateTextbookPDF(pageCount) {
+  const pages = [];
+
+  for (let page = 1; page <= pageCount; page++) {
+    const lines = [`Page ${page}`];
+
+    if (page % PAGES_PER_SECTION === 1) {
+      const section = Math.floor(page / PAGES_PER_SECTION) + 1;
+      lines.push({ text: `${section} ${SECTION_TITLES[(section - 1) % SECTION_TITLES.length]}`, style: 'heading' });
+    }
+
+    for (let line = 0; line < LINES_PER_PAGE; line++) {
+      lines.push(SAMPLE_LINES[(page + line) % SAMPLE_LINES.length]);
+
+      if (page % LISTING_EVERY_PAGES === 0 && line === LINES_PER_PAGE / 2) {
+        listingFor(page).forEach(([indent, text]) => lines.push({ text, style: 'code', indent }));
+      }
+    }
+
+    pages.push(lines);
+  }
+
+  return buildTextPDF(pages);
+}
+
+/**
+ * The extraction used before the single-pass extractor: re-parse the first N pages
+ * for every page N and keep the new text - kept here only to compare timings
+ */
+async function legacyExtractPages(pdfBuffer) {
+  const pagerender = pageData => pageData.getTextContent()
+    .then(textContent => textContent.items.map(item => item.str).join(' '));
+
+  const { numpages } = await pdfParse(pdfBuffer, { pagerender });
+  let previousText = '';
+
+  for (let pageNum = 1; pageNum <= numpages; pageNum++) {
+    const { text } = await pdfParse(pdfBuffer, { max: pageNum, pagerender });
+    previousText = text;
+  }
+
+  return previousText.length;
+}
+
+async function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = await fn();
+  return { result, seconds: Number(process.hrtime.bigint() - start) / 1e9 };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const pdfBuffer = args.file ? fs.readFileSync(args.file) : generateTextbookPDF(args.pages);
+  const label = args.file || `generated ${args.pages}-page PDF`;
+
+  console.log(`📚 Benchmarking ${label} (${(pdfBuffer.length / 1024 / 1024).toFixed(1)} MB)`);
+
+  // Silence per-PDF ingestion logs so the report stays readable
+  const log = console.log;
+  console.log = () => {};
+  const extraction = await time(() => extractPDFPages(pdfBuffer));
+  const ingestion = await time(() => extractAndChunkPDF(pdfBuffer, 'benchmark.pdf'));
+  console.log = log;
+
+  const { totalPages, pages } = extraction.result;
+
+  console.log(`⏱️  Extraction: ${extraction.seconds.toFixed(2)}s for ${pages.length}/${totalPages} pages (${(totalPages / extraction.seconds).toFixed(0)} pages/s)`);
+
+  const chunks = ingestion.result;
+  const sections = new Set(chunks.map(chunk => chunk.section_title).filter(Boolean));
+  const averageSize = chunks.reduce((sum, chunk) => sum + chunk.content.length, 0) / Math.max(chunks.length, 1);
+
+  console.log(`⏱️  Extraction + chunking: ${ingestion.seconds.toFixed(2)}s, ${chunks.length} chunks (${averageSize.toFixed(0)} characters on average)`);
+  console.log(`📑 ${sections.size} sections, ${chunks.filter(chunk => chunk.page_end > chunk.page).length} chunks span two or more pages`);
+
+  if (!args.file) {
+    const misplaced = pages.filter(({ pageNumber, text }) => !text.startsWith(`Page ${pageNumber}\n`));
+    if (misplaced.length > 0) {
+      console.error(`❌ ${misplaced.length} page(s) stored under the wrong page number, e.g. page ${misplaced[0].pageNumber}`);
+      process.exitCode = 1;
+    } else {
+      console.log('✅ Every page stored under its own page number');
+    }
+
+    const listingPages = pages.map(({ pageNumber }) => pageNumber).filter(page => page % LISTING_EVERY_PAGES === 0);
+    const brokenListings = listingPages.filter(page => {
+      const listing = listingFor(page).map(([indent, text]) => ' '.repeat(indent) + text).join('\n');
+      return !chunks.some(chunk => chunk.content.includes(listing));
+    });
+    if (brokenListings.length > 0) {
+      console.error(`❌ ${brokenListings.length} of ${listingPages.length} code listings split or altered, e.g. on page ${brokenListings[0]}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`✅ All ${listingPages.length} code listings kept whole in one chunk`);
+    }
+  }
+
+  if (args.compare) {
+    console.log('⏳ Timing per-page re-parsing (the previous extractor)...');
+    const legacy = await time(() => legacyExtractPages(pdfBuffer));
+    console.log(`⏱️  Previous extractor: ${legacy.seconds.toFixed(2)}s (${(legacy.seconds / extraction.seconds).toFixed(1)}x slower)`);
+  }
+}
+
+main().catch(error => {
+  if (error.usage) {
+    console.error(`${error.message}\n\n${USAGE}`);
+  } else {
+    console.error('Benchmark failed:', error);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,193 @@
+/**
+ * Benchmark course material search on a large synthetic course
+ *
+ *   node scripts/benchmarkRetrieval.js                    # 5000 chunks, 200 queries
+ *   node scripts/benchmarkRetrieval.js --chunks 20000 --queries 500
+ *
+ * Compares BM25 over an inverted index (what the chunk_terms table stores) with tokenising
+ * every chunk of the course for each message. Both run in memory: database round trips
+ * (three per search with the index) and the vector half of hybrid search are not included.
+ */
+import { countTerms, tokenize, scoreBM25 } from '../utils/searchIndex.js';
+
+const DEFAULT_CHUNKS = 5000;
+const DEFAULT_QUERIES = 200;
+const TOP_K = 8;
+
+const SAMPLE_SENTENCES = [
+  'A matrix is a two-dimensional array of numbers; vectors are matrices with one row or column.',
+  'Use a for loop to repeat statements a fixed number of times, e.g. for k = 1:10 ... end.',
+  'x = linspace(0, 2*pi, 100) creates 100 evenly spaced points between 0 and 2*pi.',
+  'Element-wise operators such as .* and ./ act on corresponding entries of two arrays.',
+  'A function file begins with function [out1, out2] = name(in1, in2) and ends with end.',
+  'plot(x, y) draws a line; hold on keeps the current figure so more lines can be added.',
+  'Logical indexing selects elements where a condition holds, e.g. A(A > 0) = 0.',
+  'Preallocate arrays with zeros(n, m) before filling them inside a loop to save time.',
+  'A while loop runs until its condition is false; use break to leave it early.',
+  'num2str and sprintf convert numbers to text for titles, labels and disp output.',
+  'if, elseif and else choose between branches; switch compares one value against many cases.',
+  'Cell arrays hold values of different types and are indexed with curly braces.'
+];
+
+const SAMPLE_QUERIES = [
+  'how do I use linspace',
+  'what does .* do',
+  'when does a while loop end',
+  'how to preallocate a matrix with zeros',
+  'plotting two lines on the same figure',
+  'convert a number to a string with num2str',
+  'logical indexing of arrays',
+  'difference between switch and if statements',
+  'how do I write a function file',
+  'cell arrays and curly braces'
+];
+
+function parseArgs(argv) {
+  const args = { chunks: DEFAULT_CHUNKS, queries: DEFAULT_QUERIES };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--chunks') {
+      args.chunks = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--queries') {
+      args.queries = parseInt(argv[++i], 10);
+    }
+  }
+
+  if (!Number.isInteger(args.chunks) || args.chunks < 1 || !Number.isInteger(args.queries) || args.queries < 1) {
+    throw new Error('--chunks and --queries must be positive integers');
+  }
+
+  return args;
+}
+
+/**
+ * Build chunks of about 500 characters from the sample sentences, plus a few
+ * chunk-specific words so the vocabulary grows with the course like real material
+ */
+function generateChunks(count) {
+  const chunks = [];
+
+  for (let i = 0; i < count; i++) {
+    const sentences = [];
+    for (let s = 0; s < 5; s++) {
+      sentences.push(SAMPLE_SENTENCES[(i * 7 + s * 3) % SAMPLE_SENTENCES.length]);
+    }
+    sentences.push(`See exercise ex${i % 997} and figure fig${i % 389} in section sec${i % 53}.`);
+
+    chunks.push({ id: i, page: Math.floor(i / 7) + 1, content: sentences.join(' ') });
+  }
+
+  return chunks;
+}
+
+/**
+ * The in-memory equivalent of chunk_terms: term -> postings
+ */
+function buildIndex(chunks) {
+  const postingsByTerm = new Map();
+  let totalTokens = 0;
+
+  chunks.forEach(chunk => {
+    const { termFrequencies, length } = countTerms(chunk.content);
+    totalTokens += length;
+
+    termFrequencies.forEach((tf, term) => {
+      if (!postingsByTerm.has(term)) {
+        postingsByTerm.set(term, []);
+      }
+      postingsByTerm.get(term).push({ chunk_id: chunk.id, term, tf, doc_length: length });
+    });
+  });
+
+  return { postingsByTerm, stats: { chunk_count: chunks.length, total_tokens: totalTokens } };
+}
+
+function topChunks(scores) {
+  return [...scores.keys()]
+    .sort((a, b) => scores.get(b) - scores.get(a) || a - b)
+    .slice(0, TOP_K);
+}
+
+function searchIndex({ postingsByTerm, stats }, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const postings = queryTerms.flatMap(term => postingsByTerm.get(term) || []);
+  return topChunks(scoreBM25(queryTerms, postings, stats));
+}
+
+/**
+ * Without a persisted index: tokenise every chunk of the course for each message
+ */
+function searchByScanning(chunks, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const postings = [];
+  let totalTokens = 0;
+
+  chunks.forEach(chunk => {
+    const { termFrequencies, length } = countTerms(chunk.content);
+    totalTokens += length;
+
+    queryTerms.forEach(term => {
+      if (termFrequencies.has(term)) {
+        postings.push({ chunk_id: chunk.id, term, tf: termFrequencies.get(term), doc_length: length });
+      }
+    });
+  });
+
+  return topChunks(scoreBM25(queryTerms, postings, { chunk_count: chunks.length, total_tokens: totalTokens }));
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function timeQueries(count, search) {
+  const durations = [];
+
+  for (let i = 0; i < count; i++) {
+    const start = process.hrtime.bigint();
+    search(SAMPLE_QUERIES[i % SAMPLE_QUERIES.length]);
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  durations.sort((a, b) => a - b);
+  return { p50: percentile(durations, 0.5), p95: percentile(durations, 0.95) };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const chunks = generateChunks(args.chunks);
+
+  console.log(`📚 Benchmarking search over ${chunks.length} chunks, ${args.queries} queries`);
+
+  const buildStart = process.hrtime.bigint();
+  const index = buildIndex(chunks);
+  const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+  const postingCount = [...index.postingsByTerm.values()].reduce((sum, postings) => sum + postings.length, 0);
+
+  console.log(`⏱️  Index build: ${buildMs.toFixed(0)}ms, ${index.postingsByTerm.size} terms, ${postingCount} postings (${(postingCount / chunks.length).toFixed(1)} per chunk)`);
+
+  const indexed = timeQueries(args.queries, query => searchIndex(index, query));
+  console.log(`⏱️  BM25 with index: p50 ${indexed.p50.toFixed(2)}ms, p95 ${indexed.p95.toFixed(2)}ms`);
+
+  // Scanning is slow; a tenth of the queries is enough for stable percentiles
+  const scanned = timeQueries(Math.max(10, Math.ceil(args.queries / 10)), query => searchByScanning(chunks, query));
+  console.log(`⏱️  Scanning every chunk: p50 ${scanned.p50.toFixed(2)}ms, p95 ${scanned.p95.toFixed(2)}ms (${(scanned.p50 / indexed.p50).toFixed(0)}x slower at p50)`);
+
+  const mismatched = SAMPLE_QUERIES.filter(query => (
+    searchIndex(index, query).join() !== searchByScanning(chunks, query).join()
+  ));
+
+  if (mismatched.length > 0) {
+    console.error(`❌ Index and scan disagree on: ${mismatched.join('; ')}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ Index and scan return the same top ${TOP_K} for all ${SAMPLE_QUERIES.length} sample queries`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+}
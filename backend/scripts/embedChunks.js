@@ -0,0 +1,97 @@
+/**
+ * Add embeddings to course material chunks that don't have one from the configured model
+ *
+ *   node scripts/embedChunks.js                  # every course
+ *   node scripts/embedChunks.js --course <id>    # one course
+ *
+ * Run after applying migrations/012_chunk_embeddings.sql, after changing EMBEDDING_PROVIDER or
+ * EMBEDDING_MODEL, or when embedding failed during ingestion (those chunks are only found by
+ * keyword search until then). Safe to stop and re-run: it picks up where it left off.
+ */
+import { supabase } from '../config/supabase.js';
+import { getEmbedder } from '../embeddings/index.js';
+import { embedTexts } from '../utils/chunkEmbeddings.js';
+import { searchableText } from '../utils/pdfEmbeddings.js';
+
+const BATCH_SIZE = 100;
+const CONCURRENT_UPDATES = 8;
+
+function parseArgs(argv) {
+  const args = { courseId: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--course') {
+      args.courseId = argv[++i];
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Next batch of chunks without an embedding from this model (embedded chunks drop out of the filter)
+ */
+async function getUnembeddedChunks(model, courseId) {
+  let query = supabase
+    .from('pdf_chunks')
+    .select('id, content, section_title')
+    .or(`embedding_model.is.null,embedding_model.neq."${model}"`)
+    .order('id', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (courseId) {
+    query = query.eq('course_id', courseId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  return data;
+}
+
+async function saveEmbeddings(chunks, vectors, model) {
+  for (let i = 0; i < chunks.length; i += CONCURRENT_UPDATES) {
+    await Promise.all(chunks.slice(i, i + CONCURRENT_UPDATES).map(async (chunk, offset) => {
+      const { error } = await supabase
+        .from('pdf_chunks')
+        .update({ embedding: vectors[i + offset], embedding_model: model })
+        .eq('id', chunk.id);
+
+      if (error) throw error;
+    }));
+  }
+}
+
+async function main() {
+  const { courseId } = parseArgs(process.argv.slice(2));
+  const embedder = getEmbedder();
+
+  if (!embedder) {
+    throw new Error('Embeddings are turned off (EMBEDDING_PROVIDER=none)');
+  }
+
+  let total = 0;
+  const startedAt = Date.now();
+
+  for (;;) {
+    const chunks = await getUnembeddedChunks(embedder.model, courseId);
+
+    if (chunks.length === 0) {
+      break;
+    }
+
+    const vectors = await embedTexts(embedder, chunks.map(searchableText));
+    await saveEmbeddings(chunks, vectors, embedder.model);
+
+    total += chunks.length;
+    console.log(`🧭 Embedded ${total} chunks (${((Date.now() - startedAt) / 1000).toFixed(0)}s)`);
+  }
+
+  console.log(`✅ Done: ${total} chunks embedded with ${embedder.model}`);
+}
+
+main().catch(error => {
+  console.error('Embedding chunks failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,358 @@
+/**
+ * Evaluate course material search against labelled queries
+ *
+ *   node scripts/evaluateRetrieval.js                                 # bundled fixtures and queries
+ *   node scripts/evaluateRetrieval.js --fixtures dir --queries file.json
+ *   node scripts/evaluateRetrieval.js --k 5 --json                    # machine-readable report
+ *   node scripts/evaluateRetrieval.js --min-recall 0.9 --min-mrr 0.8  # exit 1 below these
+ *
+ * Every .pdf in the fixtures directory is ingested as is; every .md file is first rendered to a
+ * PDF (pages separated by a line of ---, "# " lines are headings, ``` fences are code listings
+ * set in Courier). The queries file lists [{ query, expected: [{ file, page }] }].
+ *
+ * The fixtures go through the same extraction, chunking and ranking as uploaded PDFs; only the
+ * database reads are replaced by an in-memory index. Embeddings come from EMBEDDING_PROVIDER like
+ * the server's, so compare runs with the same provider (EMBEDDING_PROVIDER=none for keywords only).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getEmbedder } from '../embeddings/index.js';
+import { embedTexts } from '../utils/chunkEmbeddings.js';
+import { extractAndChunkPDF, searchableText } from '../utils/pdfEmbeddings.js';
+import { countTerms, rankCandidates, scoreBM25, tokenize } from '../utils/searchIndex.js';
+import { buildTextPDF } from './lib/textPdf.js';
+
+const EVAL_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'eval', 'retrieval');
+
+const DEFAULT_K = 8;
+const WRAP_WIDTH = 95;
+
+function parseArgs(argv) {
+  const args = {
+    fixtures: path.join(EVAL_DIR, 'fixtures'),
+    queries: path.join(EVAL_DIR, 'queries.json'),
+    k: DEFAULT_K,
+    json: false,
+    thresholds: {}
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fixtures') {
+      args.fixtures = argv[++i];
+    } else if (argv[i] === '--queries') {
+      args.queries = argv[++i];
+    } else if (argv[i] === '--k') {
+      args.k = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--json') {
+      args.json = true;
+    } else if (['--min-recall', '--min-mrr', '--min-ndcg'].includes(argv[i])) {
+      args.thresholds[argv[i].slice('--min-'.length)] = parseFloat(argv[++i]);
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!Number.isInteger(args.k) || args.k < 1) {
+    throw new Error('--k must be a positive integer');
+  }
+
+  if (Object.values(args.thresholds).some(Number.isNaN)) {
+    throw new Error('--min-recall, --min-mrr and --min-ndcg take a number between 0 and 1');
+  }
+
+  return args;
+}
+
+/**
+ * Break a paragraph into lines of at most WRAP_WIDTH characters, like a typeset page
+ */
+function wrap(text) {
+  const lines = [];
+  let line = '';
+
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    if (line && line.length + 1 + word.length > WRAP_WIDTH) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+
+  if (line) {
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Render a markdown fixture to a PDF
+ * @returns {Buffer}
+ */
+function renderFixture(markdown) {
+  const pages = markdown.split(/^---$/m).map(pageText => {
+    const lines = [];
+    let paragraph = [];
+    let inCode = false;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        lines.push(...wrap(paragraph.join(' ')));
+        paragraph = [];
+      }
+    };
+
+    pageText.trim().split('\n').forEach(line => {
+      if (line.startsWith('```')) {
+        flushParagraph();
+        inCode = !inCode;
+      } else if (inCode) {
+        const indent = line.length - line.trimStart().length;
+        lines.push({ text: line.trim(), style: 'code', indent });
+      } else if (line.startsWith('# ')) {
+        flushParagraph();
+        lines.push({ text: line.slice(2).trim(), style: 'heading' });
+      } else if (!line.trim()) {
+        flushParagraph();
+        lines.push('');
+      } else {
+        paragraph.push(line.trim());
+      }
+    });
+
+    flushParagraph();
+    return lines;
+  });
+
+  return buildTextPDF(pages);
+}
+
+/**
+ * Extract and chunk every fixture, as ingestion would
+ * @returns {Promise<Array>} - Chunks with id and pdf_id set like stored rows
+ */
+async function loadFixtures(dir) {
+  const files = fs.readdirSync(dir).filter(file => /\.(pdf|md)$/i.test(file)).sort();
+
+  if (files.length === 0) {
+    throw new Error(`No .pdf or .md fixtures in ${dir}`);
+  }
+
+  const chunks = [];
+
+  for (const file of files) {
+    const contents = fs.readFileSync(path.join(dir, file));
+    const pdfBuffer = file.toLowerCase().endsWith('.md') ? renderFixture(contents.toString('utf8')) : contents;
+
+    // Silence per-PDF ingestion logs so the report stays readable
+    const log = console.log;
+    console.log = () => {};
+    const fileChunks = await extractAndChunkPDF(pdfBuffer, file).finally(() => {
+      console.log = log;
+    });
+
+    fileChunks.forEach((chunk, index) => {
+      chunks.push({ ...chunk, id: `${file}#${index}`, pdf_id: file });
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * In-memory equivalent of the chunk_terms index and course_search_stats
+ */
+function buildKeywordIndex(chunks) {
+  const postingsByTerm = new Map();
+  let totalTokens = 0;
+
+  chunks.forEach(chunk => {
+    const { termFrequencies, length } = countTerms(searchableText(chunk));
+    totalTokens += length;
+
+    termFrequencies.forEach((tf, term) => {
+      if (!postingsByTerm.has(term)) {
+        postingsByTerm.set(term, []);
+      }
+      postingsByTerm.get(term).push({ chunk_id: chunk.id, term, tf, doc_length: length });
+    });
+  });
+
+  return {
+    postingsByTerm,
+    stats: { chunk_count: chunks.length, total_tokens: totalTokens }
+  };
+}
+
+function keywordScores(index, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const postings = queryTerms.flatMap(term => index.postingsByTerm.get(term) || []);
+
+  return scoreBM25(queryTerms, postings, index.stats);
+}
+
+/**
+ * Cosine similarity of the query to every chunk (the embedders return unit vectors)
+ */
+async function vectorScores(embedder, chunkVectors, query) {
+  if (!embedder) {
+    return new Map();
+  }
+
+  const [queryVector] = await embedTexts(embedder, [query]);
+
+  return new Map([...chunkVectors].map(([id, vector]) => [
+    id,
+    vector.reduce((sum, value, i) => sum + value * queryVector[i], 0)
+  ]));
+}
+
+/**
+ * A chunk answers an expected page when it comes from that file and its pages include it
+ */
+function matchedPages(chunk, expected) {
+  return expected
+    .filter(({ file, page }) => chunk.pdf_id === file && chunk.page <= page && page <= (chunk.page_end || chunk.page))
+    .map(({ file, page }) => `${file}:${page}`);
+}
+
+/**
+ * recall@k, reciprocal rank and nDCG@k of one query's results
+ * A result's gain is 1 when it covers an expected page no earlier result covered, so a second
+ * chunk from an already-found page doesn't count twice
+ */
+function scoreQuery(results, expected, k) {
+  const found = new Set();
+  let firstRelevantRank = null;
+  let dcg = 0;
+
+  results.slice(0, k).forEach((chunk, i) => {
+    const pages = matchedPages(chunk, expected);
+
+    if (pages.length > 0 && firstRelevantRank === null) {
+      firstRelevantRank = i + 1;
+    }
+
+    const newPages = pages.filter(page => !found.has(page));
+    newPages.forEach(page => found.add(page));
+    dcg += newPages.length / Math.log2(i + 2);
+  });
+
+  let idealDcg = 0;
+  for (let i = 0; i < Math.min(expected.length, k); i++) {
+    idealDcg += 1 / Math.log2(i + 2);
+  }
+
+  return {
+    recall: found.size / expected.length,
+    mrr: firstRelevantRank ? 1 / firstRelevantRank : 0,
+    ndcg: idealDcg > 0 ? dcg / idealDcg : 0,
+    firstRelevantRank
+  };
+}
+
+function loadQueries(file) {
+  const queries = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  queries.forEach((entry, i) => {
+    if (typeof entry.query !== 'string' || !Array.isArray(entry.expected) || entry.expected.length === 0) {
+      throw new Error(`Query ${i + 1} in ${file} needs a query string and at least one expected { file, page }`);
+    }
+  });
+
+  return queries;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / Math.max(values.length, 1);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const print = console.log;
+
+  // Keep stdout to the JSON report; progress logs go to stderr
+  if (args.json) {
+    console.log = console.error;
+  }
+
+  const queries = loadQueries(args.queries);
+  const chunks = await loadFixtures(args.fixtures);
+  const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+
+  const unknownFiles = [...new Set(queries.flatMap(({ expected }) => expected.map(({ file }) => file)))]
+    .filter(file => !chunks.some(chunk => chunk.pdf_id === file));
+  if (unknownFiles.length > 0) {
+    throw new Error(`Queries expect pages of files that aren't fixtures: ${unknownFiles.join(', ')}`);
+  }
+
+  const index = buildKeywordIndex(chunks);
+  const embedder = getEmbedder();
+  const chunkVectors = new Map();
+
+  if (embedder) {
+    const vectors = await embedTexts(embedder, chunks.map(searchableText));
+    chunks.forEach((chunk, i) => chunkVectors.set(chunk.id, vectors[i]));
+  }
+
+  const loadChunks = async ids => ids.map(id => chunksById.get(id));
+
+  const results = [];
+  for (const { query, expected } of queries) {
+    const [keyword, vector] = await Promise.all([
+      keywordScores(index, query),
+      vectorScores(embedder, chunkVectors, query)
+    ]);
+
+    const ranked = await rankCandidates(keyword, vector, loadChunks, args.k);
+
+    results.push({
+      query,
+      expected,
+      retrieved: ranked.map(chunk => ({ file: chunk.pdf_id, page: chunk.page, page_end: chunk.page_end, score: chunk.score })),
+      ...scoreQuery(ranked, expected, args.k)
+    });
+  }
+
+  const summary = {
+    k: args.k,
+    embeddings: embedder ? embedder.model : null,
+    chunks: chunks.length,
+    queries: results.length,
+    recall: mean(results.map(result => result.recall)),
+    mrr: mean(results.map(result => result.mrr)),
+    ndcg: mean(results.map(result => result.ndcg))
+  };
+
+  const failures = Object.entries(args.thresholds)
+    .filter(([metric, minimum]) => summary[metric] < minimum)
+    .map(([metric, minimum]) => `${metric} ${summary[metric].toFixed(3)} < ${minimum}`);
+
+  if (args.json) {
+    print(JSON.stringify({ summary, failures, results }, null, 2));
+  } else {
+    console.log(`📚 ${summary.chunks} chunks, ${summary.queries} queries, ${embedder ? `embeddings: ${embedder.model}` : 'keyword search only'}`);
+
+    results.forEach(result => {
+      const status = result.recall === 1 ? '✅' : result.recall > 0 ? '🟡' : '❌';
+      const rank = result.firstRelevantRank ? `#${result.firstRelevantRank}` : 'miss';
+      const top = result.retrieved.slice(0, 3).map(chunk => `${chunk.file}:${chunk.page}`).join(', ');
+      console.log(`${status} ${rank.padEnd(4)} ${result.query}  →  ${top || 'no results'}`);
+    });
+
+    console.log(`\n📊 recall@${args.k} ${summary.recall.toFixed(3)}  MRR ${summary.mrr.toFixed(3)}  nDCG@${args.k} ${summary.ndcg.toFixed(3)}`);
+
+    failures.forEach(failure => console.error(`❌ Below threshold: ${failure}`));
+  }
+
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Retrieval evaluation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+/**
+ * Minimal text-only PDF writer for benchmarks and retrieval fixtures
+ *
+ * Each page is a list of lines, set top to bottom:
+ *   { text, style: 'body' | 'heading' | 'code', indent }  (indent in characters, code only)
+ * Body text is Helvetica 10pt, headings Helvetica-Bold 16pt and code Courier 10pt, like a typical
+ * course handout, so the chunker's heading and listing detection sees realistic input.
+ */
+
+const FONTS = {
+  body: { name: '/F1', size: 10 },
+  heading: { name: '/F2', size: 16 },
+  code: { name: '/F3', size: 10 }
+};
+
+const CODE_CHAR_WIDTH = 6; // Courier advance at 10pt
+
+/**
+ * Escape text for a PDF string literal
+ */
+function pdfString(text) {
+  return `(${text.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+function pageStream(lines) {
+  const operations = ['BT /F1 10 Tf 14 TL 50 760 Td'];
+  let font = 'body';
+
+  lines.forEach(line => {
+    const { text, style = 'body', indent = 0 } = typeof line === 'string' ? { text: line } : line;
+
+    if (style !== font) {
+      operations.push(`${FONTS[style].name} ${FONTS[style].size} Tf`);
+      font = style;
+    }
+
+    // Headings get a blank line above them
+    if (style === 'heading') {
+      operations.push('T*');
+    }
+
+    // Move right for indented lines and back afterwards, keeping the baseline advance
+    const offset = indent * CODE_CHAR_WIDTH;
+    operations.push(offset
+      ? `${offset} 0 Td ${pdfString(text)} Tj ${-offset} 0 Td T*`
+      : `${pdfString(text)} Tj T*`);
+  });
+
+  operations.push('ET');
+  return operations.join('\n');
+}
+
+/**
+ * Build a PDF
+ * @param {Array} pages - One array of lines per page (strings are body text)
+ * @returns {Buffer}
+ */
+export function buildTextPDF(pages) {
+  const objects = [];
+  const fontId = 3;
+  const pageIds = [];
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[fontId] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  objects[fontId + 1] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>';
+  objects[fontId + 2] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>';
+
+  pages.forEach(lines => {
+    const stream = pageStream(lines);
+
+    const contentId = objects.length;
+    objects[contentId] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+
+    const pageId = objects.length;
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${fontId} 0 R /F2 ${fontId + 1} 0 R /F3 ${fontId + 2} 0 R >> >> /Contents ${contentId} 0 R >>`;
+    pageIds.push(pageId);
+  });
+
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
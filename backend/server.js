@@ -3,9 +3,13 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import courseRoutes from './routes/courseRoutes.js';
 import chatRoutes from './routes/chatRoutes.js';
-import pdfRoutes from './routes/pdfRoutes.js';
-import linkRoutes from './routes/linkRoutes.js';
+import pdfRoutes, { ingestionQueue } from './routes/pdfRoutes.js';
+import linkRoutes, { linkIndexer } from './routes/linkRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
+import exerciseRoutes from './routes/exerciseRoutes.js';
+import enrollmentRoutes from './routes/enrollmentRoutes.js';
+import staffRoutes from './routes/staffRoutes.js';
+import topicRoutes from './routes/topicRoutes.js';
 
 dotenv.config();
 
@@ -17,7 +21,7 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Room for plot images attached to chat messages
 app.use(express.urlencoded({ extended: true }));
 
 // Health check route
@@ -31,6 +35,10 @@ app.use('/api/chat', chatRoutes);
 app.use('/api/pdfs', pdfRoutes);
 app.use('/api/links', linkRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/exercises', exerciseRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/topics', topicRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -48,4 +56,14 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📚 MATLAB Tutor API ready`);
+
+  ingestionQueue.resume().catch(error => {
+    console.error('Error resuming PDF ingestion jobs:', error);
+  });
+
+  linkIndexer.resume()
+    .then(() => linkIndexer.startRefreshing())
+    .catch(error => {
+      console.error('Error resuming course link indexing:', error);
+    });
 });
@@ -0,0 +1,138 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDb, resetFakeDb } from './support/supabaseStub.js';
+import { startTestServer } from './support/app.js';
+
+/**
+ * A student chats with the tutor, end to end, without an API key or network
+ *
+ * The mock LLM provider answers (LLM_PROVIDER=mock, see ai/providers/mockProvider.js) and the
+ * in-memory Supabase stub stores the threads and messages.
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.EMBEDDING_PROVIDER = 'none';
+process.env.TOPIC_CLASSIFIER = 'keyword';
+
+// The routes log every step; keep the test output to the results
+console.log = () => {};
+
+const COURSE_ID = 'course-1';
+const STUDENT = { id: 'student-1', email: 'student@example.edu' };
+const QUESTION = 'How do I write a for loop?';
+const MOCK_REPLY_START = `😊 (mock tutor) You asked: "${QUESTION}".`;
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  resetFakeDb({
+    users: [STUDENT],
+    tables: {
+      profiles: [{ id: STUDENT.id, email: STUDENT.email, role: 'student', full_name: 'Sam Student' }],
+      courses: [{ id: COURSE_ID, professor_id: 'owner-1', course_name: 'Intro to MATLAB', learning_goals: 'Loops' }],
+      enrollments: [{ id: 'enrollment-1', course_id: COURSE_ID, student_id: STUDENT.id }]
+    }
+  });
+});
+
+function postMessage(path, body) {
+  return fetch(`${server.baseUrl}/api/chat${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${STUDENT.id}` },
+    body: JSON.stringify({ course_id: COURSE_ID, ...body })
+  });
+}
+
+/**
+ * Split a Server-Sent Events body into [{ event, data }] (comment lines are skipped)
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .map(block => block.split('\n').filter(line => line && !line.startsWith(':')))
+    .filter(lines => lines.length > 0)
+    .map(lines => ({
+      event: lines.find(line => line.startsWith('event: '))?.slice('event: '.length),
+      data: JSON.parse(lines.find(line => line.startsWith('data: ')).slice('data: '.length))
+    }));
+}
+
+function storedMessages(threadId) {
+  return (fakeDb.tables.conversations || [])
+    .filter(row => row.thread_id === threadId)
+    .map(({ role, content, student_id, course_id }) => ({ role, content, student_id, course_id }));
+}
+
+test('POST /api/chat/message replies and stores the exchange in a new thread', async () => {
+  const response = await postMessage('/message', { message: QUESTION });
+  assert.equal(response.status, 200);
+
+  const body = await response.json();
+  assert.ok(body.response.startsWith(MOCK_REPLY_START), body.response);
+  assert.equal(body.thread.course_id, COURSE_ID);
+  assert.deepEqual(body.relevant_materials, []);
+
+  const threads = fakeDb.tables.conversation_threads;
+  assert.equal(threads.length, 1);
+  assert.equal(threads[0].id, body.thread.id);
+  assert.equal(threads[0].student_id, STUDENT.id);
+
+  assert.deepEqual(storedMessages(body.thread.id), [
+    { role: 'user', content: QUESTION, student_id: STUDENT.id, course_id: COURSE_ID },
+    { role: 'assistant', content: body.response, student_id: STUDENT.id, course_id: COURSE_ID }
+  ]);
+});
+
+test('POST /api/chat/message continues an existing thread', async () => {
+  const first = await (await postMessage('/message', { message: QUESTION })).json();
+  const response = await postMessage('/message', { thread_id: first.thread.id, message: 'And a while loop?' });
+  assert.equal(response.status, 200);
+
+  const body = await response.json();
+  assert.equal(body.thread.id, first.thread.id);
+  assert.equal(fakeDb.tables.conversation_threads.length, 1);
+  assert.deepEqual(storedMessages(first.thread.id).map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+});
+
+test('POST /api/chat/message/stream streams the reply as deltas, then done, and stores it', async () => {
+  const response = await postMessage('/message/stream', { message: QUESTION });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = parseEvents(await response.text());
+  const deltas = events.filter(({ event }) => event === 'delta');
+  const done = events.at(-1);
+
+  assert.ok(deltas.length > 0);
+  assert.equal(done.event, 'done');
+  assert.equal(events.filter(({ event }) => event === 'error').length, 0);
+  assert.ok(done.data.response.startsWith(MOCK_REPLY_START), done.data.response);
+  assert.equal(deltas.map(({ data }) => data.text).join(''), done.data.response);
+  assert.equal(done.data.thread.course_id, COURSE_ID);
+
+  assert.deepEqual(storedMessages(done.data.thread.id), [
+    { role: 'user', content: QUESTION, student_id: STUDENT.id, course_id: COURSE_ID },
+    { role: 'assistant', content: done.data.response, student_id: STUDENT.id, course_id: COURSE_ID }
+  ]);
+});
+
+test('POST /api/chat/message/stream rejects a message without text before streaming', async () => {
+  const response = await postMessage('/message/stream', {});
+  assert.equal(response.status, 400);
+  assert.equal(fakeDb.tables.conversation_threads, undefined);
+});
+
+test('POST /api/chat/message/stream reports an unknown thread as an error event', async () => {
+  const response = await postMessage('/message/stream', { thread_id: 'thread-missing', message: QUESTION });
+  assert.equal(response.status, 200);
+
+  const events = parseEvents(await response.text());
+  assert.deepEqual(events, [{ event: 'error', data: { error: 'Thread not found' } }]);
+  assert.equal(fakeDb.tables.conversations, undefined);
+});
@@ -0,0 +1,230 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDb, resetFakeDb } from './support/supabaseStub.js';
+import { ROUTERS, startTestServer } from './support/app.js';
+import { COURSE_PERMISSIONS } from '../utils/courseAccess.js';
+
+/**
+ * Every route refuses people who shouldn't use it before it reads or changes anything, and lets
+ * in the people who should
+ *
+ * Routes run against an in-memory Supabase stub holding one course with its professor, a student,
+ * a TA without any staff permission, a TA with every staff permission and an outsider (a professor
+ * of another course). Each route is called as the people who must be refused; they must get a 401,
+ * 403 or 404 and no write may happen. A route per role and permission is also called as the people
+ * it must serve, who must get a 2xx.
+ */
+
+const COURSE_ID = 'course-1';
+const RECORD_ID = 'record-1';
+const THREAD_ID = 'thread-1';
+
+const USERS = {
+  owner: { id: 'owner-1', email: 'owner@example.edu', role: 'professor' },
+  student: { id: 'student-1', email: 'student@example.edu', role: 'student' },
+  staff: { id: 'ta-1', email: 'ta@example.edu', role: 'student' },
+  permittedStaff: { id: 'ta-2', email: 'ta2@example.edu', role: 'student' },
+  outsider: { id: 'outsider-1', email: 'outsider@example.edu', role: 'professor' }
+};
+
+// Values for the routes' URL parameters; every :id is a record of the course (exercise, PDF, link,
+// invite), except in /api/courses where it's the course itself
+const PARAMS = {
+  id: RECORD_ID,
+  course_id: COURSE_ID,
+  courseId: COURSE_ID,
+  thread_id: THREAD_ID,
+  student_id: USERS.student.id,
+  studentId: USERS.student.id,
+  user_id: USERS.staff.id,
+  invite_id: RECORD_ID
+};
+
+const OUTSIDERS = ['outsider'];
+const NON_STAFF = ['outsider', 'student'];
+const LACKING_PERMISSION = ['outsider', 'student', 'staff'];
+
+// Who each route must refuse (besides requests without a token, which every route refuses)
+const DENIED = {
+  'GET /api/courses/:id': OUTSIDERS,
+  'POST /api/courses/': ['student'],
+  'PUT /api/courses/:id': LACKING_PERMISSION,
+  'GET /api/courses/:id/tutor-prompt': LACKING_PERMISSION,
+  'GET /api/courses/:id/search-explain': [...LACKING_PERMISSION, 'permittedStaff'],
+  'DELETE /api/courses/:id': LACKING_PERMISSION,
+
+  'POST /api/chat/message': OUTSIDERS,
+  'POST /api/chat/message/stream': OUTSIDERS,
+  'GET /api/chat/threads': OUTSIDERS,
+  'POST /api/chat/threads': OUTSIDERS,
+  'PUT /api/chat/threads/:thread_id': ['outsider', 'staff'],
+  'DELETE /api/chat/threads/:thread_id': ['outsider', 'staff'],
+  'GET /api/chat/threads/:thread_id/messages': ['outsider', 'staff'],
+  'DELETE /api/chat/threads/:thread_id/messages': ['outsider', 'staff'],
+  'GET /api/chat/history/:course_id': OUTSIDERS,
+
+  'POST /api/pdfs/upload': LACKING_PERMISSION,
+  'POST /api/pdfs/:id/versions': LACKING_PERMISSION,
+  'GET /api/pdfs/:course_id': OUTSIDERS,
+  'GET /api/pdfs/:id/status': LACKING_PERMISSION,
+  'POST /api/pdfs/:id/retry': LACKING_PERMISSION,
+  'GET /api/pdfs/:id/document': OUTSIDERS,
+  'DELETE /api/pdfs/:id': LACKING_PERMISSION,
+
+  'GET /api/links/:course_id': OUTSIDERS,
+  'POST /api/links/': LACKING_PERMISSION,
+  'POST /api/links/:id/refresh': LACKING_PERMISSION,
+  'DELETE /api/links/:id': LACKING_PERMISSION,
+
+  'GET /api/analytics/course/:courseId/overview': LACKING_PERMISSION,
+  'GET /api/analytics/course/:courseId/students': LACKING_PERMISSION,
+  'GET /api/analytics/course/:courseId/topics': LACKING_PERMISSION,
+  'GET /api/analytics/course/:courseId/mastery': LACKING_PERMISSION,
+  'GET /api/analytics/me/:courseId/mastery': OUTSIDERS,
+  'GET /api/analytics/student/:studentId/:courseId': LACKING_PERMISSION,
+
+  'GET /api/exercises/course/:course_id': OUTSIDERS,
+  'GET /api/exercises/:id': OUTSIDERS,
+  'POST /api/exercises/': LACKING_PERMISSION,
+  'PUT /api/exercises/:id': LACKING_PERMISSION,
+  'DELETE /api/exercises/:id': LACKING_PERMISSION,
+  'POST /api/exercises/:id/submit': OUTSIDERS,
+  'GET /api/exercises/:id/submissions': OUTSIDERS,
+
+  'POST /api/enrollments/join': ['outsider'],
+  'GET /api/enrollments/course/:course_id': LACKING_PERMISSION,
+  'POST /api/enrollments/course/:course_id/join-code': LACKING_PERMISSION,
+  'DELETE /api/enrollments/course/:course_id/join-code': LACKING_PERMISSION,
+  'POST /api/enrollments/course/:course_id/invites': LACKING_PERMISSION,
+  'DELETE /api/enrollments/course/:course_id/invites/:invite_id': LACKING_PERMISSION,
+  'DELETE /api/enrollments/course/:course_id/students/:student_id': ['outsider', 'staff'],
+
+  'GET /api/staff/course/:course_id': NON_STAFF,
+  'POST /api/staff/course/:course_id': LACKING_PERMISSION,
+  'PUT /api/staff/course/:course_id/:user_id': LACKING_PERMISSION,
+  'DELETE /api/staff/course/:course_id/:user_id': NON_STAFF,
+
+  'GET /api/topics/course/:course_id': OUTSIDERS,
+  'PUT /api/topics/course/:course_id': LACKING_PERMISSION
+};
+
+// Who a route per role and permission must serve
+const ALLOWED = {
+  'GET /api/courses/:id': ['owner', 'permittedStaff', 'student'],
+  'GET /api/topics/course/:course_id': ['owner', 'permittedStaff', 'student'],
+  'GET /api/analytics/me/:courseId/mastery': ['student'],
+  'GET /api/staff/course/:course_id': ['owner', 'permittedStaff'],
+  'DELETE /api/courses/:id': ['owner'],
+  'GET /api/courses/:id/tutor-prompt': ['owner', 'permittedStaff'],
+  'GET /api/pdfs/:id/status': ['owner', 'permittedStaff'],
+  'GET /api/analytics/course/:courseId/overview': ['owner', 'permittedStaff'],
+  'GET /api/analytics/student/:studentId/:courseId': ['owner', 'permittedStaff']
+};
+
+// Routes any signed-in user may call: they aren't tied to a course, or only touch the caller's own data
+const OPEN_TO_SIGNED_IN = [
+  'GET /api/courses/',
+  'GET /api/courses/options',
+  'DELETE /api/chat/history/:course_id',
+  'POST /api/chat/execute',
+  'GET /api/topics/template'
+];
+
+function seedDb() {
+  const record = { id: RECORD_ID, course_id: COURSE_ID };
+
+  resetFakeDb({
+    users: Object.values(USERS).map(({ id, email }) => ({ id, email })),
+    tables: {
+      profiles: Object.values(USERS).map(({ id, email, role }) => ({ id, email, role, full_name: id })),
+      courses: [{ id: COURSE_ID, professor_id: USERS.owner.id }],
+      course_staff: [
+        { course_id: COURSE_ID, user_id: USERS.staff.id, role: 'ta', permissions: [] },
+        { course_id: COURSE_ID, user_id: USERS.permittedStaff.id, role: 'ta', permissions: COURSE_PERMISSIONS }
+      ],
+      enrollments: [{ id: 'enrollment-1', course_id: COURSE_ID, student_id: USERS.student.id }],
+      conversation_threads: [{ id: THREAD_ID, course_id: COURSE_ID, student_id: USERS.student.id }],
+      exercises: [record],
+      pdfs: [record],
+      ingestion_jobs: [{ id: 'job-1', pdf_id: RECORD_ID, status: 'done' }],
+      course_links: [record],
+      course_invites: [record]
+    }
+  });
+}
+
+/**
+ * List the routes of every router, e.g. 'PUT /api/courses/:id'
+ */
+function listRoutes() {
+  return Object.entries(ROUTERS).flatMap(([mount, router]) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${mount}${layer.route.path}`)));
+}
+
+let server;
+
+async function call(route, userKey) {
+  const [method, template] = route.split(' ');
+  const params = template.startsWith('/api/courses/') ? { ...PARAMS, id: COURSE_ID } : PARAMS;
+  const path = template.replace(/:(\w+)/g, (match, name) => params[name]);
+  const query = method === 'GET' || method === 'DELETE' ? `?course_id=${COURSE_ID}` : '';
+
+  const response = await fetch(`${server.baseUrl}${path}${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(userKey && { Authorization: `Bearer ${USERS[userKey].id}` })
+    },
+    ...(method !== 'GET' && { body: JSON.stringify({ course_id: COURSE_ID, message: 'How do loops work?', code: 'x = 1' }) })
+  });
+
+  await response.body?.cancel();
+  return response.status;
+}
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+test('every route is listed with who it refuses', () => {
+  const unlisted = listRoutes().filter(route => !DENIED[route] && !OPEN_TO_SIGNED_IN.includes(route));
+  assert.deepEqual(unlisted, [], 'Add new routes to DENIED (or OPEN_TO_SIGNED_IN)');
+});
+
+describe('requests without a valid token', () => {
+  for (const route of listRoutes()) {
+    test(`${route} responds 401`, async () => {
+      seedDb();
+      assert.equal(await call(route, null), 401);
+      assert.deepEqual(fakeDb.writes, []);
+    });
+  }
+});
+
+for (const [route, userKeys] of Object.entries(DENIED)) {
+  describe(route, () => {
+    for (const userKey of userKeys) {
+      test(`refuses the ${userKey}`, async () => {
+        seedDb();
+        const status = await call(route, userKey);
+        assert.ok([401, 403, 404].includes(status), `expected 401, 403 or 404, got ${status}`);
+        assert.deepEqual(fakeDb.writes, []);
+      });
+    }
+  });
+}
+
+for (const [route, userKeys] of Object.entries(ALLOWED)) {
+  describe(route, () => {
+    for (const userKey of userKeys) {
+      test(`serves the ${userKey}`, async () => {
+        seedDb();
+        const status = await call(route, userKey);
+        assert.ok(status >= 200 && status < 300, `expected a 2xx, got ${status}`);
+      });
+    }
+  });
+}
@@ -0,0 +1,47 @@
+import express from 'express';
+import courseRoutes from '../../routes/courseRoutes.js';
+import chatRoutes from '../../routes/chatRoutes.js';
+import pdfRoutes from '../../routes/pdfRoutes.js';
+import linkRoutes from '../../routes/linkRoutes.js';
+import analyticsRoutes from '../../routes/analyticsRoutes.js';
+import exerciseRoutes from '../../routes/exerciseRoutes.js';
+import enrollmentRoutes from '../../routes/enrollmentRoutes.js';
+import staffRoutes from '../../routes/staffRoutes.js';
+import topicRoutes from '../../routes/topicRoutes.js';
+
+// Mounted as in server.js
+export const ROUTERS = {
+  '/api/courses': courseRoutes,
+  '/api/chat': chatRoutes,
+  '/api/pdfs': pdfRoutes,
+  '/api/links': linkRoutes,
+  '/api/analytics': analyticsRoutes,
+  '/api/exercises': exerciseRoutes,
+  '/api/enrollments': enrollmentRoutes,
+  '/api/staff': staffRoutes,
+  '/api/topics': topicRoutes
+};
+
+/**
+ * Serve the API routes on a free local port (without server.js's startup work)
+ * @returns {Promise<Object>} - { baseUrl, close }
+ */
+export async function startTestServer() {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  Object.entries(ROUTERS).forEach(([mount, router]) => app.use(mount, router));
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+}
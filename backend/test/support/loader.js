@@ -0,0 +1,7 @@
+const SUPABASE_CONFIG = new URL('../../config/supabase.js', import.meta.url).href;
+const SUPABASE_STUB = new URL('./supabaseStub.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  return resolved.url === SUPABASE_CONFIG ? { ...resolved, url: SUPABASE_STUB } : resolved;
+}
@@ -0,0 +1,5 @@
+import { register } from 'node:module';
+
+// Load test/support/supabaseStub.js wherever the app imports config/supabase.js, so routes can be
+// tested without a Supabase project (node --import ./test/support/register.js)
+register('./loader.js', import.meta.url);
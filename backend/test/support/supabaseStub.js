@@ -0,0 +1,156 @@
+/**
+ * In-memory stand-in for config/supabase.js (swapped in by test/support/register.js)
+ *
+ * Tables hold plain rows. Queries filter them with eq(), in() and is() and ignore every other
+ * filter, ordering and embedded selects, which is enough for the flows under test. Writes are
+ * applied to the tables (inserted rows get an id and created_at) and also recorded in `writes`,
+ * so a test can check what a request changed. Bearer tokens are user IDs.
+ */
+
+export const fakeDb = {
+  tables: {},
+  users: {},
+  writes: []
+};
+
+let nextId = 1;
+
+/**
+ * Replace the fake database's contents
+ * @param {Object} options - { tables: { name: [rows] }, users: [{ id, email }] }
+ */
+export function resetFakeDb({ tables = {}, users = [] } = {}) {
+  fakeDb.tables = tables;
+  fakeDb.users = Object.fromEntries(users.map(user => [user.id, user]));
+  fakeDb.writes = [];
+}
+
+function tableRows(table) {
+  fakeDb.tables[table] = fakeDb.tables[table] || [];
+  return fakeDb.tables[table];
+}
+
+function newRow(table, values) {
+  return { id: `${table}-${nextId++}`, created_at: new Date().toISOString(), ...values };
+}
+
+function createQuery(table) {
+  const filters = [];
+  let single = false;
+  let write = null;
+
+  const matches = row => filters.every(filter => filter(row));
+
+  const applyWrite = () => {
+    const rows = tableRows(table);
+    const values = [].concat(write.values ?? []);
+
+    if (write.type === 'insert') {
+      const inserted = values.map(value => newRow(table, value));
+      rows.push(...inserted);
+      return inserted;
+    }
+
+    if (write.type === 'upsert') {
+      const keys = (write.options?.onConflict || 'id').split(',');
+      return values.map(value => {
+        const existing = rows.find(row => keys.every(key => row[key] === value[key]));
+        if (existing) {
+          return Object.assign(existing, value);
+        }
+        const inserted = newRow(table, value);
+        rows.push(inserted);
+        return inserted;
+      });
+    }
+
+    const affected = rows.filter(matches);
+
+    if (write.type === 'update') {
+      affected.forEach(row => Object.assign(row, write.values));
+    } else {
+      fakeDb.tables[table] = rows.filter(row => !affected.includes(row));
+    }
+
+    return affected;
+  };
+
+  const run = () => {
+    let rows;
+
+    if (write) {
+      fakeDb.writes.push({ table, type: write.type, values: write.values });
+      rows = applyWrite();
+    } else {
+      rows = tableRows(table).filter(matches);
+    }
+
+    return { data: single ? rows[0] ?? null : rows, error: null };
+  };
+
+  const query = new Proxy({}, {
+    get(target, method) {
+      if (method === 'then') {
+        return (resolve, reject) => Promise.resolve().then(run).then(resolve, reject);
+      }
+
+      return (...args) => {
+        const [column, value] = args;
+
+        if (method === 'eq') {
+          filters.push(row => row[column] === value);
+        } else if (method === 'in') {
+          filters.push(row => value.includes(row[column]));
+        } else if (method === 'is') {
+          filters.push(row => (row[column] ?? null) === value);
+        } else if (method === 'maybeSingle' || method === 'single') {
+          single = true;
+        } else if (['insert', 'update', 'upsert', 'delete'].includes(method)) {
+          write = { type: method, values: args[0], options: args[1] };
+        }
+        return query;
+      };
+    }
+  });
+
+  return query;
+}
+
+export const supabase = {
+  from: table => createQuery(table),
+
+  rpc: async (name, params) => {
+    fakeDb.writes.push({ type: 'rpc', name, values: params });
+    return { data: null, error: null };
+  },
+
+  storage: {
+    from: bucket => createQuery(`storage:${bucket}`)
+  },
+
+  auth: {
+    getUser: async (token) => {
+      const user = fakeDb.users[token];
+      return user
+        ? { data: { user }, error: null }
+        : { data: { user: null }, error: new Error('invalid JWT') };
+    }
+  }
+};
+
+// Same contract as config/supabase.js
+export const getAuthUser = async (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('No authorization token provided');
+  }
+
+  const { data: { user }, error } = await supabase.auth.getUser(authHeader.substring(7));
+
+  if (error || !user) {
+    throw new Error('Invalid token');
+  }
+
+  return user;
+};
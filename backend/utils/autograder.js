@@ -0,0 +1,361 @@
+import crypto from 'crypto';
+import { RESERVED_FILENAMES } from '../executors/supportingFiles.js';
+
+/**
+ * Autograder for coding exercises
+ *
+ * The student's code is saved as a function file (<function_name>.m) next to a generated harness
+ * that calls the function once per test and prints each return value in a simple serialised form.
+ * Expected values never enter Octave: they are compared here, so student code can't read
+ * hidden test answers from the harness or its workspace. The harness deletes its own file before
+ * the first test, so student code can't read the hidden tests' inputs from it either.
+ */
+
+export const DEFAULT_TOLERANCE = 1e-6;
+
+const FUNCTION_NAME_REGEX = /^[A-Za-z][A-Za-z0-9_]{0,62}$/;
+
+// Student output (disp, fprintf) returned with the results
+const MAX_STDOUT_RETURNED = 2000;
+
+// Shown instead of the run's error output when some tests are hidden
+const HIDDEN_TESTS_ERROR = 'Your code did not run to completion (check for errors or a call to exit)';
+
+/**
+ * Check that a function name is a valid MATLAB identifier
+ * @param {string} name - Function name
+ * @returns {boolean}
+ */
+export function isValidFunctionName(name) {
+  return typeof name === 'string' && FUNCTION_NAME_REGEX.test(name);
+}
+
+/**
+ * Check whether a function's file would clash with the files the executors write (main.m, tutor_run.m)
+ * @param {string} name - Function name
+ * @returns {boolean}
+ */
+export function isReservedFunctionName(name) {
+  return RESERVED_FILENAMES.includes(`${name}.m`);
+}
+
+/**
+ * Parse a MATLAB literal used as a test's expected value
+ * Supports numbers (incl. Inf/NaN), true/false, vectors and matrices ([1 2; 3 4]) and strings ('abc' or "abc")
+ * @param {string} text - The literal as written by the professor
+ * @returns {Object} - { type: 'num', size: [rows, cols], values (column-major) } or { type: 'char', value }
+ * @throws {Error} - If the literal isn't supported
+ */
+export function parseMatlabLiteral(text) {
+  const source = (text ?? '').toString().trim();
+
+  if (!source) {
+    throw new Error('Expected value is empty');
+  }
+
+  const stringMatch = /^'((?:[^']|'')*)'$/.exec(source) || /^"((?:[^"]|"")*)"$/.exec(source);
+  if (stringMatch) {
+    const quote = source[0];
+    return { type: 'char', value: stringMatch[1].split(quote + quote).join(quote) };
+  }
+
+  const body = source.startsWith('[') && source.endsWith(']')
+    ? source.slice(1, -1).trim()
+    : source;
+
+  if (!body) {
+    return { type: 'num', size: [0, 0], values: [] };
+  }
+
+  const rows = body
+    .split(/;|\n/)
+    .map(row => row.trim())
+    .filter(row => row)
+    .map(row => row.split(/[\s,]+/).filter(token => token).map(parseNumberToken));
+
+  const columns = rows[0].length;
+  if (rows.some(row => row.length !== columns)) {
+    throw new Error(`Rows of "${source}" have different lengths`);
+  }
+
+  // Store column-major, like MATLAB's value(:)
+  const values = [];
+  for (let col = 0; col < columns; col++) {
+    rows.forEach(row => values.push(row[col]));
+  }
+
+  return { type: 'num', size: [rows.length, columns], values };
+}
+
+function parseNumberToken(token) {
+  const lower = token.toLowerCase();
+
+  if (lower === 'true') return 1;
+  if (lower === 'false') return 0;
+  if (lower === 'inf' || lower === '+inf') return Infinity;
+  if (lower === '-inf') return -Infinity;
+  if (lower === 'nan') return NaN;
+
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(token)) {
+    throw new Error(`"${token}" is not a number (expected values must be literals, e.g. 6, [1 2; 3 4] or 'text')`);
+  }
+
+  return parseFloat(token);
+}
+
+/**
+ * Format a parsed value for feedback messages
+ * @param {Object} value - Parsed value ({ type: 'num' | 'char' | ... })
+ * @returns {string}
+ */
+export function formatValue(value) {
+  if (value.type === 'char') {
+    return `'${value.value.replace(/'/g, "''")}'`;
+  }
+
+  if (value.type !== 'num') {
+    return `a ${value.className || 'value'}`;
+  }
+
+  const [rows, cols] = value.size;
+  if (rows * cols > 25) {
+    return `a ${rows}x${cols} matrix`;
+  }
+
+  const formatNumber = (n) => (Number.isFinite(n) ? `${Number(n.toPrecision(6))}` : `${n}`.replace('Infinity', 'Inf'));
+
+  if (rows === 1 && cols === 1) {
+    return formatNumber(value.values[0]);
+  }
+
+  const rowTexts = [];
+  for (let r = 0; r < rows; r++) {
+    const row = [];
+    for (let c = 0; c < cols; c++) {
+      row.push(formatNumber(value.values[c * rows + r]));
+    }
+    rowTexts.push(row.join(' '));
+  }
+
+  return `[${rowTexts.join('; ')}]`;
+}
+
+/**
+ * Compare an actual value from the harness with the expected one
+ * Numbers match within tolerance (absolute, scaled by the expected magnitude when it's above 1)
+ * @returns {Object} - { passed, message }
+ */
+export function compareValues(actual, expected, tolerance = DEFAULT_TOLERANCE) {
+  if (actual.type === 'other') {
+    return { passed: false, message: `Expected ${formatValue(expected)}, but the function returned a ${actual.className}` };
+  }
+
+  if (expected.type === 'char' || actual.type === 'char') {
+    if (expected.type !== actual.type) {
+      return {
+        passed: false,
+        message: `Expected ${expected.type === 'char' ? 'text' : 'a number'} ${formatValue(expected)}, got ${formatValue(actual)}`
+      };
+    }
+    return actual.value === expected.value
+      ? { passed: true, message: 'Passed' }
+      : { passed: false, message: `Expected ${formatValue(expected)}, got ${formatValue(actual)}` };
+  }
+
+  if (actual.size[0] !== expected.size[0] || actual.size[1] !== expected.size[1]) {
+    return {
+      passed: false,
+      message: `Expected a ${expected.size.join('x')} result, got ${actual.size.join('x')}: ${formatValue(actual)}`
+    };
+  }
+
+  const matches = expected.values.every((e, i) => {
+    const a = actual.values[i];
+    if (Number.isNaN(e)) return Number.isNaN(a);
+    if (!Number.isFinite(e)) return a === e;
+    return Math.abs(a - e) <= tolerance * Math.max(1, Math.abs(e));
+  });
+
+  return matches
+    ? { passed: true, message: 'Passed' }
+    : { passed: false, message: `Expected ${formatValue(expected)}, got ${formatValue(actual)}` };
+}
+
+/**
+ * Build the Octave harness that calls the student's function once per test
+ * @param {string} functionName - The function under test
+ * @param {Array} tests - [{ inputs }] - inputs is the MATLAB argument list, e.g. "[1 2 3], 2"
+ * @param {string} marker - Random prefix for result lines
+ * @returns {string} - Octave script; it first deletes every .m file next to it except the function's
+ *   (itself included - Octave has already parsed it)
+ */
+export function buildTestHarness(functionName, tests, marker) {
+  const testBlocks = tests.map((test, index) => `
+try
+  tutor_value__ = ${functionName}(${(test.inputs || '').trim()});
+  tutor_report__('${marker}', ${index + 1}, tutor_value__);
+catch tutor_err__
+  printf('%s|%d|error|%s\\n', '${marker}', ${index + 1}, tutor_escape__(tutor_err__.message));
+end_try_catch`).join('\n');
+
+  return `1;
+tutor_keep__ = '${functionName}.m';
+tutor_files__ = dir('*.m');
+for tutor_i__ = 1:numel(tutor_files__)
+  if !strcmp(tutor_files__(tutor_i__).name, tutor_keep__)
+    delete(tutor_files__(tutor_i__).name);
+  end
+end
+clear tutor_keep__ tutor_files__ tutor_i__
+
+function out = tutor_escape__(text)
+  out = strrep(strrep(strrep(text, '\\', '\\\\'), "\\n", '\\n'), "\\r", '\\r');
+end
+
+function tutor_report__(marker, index, value)
+  if ischar(value)
+    printf('%s|%d|char|%s\\n', marker, index, tutor_escape__(value(:)'));
+  elseif (isnumeric(value) || islogical(value)) && isreal(value) && ndims(value) == 2
+    printf('%s|%d|num|%d %d|%s\\n', marker, index, size(value, 1), size(value, 2), sprintf('%.17g ', double(value(:))));
+  else
+    printf('%s|%d|other|%s\\n', marker, index, class(value));
+  end
+end
+${testBlocks}
+`;
+}
+
+function unescape(text) {
+  return text.replace(/\\(\\|n|r)/g, (match, ch) => ({ '\\': '\\', n: '\n', r: '\r' }[ch]));
+}
+
+function parseNumber(token) {
+  if (token === 'Inf') return Infinity;
+  if (token === '-Inf') return -Infinity;
+  if (token === 'NaN' || token === '-NaN') return NaN;
+  return parseFloat(token);
+}
+
+/**
+ * Read the harness's result lines (<marker>|<test number>|<kind>|<payload>) from stdout
+ * The last line per test wins, so output the student's code prints mid-test can't replace the real result
+ * @returns {Object} - { reports: Map(testNumber -> actual value or { type: 'error', message }), studentOutput }
+ */
+export function parseHarnessOutput(stdout, marker) {
+  const reports = new Map();
+  const studentLines = [];
+
+  (stdout || '').split('\n').forEach(line => {
+    if (!line.startsWith(`${marker}|`)) {
+      studentLines.push(line);
+      return;
+    }
+
+    const [, indexText, kind, ...rest] = line.split('|');
+    const index = parseInt(indexText, 10);
+    const payload = rest.join('|');
+
+    if (kind === 'error') {
+      reports.set(index, { type: 'error', message: unescape(payload) });
+    } else if (kind === 'char') {
+      reports.set(index, { type: 'char', value: unescape(payload) });
+    } else if (kind === 'num') {
+      const [sizeText, valuesText = ''] = rest;
+      reports.set(index, {
+        type: 'num',
+        size: sizeText.trim().split(/\s+/).map(n => parseInt(n, 10)),
+        values: valuesText.trim() ? valuesText.trim().split(/\s+/).map(parseNumber) : []
+      });
+    } else {
+      reports.set(index, { type: 'other', className: payload });
+    }
+  });
+
+  return { reports, studentOutput: studentLines.join('\n').trim() };
+}
+
+/**
+ * Check that the submitted code defines the exercise's function at the top of the file
+ * @returns {string|null} - An error message, or null if the code looks right
+ */
+export function checkFunctionDefinition(code, functionName) {
+  // Comments and blank lines may come before the function line
+  const firstStatement = code
+    .split('\n')
+    .map(line => line.trim())
+    .find(line => line && !line.startsWith('%') && !line.startsWith('#'));
+
+  const definition = new RegExp(`^function\\b.*\\b${functionName}\\s*(\\(|$)`);
+
+  if (!firstStatement || !definition.test(firstStatement)) {
+    return `Your code must start with the function definition, e.g. "function result = ${functionName}(...)"`;
+  }
+
+  return null;
+}
+
+/**
+ * Grade a submission by running the student's function against every test
+ * @param {Object} executor - Code executor (see executors/index.js)
+ * @param {Object} params - { functionName, tests: [{ id, name, inputs, expected, tolerance, hidden, points }], code }
+ * @returns {Promise<Object>} - { status: 'passed' | 'failed' | 'error', score, max_score, results, output, error,
+ *   stderr } - error is safe to show students; stderr is the run's full error output, for the professor and staff
+ */
+export async function gradeSubmission(executor, { functionName, tests, code }) {
+  const maxScore = tests.reduce((total, test) => total + (test.points || 0), 0);
+  const definitionError = checkFunctionDefinition(code, functionName);
+
+  if (definitionError) {
+    return { status: 'error', score: 0, max_score: maxScore, results: [], output: '', error: definitionError };
+  }
+
+  const marker = `@@tutor_test_${crypto.randomBytes(8).toString('hex')}`;
+  const execution = await executor.execute(buildTestHarness(functionName, tests, marker), {
+    captureFigures: false,
+    files: { [`${functionName}.m`]: code }
+  });
+
+  const { reports, studentOutput } = parseHarnessOutput(execution.stdout, marker);
+  // stderr is the student's to write to (e.g. hidden test inputs), so it isn't quoted when some tests are hidden
+  const hasHiddenTests = tests.some(test => test.hidden);
+  const firstErrorLine = hasHiddenTests ? '' : (execution.stderr || '').split('\n').find(line => line.trim()) || '';
+
+  const results = tests.map((test, index) => {
+    const actual = reports.get(index + 1);
+    const base = {
+      test_id: test.id,
+      name: test.name,
+      hidden: !!test.hidden,
+      points: test.points || 0
+    };
+
+    if (!actual) {
+      const message = execution.timedOut
+        ? 'Did not finish: the run timed out (check for infinite loops)'
+        : `Did not run${firstErrorLine ? `: ${firstErrorLine}` : ''}`;
+      return { ...base, passed: false, message };
+    }
+
+    if (actual.type === 'error') {
+      return { ...base, passed: false, message: `Error: ${actual.message}` };
+    }
+
+    const { passed, message } = compareValues(actual, parseMatlabLiteral(test.expected), test.tolerance ?? DEFAULT_TOLERANCE);
+    return { ...base, passed, message, actual: formatValue(actual) };
+  });
+
+  const score = results.reduce((total, result) => total + (result.passed ? result.points : 0), 0);
+  const status = reports.size === 0 ? 'error' : results.every(result => result.passed) ? 'passed' : 'failed';
+
+  console.log(`📝 Graded ${functionName}: ${score}/${maxScore} (${status})`);
+
+  return {
+    status,
+    score,
+    max_score: maxScore,
+    results,
+    output: studentOutput.slice(0, MAX_STDOUT_RETURNED),
+    error: status === 'error' ? (hasHiddenTests ? HIDDEN_TESTS_ERROR : execution.stderr || 'Your code did not run') : null,
+    stderr: execution.stderr || ''
+  };
+}
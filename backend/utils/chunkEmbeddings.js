@@ -0,0 +1,46 @@
+import { EMBEDDING_DIMENSIONS } from '../embeddings/index.js';
+
+/**
+ * Embed chunk texts with the configured embedder
+ * @param {Object} embedder - From getEmbedder()
+ * @param {Array} texts - Chunk contents
+ * @returns {Promise<Array>} - One vector per text
+ */
+export async function embedTexts(embedder, texts) {
+  const vectors = await embedder.embed(texts);
+
+  if (vectors.length !== texts.length) {
+    throw new Error(`Embedder returned ${vectors.length} vectors for ${texts.length} texts`);
+  }
+
+  const wrongSize = vectors.find(vector => vector.length !== EMBEDDING_DIMENSIONS);
+  if (wrongSize) {
+    throw new Error(`${embedder.model} produces ${wrongSize.length}-dimensional vectors; the index stores ${EMBEDDING_DIMENSIONS}`);
+  }
+
+  return vectors;
+}
+
+/**
+ * Find a course's chunks closest in meaning to a query
+ * @param {Object} supabase - Supabase client
+ * @param {Object} embedder - From getEmbedder()
+ * @param {string} courseId - Course ID
+ * @param {string} query - Student's message
+ * @param {number} count - Number of chunks to return
+ * @returns {Promise<Map>} - chunk ID -> cosine similarity, most similar first
+ */
+export async function matchChunkEmbeddings(supabase, embedder, courseId, query, count) {
+  const [queryVector] = await embedTexts(embedder, [query]);
+
+  const { data, error } = await supabase.rpc('match_chunk_embeddings', {
+    p_course_id: courseId,
+    p_embedding: queryVector,
+    p_model: embedder.model,
+    p_match_count: count
+  });
+
+  if (error) throw error;
+
+  return new Map((data || []).map(({ chunk_id, similarity }) => [chunk_id, similarity]));
+}
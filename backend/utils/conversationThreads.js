@@ -0,0 +1,135 @@
+/**
+ * Conversation thread helpers
+ * A student can keep several named threads per course ("Homework 3", "Exam review");
+ * every message, rolling summary and analytics event belongs to one thread.
+ */
+
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * Clean up a thread title (collapse whitespace, cap the length)
+ * @param {string} title - Title entered by the student
+ * @returns {string} - Cleaned title, or '' if nothing usable is left
+ */
+export function normalizeThreadTitle(title) {
+  if (typeof title !== 'string') {
+    return '';
+  }
+
+  const cleaned = title.replace(/\s+/g, ' ').trim();
+
+  if (cleaned.length <= MAX_TITLE_LENGTH) {
+    return cleaned;
+  }
+
+  return `${cleaned.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…`;
+}
+
+/**
+ * Derive a title for a thread started without one from its first message
+ * @param {string} message - The student's first message
+ * @returns {string} - Thread title
+ */
+export function titleFromMessage(message) {
+  // Code submissions start with a fixed prompt - keep the title readable
+  const firstLine = (message || '')
+    .split('\n')
+    .map(line => line.trim())
+    .find(line => line && !line.startsWith('```'));
+
+  return normalizeThreadTitle(firstLine) || 'New conversation';
+}
+
+/**
+ * Create a thread for a student in a course
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { studentId, courseId, title }
+ * @returns {Promise<Object>} - The created thread
+ */
+export async function createThread(supabase, { studentId, courseId, title }) {
+  const { data, error } = await supabase
+    .from('conversation_threads')
+    .insert({
+      student_id: studentId,
+      course_id: courseId,
+      title: normalizeThreadTitle(title) || 'New conversation'
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`🧵 Created thread "${data.title}" for student=${studentId}`);
+  return data;
+}
+
+/**
+ * Fetch a thread owned by a student
+ * @param {Object} supabase - Supabase client
+ * @param {string} threadId - Thread ID
+ * @param {string} studentId - Must own the thread
+ * @returns {Promise<Object|null>} - The thread, or null if it doesn't exist or belongs to someone else
+ */
+export async function getStudentThread(supabase, threadId, studentId) {
+  const { data, error } = await supabase
+    .from('conversation_threads')
+    .select('*')
+    .eq('id', threadId)
+    .eq('student_id', studentId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Resolve the thread a chat message goes to, creating one if none was given
+ * Posting to an archived thread restores it
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { threadId, studentId, courseId, message }
+ * @returns {Promise<Object|null>} - The thread, or null if threadId isn't the student's thread in this course
+ */
+export async function resolveMessageThread(supabase, { threadId, studentId, courseId, message }) {
+  if (!threadId) {
+    return createThread(supabase, { studentId, courseId, title: titleFromMessage(message) });
+  }
+
+  const thread = await getStudentThread(supabase, threadId, studentId);
+
+  if (!thread || thread.course_id !== courseId) {
+    return null;
+  }
+
+  if (thread.archived_at) {
+    const { error } = await supabase
+      .from('conversation_threads')
+      .update({ archived_at: null })
+      .eq('id', thread.id);
+
+    if (error) throw error;
+
+    thread.archived_at = null;
+  }
+
+  return thread;
+}
+
+/**
+ * Mark a thread as recently active so it sorts to the top of the sidebar
+ * @param {Object} supabase - Supabase client
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<string>} - The new updated_at timestamp
+ */
+export async function touchThread(supabase, threadId) {
+  const updatedAt = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('conversation_threads')
+    .update({ updated_at: updatedAt })
+    .eq('id', threadId);
+
+  if (error) throw error;
+
+  return updatedAt;
+}
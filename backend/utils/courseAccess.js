@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+
+/**
+ * Course access helpers
+ * A course's professor (its owner) always has access and every permission. Staff - co-instructors and TAs,
+ * from any account - get the permissions stored on their course_staff row. Students need an enrollment,
+ * which they get by joining with the course's join code or from an email invite. Routes declare who may
+ * use them with requireCourseAccess (middleware/auth.js).
+ */
+
+// No 0/O or 1/I/L, so codes read off a slide aren't mistyped
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * What staff may be allowed to do in a course
+ * - edit_course: course settings, tutor prompt and enrollment (join codes, invites, students)
+ * - edit_materials: PDFs, links and exercises
+ * - view_analytics: the analytics dashboard and exercise submissions
+ * - view_student_chats: the questions students asked the tutor
+ * Managing staff and deleting the course are left to the owner.
+ */
+export const COURSE_PERMISSIONS = ['edit_course', 'edit_materials', 'view_analytics', 'view_student_chats'];
+
+export const STAFF_ROLES = ['co_instructor', 'ta'];
+
+// Permissions a new staff member gets unless the owner picks others
+export const DEFAULT_STAFF_PERMISSIONS = {
+  co_instructor: COURSE_PERMISSIONS,
+  ta: ['edit_materials', 'view_analytics']
+};
+
+/**
+ * Validate a list of staff permissions
+ * @param {Array} permissions - Permission names
+ * @returns {Array|null} - Unique permissions in COURSE_PERMISSIONS order, or null if any is unknown
+ */
+export function normalizePermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.some(permission => !COURSE_PERMISSIONS.includes(permission))) {
+    return null;
+  }
+
+  return COURSE_PERMISSIONS.filter(permission => permissions.includes(permission));
+}
+
+/**
+ * Generate a random join code
+ * @returns {string} - e.g. "K7QD9MXA"
+ */
+export function generateJoinCode() {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize a join code typed by a student (case, spaces and dashes don't matter)
+ * @param {string} code - Code as entered
+ * @returns {string}
+ */
+export function normalizeJoinCode(code) {
+  return (code ?? '').toString().toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Normalize an email address for invites
+ * @param {string} email - Email as entered
+ * @returns {string|null} - Lower-cased email, or null if it isn't one
+ */
+export function normalizeEmail(email) {
+  const cleaned = (email ?? '').toString().trim().toLowerCase();
+  return EMAIL_REGEX.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Look up a user's role and permissions in a course
+ * @param {Object} supabase - Supabase client
+ * @param {string} courseId - Course ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { course: { id, professor_id }, role: 'owner' | 'co_instructor' | 'ta' | 'student' | null, permissions },
+ *   or null if the course doesn't exist
+ */
+export async function getCourseAccess(supabase, courseId, userId) {
+  const { data: course } = await supabase
+    .from('courses')
+    .select('id, professor_id')
+    .eq('id', courseId)
+    .maybeSingle();
+
+  if (!course) {
+    return null;
+  }
+
+  if (course.professor_id === userId) {
+    return { course, role: 'owner', permissions: COURSE_PERMISSIONS };
+  }
+
+  const { data: staff } = await supabase
+    .from('course_staff')
+    .select('role, permissions')
+    .eq('course_id', courseId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (staff) {
+    return { course, role: staff.role, permissions: staff.permissions || [] };
+  }
+
+  const { data: enrollment } = await supabase
+    .from('enrollments')
+    .select('id')
+    .eq('course_id', courseId)
+    .eq('student_id', userId)
+    .maybeSingle();
+
+  return { course, role: enrollment ? 'student' : null, permissions: [] };
+}
+
+/**
+ * Look up a user's role and permissions in every course they own, staff or are enrolled in
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<Map>} - course ID -> { role, permissions }, with the same precedence as getCourseAccess
+ */
+export async function getCourseRoles(supabase, userId) {
+  const [owned, staff, enrollments] = await Promise.all([
+    supabase.from('courses').select('id').eq('professor_id', userId),
+    supabase.from('course_staff').select('course_id, role, permissions').eq('user_id', userId),
+    supabase.from('enrollments').select('course_id').eq('student_id', userId)
+  ]);
+
+  for (const { error } of [owned, staff, enrollments]) {
+    if (error) throw error;
+  }
+
+  const roles = new Map();
+
+  (enrollments.data || []).forEach(enrollment => {
+    roles.set(enrollment.course_id, { role: 'student', permissions: [] });
+  });
+  (staff.data || []).forEach(member => {
+    roles.set(member.course_id, { role: member.role, permissions: member.permissions || [] });
+  });
+  (owned.data || []).forEach(course => {
+    roles.set(course.id, { role: 'owner', permissions: COURSE_PERMISSIONS });
+  });
+
+  return roles;
+}
+
+/**
+ * Enroll a student in a course (no-op if already enrolled)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { courseId, studentId, joinedVia: 'code' | 'invite' }
+ */
+export async function enrollStudent(supabase, { courseId, studentId, joinedVia }) {
+  const { error } = await supabase
+    .from('enrollments')
+    .upsert(
+      { course_id: courseId, student_id: studentId, joined_via: joinedVia },
+      { onConflict: 'course_id,student_id', ignoreDuplicates: true }
+    );
+
+  if (error) throw error;
+}
+
+/**
+ * Enroll a student in every course that has a pending invite for their email
+ * @param {Object} supabase - Supabase client
+ * @param {Object} user - Authenticated user ({ id, email })
+ * @returns {Promise<number>} - Number of invites accepted
+ */
+export async function acceptPendingInvites(supabase, user) {
+  const email = normalizeEmail(user.email);
+
+  if (!email) {
+    return 0;
+  }
+
+  const { data: invites, error } = await supabase
+    .from('course_invites')
+    .select('id, course_id')
+    .eq('email', email)
+    .is('accepted_at', null);
+
+  if (error) throw error;
+
+  for (const invite of invites || []) {
+    await enrollStudent(supabase, { courseId: invite.course_id, studentId: user.id, joinedVia: 'invite' });
+    await supabase
+      .from('course_invites')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', invite.id);
+  }
+
+  if (invites?.length) {
+    console.log(`🎓 Accepted ${invites.length} course invite(s) for ${email}`);
+  }
+
+  return invites?.length || 0;
+}
@@ -0,0 +1,105 @@
+import { DEFAULT_TAXONOMY } from './topicExtraction.js';
+
+/**
+ * Per-course topic taxonomies
+ *
+ * A course's course_topics rows are the topics its questions, exercises and mastery are filed under
+ * (see topicExtraction.js for how messages are matched to them). New courses are seeded with
+ * DEFAULT_TAXONOMY; courses created before taxonomies existed, or whose rows were all removed, use
+ * it without rows of their own.
+ */
+
+const toTopic = (row) => ({
+  key: row.topic_key,
+  display_name: row.display_name,
+  keywords: row.keywords || [],
+  parent: row.parent_key
+});
+
+const toRow = (courseId, topic, position) => ({
+  course_id: courseId,
+  topic_key: topic.key,
+  display_name: topic.display_name,
+  keywords: topic.keywords,
+  parent_key: topic.parent || null,
+  position
+});
+
+/**
+ * Load a course's taxonomy
+ * @param {Object} supabase - Supabase client
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} - { topics: [{ key, display_name, keywords, parent }], isDefault }
+ */
+export async function loadCourseTaxonomy(supabase, courseId) {
+  const { data, error } = await supabase
+    .from('course_topics')
+    .select('topic_key, display_name, keywords, parent_key')
+    .eq('course_id', courseId)
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return { topics: DEFAULT_TAXONOMY, isDefault: true };
+  }
+
+  return { topics: data.map(toTopic), isDefault: false };
+}
+
+/**
+ * The topics of a course, for passing to extractTopic / formatTopicName
+ * @returns {Promise<Array>} - [{ key, display_name, keywords, parent }]
+ */
+export async function getCourseTopics(supabase, courseId) {
+  return (await loadCourseTaxonomy(supabase, courseId)).topics;
+}
+
+/**
+ * Replace a course's taxonomy
+ * Topics keep the order given. Analytics events and mastery already filed under a removed topic keep
+ * its key, and are shown under the key until the topic is added back. The new topics are written
+ * before the removed ones are deleted, so a failed save never leaves the course without topics.
+ * @param {Object} supabase - Supabase client
+ * @param {string} courseId - Course ID
+ * @param {Array} topics - Validated topics: [{ key, display_name, keywords, parent }]
+ * @returns {Promise<Array>} - The saved topics
+ */
+export async function saveCourseTaxonomy(supabase, courseId, topics) {
+  if (topics.length > 0) {
+    const { error: upsertError } = await supabase
+      .from('course_topics')
+      .upsert(topics.map((topic, index) => toRow(courseId, topic, index)), { onConflict: 'course_id,topic_key' });
+
+    if (upsertError) throw upsertError;
+  }
+
+  // Topic keys are lowercase letters, digits and underscores, so they can go in the filter as they are
+  let removed = supabase
+    .from('course_topics')
+    .delete()
+    .eq('course_id', courseId);
+
+  if (topics.length > 0) {
+    removed = removed.not('topic_key', 'in', `(${topics.map(topic => topic.key).join(',')})`);
+  }
+
+  const { error: deleteError } = await removed;
+
+  if (deleteError) throw deleteError;
+
+  console.log(`🏷️  Saved ${topics.length} topics for course ${courseId}`);
+
+  return topics;
+}
+
+/**
+ * Give a new course the default taxonomy, so professors start from it rather than a blank list
+ */
+export async function seedCourseTaxonomy(supabase, courseId) {
+  const { error } = await supabase
+    .from('course_topics')
+    .insert(DEFAULT_TAXONOMY.map((topic, index) => toRow(courseId, topic, index)));
+
+  if (error) throw error;
+}
@@ -0,0 +1,259 @@
+import { replaceChunks } from './pdfEmbeddings.js';
+import { extractMaterial, getMaterialFormat } from '../materials/index.js';
+
+/**
+ * Background ingestion of uploaded course materials
+ *
+ * Uploads store the file and an ingestion_jobs row, then return; the queue extracts, chunks and
+ * indexes the material afterwards (by its pdfs.format, see materials/). A job moves through
+ *   queued -> extracting (pages_done / pages_total) -> chunking -> indexed
+ * or ends as failed with an error message, and can then be retried. Only PDFs report page
+ * progress; other formats are read in one step. Uploading a new version of a material queues its
+ * job again; the previous version's chunks stay searchable until the new ones replace them, and
+ * stay current if the new version fails to index (the failed version is discarded).
+ *
+ * Jobs run in the API process one at a time (PDF parsing is CPU-bound); jobs that were queued or
+ * running when the server stopped are picked up again by resume() on startup.
+ */
+
+const ACTIVE_STATUSES = ['queued', 'extracting', 'chunking'];
+
+// Write page progress at most this often, so large PDFs don't flood the database
+const PROGRESS_INTERVAL_MS = 1000;
+
+/**
+ * Create an ingestion queue
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - { bucket: storage bucket the PDFs are in }
+ * @returns {Object} - { enqueue(jobId, { buffer? }), resume() }
+ */
+export function createIngestionQueue(supabase, { bucket = 'course-pdfs' } = {}) {
+  const pending = [];
+  let running = false;
+
+  async function updateJob(jobId, fields) {
+    const { error } = await supabase
+      .from('ingestion_jobs')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', jobId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Get the PDF's contents - from the upload when it's still in memory, otherwise from storage
+   */
+  async function loadPdf(filePath, buffer) {
+    if (buffer) {
+      return buffer;
+    }
+
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .download(filePath);
+
+    if (error) throw error;
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  /**
+   * After a new version of a material fails to index, make the last indexed version current again
+   * (its chunks are the ones still searched) and discard the failed one, so the next upload reuses its number
+   * @returns {Promise<number|null>} - The version now current, or null if there was nothing to go back to
+   */
+  async function rollBackVersion(pdfId, version, filePath) {
+    const { data: failed, error: failedError } = await supabase
+      .from('pdf_versions')
+      .select('indexed_at')
+      .eq('pdf_id', pdfId)
+      .eq('version', version)
+      .maybeSingle();
+
+    if (failedError) throw failedError;
+
+    // Re-indexing a version that was indexed before keeps it
+    if (!failed || failed.indexed_at) {
+      return null;
+    }
+
+    const { data: previous, error: previousError } = await supabase
+      .from('pdf_versions')
+      .select('version, file_path, file_url')
+      .eq('pdf_id', pdfId)
+      .lt('version', version)
+      .not('indexed_at', 'is', null)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (previousError) throw previousError;
+
+    // A material's first version has nothing to go back to; it can be retried
+    if (!previous) {
+      return null;
+    }
+
+    const { error: pdfError } = await supabase
+      .from('pdfs')
+      .update({ version: previous.version, file_path: previous.file_path, file_url: previous.file_url })
+      .eq('id', pdfId)
+      .eq('version', version);
+
+    if (pdfError) throw pdfError;
+
+    const { error: versionError } = await supabase
+      .from('pdf_versions')
+      .delete()
+      .eq('pdf_id', pdfId)
+      .eq('version', version);
+
+    if (versionError) throw versionError;
+
+    const { error: storageError } = await supabase.storage
+      .from(bucket)
+      .remove([filePath]);
+
+    if (storageError) console.error('Error deleting discarded PDF version from storage:', storageError);
+
+    console.log(`↩️  Rolled PDF ${pdfId} back from version ${version} to ${previous.version}`);
+
+    return previous.version;
+  }
+
+  async function runJob({ jobId, buffer }) {
+    const { data: job } = await supabase
+      .from('ingestion_jobs')
+      .select('*, pdfs(filename, file_path, format, version)')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    // The PDF was deleted while its job was waiting
+    if (!job?.pdfs) {
+      return;
+    }
+
+    const { filename, file_path, format, version } = job.pdfs;
+    const startedAt = Date.now();
+
+    try {
+      await updateJob(jobId, {
+        status: 'extracting',
+        attempts: job.attempts + 1,
+        pages_done: 0,
+        pages_total: null,
+        chunk_count: null,
+        error: null,
+        started_at: new Date(startedAt).toISOString(),
+        finished_at: null
+      });
+
+      const pdfBuffer = await loadPdf(file_path, buffer);
+
+      let lastProgressAt = 0;
+      let progressUpdate = Promise.resolve();
+
+      const { locationType, locationCount, chunks } = await extractMaterial(pdfBuffer, format, filename, {
+        onProgress: ({ done, total }) => {
+          if (Date.now() - lastProgressAt < PROGRESS_INTERVAL_MS) {
+            return;
+          }
+          lastProgressAt = Date.now();
+          progressUpdate = updateJob(jobId, { pages_done: done, pages_total: total })
+            .catch(error => console.error('Error reporting ingestion progress:', error));
+        }
+      });
+
+      await progressUpdate;
+      await updateJob(jobId, { status: 'chunking', pages_done: locationCount, pages_total: locationCount });
+
+      if (chunks.length === 0) {
+        throw new Error(locationType === 'page'
+          ? 'No text could be extracted from this PDF (scanned PDFs need OCR before uploading)'
+          : `No text could be extracted from this ${getMaterialFormat(format).label}`);
+      }
+
+      // Replaces the previous version's chunks (or an earlier attempt's)
+      await replaceChunks(supabase, job.course_id, { pdf_id: job.pdf_id }, chunks.map(chunk => ({ ...chunk, location_type: locationType })));
+
+      await updateJob(jobId, {
+        status: 'indexed',
+        chunk_count: chunks.length,
+        finished_at: new Date().toISOString()
+      });
+
+      // Citations made from now on are to this version (re-indexing the same version keeps its date)
+      const { error: versionError } = await supabase
+        .from('pdf_versions')
+        .update({ indexed_at: new Date().toISOString() })
+        .eq('pdf_id', job.pdf_id)
+        .eq('version', version)
+        .is('indexed_at', null);
+
+      if (versionError) console.error('Error marking PDF version indexed:', versionError);
+
+      console.log(`✅ Indexed ${filename}: ${chunks.length} chunks from ${locationCount} ${locationType}s in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    } catch (error) {
+      console.error(`❌ Ingestion failed for ${filename}:`, error);
+
+      const previousVersion = await rollBackVersion(job.pdf_id, version, file_path)
+        .catch(rollbackError => console.error('Error rolling back PDF version:', rollbackError));
+
+      await updateJob(jobId, {
+        status: 'failed',
+        error: `${error.message || 'Ingestion failed'}${previousVersion ? ` (version ${version} was discarded; version ${previousVersion} is still in use)` : ''}`,
+        finished_at: new Date().toISOString()
+      }).catch(updateError => console.error('Error marking ingestion job failed:', updateError));
+    }
+  }
+
+  async function drain() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    while (pending.length > 0) {
+      try {
+        await runJob(pending.shift());
+      } catch (error) {
+        console.error('Error running ingestion job:', error);
+      }
+    }
+    running = false;
+  }
+
+  return {
+    /**
+     * Add a job to the queue
+     * @param {string} jobId - ingestion_jobs row, already 'queued'
+     * @param {Object} options - { buffer: the uploaded file, to skip downloading it again }
+     */
+    enqueue(jobId, { buffer } = {}) {
+      pending.push({ jobId, buffer });
+      drain();
+    },
+
+    /**
+     * Queue the jobs that were waiting or running when the server last stopped
+     */
+    async resume() {
+      const { data: jobs, error } = await supabase
+        .from('ingestion_jobs')
+        .select('id')
+        .in('status', ACTIVE_STATUSES)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      for (const job of jobs || []) {
+        await updateJob(job.id, { status: 'queued' });
+        this.enqueue(job.id);
+      }
+
+      if (jobs?.length) {
+        console.log(`📥 Resumed ${jobs.length} PDF ingestion job(s)`);
+      }
+    }
+  };
+}
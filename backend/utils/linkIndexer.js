@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import { storeChunks } from './pdfEmbeddings.js';
+import { extractMaterial, formatForFilename, formatForMimeType } from '../materials/index.js';
+import { pageContent } from '../materials/htmlExtractor.js';
+
+/**
+ * Background indexing of the pages behind course links
+ *
+ * Adding a link queues it; the indexer fetches the page (through the configured fetcher, see
+ * fetchers/), converts it to text with the materials/ extractors, and stores its chunks in the
+ * course's search index next to the PDFs (pdf_chunks rows with link_id set). A link moves through
+ *   queued -> fetching -> indexed
+ * or ends as failed with an error message. Indexed and failed links are fetched again once they
+ * are older than the refresh interval; unchanged pages (304, or the same content hash) keep
+ * their chunks.
+ */
+
+const ACTIVE_STATUSES = ['queued', 'fetching'];
+
+// How often to look for links due a refresh
+const REFRESH_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Which material format a fetched page is, from its Content-Type or else its URL
+ */
+function pageFormat(page) {
+  const format = formatForMimeType(page.contentType) || formatForFilename(new URL(page.url).pathname);
+
+  if (!format) {
+    throw new Error(`Can't index ${page.contentType || 'this kind of'} content`);
+  }
+
+  return format;
+}
+
+/**
+ * Create a link indexer
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - { fetcher: link fetcher (fetchers/index.js), refreshIntervalMs: age at which pages are fetched again }
+ * @returns {Object} - { enqueue(linkId), resume(), refreshStale(), startRefreshing() }
+ */
+export function createLinkIndexer(supabase, { fetcher, refreshIntervalMs = 7 * 24 * 60 * 60 * 1000 } = {}) {
+  const pending = [];
+  let running = false;
+
+  async function updateLink(linkId, fields) {
+    const { error } = await supabase
+      .from('course_links')
+      .update(fields)
+      .eq('id', linkId);
+
+    if (error) throw error;
+  }
+
+  async function indexLink(linkId) {
+    const { data: link } = await supabase
+      .from('course_links')
+      .select('id, course_id, title, url, fetch_status, etag, last_modified, content_hash, chunk_count')
+      .eq('id', linkId)
+      .maybeSingle();
+
+    // The link was deleted while it was waiting
+    if (!link) {
+      return;
+    }
+
+    const startedAt = Date.now();
+    const hasChunks = link.chunk_count !== null;
+
+    try {
+      await updateLink(linkId, { fetch_status: 'fetching', fetch_error: null });
+
+      const page = await fetcher.fetch(link.url, hasChunks ? { etag: link.etag, lastModified: link.last_modified } : {});
+
+      if (page.notModified) {
+        await updateLink(linkId, { fetch_status: 'indexed', fetched_at: new Date().toISOString() });
+        console.log(`🔗 ${link.title} is unchanged (304)`);
+        return;
+      }
+
+      const contentHash = crypto.createHash('sha256').update(page.body).digest('hex');
+      const fetched = {
+        fetched_at: new Date().toISOString(),
+        content_hash: contentHash,
+        etag: page.etag || null,
+        last_modified: page.lastModified || null
+      };
+
+      if (hasChunks && contentHash === link.content_hash) {
+        await updateLink(linkId, { fetch_status: 'indexed', ...fetched });
+        console.log(`🔗 ${link.title} is unchanged`);
+        return;
+      }
+
+      const format = pageFormat(page);
+      const body = format === 'html' ? Buffer.from(pageContent(page.body.toString('utf8'))) : page.body;
+
+      // Chunks are cited by the link's title, so it's stored as their filename
+      const { locationType, chunks } = await extractMaterial(body, format, link.title);
+
+      if (chunks.length === 0) {
+        throw new Error('No text was found on this page');
+      }
+
+      // Replace the chunks of the previous version
+      const { error: deleteError } = await supabase
+        .from('pdf_chunks')
+        .delete()
+        .eq('link_id', linkId);
+
+      if (deleteError) throw deleteError;
+
+      await storeChunks(supabase, link.course_id, { link_id: linkId }, chunks.map(chunk => ({ ...chunk, location_type: locationType })));
+
+      await updateLink(linkId, { fetch_status: 'indexed', chunk_count: chunks.length, ...fetched });
+
+      console.log(`✅ Indexed link ${link.title}: ${chunks.length} chunks in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    } catch (error) {
+      console.error(`❌ Indexing failed for link ${link.title}:`, error.message);
+
+      // Chunks from an earlier fetch stay searchable; the next refresh tries again
+      await updateLink(linkId, {
+        fetch_status: 'failed',
+        fetch_error: error.message || 'Fetching failed',
+        fetched_at: new Date().toISOString()
+      }).catch(updateError => console.error('Error marking link indexing failed:', updateError));
+    }
+  }
+
+  async function drain() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    while (pending.length > 0) {
+      try {
+        await indexLink(pending.shift());
+      } catch (error) {
+        console.error('Error indexing link:', error);
+      }
+    }
+    running = false;
+  }
+
+  return {
+    /**
+     * Add a link to the queue (links already waiting aren't queued twice)
+     * @param {string} linkId - course_links row
+     */
+    enqueue(linkId) {
+      if (!pending.includes(linkId)) {
+        pending.push(linkId);
+      }
+      drain();
+    },
+
+    /**
+     * Queue the links that were waiting or being fetched when the server last stopped
+     */
+    async resume() {
+      const { data: links, error } = await supabase
+        .from('course_links')
+        .select('id')
+        .in('fetch_status', ACTIVE_STATUSES)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      for (const link of links || []) {
+        this.enqueue(link.id);
+      }
+
+      if (links?.length) {
+        console.log(`📥 Resumed indexing of ${links.length} course link(s)`);
+      }
+    },
+
+    /**
+     * Queue the links last fetched longer ago than the refresh interval
+     */
+    async refreshStale() {
+      const { data: links, error } = await supabase
+        .from('course_links')
+        .select('id')
+        .in('fetch_status', ['indexed', 'failed'])
+        .lt('fetched_at', new Date(Date.now() - refreshIntervalMs).toISOString())
+        .order('fetched_at', { ascending: true });
+
+      if (error) throw error;
+
+      for (const link of links || []) {
+        await updateLink(link.id, { fetch_status: 'queued' });
+        this.enqueue(link.id);
+      }
+
+      if (links?.length) {
+        console.log(`🔄 Refreshing ${links.length} course link(s)`);
+      }
+    },
+
+    /**
+     * Check for links due a refresh now and then every hour, for as long as the process runs
+     */
+    startRefreshing() {
+      const check = () => this.refreshStale().catch(error => {
+        console.error('Error refreshing course links:', error);
+      });
+
+      check();
+      setInterval(check, REFRESH_CHECK_INTERVAL_MS).unref();
+    }
+  };
+}
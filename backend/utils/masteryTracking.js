@@ -0,0 +1,136 @@
+import { decayMastery, formatTopicName, masteryEvidenceRate } from './topicExtraction.js';
+
+/**
+ * Per-student, per-topic mastery
+ *
+ * Each topic_mastery row holds a student's mastery of one topic in one course (0-100) as of their
+ * last evidence, plus how much evidence of each kind it is based on. Evidence comes from
+ *   question          - asking the tutor about the topic
+ *   code_review       - the tutor's verdict on code the student sent for review
+ *   exercise          - an autograded exercise submission (its score)
+ *   execution_error   - code run from the editor that failed
+ * and is folded in by the record_mastery_evidence database function (migration 021), which updates
+ * the row in one statement so concurrent evidence isn't lost. Mastery decays while a topic isn't
+ * practiced; rows are stored undecayed and decayed when read (presentMastery).
+ */
+
+// What each kind of evidence says about the student's grasp of the topic (0-1)
+const QUESTION_SCORE = 0.6; // asking shows they're working on it, not that they've got it
+const REVIEW_SCORES = { clean: 1, issues: 0.25 };
+
+const REVIEW_REQUEST_REGEX = /\breview\b/i;
+const CODE_BLOCK_REGEX = /```(?:matlab)?\n([\s\S]*?)```/i;
+
+// Phrases in a review reply that point at problems, and ones that say the code is fine
+const ISSUE_PATTERNS = [
+  /\b(bugs?|errors?|issues?|problems?|mistakes?|typos?)\b/gi,
+  /\b(incorrect|wrong|missing|fails?|broken)\b/gi,
+  /\b(doesn't|does not|won't|will not|isn't|is not) (work|run|return|produce)/gi,
+  /\b(fix|change|should be)\b/gi
+];
+const CLEAN_PATTERNS = [
+  /\b(no|without any) (bugs|errors|issues|problems|mistakes)\b/gi,
+  /\b(correct|correctly|works|working|well done|great job|nice work|good job|looks good|perfect)\b/gi
+];
+
+const countMatches = (text, patterns) => patterns.reduce((count, pattern) => count + (text.match(pattern) || []).length, 0);
+
+/**
+ * The code in a message that asks the tutor to review it (the editor's "Submit for review"), if it is one
+ * @param {string} message - Student message
+ * @returns {string|null} - The submitted code
+ */
+export function codeReviewSubmission(message) {
+  if (!message || !REVIEW_REQUEST_REGEX.test(message)) {
+    return null;
+  }
+
+  return message.match(CODE_BLOCK_REGEX)?.[1] ?? null;
+}
+
+/**
+ * Whether the tutor's review found problems in the student's code, from the wording of its reply
+ * "No errors" counts for the code, so it's subtracted from the problems mentioned.
+ * @param {string} reply - Tutor reply to a review request
+ * @returns {string|null} - 'clean' | 'issues', or null if the reply doesn't say
+ */
+export function reviewOutcome(reply) {
+  if (!reply) {
+    return null;
+  }
+
+  const clean = countMatches(reply, CLEAN_PATTERNS);
+  const issues = countMatches(reply, ISSUE_PATTERNS) - countMatches(reply, CLEAN_PATTERNS.slice(0, 1));
+
+  if (clean === 0 && issues <= 0) {
+    return null;
+  }
+
+  return issues > clean ? 'issues' : 'clean';
+}
+
+/**
+ * Record one piece of evidence about a student's mastery of a topic
+ * Evidence without a specific topic ('general') is ignored.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} evidence - { studentId, courseId, topic, type (question, code_review, exercise or execution_error), score? (exercises: 0-1),
+ *   outcome? (code reviews: 'clean' | 'issues'), at? (Date) }
+ * @returns {Promise<Object|null>} - The updated topic_mastery row, or null if nothing was recorded
+ */
+export async function recordMasteryEvidence(supabase, { studentId, courseId, topic, type, score, outcome, at = new Date() }) {
+  if (!topic || topic === 'general') {
+    return null;
+  }
+
+  const evidenceScore = {
+    question: QUESTION_SCORE,
+    code_review: REVIEW_SCORES[outcome],
+    exercise: score,
+    execution_error: 0
+  }[type];
+
+  if (evidenceScore === undefined || Number.isNaN(evidenceScore)) {
+    throw new Error(`Missing score for ${type} evidence`);
+  }
+
+  const { data, error } = await supabase.rpc('record_mastery_evidence', {
+    p_student_id: studentId,
+    p_course_id: courseId,
+    p_topic: topic,
+    p_type: type,
+    p_score: evidenceScore,
+    p_rate: masteryEvidenceRate(type),
+    p_clean: type === 'code_review' && outcome === 'clean',
+    p_passed: type === 'exercise' && score >= 1,
+    p_at: at.toISOString()
+  });
+
+  if (error) throw error;
+
+  console.log(`🎯 Mastery: student=${studentId}, topic=${topic}, ${type} -> ${data?.mastery}`);
+
+  return data;
+}
+
+/**
+ * Format a topic_mastery row for the client, with mastery decayed to now
+ * @param {Object} row - topic_mastery row
+ * @param {Array} taxonomy - The course's topics, for the display name
+ * @returns {Object} - { topic, display_name, mastery (0-100), evidence: { questions, code_reviews, ... }, last_evidence_at }
+ */
+export function presentMastery(row, taxonomy, now = new Date()) {
+  return {
+    topic: row.topic,
+    display_name: formatTopicName(row.topic, taxonomy),
+    mastery: Math.round(decayMastery(row.mastery, row.last_evidence_at, now)),
+    evidence: {
+      questions: row.questions,
+      code_reviews: row.code_reviews,
+      code_reviews_clean: row.code_reviews_clean,
+      exercise_attempts: row.exercise_attempts,
+      exercises_passed: row.exercises_passed,
+      execution_errors: row.execution_errors
+    },
+    last_evidence_at: row.last_evidence_at
+  };
+}
@@ -0,0 +1,462 @@
+/**
+ * Structure-aware chunking of extracted PDF pages
+ *
+ * Pages are read as one stream of lines, so a chunk can continue onto the next page (it records
+ * page..page_end). Lines are classified as
+ *   - headings: noticeably larger than body text, or numbered ("3.2 Nested loops", "Chapter 4")
+ *   - code: set in a monospace font, or unmistakably MATLAB (">> x = 1", "% comment", "end", "y = f(x);")
+ *   - prose: everything else, joined into paragraphs and split into sentences
+ * Chunks are packed from whole sentences and whole code listings, never cross a heading, and
+ * carry the title of the section they're in.
+ *
+ * Other course materials (slides, documents, MATLAB files - see materials/) already know their
+ * structure; chunkSections packs their sections the same way, with slide, section or line
+ * numbers in place of pages.
+ */
+
+// Chunks close after the sentence or listing that takes them past this many characters
+const TARGET_CHUNK_SIZE = 800;
+
+// Prose is never packed past this; a listing up to MAX_CODE_BLOCK_SIZE stays whole in one chunk
+const MAX_CHUNK_SIZE = 1200;
+const MAX_CODE_BLOCK_SIZE = 2000;
+
+// The last sentence of a chunk is repeated at the start of the next one if it's at most this long
+const MAX_OVERLAP_SIZE = 200;
+
+// Chunks shorter than this (stray page numbers, running headers) are merged into the previous chunk or dropped
+const MIN_CHUNK_SIZE = 50;
+
+const MAX_HEADING_LENGTH = 120;
+const HEADING_FONT_RATIO = 1.2;
+
+// Vertical space between lines, in line heights, that starts a new paragraph
+const PARAGRAPH_GAP = 1.6;
+
+const NUMBERED_HEADING = /^(\d+(\.\d+){0,3}\.?|chapter\s+\d+|section\s+\d+(\.\d+)*|appendix\s+[a-z\d]+)[:.]?\s+\S/i;
+
+const CODE_LINE_PATTERNS = [
+  /^>>/, // command window prompt
+  /^%/, // comment
+  /^for\s+\w+\s*=\s*\S/,
+  /^(if|elseif|while)\s+[^.!?]*(==|~=|<=|>=|<|>|&&|\|\|)[^.!?]*$/, // block keywords with a condition, so wrapped prose ("if you want...") doesn't count
+  /^(if|elseif|while)\s*\(.*\)\s*$/,
+  /^function\s+(\[[^\]]*\]\s*=\s*|\w+\s*=\s*)?\w+\s*(\(.*\))?\s*$/,
+  /^(switch|case)\s+\S+\s*$/,
+  /^(end|else|otherwise|try|catch|break|continue|return)\s*;?\s*(%.*)?$/,
+  /^[\w.{}()[\], ]+=[^=].*;\s*(%.*)?$/ // assignment ending in a semicolon
+];
+
+// Abbreviations whose period doesn't end a sentence
+const ABBREVIATIONS = /\b(e\.g|i\.e|etc|vs|fig|figs|eq|eqs|ch|sec|no|approx|cf|dr|prof)\.$/i;
+
+/**
+ * The font size most of the document's text is set in
+ */
+function findBodyFontSize(pages) {
+  const characters = new Map();
+
+  pages.forEach(({ lines }) => {
+    lines.forEach(({ text, fontSize }) => {
+      const size = Math.round(fontSize * 2) / 2;
+      characters.set(size, (characters.get(size) || 0) + text.length);
+    });
+  });
+
+  let bodySize = 0;
+  let most = -1;
+  characters.forEach((count, size) => {
+    if (count > most) {
+      bodySize = size;
+      most = count;
+    }
+  });
+
+  return bodySize;
+}
+
+function isCodeLine(line) {
+  const text = line.text.trim();
+  return line.monospace || CODE_LINE_PATTERNS.some(pattern => pattern.test(text));
+}
+
+function isHeading(line, bodyFontSize) {
+  const text = line.text.trim();
+
+  if (text.length > MAX_HEADING_LENGTH || /[.,;:]$/.test(text) || !/[a-z]/i.test(text)) {
+    return false;
+  }
+
+  if (bodyFontSize > 0 && line.fontSize >= bodyFontSize * HEADING_FONT_RATIO) {
+    return true;
+  }
+
+  // Body-sized numbered headings; short, so numbered list items written as sentences don't count
+  return NUMBERED_HEADING.test(text) && text.split(/\s+/).length <= 10;
+}
+
+/**
+ * Split prose into sentences
+ * @returns {Array} - [{ start, end }] offsets into text
+ */
+function splitSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?]["')\]]*\s+(?=["'(\[]?[A-Z0-9])/g;
+  let start = 0;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+
+    if (ABBREVIATIONS.test(text.slice(start, match.index + 1))) {
+      continue;
+    }
+
+    sentences.push({ start, end });
+    start = end;
+  }
+
+  if (start < text.length) {
+    sentences.push({ start, end: text.length });
+  }
+
+  return sentences;
+}
+
+/**
+ * Break text that is too long for one chunk (e.g. a slide deck without punctuation) at spaces
+ */
+function splitLongText(text, maxLength) {
+  const parts = [];
+  let start = 0;
+
+  while (text.length - start > maxLength) {
+    let end = text.lastIndexOf(' ', start + maxLength);
+    if (end <= start) {
+      end = start + maxLength;
+    }
+    parts.push({ start, end });
+    start = end;
+  }
+
+  parts.push({ start, end: text.length });
+  return parts;
+}
+
+/**
+ * Turn pages into a stream of units: headings, sentences and code listings, each with the page
+ * (and character offset in that page's text) it starts on and the page it ends on
+ */
+function buildUnits(pages) {
+  const bodyFontSize = findBodyFontSize(pages);
+  const units = [];
+
+  let paragraph = null; // { parts, length, pieces: [{ at, page, offset }] } - line texts, and where each starts
+  let code = null; // { lines: [{ text, x }], fontSize, page, pageEnd, offset }
+
+  function flushParagraph() {
+    if (!paragraph) return;
+
+    paragraph.text = paragraph.parts.join('');
+
+    // The line a position in the paragraph falls on (binary search: paragraphs can run for pages)
+    const { pieces } = paragraph;
+    const locate = position => {
+      let low = 0;
+      let high = pieces.length - 1;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (pieces[middle].at <= position) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+      return pieces[low];
+    };
+
+    splitSentences(paragraph.text).forEach(sentence => {
+      splitLongText(paragraph.text.slice(sentence.start, sentence.end).trimEnd(), MAX_CHUNK_SIZE)
+        .forEach(part => {
+          const start = sentence.start + part.start;
+          const text = paragraph.text.slice(start, sentence.start + part.end).trim();
+          if (!text) return;
+
+          const first = locate(start);
+          const last = locate(sentence.start + part.end - 1);
+          units.push({
+            type: 'sentence',
+            text,
+            page: first.page,
+            pageEnd: last.page,
+            startChar: first.offset + (start - first.at)
+          });
+        });
+    });
+
+    paragraph = null;
+  }
+
+  function flushCode() {
+    if (!code) return;
+
+    // Rebuild indentation from each line's horizontal position
+    const left = Math.min(...code.lines.map(line => line.x));
+    const charWidth = (code.fontSize || 10) * 0.6;
+    const text = code.lines
+      .map(line => ' '.repeat(Math.max(0, Math.round((line.x - left) / charWidth))) + line.text.trim())
+      .join('\n');
+
+    units.push({ type: 'code', text, page: code.page, pageEnd: code.pageEnd, startChar: code.offset });
+    code = null;
+  }
+
+  pages.forEach(({ pageNumber, lines }) => {
+    let offset = 0;
+    let previous = null;
+
+    lines.forEach(line => {
+      const lineOffset = offset;
+      offset += line.text.length + 1; // lines are joined with newlines in the page text
+
+      // Inside a listing, indented lines that aren't sentences are part of it too ("disp(k)" in a loop body)
+      const continuesListing = code && line.x > Math.min(...code.lines.map(codeLine => codeLine.x)) && !/[.!?:]$/.test(line.text.trim());
+
+      if (isCodeLine(line) || continuesListing) {
+        flushParagraph();
+        if (!code) {
+          code = { lines: [], fontSize: line.fontSize, page: pageNumber, offset: lineOffset };
+        }
+        code.lines.push(line);
+        code.pageEnd = pageNumber;
+      } else if (isHeading(line, bodyFontSize)) {
+        flushParagraph();
+        flushCode();
+        units.push({ type: 'heading', text: line.text.trim(), page: pageNumber, pageEnd: pageNumber, startChar: lineOffset });
+      } else {
+        flushCode();
+
+        // A paragraph running off the bottom of a page continues on the next one
+        if (paragraph && previous && previous.y - line.y > PARAGRAPH_GAP * Math.max(line.fontSize, previous.fontSize)) {
+          flushParagraph();
+        }
+
+        // Lines are collected and joined once the paragraph ends (appending to one long string would be quadratic)
+        const text = line.text.trim();
+        if (!paragraph) {
+          paragraph = { parts: [], length: 0, pieces: [] };
+        } else {
+          const lastIndex = paragraph.parts.length - 1;
+          if (paragraph.parts[lastIndex].endsWith('-') && /^[a-z]/.test(text)) {
+            paragraph.parts[lastIndex] = paragraph.parts[lastIndex].slice(0, -1); // re-join a word hyphenated across lines
+            paragraph.length -= 1;
+          } else {
+            paragraph.parts.push(' ');
+            paragraph.length += 1;
+          }
+        }
+
+        paragraph.pieces.push({ at: paragraph.length, page: pageNumber, offset: lineOffset + line.text.indexOf(text) });
+        paragraph.parts.push(text);
+        paragraph.length += text.length;
+      }
+
+      previous = line;
+    });
+  });
+
+  flushParagraph();
+  flushCode();
+
+  return units;
+}
+
+/**
+ * Split a listing longer than MAX_CODE_BLOCK_SIZE at line breaks
+ */
+function splitCodeUnit(unit) {
+  if (unit.text.length <= MAX_CODE_BLOCK_SIZE) {
+    return [unit];
+  }
+
+  const parts = [];
+  let lines = [];
+  let length = 0;
+
+  unit.text.split('\n').forEach(line => {
+    if (length + line.length > MAX_CODE_BLOCK_SIZE && lines.length > 0) {
+      parts.push({ ...unit, text: lines.join('\n') });
+      lines = [];
+      length = 0;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  });
+
+  parts.push({ ...unit, text: lines.join('\n') });
+  return parts;
+}
+
+function joinUnits(units) {
+  return units.reduce((text, unit, index) => {
+    if (index === 0) return unit.text;
+    const separator = unit.type === 'sentence' && units[index - 1].type === 'sentence' && !unit.paragraphStart ? ' ' : '\n';
+    return text + separator + unit.text;
+  }, '');
+}
+
+// Whether a chunk being packed has text of its own yet (not just a heading or the repeated overlap sentence)
+function hasContent(units) {
+  return units.some(unit => unit.type !== 'heading' && !unit.overlap);
+}
+
+function unitsLength(units) {
+  return units.reduce((length, unit) => length + unit.text.length + 1, 0);
+}
+
+/**
+ * Turn a structured document's sections into units; a section's title is its heading, paragraphs
+ * are split into sentences and code blocks stay whole
+ */
+function buildSectionUnits(sections) {
+  const units = [];
+
+  sections.forEach(({ number, title, blocks }) => {
+    let offset = 0;
+
+    if (title) {
+      units.push({ type: 'heading', text: title, page: number, pageEnd: number, startChar: 0 });
+      offset = title.length + 1;
+    }
+
+    blocks.forEach(block => {
+      const page = block.location ?? number;
+      const pageEnd = block.locationEnd ?? page;
+
+      if (block.type === 'code') {
+        units.push({ type: 'code', text: block.text, page, pageEnd, startChar: offset });
+      } else {
+        // Paragraphs (bullets, list items) keep their line breaks when packed together
+        let paragraphStart = true;
+        splitSentences(block.text).forEach(sentence => {
+          splitLongText(block.text.slice(sentence.start, sentence.end).trimEnd(), MAX_CHUNK_SIZE).forEach(part => {
+            const text = block.text.slice(sentence.start + part.start, sentence.start + part.end).trim();
+            if (text) {
+              units.push({ type: 'sentence', text, page, pageEnd, startChar: offset + sentence.start + part.start, paragraphStart });
+              paragraphStart = false;
+            }
+          });
+        });
+      }
+
+      offset += block.text.length + 1;
+    });
+  });
+
+  return units;
+}
+
+/**
+ * Pack units into chunks
+ * @param {Object} options - { keepShortChunks: keep chunks under MIN_CHUNK_SIZE that can't be merged
+ *   (a one-line slide is content, not a stray page number) }
+ * @returns {Array} - [{ content, filename, page, page_end, start_char, section_title }]
+ */
+function packUnits(units, filename, { keepShortChunks = false } = {}) {
+  const chunks = [];
+  let sectionTitle = null;
+  let current = [];
+  let previousWasHeading = false;
+
+  function flush({ overlap = false } = {}) {
+    const content = joinUnits(current).trim();
+    const last = current[current.length - 1];
+    const previousChunk = chunks[chunks.length - 1];
+
+    const mergeable = content && previousChunk?.section_title === sectionTitle && previousChunk.content.length + content.length < MAX_CHUNK_SIZE;
+
+    if (content.length >= MIN_CHUNK_SIZE || (content && keepShortChunks && !mergeable)) {
+      chunks.push({
+        content,
+        filename,
+        page: current[0].page,
+        page_end: last.pageEnd,
+        start_char: current[0].startChar,
+        section_title: sectionTitle
+      });
+    } else if (mergeable) {
+      previousChunk.content += `\n${content}`;
+      previousChunk.page_end = Math.max(previousChunk.page_end, last.pageEnd);
+    }
+
+    // Repeat a short final sentence so a thought that straddles two chunks is whole in one of them
+    current = overlap && last?.type === 'sentence' && last.text.length <= MAX_OVERLAP_SIZE ? [{ ...last, overlap: true }] : [];
+  }
+
+  units.forEach(unit => {
+    if (unit.type === 'heading') {
+      // Keep the heading with its section's text (a following heading, e.g. "Chapter 3" then "Loops", extends it)
+      if (hasContent(current)) {
+        flush();
+      }
+      sectionTitle = previousWasHeading && sectionTitle ? `${sectionTitle} - ${unit.text}` : unit.text;
+      current = current.filter(item => item.type === 'heading').concat(unit);
+      previousWasHeading = true;
+      return;
+    }
+
+    previousWasHeading = false;
+
+    (unit.type === 'code' ? splitCodeUnit(unit) : [unit]).forEach(part => {
+      const limit = part.type === 'code' ? MAX_CODE_BLOCK_SIZE : MAX_CHUNK_SIZE;
+      if (hasContent(current) && unitsLength(current) + part.text.length > limit) {
+        flush({ overlap: part.type === 'sentence' });
+      }
+
+      current.push(part);
+
+      if (unitsLength(current) >= TARGET_CHUNK_SIZE) {
+        flush({ overlap: true });
+      }
+    });
+  });
+
+  if (hasContent(current)) {
+    flush();
+  }
+
+  return chunks;
+}
+
+/**
+ * Split extracted pages into chunks for search
+ * @param {Array} pages - [{ pageNumber, text, lines }] from extractPDFPages
+ * @param {string} filename - Source PDF name, stored on each chunk
+ * @returns {Array} - [{ content, filename, page, page_end, start_char, section_title }]
+ */
+export function chunkPDFPages(pages, filename) {
+  const chunks = packUnits(buildUnits(pages), filename);
+
+  const sections = new Set(chunks.map(chunk => chunk.section_title).filter(Boolean));
+  const spanning = chunks.filter(chunk => chunk.page_end > chunk.page).length;
+  console.log(`✅ Created ${chunks.length} chunks from ${pages.length} pages (${sections.size} sections, ${spanning} chunks span pages)`);
+
+  return chunks;
+}
+
+/**
+ * Split a structured document into chunks for search
+ * @param {Array} sections - [{ number, title, blocks: [{ type: 'paragraph' | 'code', text, location?, locationEnd? }] }]
+ *   from a materials/ extractor; number is the slide or section number, and blocks with their own
+ *   location (lines of a MATLAB file) use it instead
+ * @param {string} filename - Source file name, stored on each chunk
+ * @returns {Array} - [{ content, filename, page, page_end, start_char, section_title }], page..page_end
+ *   holding slide, section or line numbers
+ */
+export function chunkSections(sections, filename) {
+  const chunks = packUnits(buildSectionUnits(sections), filename, { keepShortChunks: true });
+
+  console.log(`✅ Created ${chunks.length} chunks from ${sections.length} sections of ${filename}`);
+
+  return chunks;
+}
@@ -1,398 +1,237 @@
 import pdfParse from 'pdf-parse-fork';
+import { countTerms, storeChunkTerms } from './searchIndex.js';
+import { embedTexts } from './chunkEmbeddings.js';
+import { getEmbedder } from '../embeddings/index.js';
+import { chunkPDFPages } from './pdfChunker.js';
 
-/**
- * Extract and chunk text from PDF buffer with accurate page numbers
- * Uses pdf-parse with custom page rendering to get actual pages
- */
-export async function extractAndChunkPDF(pdfBuffer, filename) {
-  try {
-    console.log(`📄 Extracting PDF: ${filename}`);
+const CHUNK_INSERT_BATCH_SIZE = 200;
 
-    // Custom render function to extract page-by-page
-    const options = {
-      pagerender: function(pageData) {
-        return pageData.getTextContent().then(function(textContent) {
-          return textContent.items.map(item => item.str).join(' ');
-        });
-      }
-    };
-
-    const data = await pdfParse(pdfBuffer, options);
-    const totalPages = data.numpages;
-
-    console.log(`📄 PDF has ${totalPages} pages`);
-
-    // Now we need to re-parse to get per-page text
-    // Since pdf-parse doesn't give us per-page in one go, we'll use a different approach
-    // Let's parse multiple times, once per page
-    const pages = [];
-
-    for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-      try {
-        const pageOptions = {
-          max: pageNum,
-          pagerender: options.pagerender
-        };
-
-        const pageData = await pdfParse(pdfBuffer, pageOptions);
-        // This gives us text up to this page
-        // We need to track what's new
-        const previousText = pageNum > 1 ? pages[pageNum - 2]?.cumulativeText || '' : '';
-        const currentText = pageData.text;
-        const newText = currentText.substring(previousText.length);
-
-        pages.push({
-          pageNumber: pageNum,
-          text: newText,
-          cumulativeText: currentText
-        });
-      } catch (err) {
-        console.warn(`⚠️ Could not extract page ${pageNum}:`, err.message);
-      }
-    }
-
-    console.log(`📄 Extracted ${pages.length} pages`);
-
-    const chunks = [];
-    const chunkSize = 500;
-    const overlap = 100;
-
-    // Process each page
-    pages.forEach(({ pageNumber, text }) => {
-      if (!text || text.trim().length === 0) {
-        return; // Skip empty pages
-      }
-
-      // Chunk the page text
-      for (let i = 0; i < text.length; i += chunkSize - overlap) {
-        const chunk = text.slice(i, i + chunkSize);
-        if (chunk.trim().length > 50) {
-          chunks.push({
-            content: chunk.trim(),
-            filename: filename,
-            page: pageNumber,
-            start_char: i
-          });
-        }
-      }
-    });
-
-    console.log(`✅ Extracted ${chunks.length} chunks from ${pages.length} pages`);
-
-    // Log page distribution
-    const pageDistribution = {};
-    chunks.forEach(chunk => {
-      pageDistribution[chunk.page] = (pageDistribution[chunk.page] || 0) + 1;
-    });
-    console.log(`📊 Page distribution: ${Object.keys(pageDistribution).length} unique pages covered`);
-
-    return chunks;
-  } catch (error) {
-    console.error('Error extracting PDF:', error);
-    throw new Error('Failed to extract PDF content');
-  }
-}
+// Fonts pdf.js reports as fixed-width, used to recognise code listings
+const MONOSPACE_FONT = /mono|courier|consol/i;
 
 /**
- * Enhanced semantic search for relevant PDF chunks
- * Uses improved scoring with TF-IDF-like approach and semantic context
- * @param {string} query - User's question
- * @param {Array} allChunks - All PDF chunks for a course
- * @param {number} topK - Number of chunks to return
- * @returns {Array} - Most relevant chunks with better accuracy
+ * Group a page's text items into lines, top to bottom
+ * pdf.js returns text runs with positions; runs on the same baseline form a line
+ * @param {Object} textContent - From pageData.getTextContent()
+ * @returns {Array} - [{ text, x, y, fontSize, monospace }]
  */
-export function searchRelevantChunks(query, allChunks, topK = 8) {
-  if (!allChunks || allChunks.length === 0) {
-    return [];
-  }
-
-  // Extract keywords from query
-  const queryKeywords = extractKeywords(query.toLowerCase());
-  const expandedKeywords = expandQueryKeywords(queryKeywords);
-
-  // Calculate IDF (Inverse Document Frequency) for better scoring
-  const idf = calculateIDF(queryKeywords, allChunks);
-
-  // Score each chunk with enhanced semantic matching
-  const scoredChunks = allChunks.map(chunk => {
-    const chunkText = chunk.content.toLowerCase();
-    let score = 0;
-
-    // 1. TF-IDF scoring for primary keywords
-    queryKeywords.forEach(keyword => {
-      const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-      const matches = chunkText.match(regex);
-      if (matches) {
-        const tf = matches.length;
-        const idfScore = idf[keyword] || 1;
-        score += tf * idfScore * keyword.length * 5; // Higher weight for exact keywords
-      }
-    });
-
-    // 2. Score for expanded/related keywords
-    expandedKeywords.forEach(keyword => {
-      const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-      const matches = chunkText.match(regex);
-      if (matches) {
-        score += matches.length * keyword.length * 2;
-      }
-    });
-
-    // 3. Detect and boost semantic markers (headings, sections, definitions)
-    const semanticBoost = detectSemanticMarkers(chunkText, queryKeywords);
-    score += semanticBoost;
-
-    // 4. Proximity bonus - if multiple keywords appear close together
-    const proximityBonus = calculateProximityBonus(chunkText, queryKeywords);
-    score += proximityBonus;
-
-    // 5. Context quality - boost chunks that start with headings or definitions
-    if (isContextRich(chunkText)) {
-      score *= 1.3;
+function buildPageLines(textContent) {
+  const lines = [];
+  let line = null;
+  let lineEndX = 0;
+
+  textContent.items.forEach(item => {
+    if (!item.str) return;
+
+    const [, , c, d, x, y] = item.transform;
+    const fontSize = Math.hypot(c, d) || item.height || 0;
+    const style = textContent.styles?.[item.fontName];
+    const monospace = MONOSPACE_FONT.test(style?.fontFamily || '') || MONOSPACE_FONT.test(item.fontName || '');
+
+    if (!line || Math.abs(y - line.y) > Math.max(fontSize, line.fontSize) * 0.5) {
+      line = { text: item.str, x, y, fontSize, monospace };
+      lines.push(line);
+    } else {
+      // Runs that don't touch are separate words
+      const gap = x - lineEndX;
+      line.text += (gap > fontSize * 0.15 && !line.text.endsWith(' ') && !item.str.startsWith(' ') ? ' ' : '') + item.str;
+      line.fontSize = Math.max(line.fontSize, fontSize);
+      line.monospace = line.monospace && monospace;
     }
 
-    return { ...chunk, score };
-  });
-
-  // Sort by score and return top K, ensuring diversity
-  const topChunks = scoredChunks
-    .sort((a, b) => b.score - a.score)
-    .filter(chunk => chunk.score > 0);
-
-  // Ensure page diversity - don't return too many chunks from same page
-  const diverseChunks = ensurePageDiversity(topChunks, topK);
-
-  return diverseChunks.slice(0, topK);
-}
-
-/**
- * Calculate Inverse Document Frequency for keywords
- */
-function calculateIDF(keywords, chunks) {
-  const idf = {};
-  const totalChunks = chunks.length;
-
-  keywords.forEach(keyword => {
-    const chunksWithKeyword = chunks.filter(chunk => {
-      const regex = new RegExp(`\\b${keyword}\\b`, 'i');
-      return regex.test(chunk.content);
-    }).length;
-
-    // IDF = log(total documents / documents containing term)
-    idf[keyword] = chunksWithKeyword > 0
-      ? Math.log(totalChunks / chunksWithKeyword) + 1
-      : 1;
+    lineEndX = x + (item.width || 0);
   });
 
-  return idf;
+  return lines
+    .map(pageLine => ({ ...pageLine, text: pageLine.text.replace(/\s+$/, '') }))
+    .filter(pageLine => pageLine.text.trim().length > 0);
 }
 
 /**
- * Detect semantic markers like headings, definitions, examples
+ * Extract the text of every page of a PDF in a single pass
+ * pdf-parse renders pages one after another; the pagerender callback records each page's text
+ * under its own page number, so nothing is parsed twice
+ * @param {Buffer} pdfBuffer - PDF file contents
+ * @param {Object} options - { onPage({ pageNumber, totalPages }): called after each page, for progress }
+ * @returns {Promise<Object>} - { totalPages, pages: [{ pageNumber, text, lines }] } in page order;
+ *   text is the page's lines joined with newlines, lines are from buildPageLines
  */
-function detectSemanticMarkers(text, keywords) {
-  let boost = 0;
-
-  // Check for numbered sections (e.g., "1.2.3", "Section 5")
-  if (/\b\d+(\.\d+)*\s+[A-Z]/.test(text) || /\bSection\s+\d+/i.test(text) || /\bChapter\s+\d+/i.test(text)) {
-    boost += 50;
-  }
-
-  // Check for definition patterns
-  keywords.forEach(keyword => {
-    const defPatterns = [
-      new RegExp(`${keyword}\\s+(is|are|means|refers to|defined as)`, 'i'),
-      new RegExp(`(definition|what is|define)\\s+${keyword}`, 'i'),
-    ];
-
-    defPatterns.forEach(pattern => {
-      if (pattern.test(text)) {
-        boost += 40;
-      }
-    });
+export async function extractPDFPages(pdfBuffer, { onPage } = {}) {
+  const pageLines = new Map();
+
+  // pdf-parse's pdf.js copies Buffers inconsistently (small PDFs then fail with "bad XRef entry");
+  // a plain Uint8Array copy of the bytes is read reliably
+  const data = await pdfParse(new Uint8Array(pdfBuffer), {
+    pagerender: function(pageData) {
+      return pageData.getTextContent().then(function(textContent) {
+        const lines = buildPageLines(textContent);
+        pageLines.set(pageData.pageNumber, lines);
+        onPage?.({ pageNumber: pageData.pageNumber, totalPages: pageData.transport.numPages });
+        return lines.map(line => line.text).join('\n');
+      });
+    }
   });
 
-  // Check for example patterns
-  if (/\b(example|for instance|such as|e\.g\.|consider)\b/i.test(text)) {
-    boost += 20;
-  }
-
-  // Check for figure/table captions
-  if (/\b(Figure|Table|Diagram)\s+\d+/i.test(text)) {
-    boost += 30;
+  // Pages pdf-parse couldn't render never reach pagerender
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= data.numpages; pageNumber++) {
+    if (pageLines.has(pageNumber)) {
+      const lines = pageLines.get(pageNumber);
+      pages.push({ pageNumber, text: lines.map(line => line.text).join('\n'), lines });
+    } else {
+      console.warn(`⚠️ Could not extract page ${pageNumber}`);
+    }
   }
 
-  return boost;
+  return { totalPages: data.numpages, pages };
 }
 
 /**
- * Calculate proximity bonus when keywords appear close together
+ * Extract and chunk text from PDF buffer with accurate page numbers
+ * @param {Object} options - Passed to extractPDFPages (e.g. onPage for progress)
  */
-function calculateProximityBonus(text, keywords) {
-  if (keywords.length < 2) return 0;
-
-  let bonus = 0;
-  const words = text.toLowerCase().split(/\s+/);
-
-  // Find positions of all keywords
-  const positions = {};
-  keywords.forEach(keyword => {
-    positions[keyword] = [];
-    words.forEach((word, idx) => {
-      if (word.includes(keyword)) {
-        positions[keyword].push(idx);
-      }
-    });
-  });
+export async function extractAndChunkPDF(pdfBuffer, filename, options = {}) {
+  try {
+    console.log(`📄 Extracting PDF: ${filename}`);
 
-  // Calculate proximity between keyword pairs
-  keywords.forEach((kw1, i) => {
-    keywords.slice(i + 1).forEach(kw2 => {
-      positions[kw1]?.forEach(pos1 => {
-        positions[kw2]?.forEach(pos2 => {
-          const distance = Math.abs(pos1 - pos2);
-          if (distance < 20) { // Within 20 words
-            bonus += (20 - distance) * 2;
-          }
-        });
-      });
-    });
-  });
+    const { totalPages, pages } = await extractPDFPages(pdfBuffer, options);
 
-  return bonus;
-}
+    console.log(`📄 Extracted ${pages.length} of ${totalPages} pages`);
 
-/**
- * Check if chunk contains high-quality context (starts with heading, definition, etc.)
- */
-function isContextRich(text) {
-  const richPatterns = [
-    /^\d+(\.\d+)*\s+[A-Z]/,  // Starts with numbered section
-    /^(Chapter|Section|Introduction|Definition|Overview)/i,
-    /\b(define|definition|means|refers to|is defined as)\b/i,
-  ];
-
-  return richPatterns.some(pattern => pattern.test(text));
+    return chunkPDFPages(pages, filename);
+  } catch (error) {
+    console.error('Error extracting PDF:', error);
+    throw new Error(`Failed to extract PDF content: ${error.message}`);
+  }
 }
 
 /**
- * Ensure diversity in results - don't return too many chunks from same page
+ * The text a chunk is indexed under: its content, plus its section title so every chunk of a
+ * section matches the topic its heading names
  */
-function ensurePageDiversity(chunks, topK) {
-  const result = [];
-  const pageCount = {};
-
-  for (const chunk of chunks) {
-    const page = chunk.page;
-    pageCount[page] = (pageCount[page] || 0);
-
-    // Allow max 2 chunks per page in top results
-    if (pageCount[page] < 2 || result.length < topK / 2) {
-      result.push(chunk);
-      pageCount[page]++;
-    }
-
-    if (result.length >= topK * 1.5) break; // Get some extra for filtering
-  }
-
-  return result;
+export function searchableText(chunk) {
+  return chunk.section_title ? `${chunk.section_title}\n${chunk.content}` : chunk.content;
 }
 
 /**
- * Expand query keywords with related terms for better matching
+ * Embed chunks for vector search; on failure the chunks are stored without embeddings (keyword
+ * search still finds them) and `npm run embed:chunks` can add the embeddings later
+ * @returns {Promise<Object>} - { vectors, model }, or { vectors: null } when embeddings are off or failed
  */
-function expandQueryKeywords(keywords) {
-  const expansions = {
-    'loop': ['for', 'while', 'iteration', 'repeat', 'control flow'],
-    'loops': ['for', 'while', 'iteration', 'repeat', 'control flow'],
-    'function': ['functions', 'method', 'subroutine'],
-    'functions': ['function', 'method', 'subroutine'],
-    'array': ['arrays', 'matrix', 'matrices', 'vector'],
-    'arrays': ['array', 'matrix', 'matrices', 'vector'],
-    'plot': ['plotting', 'graph', 'visualization', 'figure'],
-    'variable': ['variables', 'data', 'value'],
-    'conditional': ['if', 'else', 'switch', 'case', 'condition'],
-    'error': ['errors', 'exception', 'debug', 'debugging']
-  };
-
-  const expanded = new Set();
-  keywords.forEach(keyword => {
-    if (expansions[keyword]) {
-      expansions[keyword].forEach(exp => expanded.add(exp));
-    }
-  });
+async function embedChunks(chunks) {
+  const embedder = getEmbedder();
 
-  return Array.from(expanded);
-}
+  if (!embedder) {
+    return { vectors: null };
+  }
 
-/**
- * Extract meaningful keywords from text
- */
-function extractKeywords(text) {
-  // Remove common stop words
-  const stopWords = new Set([
-    'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'should',
-    'could', 'can', 'may', 'might', 'must', 'i', 'you', 'he', 'she', 'it',
-    'we', 'they', 'what', 'which', 'who', 'when', 'where', 'why', 'how',
-    'to', 'from', 'in', 'on', 'at', 'by', 'for', 'with', 'about', 'as',
-    'this', 'that', 'these', 'those', 'my', 'your', 'help', 'me', 'understand'
-  ]);
-
-  return text
-    .replace(/[^\w\s]/g, ' ') // Remove punctuation
-    .split(/\s+/)
-    .filter(word => word.length > 2 && !stopWords.has(word))
-    .filter((word, index, self) => self.indexOf(word) === index); // Unique words
+  try {
+    const startedAt = Date.now();
+    const vectors = await embedTexts(embedder, chunks.map(searchableText));
+    console.log(`🧭 Embedded ${chunks.length} chunks in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    return { vectors, model: embedder.model };
+  } catch (error) {
+    console.error('Error embedding chunks, storing them for keyword search only:', error);
+    return { vectors: null };
+  }
 }
 
 /**
- * Store PDF chunks in Supabase
+ * Store a material's chunks in Supabase and add them to the course's search index
  * @param {Object} supabase - Supabase client
  * @param {number} courseId - Course ID
- * @param {number} pdfId - PDF ID
- * @param {Array} chunks - PDF chunks to store
+ * @param {Object} source - { pdf_id } for an uploaded file, or { link_id } for the page behind a course link
+ * @param {Array} chunks - Chunks to store
+ * @param {Object} options - { staged: store them left out of searches until publish_staged_chunks (see replaceChunks) }
  */
-export async function storePDFChunks(supabase, courseId, pdfId, chunks) {
+export async function storeChunks(supabase, courseId, source, chunks, { staged = false } = {}) {
   try {
+    const termCounts = chunks.map(chunk => countTerms(searchableText(chunk)));
+    const { vectors, model } = await embedChunks(chunks);
+
     const chunksWithMetadata = chunks.map((chunk, index) => ({
       course_id: courseId,
-      pdf_id: pdfId,
+      pdf_id: source.pdf_id ?? null,
+      link_id: source.link_id ?? null,
       chunk_index: index,
       content: chunk.content,
       filename: chunk.filename,
       page: chunk.page,
-      start_char: chunk.start_char
+      page_end: chunk.page_end,
+      location_type: chunk.location_type || 'page',
+      start_char: chunk.start_char,
+      section_title: chunk.section_title,
+      token_count: termCounts[index].length,
+      embedding: vectors ? vectors[index] : null,
+      embedding_model: vectors ? model : null,
+      staged
     }));
 
-    const { error } = await supabase
-      .from('pdf_chunks')
-      .insert(chunksWithMetadata);
+    // In batches: with embeddings, each row is a few kilobytes of JSON
+    const stored = [];
+    for (let i = 0; i < chunksWithMetadata.length; i += CHUNK_INSERT_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('pdf_chunks')
+        .insert(chunksWithMetadata.slice(i, i + CHUNK_INSERT_BATCH_SIZE))
+        .select('id, chunk_index');
 
-    if (error) throw error;
+      if (error) throw error;
+
+      stored.push(...data);
+    }
+
+    await storeChunkTerms(supabase, courseId, stored.map(({ id, chunk_index }) => ({
+      id,
+      ...termCounts[chunk_index]
+    })), { staged });
 
     return true;
   } catch (error) {
-    console.error('Error storing PDF chunks:', error);
-    throw new Error('Failed to store PDF chunks');
+    console.error('Error storing chunks:', error);
+    throw new Error(`Failed to store chunks: ${error.message}`);
   }
 }
 
 /**
- * Retrieve all PDF chunks for a course
+ * Delete a material's staged chunks (a failed or abandoned replacement's)
  */
-export async function getCoursePDFChunks(supabase, courseId) {
+async function deleteStagedChunks(supabase, source) {
+  const [column, value] = source.pdf_id ? ['pdf_id', source.pdf_id] : ['link_id', source.link_id];
+  const { error } = await supabase
+    .from('pdf_chunks')
+    .delete()
+    .eq(column, value)
+    .eq('staged', true);
+
+  if (error) throw error;
+}
+
+/**
+ * Replace a material's chunks with new ones (see storeChunks)
+ * The new chunks are stored staged, so searches keep finding only the old ones, then a single
+ * database call (publish_staged_chunks) deletes the old chunks and makes the new ones current.
+ * The material stays searchable throughout and never twice; if storing fails, the old chunks stay.
+ * @param {Object} supabase - Supabase client
+ * @param {number} courseId - Course ID
+ * @param {Object} source - { pdf_id } or { link_id }
+ * @param {Array} chunks - Chunks to store
+ */
+export async function replaceChunks(supabase, courseId, source, chunks) {
+  // An earlier attempt that died mid-way may have left staged chunks behind
+  await deleteStagedChunks(supabase, source);
+
   try {
-    const { data, error } = await supabase
-      .from('pdf_chunks')
-      .select('*')
-      .eq('course_id', courseId);
+    await storeChunks(supabase, courseId, source, chunks, { staged: true });
 
-    if (error) throw error;
+    const { error } = await supabase.rpc('publish_staged_chunks', {
+      p_pdf_id: source.pdf_id ?? null,
+      p_link_id: source.link_id ?? null
+    });
 
-    return data || [];
+    if (error) throw error;
   } catch (error) {
-    console.error('Error retrieving PDF chunks:', error);
-    return [];
+    await deleteStagedChunks(supabase, source)
+      .catch(cleanupError => console.error('Error removing partly stored chunks:', cleanupError));
+    throw error;
   }
 }
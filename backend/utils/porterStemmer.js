@@ -0,0 +1,122 @@
+/**
+ * Porter stemmer (M.F. Porter, "An algorithm for suffix stripping", 1980)
+ * Reduces English words to a common stem so "plots", "plotting" and "plotted" match each other.
+ */
+
+// Plurals the suffix rules get wrong that come up constantly in MATLAB material
+const IRREGULAR_FORMS = {
+  matrices: 'matrix',
+  indices: 'index',
+  vertices: 'vertex',
+  appendices: 'appendix'
+};
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonantSeq = `${consonant}[^aeiouy]*`;
+const vowelSeq = `${vowel}[aeiou]*`;
+
+const MEASURE_GT_0 = new RegExp(`^(${consonantSeq})?${vowelSeq}${consonantSeq}`);
+const MEASURE_EQ_1 = new RegExp(`^(${consonantSeq})?${vowelSeq}${consonantSeq}(${vowelSeq})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${consonantSeq})?${vowelSeq}${consonantSeq}${vowelSeq}${consonantSeq}`);
+const HAS_VOWEL = new RegExp(`^(${consonantSeq})?${vowel}`);
+const ENDS_CVC = new RegExp(`^${consonantSeq}${vowel}[^aeiouwxy]$`);
+const DOUBLE_CONSONANT = /([^aeiouylsz])\1$/;
+
+/**
+ * Stem a lower-case word
+ * @param {string} word - Lower-case word
+ * @returns {string} - Stem
+ */
+export function stem(word) {
+  if (IRREGULAR_FORMS[word]) {
+    return IRREGULAR_FORMS[word];
+  }
+
+  if (word.length < 3) {
+    return word;
+  }
+
+  // A leading y is a consonant; mark it so the patterns don't treat it as a vowel
+  const startsWithY = word[0] === 'y';
+  let w = startsWithY ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (DOUBLE_CONSONANT.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y -> i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = `${match[1]}i`;
+  }
+
+  // Step 2: double suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = match[1] + STEP2_SUFFIXES[match[2]];
+    }
+  }
+
+  // Step 3: -ic-, -full, -ness etc.
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = match[1] + STEP3_SUFFIXES[match[2]];
+    }
+  }
+
+  // Step 4: remaining suffixes on longer stems
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) {
+      w = match[1] + match[2];
+    }
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return startsWithY ? `y${w.slice(1)}` : w;
+}
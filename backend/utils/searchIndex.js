@@ -0,0 +1,483 @@
+import { stem } from './porterStemmer.js';
+import { getEmbedder } from '../embeddings/index.js';
+import { matchChunkEmbeddings } from './chunkEmbeddings.js';
+
+/**
+ * Search over course materials: BM25 keyword search combined with vector similarity
+ *
+ * Chunks are tokenised once, when a PDF is ingested: each chunk's term frequencies go into the
+ * chunk_terms table (an inverted index keyed by course and term) and its length into
+ * pdf_chunks.token_count. A database trigger keeps course_search_stats (chunk count, total tokens)
+ * up to date as chunks are added or deleted. A search only reads the postings of the query's terms.
+ * Chunks also store an embedding (see chunkEmbeddings.js), and the two rankings are mixed.
+ */
+
+// Standard BM25 parameters: term frequency saturation and document length normalisation
+export const BM25_K1 = 1.2;
+export const BM25_B = 0.75;
+
+// At most this many chunks from one page in a result, so one dense page doesn't crowd out the rest
+const MAX_CHUNKS_PER_PAGE = 2;
+
+// Share of the hybrid score that comes from vector similarity (the rest is BM25)
+const VECTOR_WEIGHT = 0.5;
+
+// Vector matches less similar than this are unrelated text, not candidates (sentence-embedding
+// models put unrelated passages around 0-0.2 and related ones well above)
+const MIN_VECTOR_SIMILARITY = 0.25;
+
+const POSTINGS_PAGE_SIZE = 1000;
+const INSERT_BATCH_SIZE = 1000;
+
+// MATLAB operators worth matching literally, then identifiers (letters, digits, underscores)
+const TOKEN_PATTERN = /\.\*|\.\/|\.\\|\.\^|\.'|==|~=|&&|\|\||[a-z][a-z0-9_]*/g;
+
+// English stop words; MATLAB keywords that are also English words (end, for, if, while, ...) are kept
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'should',
+  'could', 'can', 'may', 'might', 'must', 'i', 'you', 'he', 'she', 'it',
+  'we', 'they', 'what', 'which', 'who', 'when', 'where', 'why', 'how',
+  'to', 'from', 'in', 'on', 'at', 'by', 'with', 'about', 'as', 'of', 'and',
+  'this', 'that', 'these', 'those', 'my', 'your', 'its', 'their', 'our',
+  'me', 'us', 'them', 'there', 'here', 'than', 'then', 'so', 'such', 'into',
+  'also', 'just', 'only', 'very', 'some', 'any', 'each', 'all', 'both', 'not',
+  'no', 'nor', 'too', 'own', 'same', 'other', 'more', 'most', 'over', 'under',
+  'again', 'further', 'once', 'between', 'because', 'until', 'during', 'before',
+  'after', 'above', 'below', 'up', 'down', 'out', 'off', 'or', 'but',
+  'help', 'understand', 'please', 'explain'
+]);
+
+/**
+ * Split text into index terms
+ * Lower-cases, keeps MATLAB operators (.*, ./, .^, ==, ~=, ...) and identifiers such as linspace or
+ * num2str intact, drops stop words and single letters, and stems plain words
+ * @param {string} text - Chunk or query text
+ * @returns {Array} - Terms in order (with repeats)
+ */
+export function tokenize(text) {
+  const tokens = (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+  const terms = [];
+
+  for (const token of tokens) {
+    if (/^[a-z]/.test(token)) {
+      if (token.length < 2 || STOP_WORDS.has(token)) {
+        continue;
+      }
+      // Identifiers with digits or underscores (num2str, my_func) are code, not English
+      terms.push(/[0-9_]/.test(token) ? token : stem(token));
+    } else {
+      terms.push(token);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Count a chunk's terms
+ * @param {string} text - Chunk text
+ * @returns {Object} - { termFrequencies: Map term -> count, length: number of terms }
+ */
+export function countTerms(text) {
+  const terms = tokenize(text);
+  const termFrequencies = new Map();
+
+  terms.forEach(term => {
+    termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1);
+  });
+
+  return { termFrequencies, length: terms.length };
+}
+
+/**
+ * BM25 inverse document frequency of each query term
+ */
+function inverseDocumentFrequencies(queryTerms, postings, chunkCount) {
+  const documentFrequency = new Map();
+  postings.forEach(posting => {
+    documentFrequency.set(posting.term, (documentFrequency.get(posting.term) || 0) + 1);
+  });
+
+  const idf = new Map();
+  queryTerms.forEach(term => {
+    const df = documentFrequency.get(term) || 0;
+    idf.set(term, Math.log(1 + (chunkCount - df + 0.5) / (df + 0.5)));
+  });
+
+  return idf;
+}
+
+/**
+ * One posting's contribution to its chunk's BM25 score
+ */
+function termScore({ tf, doc_length }, idf, averageLength) {
+  const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc_length / averageLength);
+  return idf * (tf * (BM25_K1 + 1)) / norm;
+}
+
+/**
+ * Score chunks with BM25
+ * @param {Array} queryTerms - Unique query terms
+ * @param {Array} postings - [{ chunk_id, term, tf, doc_length }] for the query terms
+ * @param {Object} stats - { chunk_count, total_tokens } for the course
+ * @returns {Map} - chunk ID -> score (only chunks containing at least one query term)
+ */
+export function scoreBM25(queryTerms, postings, { chunk_count: chunkCount, total_tokens: totalTokens }) {
+  const scores = new Map();
+
+  if (!chunkCount) {
+    return scores;
+  }
+
+  const averageLength = Math.max(totalTokens / chunkCount, 1);
+  const idf = inverseDocumentFrequencies(queryTerms, postings, chunkCount);
+
+  postings.forEach(posting => {
+    const score = termScore(posting, idf.get(posting.term), averageLength);
+    scores.set(posting.chunk_id, (scores.get(posting.chunk_id) || 0) + score);
+  });
+
+  return scores;
+}
+
+/**
+ * The BM25 score of each chunk broken down by query term (what scoreBM25 adds up)
+ * @returns {Object} - { idf: Map term -> idf, terms: Map chunk ID -> [{ term, tf, score }] }
+ */
+export function explainBM25(queryTerms, postings, { chunk_count: chunkCount, total_tokens: totalTokens }) {
+  const terms = new Map();
+
+  if (!chunkCount) {
+    return { idf: new Map(), terms };
+  }
+
+  const averageLength = Math.max(totalTokens / chunkCount, 1);
+  const idf = inverseDocumentFrequencies(queryTerms, postings, chunkCount);
+
+  postings.forEach(posting => {
+    if (!terms.has(posting.chunk_id)) {
+      terms.set(posting.chunk_id, []);
+    }
+    terms.get(posting.chunk_id).push({
+      term: posting.term,
+      tf: posting.tf,
+      score: termScore(posting, idf.get(posting.term), averageLength)
+    });
+  });
+
+  return { idf, terms };
+}
+
+/**
+ * Walk chunks best first, keeping at most MAX_CHUNKS_PER_PAGE from any one page until topK are kept
+ * @param {Array} chunks - Chunks sorted by score (descending)
+ * @param {number} topK - Number of chunks to keep
+ * @returns {Array} - Each chunk with `skipped`: null if kept, 'page_limit' or 'top_k' if not
+ */
+function markDiverseChunks(chunks, topK) {
+  const perPage = new Map();
+  let kept = 0;
+
+  return chunks.map(chunk => {
+    const pageKey = `${chunk.pdf_id ?? chunk.link_id}:${chunk.page}`;
+    const count = perPage.get(pageKey) || 0;
+
+    if (kept >= topK) {
+      return { ...chunk, skipped: 'top_k' };
+    }
+
+    if (count >= MAX_CHUNKS_PER_PAGE) {
+      return { ...chunk, skipped: 'page_limit' };
+    }
+
+    perPage.set(pageKey, count + 1);
+    kept++;
+    return { ...chunk, skipped: null };
+  });
+}
+
+/**
+ * Keep the highest-scoring chunks, at most MAX_CHUNKS_PER_PAGE from any one page
+ * @param {Array} chunks - Chunks sorted by score (descending)
+ * @param {number} topK - Number of chunks to return
+ */
+function selectDiverseChunks(chunks, topK) {
+  return markDiverseChunks(chunks, topK)
+    .filter(chunk => !chunk.skipped)
+    .map(({ skipped, ...chunk }) => chunk);
+}
+
+/**
+ * Write the index entries for newly stored chunks
+ * @param {Object} supabase - Supabase client
+ * @param {string} courseId - Course ID
+ * @param {Array} chunks - [{ id, termFrequencies, length }] from countTerms plus the stored chunk's ID
+ * @param {Object} options - { staged: the chunks were stored staged (see replaceChunks) }
+ */
+export async function storeChunkTerms(supabase, courseId, chunks, { staged = false } = {}) {
+  const rows = chunks.flatMap(({ id, termFrequencies, length }) => (
+    [...termFrequencies].map(([term, tf]) => ({
+      course_id: courseId,
+      chunk_id: id,
+      term,
+      tf,
+      doc_length: length,
+      staged
+    }))
+  ));
+
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('chunk_terms')
+      .insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Read the postings of some terms in a course (paged, since a common term can have thousands);
+ * staged chunks aren't searchable yet
+ */
+async function getPostings(supabase, courseId, terms) {
+  const postings = [];
+
+  for (let from = 0; ; from += POSTINGS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('chunk_terms')
+      .select('chunk_id, term, tf, doc_length')
+      .eq('course_id', courseId)
+      .in('term', terms)
+      .eq('staged', false)
+      .order('term', { ascending: true })
+      .order('chunk_id', { ascending: true })
+      .range(from, from + POSTINGS_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    postings.push(...data);
+
+    if (data.length < POSTINGS_PAGE_SIZE) {
+      return postings;
+    }
+  }
+}
+
+/**
+ * The query's terms with their postings and the course's index statistics
+ * @returns {Promise<Object>} - { queryTerms, postings, stats } (no postings when the query has no index terms)
+ */
+async function readKeywordIndex(supabase, courseId, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+
+  if (queryTerms.length === 0) {
+    return { queryTerms, postings: [], stats: null };
+  }
+
+  const { data: stats, error } = await supabase
+    .from('course_search_stats')
+    .select('chunk_count, total_tokens')
+    .eq('course_id', courseId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!stats?.chunk_count) {
+    return { queryTerms, postings: [], stats: null };
+  }
+
+  const postings = await getPostings(supabase, courseId, queryTerms);
+  return { queryTerms, postings, stats };
+}
+
+/**
+ * BM25 scores of a course's chunks for a query
+ * @returns {Promise<Map>} - chunk ID -> score (empty when the query has no index terms)
+ */
+async function keywordSearch(supabase, courseId, query) {
+  const { queryTerms, postings, stats } = await readKeywordIndex(supabase, courseId, query);
+
+  return stats ? scoreBM25(queryTerms, postings, stats) : new Map();
+}
+
+/**
+ * Cosine similarities of the course's chunks closest to the query, or none when embeddings are
+ * off or unavailable (search then falls back to keywords alone)
+ */
+async function vectorSearch(supabase, courseId, query, count) {
+  const embedder = getEmbedder();
+
+  if (!embedder || !query.trim()) {
+    return new Map();
+  }
+
+  try {
+    return await matchChunkEmbeddings(supabase, embedder, courseId, query, count);
+  } catch (error) {
+    console.error('Error in vector search, using keyword search only:', error);
+    return new Map();
+  }
+}
+
+/**
+ * The `count` highest-scoring chunk IDs
+ */
+function topIds(scores, count) {
+  return [...scores.keys()]
+    .sort((a, b) => scores.get(b) - scores.get(a))
+    .slice(0, count);
+}
+
+/**
+ * Combine keyword and vector scores
+ * BM25 scores have no fixed scale, so they're divided by the best candidate's; cosine similarity
+ * is already 0-1. The two are mixed with VECTOR_WEIGHT, and a chunk only one search found gets 0
+ * from the other
+ * @returns {Map} - chunk ID -> { score, keyword_score, keyword_part (normalised BM25), vector_score }
+ */
+export function combineScores(keywordScores, vectorScores, candidateIds) {
+  const maxKeyword = Math.max(0, ...candidateIds.map(id => keywordScores.get(id) || 0));
+  const combined = new Map();
+
+  candidateIds.forEach(id => {
+    const keywordScore = keywordScores.get(id) || 0;
+    const vectorScore = vectorScores.has(id) ? Math.max(vectorScores.get(id), 0) : null;
+    const keywordPart = maxKeyword > 0 ? keywordScore / maxKeyword : 0;
+
+    // Without vector matches (embeddings off, or none stored yet) keywords decide alone
+    const score = vectorScores.size > 0
+      ? VECTOR_WEIGHT * (vectorScore || 0) + (1 - VECTOR_WEIGHT) * keywordPart
+      : keywordPart;
+
+    combined.set(id, { score, keyword_score: keywordScore, keyword_part: keywordPart, vector_score: vectorScore });
+  });
+
+  return combined;
+}
+
+/**
+ * Every candidate of the two searches with its mixed score, best first
+ * (see rankCandidates; the page-diversity cap isn't applied yet)
+ */
+async function rankAllCandidates(keywordScores, vectorScores, loadChunks, topK) {
+  // Fetch a few extra candidates from each search so the page-diversity cap can still fill topK
+  const candidateCount = topK * 3;
+
+  const relatedVectorScores = new Map(
+    [...vectorScores].filter(([, similarity]) => similarity >= MIN_VECTOR_SIMILARITY)
+  );
+
+  const candidateIds = [...new Set([
+    ...topIds(keywordScores, candidateCount),
+    ...topIds(relatedVectorScores, candidateCount)
+  ])];
+
+  if (candidateIds.length === 0) {
+    return [];
+  }
+
+  const scores = combineScores(keywordScores, relatedVectorScores, candidateIds);
+  const chunks = await loadChunks(candidateIds);
+
+  return (chunks || [])
+    .map(chunk => ({ ...chunk, ...scores.get(chunk.id) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Turn the two searches' scores into the final result: take the best candidates of each, mix
+ * their scores, then apply the page-diversity cap
+ * Shared by searchCourseChunks and the retrieval evaluation (scripts/evaluateRetrieval.js), which
+ * scores chunks in memory instead of through the database
+ * @param {Map} keywordScores - chunk ID -> BM25 score
+ * @param {Map} vectorScores - chunk ID -> cosine similarity
+ * @param {Function} loadChunks - async (chunkIds) => chunk rows with id, pdf_id (or link_id) and page
+ * @param {number} topK - Number of chunks to return
+ * @returns {Promise<Array>} - Chunks with score, keyword_score and vector_score, best first
+ */
+export async function rankCandidates(keywordScores, vectorScores, loadChunks, topK) {
+  const ranked = await rankAllCandidates(keywordScores, vectorScores, loadChunks, topK);
+  return selectDiverseChunks(ranked, topK);
+}
+
+/**
+ * Read a course's chunks by ID, as search results
+ */
+async function loadChunks(supabase, chunkIds) {
+  const { data, error } = await supabase
+    .from('pdf_chunks')
+    .select('id, pdf_id, link_id, content, filename, page, page_end, location_type, start_char, section_title')
+    .in('id', chunkIds);
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Find the chunks of a course's materials most relevant to a query
+ * Hybrid search: BM25 over the keyword index finds exact terms (linspace, .*), vector similarity
+ * finds passages that say the same thing in other words ("repeat 10 times" -> for loops)
+ * @param {Object} supabase - Supabase client
+ * @param {string} courseId - Course ID
+ * @param {string} query - Student's message
+ * @param {number} topK - Number of chunks to return
+ * @returns {Promise<Array>} - [{ id, pdf_id, link_id, content, filename, page, page_end, location_type, start_char, section_title, score, keyword_score, keyword_part, vector_score }] best first
+ */
+export async function searchCourseChunks(supabase, courseId, query, topK = 8) {
+  const [keywordScores, vectorScores] = await Promise.all([
+    keywordSearch(supabase, courseId, query),
+    vectorSearch(supabase, courseId, query, topK * 3)
+  ]);
+
+  return rankCandidates(keywordScores, vectorScores, chunkIds => loadChunks(supabase, chunkIds), topK);
+}
+
+/**
+ * Run searchCourseChunks and explain its result: every candidate with how its score was made up
+ * and, for candidates the tutor doesn't get, why not
+ * @param {Object} supabase - Supabase client
+ * @param {string} courseId - Course ID
+ * @param {string} query - A student's message
+ * @param {number} topK - Number of chunks the tutor gets
+ * @returns {Promise<Object>} - {
+ *   query_terms: [{ term, chunk_count (chunks containing it), idf }], embedding_model (null with keyword search only), settings,
+ *   results: [{ ...chunk, rank, score, keyword_score, keyword_part, vector_score, matched_terms: [{ term, tf, score }],
+ *               selected, skipped: null | 'page_limit' | 'top_k' }] best first
+ * }
+ */
+export async function explainCourseSearch(supabase, courseId, query, topK = 8) {
+  const embedder = getEmbedder();
+
+  const [keywordIndex, vectorScores] = await Promise.all([
+    readKeywordIndex(supabase, courseId, query),
+    vectorSearch(supabase, courseId, query, topK * 3)
+  ]);
+
+  const { queryTerms, postings, stats } = keywordIndex;
+  const keywordScores = stats ? scoreBM25(queryTerms, postings, stats) : new Map();
+  const { idf, terms } = stats ? explainBM25(queryTerms, postings, stats) : { idf: new Map(), terms: new Map() };
+
+  const ranked = await rankAllCandidates(keywordScores, vectorScores, chunkIds => loadChunks(supabase, chunkIds), topK);
+  return {
+    query_terms: queryTerms.map(term => ({
+      term,
+      chunk_count: postings.filter(posting => posting.term === term).length,
+      idf: idf.get(term) ?? null
+    })),
+    embedding_model: embedder?.model ?? null,
+    settings: {
+      top_k: topK,
+      vector_weight: VECTOR_WEIGHT,
+      min_vector_similarity: MIN_VECTOR_SIMILARITY,
+      max_chunks_per_page: MAX_CHUNKS_PER_PAGE
+    },
+    results: markDiverseChunks(ranked, topK).map((chunk, i) => ({
+      ...chunk,
+      rank: i + 1,
+      matched_terms: (terms.get(chunk.id) || []).sort((a, b) => b.score - a.score),
+      selected: !chunk.skipped
+    }))
+  };
+}
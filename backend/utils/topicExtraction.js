@@ -1,145 +1,243 @@
 /**
  * Topic extraction utility for MATLAB concepts
  * Analyzes conversation messages to identify which topics students are asking about
+ *
+ * Topics come from a taxonomy: an ordered list of
+ *   { key, display_name, keywords: [...], parent: key of the parent topic or null }
+ * Each course has its own (see courseTaxonomy.js); DEFAULT_TAXONOMY is the template new courses
+ * start from and the one used for courses without a taxonomy.
  */
 
-// MATLAB concept keywords mapping
-const topicKeywords = {
-  'basics': ['variable', 'assignment', 'workspace', 'command', 'basic', 'start', 'introduction'],
-  'arrays_matrices': ['array', 'matrix', 'matrices', 'vector', 'dimension', 'size', 'reshape', 'transpose'],
-  'loops': ['for', 'while', 'loop', 'iteration', 'iterate', 'repeat', 'nested loop'],
-  'conditionals': ['if', 'else', 'elseif', 'switch', 'case', 'condition', 'comparison'],
-  'functions': ['function', 'return', 'input', 'output', 'parameter', 'argument', 'call'],
-  'plotting': ['plot', 'graph', 'figure', 'visualization', 'chart', 'subplot', 'axis', 'xlabel', 'ylabel'],
-  'file_io': ['fopen', 'fclose', 'fread', 'fwrite', 'fprintf', 'fscanf', 'load', 'save', 'file'],
-  'operators': ['operator', 'arithmetic', 'addition', 'subtraction', 'multiplication', 'division'],
-  'strings': ['string', 'char', 'text', 'concatenation', 'strcmp', 'strcat'],
-  'cell_arrays': ['cell', 'cell array', 'cellstr'],
-  'structures': ['struct', 'structure', 'field'],
-  'debugging': ['error', 'debug', 'breakpoint', 'warning', 'exception', 'try', 'catch'],
-  'performance': ['performance', 'optimize', 'speed', 'efficient', 'vectorize'],
-  'advanced': ['object', 'class', 'oop', 'handle', 'anonymous function', 'lambda']
+// Default MATLAB topics: key -> [display name, keywords]
+const defaultTopics = {
+  'basics': ['Basics', ['variable', 'assignment', 'workspace', 'command', 'basic', 'start', 'introduction']],
+  'arrays_matrices': ['Arrays & Matrices', ['array', 'matrix', 'matrices', 'vector', 'dimension', 'size', 'reshape', 'transpose']],
+  'loops': ['Loops', ['for', 'while', 'loop', 'iteration', 'iterate', 'repeat', 'nested loop']],
+  'conditionals': ['Conditionals', ['if', 'else', 'elseif', 'switch', 'case', 'condition', 'comparison']],
+  'functions': ['Functions', ['function', 'return', 'input', 'output', 'parameter', 'argument', 'call']],
+  'plotting': ['Plotting', ['plot', 'graph', 'figure', 'visualization', 'chart', 'subplot', 'axis', 'xlabel', 'ylabel']],
+  'file_io': ['File I/O', ['fopen', 'fclose', 'fread', 'fwrite', 'fprintf', 'fscanf', 'load', 'save', 'file']],
+  'operators': ['Operators', ['operator', 'arithmetic', 'addition', 'subtraction', 'multiplication', 'division']],
+  'strings': ['Strings', ['string', 'char', 'text', 'concatenation', 'strcmp', 'strcat']],
+  'cell_arrays': ['Cell Arrays', ['cell', 'cell array', 'cellstr']],
+  'structures': ['Structures', ['struct', 'structure', 'field']],
+  'debugging': ['Debugging', ['error', 'debug', 'breakpoint', 'warning', 'exception', 'try', 'catch']],
+  'performance': ['Performance', ['performance', 'optimize', 'speed', 'slow', 'efficient', 'vectorize']],
+  'advanced': ['Advanced Topics', ['object', 'class', 'oop', 'handle', 'anonymous function', 'lambda']]
 };
 
+export const DEFAULT_TAXONOMY = Object.entries(defaultTopics).map(([key, [displayName, keywords]]) => ({
+  key,
+  display_name: displayName,
+  keywords,
+  parent: null
+}));
+
+// Messages that match no topic
+export const GENERAL_TOPIC = 'general';
+
+// Keywords that are also everyday English ("if you have time", "thanks for the help"). In prose they
+// only count when written as code (`for`, "if"), followed by a word like "statement" or "loop", or
+// when another keyword of the same topic matched too; in code they always count.
+const COMMON_WORD_KEYWORDS = new Set([
+  'if', 'for', 'while', 'else', 'case', 'switch', 'return', 'try', 'catch', 'call', 'input', 'output',
+  'field', 'handle', 'object', 'class', 'size', 'start', 'basic', 'command', 'condition', 'repeat', 'text'
+]);
+const CODE_WORD_SUFFIX = '\\s+(?:statements?|loops?|blocks?|clauses?|keywords?|conditions?)';
+
+// Labels below this share of a message's score are dropped, and a message gets at most MAX_LABELS
+const MIN_LABEL_WEIGHT = 0.15;
+const MAX_LABELS = 3;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text written as code inside prose: ``` blocks, `inline code` and "quoted" words
+const CODE_SPAN_REGEX = /```[\s\S]*?```|`[^`\n]+`|"[^"\n]+"/g;
+
 /**
- * Extract the main topic from a message using keyword matching
- * @param {string} message - The user's question or message
- * @returns {string|null} - The identified topic or null
+ * Keys of the topics a topic is nested under, nearest first
  */
-export function extractTopic(message) {
-  if (!message || typeof message !== 'string') {
-    return null;
-  }
+function topicAncestors(topic, taxonomy) {
+  const ancestors = [];
+  let parent = topic.parent;
 
-  const lowerMessage = message.toLowerCase();
-  const topicScores = {};
+  while (parent && parent !== topic.key && !ancestors.includes(parent)) {
+    ancestors.push(parent);
+    parent = taxonomy.find(candidate => candidate.key === parent)?.parent;
+  }
 
-  // Score each topic based on keyword matches
-  for (const [topic, keywords] of Object.entries(topicKeywords)) {
-    let score = 0;
+  return ancestors;
+}
 
-    for (const keyword of keywords) {
-      // Use word boundary regex for accurate matching
-      const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-      const matches = lowerMessage.match(regex);
+const countMatches = (text, pattern) => (text.match(new RegExp(pattern, 'gi')) || []).length;
 
-      if (matches) {
-        // Weight by keyword length (longer keywords are more specific)
-        score += matches.length * keyword.length;
-      }
+/**
+ * Score a message against one topic's own keywords
+ */
+function keywordScore({ text, codeText, isCode }, keywords) {
+  let score = 0;
+  let codeWordScore = 0; // everyday words used as code
+  let proseWordScore = 0; // everyday words anywhere
+
+  for (const keyword of keywords) {
+    const lowerKeyword = keyword.toLowerCase();
+    // Word boundaries that also work for keywords like "c++" or "1/f"
+    const pattern = `(?<![\\w])${escapeRegExp(lowerKeyword)}(?![\\w])`;
+    // Weight by keyword length (longer keywords are more specific)
+    const matchScore = (matched) => countMatches(matched, pattern) * keyword.length;
+
+    if (!isCode && COMMON_WORD_KEYWORDS.has(lowerKeyword)) {
+      codeWordScore += matchScore(codeText) + countMatches(text, pattern + CODE_WORD_SUFFIX) * keyword.length;
+      proseWordScore += matchScore(text);
+    } else {
+      score += matchScore(text);
     }
+  }
 
-    if (score > 0) {
-      topicScores[topic] = score;
-    }
+  // Everyday words in prose only back up a topic that matched on something else or on code
+  if (score + codeWordScore === 0) {
+    return 0;
   }
 
-  // Return topic with highest score
-  if (Object.keys(topicScores).length === 0) {
-    return 'general'; // Default topic if no matches
+  return score + Math.max(codeWordScore, proseWordScore);
+}
+
+/**
+ * Score a message against every topic of a taxonomy
+ * A nested topic that matches also scores its parents' matches and replaces them, so "design an FIR
+ * filter" is labelled "FIR filters" rather than both it and its parent "Filtering".
+ * @param {string} message - The user's question or message, a tutor reply or code
+ * @param {Array} taxonomy - The course's topics (default: DEFAULT_TAXONOMY)
+ * @param {Object} options - { isCode } - true when the whole text is code
+ * @returns {Array} - [{ topic, weight }], highest first, weights summing to 1; empty if no topic matches
+ */
+export function scoreTopics(message, taxonomy = DEFAULT_TAXONOMY, { isCode = false } = {}) {
+  if (!message || typeof message !== 'string') {
+    return [];
+  }
+
+  const text = message.toLowerCase();
+  const input = { text, codeText: (text.match(CODE_SPAN_REGEX) || []).join('\n'), isCode };
+  const ownScores = new Map(taxonomy.map(topic => [topic.key, keywordScore(input, topic.keywords)]));
+  const topicScores = [];
+
+  for (const topic of taxonomy) {
+    if (ownScores.get(topic.key) === 0) continue;
+
+    const ancestors = topicAncestors(topic, taxonomy);
+    const score = [topic.key, ...ancestors].reduce((sum, key) => sum + (ownScores.get(key) || 0), 0);
+
+    topicScores.push({ topic: topic.key, score, depth: ancestors.length, ancestors });
   }
 
-  const topTopic = Object.entries(topicScores)
-    .sort(([, a], [, b]) => b - a)[0][0];
+  // A matched nested topic stands for its parents
+  const covered = new Set(topicScores.flatMap(entry => entry.ancestors));
+  const labels = topicScores
+    .filter(entry => !covered.has(entry.topic))
+    .sort((a, b) => b.score - a.score || b.depth - a.depth);
 
-  return topTopic;
+  const total = labels.reduce((sum, entry) => sum + entry.score, 0);
+  const kept = labels.filter(entry => entry.score / total >= MIN_LABEL_WEIGHT).slice(0, MAX_LABELS);
+  const keptTotal = kept.reduce((sum, entry) => sum + entry.score, 0);
+
+  return kept.map(entry => ({ topic: entry.topic, weight: Math.round((entry.score / keptTotal) * 100) / 100 }));
+}
+
+/**
+ * Extract the main topic from a message using keyword matching
+ * @param {string} message - The user's question or message
+ * @param {Array} taxonomy - The course's topics (default: DEFAULT_TAXONOMY)
+ * @param {Object} options - { isCode } - true when the whole message is code
+ * @returns {string|null} - The identified topic key, 'general' if none matches, or null for no message
+ */
+export function extractTopic(message, taxonomy = DEFAULT_TAXONOMY, options = {}) {
+  if (!message || typeof message !== 'string') {
+    return null;
+  }
+
+  return primaryTopic(scoreTopics(message, taxonomy, options));
 }
 
 /**
- * Calculate mastery level for a concept based on activity
- * @param {number} questionsAsked - Number of questions about this topic
- * @param {Date} lastPracticed - When they last asked about it
- * @param {number} currentMastery - Current mastery level
- * @returns {number} - Updated mastery level (0-100)
+ * The heaviest of a text's topic labels
+ * @param {Array} labels - [{ topic, weight }], highest first
+ * @returns {string} - Topic key, or 'general' for no labels
  */
-export function calculateMasteryLevel(questionsAsked, lastPracticed, currentMastery = 0) {
-  // More questions early on = learning phase (mastery increases)
-  // Fewer questions later = mastered (mastery stays high)
-  // No activity for long time = may have forgotten (mastery decreases)
+export function primaryTopic(labels) {
+  return labels?.[0]?.topic ?? GENERAL_TOPIC;
+}
+
+// How far one piece of evidence moves mastery towards what it shows (0-1); an exercise result says
+// more than a question
+const EVIDENCE_RATES = {
+  question: 0.1,
+  code_review: 0.2,
+  exercise: 0.35,
+  execution_error: 0.05
+};
 
-  const now = new Date();
+/**
+ * Mastery after time without practice: unchanged for a week, then slowly forgotten
+ * (decayed_mastery in migration 021 is the same rule in SQL; keep them in step)
+ * @param {number} mastery - Mastery level when last practiced (0-100)
+ * @param {Date|string} lastPracticed - When the topic was last practiced
+ * @param {Date} now - Current time
+ * @returns {number} - Decayed mastery level (0-100)
+ */
+export function decayMastery(mastery, lastPracticed, now = new Date()) {
   const daysSinceLastPractice = lastPracticed
     ? Math.floor((now - new Date(lastPracticed)) / (1000 * 60 * 60 * 24))
     : 0;
 
-  let newMastery = currentMastery;
-
-  // Learning phase: each question increases mastery
-  if (questionsAsked <= 5) {
-    // Early learning: rapid increase
-    newMastery = Math.min(40, questionsAsked * 8);
-  } else if (questionsAsked <= 10) {
-    // Intermediate: slower increase
-    newMastery = 40 + ((questionsAsked - 5) * 8);
-  } else {
-    // Advanced: mastered
-    newMastery = Math.min(95, 80 + ((questionsAsked - 10) * 2));
-  }
-
-  // Decay over time (if not practiced recently)
   if (daysSinceLastPractice > 14) {
     // Hasn't practiced in 2+ weeks, reduce mastery
     const decayFactor = Math.min(0.3, (daysSinceLastPractice - 14) * 0.02);
-    newMastery = Math.max(0, newMastery * (1 - decayFactor));
+    return Math.max(0, mastery * (1 - decayFactor));
   } else if (daysSinceLastPractice > 7) {
     // 1-2 weeks, slight decay
-    newMastery = Math.max(0, newMastery * 0.95);
+    return Math.max(0, mastery * 0.95);
   }
 
-  return Math.round(Math.min(100, newMastery));
+  return mastery;
+}
+
+/**
+ * How far a piece of evidence moves mastery towards its score
+ * Mastery (decayed to the evidence's time) moves at least this far towards the score, and further
+ * for the first few pieces of evidence so a topic's level isn't stuck near 0 while evidence builds
+ * up. The update itself runs in the database (record_mastery_evidence, migration 021).
+ * @param {string} type - 'question' | 'code_review' | 'exercise' | 'execution_error'
+ * @returns {number} - Rate (0-1)
+ */
+export function masteryEvidenceRate(type) {
+  const rate = EVIDENCE_RATES[type];
+
+  if (rate === undefined) {
+    throw new Error(`Unknown mastery evidence "${type}"`);
+  }
+
+  return rate;
 }
 
 /**
  * Get all supported topics
- * @returns {Array} - List of all topic names
+ * @param {Array} taxonomy - The course's topics (default: DEFAULT_TAXONOMY)
+ * @returns {Array} - List of all topic keys, in taxonomy order
  */
-export function getAllTopics() {
-  return Object.keys(topicKeywords);
+export function getAllTopics(taxonomy = DEFAULT_TAXONOMY) {
+  return taxonomy.map(topic => topic.key);
 }
 
 /**
  * Format topic name for display
  * @param {string} topic - Topic key
- * @returns {string} - Formatted topic name
+ * @param {Array} taxonomy - The course's topics (default: DEFAULT_TAXONOMY)
+ * @returns {string} - Formatted topic name (the key itself for topics no longer in the taxonomy)
  */
-export function formatTopicName(topic) {
-  const nameMap = {
-    'basics': 'Basics',
-    'arrays_matrices': 'Arrays & Matrices',
-    'loops': 'Loops',
-    'conditionals': 'Conditionals',
-    'functions': 'Functions',
-    'plotting': 'Plotting',
-    'file_io': 'File I/O',
-    'operators': 'Operators',
-    'strings': 'Strings',
-    'cell_arrays': 'Cell Arrays',
-    'structures': 'Structures',
-    'debugging': 'Debugging',
-    'performance': 'Performance',
-    'advanced': 'Advanced Topics',
-    'general': 'General'
-  };
-
-  return nameMap[topic] || topic;
+export function formatTopicName(topic, taxonomy = DEFAULT_TAXONOMY) {
+  if (topic === GENERAL_TOPIC) {
+    return 'General';
+  }
+
+  return taxonomy.find(candidate => candidate.key === topic)?.display_name || topic;
 }
@@ -7,6 +7,7 @@ import StudentDashboard from './pages/StudentDashboard';
 import CourseCreation from './pages/CourseCreation';
 import ChatInterface from './pages/ChatInterface';
 import AnalyticsDashboard from './pages/AnalyticsDashboard';
+import StudentProgress from './pages/StudentProgress';
 
 // Protected route wrapper
 const ProtectedRoute = ({ children, requireProfessor = false }) => {
@@ -97,7 +98,7 @@ function AppRoutes() {
       <Route
         path="/courses/:courseId/edit"
         element={
-          <ProtectedRoute requireProfessor>
+          <ProtectedRoute>
             <CourseCreation />
           </ProtectedRoute>
         }
@@ -110,10 +111,18 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/courses/:courseId/progress"
+        element={
+          <ProtectedRoute>
+            <StudentProgress />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/analytics/:courseId"
         element={
-          <ProtectedRoute requireProfessor>
+          <ProtectedRoute>
             <AnalyticsDashboard />
           </ProtectedRoute>
         }
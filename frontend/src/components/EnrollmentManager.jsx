@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react';
+import { enrollmentAPI } from '../services/api';
+
+export default function EnrollmentManager({ courseId }) {
+  const [joinCode, setJoinCode] = useState(null);
+  const [students, setStudents] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [inviteText, setInviteText] = useState('');
+  const [inviting, setInviting] = useState(false);
+  const [inviteResult, setInviteResult] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadEnrollment();
+  }, [courseId]);
+
+  const loadEnrollment = async () => {
+    try {
+      const data = await enrollmentAPI.getForCourse(courseId);
+      setJoinCode(data.join_code);
+      setStudents(data.students);
+      setInvites(data.invites);
+    } catch (err) {
+      console.error('Failed to load enrollment:', err);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(joinCode);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy join code:', err);
+    }
+  };
+
+  const handleRotate = async () => {
+    if (joinCode && !confirm('Generate a new join code? The current code will stop working (students who already joined stay enrolled).')) {
+      return;
+    }
+
+    try {
+      const data = await enrollmentAPI.rotateJoinCode(courseId);
+      setJoinCode(data.join_code);
+    } catch (err) {
+      setError(err.message || 'Failed to generate join code');
+    }
+  };
+
+  const handleDisable = async () => {
+    try {
+      await enrollmentAPI.disableJoinCode(courseId);
+      setJoinCode(null);
+    } catch (err) {
+      setError(err.message || 'Failed to turn off join code');
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    setError('');
+    setInviteResult(null);
+
+    try {
+      const result = await enrollmentAPI.invite(courseId, inviteText);
+      setInviteResult(result);
+      setInviteText('');
+      await loadEnrollment();
+    } catch (err) {
+      setError(err.message || 'Failed to send invites');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleCancelInvite = async (inviteId) => {
+    try {
+      await enrollmentAPI.cancelInvite(courseId, inviteId);
+      setInvites(prev => prev.filter(invite => invite.id !== inviteId));
+    } catch (err) {
+      setError(err.message || 'Failed to cancel invite');
+    }
+  };
+
+  const handleRemoveStudent = async (student) => {
+    if (!confirm(`Remove ${student.full_name} from this course? Their conversations are kept if they rejoin.`)) {
+      return;
+    }
+
+    try {
+      await enrollmentAPI.removeStudent(courseId, student.id);
+      setStudents(prev => prev.filter(s => s.id !== student.id));
+    } catch (err) {
+      setError(err.message || 'Failed to remove student');
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Students</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Only enrolled students can see this course. Share the join code with your class, or invite students by email.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Join code */}
+      <div className="bg-gray-50 p-4 rounded-lg mb-4 flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-gray-700">Join code</p>
+          {joinCode ? (
+            <p className="text-2xl font-mono font-bold tracking-widest text-gray-900">{joinCode}</p>
+          ) : (
+            <p className="text-sm text-gray-500">Joining by code is turned off</p>
+          )}
+        </div>
+        <div className="flex space-x-3">
+          {joinCode && (
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="text-primary-600 hover:text-primary-700 text-sm font-medium"
+            >
+              {copied ? 'Copied!' : 'Copy'}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleRotate}
+            className="text-primary-600 hover:text-primary-700 text-sm font-medium"
+          >
+            {joinCode ? 'New code' : 'Turn on'}
+          </button>
+          {joinCode && (
+            <button
+              type="button"
+              onClick={handleDisable}
+              className="text-red-600 hover:text-red-800 text-sm font-medium"
+            >
+              Turn off
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Invites */}
+      <form onSubmit={handleInvite} className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1">Invite by email</label>
+        <textarea
+          value={inviteText}
+          onChange={(e) => setInviteText(e.target.value)}
+          rows={3}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+          placeholder="One email per line, or separated by commas"
+        />
+        <button
+          type="submit"
+          disabled={inviting || !inviteText.trim()}
+          className="mt-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
+        >
+          {inviting ? 'Inviting...' : 'Invite Students'}
+        </button>
+      </form>
+
+      {inviteResult && (
+        <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700 space-y-1">
+          {inviteResult.enrolled.length > 0 && (
+            <p>Enrolled {inviteResult.enrolled.length} student(s) who already have an account.</p>
+          )}
+          {inviteResult.invited.length > 0 && (
+            <p>Invited {inviteResult.invited.length} student(s); they'll be enrolled when they sign up.</p>
+          )}
+          {inviteResult.invalid.map(({ email, reason }) => (
+            <p key={email} className="text-red-700">{email}: {reason}</p>
+          ))}
+        </div>
+      )}
+
+      {invites.length > 0 && (
+        <div className="mb-4">
+          <p className="text-sm font-medium text-gray-700 mb-2">Pending invites ({invites.length})</p>
+          <div className="space-y-2">
+            {invites.map((invite) => (
+              <div key={invite.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
+                <span className="text-sm text-gray-700">{invite.email}</span>
+                <button
+                  type="button"
+                  onClick={() => handleCancelInvite(invite.id)}
+                  className="text-red-600 hover:text-red-800 text-sm font-medium"
+                >
+                  Cancel
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Enrolled students */}
+      <p className="text-sm font-medium text-gray-700 mb-2">Enrolled ({students.length})</p>
+      {students.length === 0 ? (
+        <p className="text-gray-600 text-sm">No students have joined yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {students.map((student) => (
+            <div key={student.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
+              <div>
+                <span className="text-sm font-medium text-gray-900">{student.full_name}</span>
+                <span className="ml-2 text-xs text-gray-500">{student.email}</span>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemoveStudent(student)}
+                className="text-red-600 hover:text-red-800 text-sm font-medium"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
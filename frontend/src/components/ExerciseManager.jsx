@@ -0,0 +1,322 @@
+import { useState, useEffect } from 'react';
+import { exerciseAPI } from '../services/api';
+
+const emptyTest = () => ({ name: '', inputs: '', expected: '', points: 1, hidden: false });
+
+const emptyExercise = () => ({
+  id: null,
+  title: '',
+  prompt: '',
+  function_name: '',
+  starter_code: '',
+  published: false,
+  tests: [emptyTest()],
+});
+
+export default function ExerciseManager({ courseId }) {
+  const [exercises, setExercises] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadExercises();
+  }, [courseId]);
+
+  const loadExercises = async () => {
+    try {
+      const data = await exerciseAPI.getForCourse(courseId);
+      setExercises(data);
+    } catch (err) {
+      console.error('Failed to load exercises:', err);
+    }
+  };
+
+  const handleEdit = async (exerciseId) => {
+    setError('');
+    try {
+      const exercise = await exerciseAPI.getById(exerciseId);
+      setEditing({
+        ...exercise,
+        starter_code: exercise.starter_code || '',
+        tests: exercise.tests.map(({ name, inputs, expected, points, hidden, tolerance }) => ({
+          name, inputs, expected, points, hidden, tolerance,
+        })),
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to load exercise');
+    }
+  };
+
+  const handleNew = () => {
+    setError('');
+    setEditing({
+      ...emptyExercise(),
+      position: exercises.length,
+    });
+  };
+
+  const updateField = (field, value) => {
+    setEditing(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateTest = (index, field, value) => {
+    setEditing(prev => ({
+      ...prev,
+      tests: prev.tests.map((test, i) => (i === index ? { ...test, [field]: value } : test)),
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    const { id, title, prompt, function_name, starter_code, published, position, tests } = editing;
+    const payload = {
+      title,
+      prompt,
+      function_name: function_name.trim(),
+      starter_code,
+      published,
+      position,
+      tests: tests.map(test => ({ ...test, points: Number(test.points) })),
+    };
+
+    try {
+      if (id) {
+        await exerciseAPI.update(id, payload);
+      } else {
+        await exerciseAPI.create({ ...payload, course_id: courseId });
+      }
+      setEditing(null);
+      await loadExercises();
+    } catch (err) {
+      setError(err.message || 'Failed to save exercise');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (exercise) => {
+    if (!confirm(`Delete "${exercise.title}" and all student submissions for it?`)) {
+      return;
+    }
+
+    try {
+      await exerciseAPI.delete(exercise.id);
+      setExercises(prev => prev.filter(ex => ex.id !== exercise.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete exercise');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm';
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-gray-900">Coding Exercises</h3>
+        {!editing && (
+          <button
+            onClick={handleNew}
+            className="px-3 py-1.5 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors text-sm font-medium"
+          >
+            + New Exercise
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Students write a MATLAB function and submit it from the tutor chat. Each test calls the function with the given inputs and compares the result with the expected value. Hidden tests only tell students whether they passed.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {editing ? (
+        <form onSubmit={handleSave} className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <div className="grid gap-3 sm:grid-cols-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+              <input
+                type="text"
+                value={editing.title}
+                onChange={(e) => updateField('title', e.target.value)}
+                className={inputClass}
+                placeholder="e.g., Sum of squares"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Function name *</label>
+              <input
+                type="text"
+                value={editing.function_name}
+                onChange={(e) => updateField('function_name', e.target.value)}
+                className={`${inputClass} font-mono`}
+                placeholder="e.g., sum_of_squares"
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Task description *</label>
+            <textarea
+              value={editing.prompt}
+              onChange={(e) => updateField('prompt', e.target.value)}
+              rows={4}
+              className={inputClass}
+              placeholder="Write a function that returns the sum of the squares of a vector's elements..."
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Starter code (Optional)</label>
+            <textarea
+              value={editing.starter_code}
+              onChange={(e) => updateField('starter_code', e.target.value)}
+              rows={4}
+              className={`${inputClass} font-mono`}
+              placeholder={`function result = ${editing.function_name || 'my_function'}(x)\n  % Your code here\nend`}
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">Tests *</label>
+              <span className="text-xs text-gray-500">
+                Expected values are literals: <code>6</code>, <code>[1 2; 3 4]</code>, <code>'text'</code>, <code>true</code>
+              </span>
+            </div>
+            <div className="space-y-2">
+              {editing.tests.map((test, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <input
+                    type="text"
+                    value={test.name}
+                    onChange={(e) => updateTest(index, 'name', e.target.value)}
+                    className={`${inputClass} col-span-3`}
+                    placeholder={`Test ${index + 1}`}
+                  />
+                  <input
+                    type="text"
+                    value={test.inputs}
+                    onChange={(e) => updateTest(index, 'inputs', e.target.value)}
+                    className={`${inputClass} col-span-3 font-mono`}
+                    placeholder="Inputs, e.g. [1 2 3]"
+                  />
+                  <input
+                    type="text"
+                    value={test.expected}
+                    onChange={(e) => updateTest(index, 'expected', e.target.value)}
+                    className={`${inputClass} col-span-3 font-mono`}
+                    placeholder="Expected, e.g. 14"
+                    required
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={test.points}
+                    onChange={(e) => updateTest(index, 'points', e.target.value)}
+                    className={`${inputClass} col-span-1`}
+                    title="Points"
+                  />
+                  <label className="col-span-1 flex items-center space-x-1 text-xs text-gray-600" title="Hidden from students">
+                    <input
+                      type="checkbox"
+                      checked={test.hidden}
+                      onChange={(e) => updateTest(index, 'hidden', e.target.checked)}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>Hidden</span>
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => setEditing(prev => ({ ...prev, tests: prev.tests.filter((_, i) => i !== index) }))}
+                    disabled={editing.tests.length === 1}
+                    className="col-span-1 text-red-600 hover:text-red-800 text-sm font-medium disabled:opacity-30"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setEditing(prev => ({ ...prev, tests: [...prev.tests, emptyTest()] }))}
+              className="mt-2 text-sm text-primary-600 hover:text-primary-700 font-medium"
+            >
+              + Add test
+            </button>
+          </div>
+
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={editing.published}
+              onChange={(e) => updateField('published', e.target.checked)}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span>Published (visible to students)</span>
+          </label>
+
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
+            >
+              {saving ? 'Saving...' : editing.id ? 'Save Exercise' : 'Create Exercise'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 text-gray-700 hover:text-gray-900 text-sm font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : exercises.length === 0 ? (
+        <p className="text-gray-600 text-sm">No exercises yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {exercises.map((exercise) => (
+            <div key={exercise.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-900">{exercise.title}</span>
+                  <span className={`px-2 py-0.5 text-xs rounded ${exercise.published ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'}`}>
+                    {exercise.published ? 'Published' : 'Draft'}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  <code>{exercise.function_name}</code> · {exercise.test_count} tests ({exercise.hidden_test_count} hidden) · {exercise.max_score} points
+                </p>
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => handleEdit(exercise.id)}
+                  className="text-primary-600 hover:text-primary-700 text-sm font-medium"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(exercise)}
+                  className="text-red-600 hover:text-red-800 text-sm font-medium"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import { exerciseAPI } from '../services/api';
+
+export default function ExercisePanel({ courseId, code, onLoadCode }) {
+  const [exercises, setExercises] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loadingList, setLoadingList] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadExercises();
+  }, [courseId]);
+
+  const loadExercises = async () => {
+    try {
+      const data = await exerciseAPI.getForCourse(courseId);
+      setExercises(data);
+    } catch (err) {
+      console.error('Failed to load exercises:', err);
+    } finally {
+      setLoadingList(false);
+    }
+  };
+
+  const handleOpen = async (exerciseId) => {
+    setError('');
+    setResult(null);
+    try {
+      const exercise = await exerciseAPI.getById(exerciseId);
+      setSelected(exercise);
+    } catch (err) {
+      setError(err.message || 'Failed to load exercise');
+    }
+  };
+
+  const handleLoadStarter = () => {
+    if (code.trim() && !confirm('Replace the code in the editor with the starter code?')) {
+      return;
+    }
+    onLoadCode(selected.starter_code || `function result = ${selected.function_name}()\n  % Your code here\nend\n`);
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      const submission = await exerciseAPI.submit(selected.id, code);
+      setResult(submission);
+      loadExercises();
+    } catch (err) {
+      setError(err.message || 'Failed to submit solution');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!selected) {
+    return (
+      <div className="p-4">
+        {error && <p className="mb-2 text-sm text-red-700">{error}</p>}
+        {loadingList ? (
+          <p className="text-sm text-gray-500">Loading exercises...</p>
+        ) : exercises.length === 0 ? (
+          <p className="text-sm text-gray-500">Your professor hasn't published any exercises yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {exercises.map((exercise) => (
+              <button
+                key={exercise.id}
+                onClick={() => handleOpen(exercise.id)}
+                className="w-full text-left p-3 bg-white border border-gray-200 rounded-lg hover:border-primary-400 transition-colors flex items-center justify-between"
+              >
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{exercise.title}</p>
+                  <p className="text-xs text-gray-500 font-mono">{exercise.function_name}</p>
+                </div>
+                <span className={`text-xs font-medium ${exercise.solved ? 'text-green-700' : 'text-gray-500'}`}>
+                  {exercise.solved
+                    ? '✓ Solved'
+                    : exercise.attempts > 0
+                      ? `${exercise.best_score}/${exercise.max_score}`
+                      : 'Not attempted'}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => { setSelected(null); setResult(null); setError(''); }}
+          className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          ← All exercises
+        </button>
+        <span className="text-xs text-gray-500">{selected.max_score} points</span>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-900">{selected.title}</h4>
+        <p className="mt-1 text-sm text-gray-700 whitespace-pre-wrap">{selected.prompt}</p>
+        <p className="mt-2 text-xs text-gray-500">
+          Write the function <code className="font-mono text-gray-800">{selected.function_name}</code> in the editor, starting with its <code className="font-mono">function</code> line.
+        </p>
+      </div>
+
+      {(selected.tests.length > 0 || selected.hidden_tests.count > 0) && (
+        <div>
+          <p className="text-xs font-semibold text-gray-700 mb-1">Tests</p>
+          <ul className="space-y-1">
+            {selected.tests.map((test) => (
+              <li key={test.id} className="text-xs font-mono text-gray-700 bg-white border border-gray-200 rounded px-2 py-1">
+                {selected.function_name}({test.inputs}) → {test.expected}
+              </li>
+            ))}
+          </ul>
+          {selected.hidden_tests.count > 0 && (
+            <p className="mt-1 text-xs text-gray-500">
+              + {selected.hidden_tests.count} hidden {selected.hidden_tests.count === 1 ? 'test' : 'tests'} ({selected.hidden_tests.points} points)
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="flex space-x-2">
+        <button
+          onClick={handleLoadStarter}
+          className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-100 transition-colors"
+        >
+          Load starter code
+        </button>
+        <button
+          onClick={handleSubmit}
+          disabled={submitting || !code.trim()}
+          className="px-3 py-1.5 bg-primary-600 text-white text-sm font-medium rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? 'Grading...' : 'Submit solution'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      {result && (
+        <div className="border-t border-gray-200 pt-3">
+          <p className={`text-sm font-semibold ${result.status === 'passed' ? 'text-green-700' : 'text-red-700'}`}>
+            {result.status === 'passed' ? 'All tests passed!' : result.status === 'error' ? 'Your code did not run' : 'Some tests failed'}
+            <span className="ml-2 font-normal text-gray-600">Score: {result.score}/{result.max_score}</span>
+          </p>
+          <ul className="mt-2 space-y-1">
+            {result.results.map((test, index) => (
+              <li key={test.test_id || index} className="text-xs">
+                <span className={test.passed ? 'text-green-700' : 'text-red-700'}>{test.passed ? '✓' : '✗'}</span>
+                <span className="ml-1 font-medium text-gray-800">{test.name || `Test ${index + 1}`}</span>
+                {!test.passed && test.message && (
+                  <span className="ml-1 text-gray-600">- {test.message}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+          {result.error && (
+            <pre className="mt-2 font-mono text-xs text-red-700 whitespace-pre-wrap break-words">{result.error}</pre>
+          )}
+          {result.output && (
+            <pre className="mt-2 font-mono text-xs text-gray-800 whitespace-pre-wrap break-words">{result.output}</pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+// Statuses of a file that is still being processed (the page polls until they finish)
+export const ACTIVE_INGESTION_STATUSES = ['queued', 'extracting', 'chunking'];
+
+const BADGE_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  extracting: 'bg-blue-50 text-blue-700',
+  chunking: 'bg-blue-50 text-blue-700',
+  indexed: 'bg-green-50 text-green-700',
+  failed: 'bg-red-50 text-red-700',
+};
+
+function badgeLabel(ingestion) {
+  switch (ingestion.status) {
+    case 'queued':
+      return 'Queued';
+    case 'extracting':
+      return ingestion.pages_total
+        ? `Extracting text (page ${ingestion.pages_done} of ${ingestion.pages_total})`
+        : 'Extracting text';
+    case 'chunking':
+      return 'Indexing';
+    case 'indexed':
+      return `Searchable · ${ingestion.chunk_count} passages`;
+    default:
+      return 'Not searchable';
+  }
+}
+
+/**
+ * Whether a course file is searchable by the tutor yet, with retry for failed files
+ */
+export default function IngestionStatus({ ingestion, onRetry }) {
+  if (!ingestion) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-1">
+      <span className={`px-2 py-0.5 rounded text-xs font-medium ${BADGE_STYLES[ingestion.status]}`}>
+        {badgeLabel(ingestion)}
+      </span>
+      {ingestion.status === 'failed' && (
+        <>
+          {ingestion.error && <span className="text-xs text-red-700">{ingestion.error}</span>}
+          <button
+            type="button"
+            onClick={onRetry}
+            className="text-primary-600 hover:text-primary-700 text-xs font-medium"
+          >
+            Retry
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+// Statuses of a link whose page is still being fetched (the page polls until they finish)
+export const ACTIVE_FETCH_STATUSES = ['queued', 'fetching'];
+
+const BADGE_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  fetching: 'bg-blue-50 text-blue-700',
+  indexed: 'bg-green-50 text-green-700',
+  failed: 'bg-red-50 text-red-700',
+};
+
+function badgeLabel(link) {
+  switch (link.fetch_status) {
+    case 'queued':
+      return 'Queued';
+    case 'fetching':
+      return 'Fetching page';
+    case 'indexed':
+      return `Searchable · ${link.chunk_count} passages`;
+    default:
+      return link.chunk_count ? `Refresh failed · ${link.chunk_count} passages kept` : 'Not searchable';
+  }
+}
+
+/**
+ * Whether the page behind a course link is searchable by the tutor, with a manual refresh
+ */
+export default function LinkFetchStatus({ link, onRefresh }) {
+  if (!link.fetch_status) {
+    return null;
+  }
+
+  const active = ACTIVE_FETCH_STATUSES.includes(link.fetch_status);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-1 ml-6">
+      <span className={`px-2 py-0.5 rounded text-xs font-medium ${BADGE_STYLES[link.fetch_status]}`}>
+        {badgeLabel(link)}
+      </span>
+      {link.fetch_status === 'failed' && link.fetch_error && (
+        <span className="text-xs text-red-700">{link.fetch_error}</span>
+      )}
+      {link.fetched_at && !active && (
+        <span className="text-xs text-gray-500">Checked {new Date(link.fetched_at).toLocaleDateString()}</span>
+      )}
+      {onRefresh && !active && (
+        <button
+          type="button"
+          onClick={onRefresh}
+          className="text-primary-600 hover:text-primary-700 text-xs font-medium"
+        >
+          {link.fetch_status === 'failed' ? 'Retry' : 'Refresh'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+// Mastery bands (0-100), lowest first
+const MASTERY_BANDS = [
+  { min: 0, label: 'Struggling', cell: 'bg-red-100 text-red-800', bar: 'bg-red-500' },
+  { min: 40, label: 'Developing', cell: 'bg-yellow-100 text-yellow-800', bar: 'bg-yellow-500' },
+  { min: 70, label: 'Proficient', cell: 'bg-green-100 text-green-800', bar: 'bg-green-600' },
+];
+
+export function masteryBand(level) {
+  return [...MASTERY_BANDS].reverse().find(band => level >= band.min);
+}
+
+/**
+ * One line summarising the evidence behind a mastery level
+ */
+export function describeEvidence(evidence) {
+  const parts = [];
+
+  if (evidence.questions) parts.push(`${evidence.questions} question${evidence.questions !== 1 ? 's' : ''}`);
+  if (evidence.exercise_attempts) parts.push(`${evidence.exercises_passed}/${evidence.exercise_attempts} exercises passed`);
+  if (evidence.code_reviews) parts.push(`${evidence.code_reviews_clean}/${evidence.code_reviews} code reviews clean`);
+  if (evidence.execution_errors) parts.push(`${evidence.execution_errors} failed run${evidence.execution_errors !== 1 ? 's' : ''}`);
+
+  return parts.join(' · ');
+}
+
+export function MasteryLegend() {
+  return (
+    <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+      {MASTERY_BANDS.map(band => (
+        <span key={band.label} className="flex items-center gap-1">
+          <span className={`inline-block w-3 h-3 rounded ${band.bar}`} />
+          {band.label}{band.min > 0 ? ` (${band.min}+)` : ''}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * One student's mastery of each topic, as bars with the evidence behind them
+ */
+export function MasteryList({ mastery }) {
+  if (mastery.length === 0) {
+    return <p className="text-gray-600 text-sm">No mastery data yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {mastery.map(entry => {
+        const band = masteryBand(entry.mastery);
+
+        return (
+          <div key={entry.topic}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="text-gray-700 font-medium">{entry.display_name}</span>
+              <span className="text-gray-600">{entry.mastery}% · {band.label}</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className={`${band.bar} h-2 rounded-full transition-all`} style={{ width: `${entry.mastery}%` }} />
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {describeEvidence(entry.evidence)}
+              {entry.last_evidence_at && ` · last practised ${new Date(entry.last_evidence_at).toLocaleDateString()}`}
+            </p>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Students x topics grid of mastery levels; a blank cell means no evidence for that topic yet
+ */
+export default function MasteryGrid({ topics, students, onSelectStudent }) {
+  if (topics.length === 0) {
+    return <p className="text-gray-600 text-sm">No mastery data yet. It builds up as students ask questions, run code and submit exercises.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr>
+            <th className="text-left font-medium text-gray-700 py-2 pr-4 sticky left-0 bg-white">Student</th>
+            {topics.map(topic => (
+              <th key={topic.topic} className="px-2 py-2 font-medium text-gray-700 text-center whitespace-nowrap">
+                {topic.display_name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {students.map(student => (
+            <tr key={student.id} className="border-t border-gray-100">
+              <td className="py-2 pr-4 sticky left-0 bg-white">
+                <button
+                  onClick={() => onSelectStudent?.(student.id)}
+                  className="text-left font-medium text-gray-900 hover:text-primary-600"
+                >
+                  {student.name}
+                </button>
+              </td>
+              {topics.map(topic => {
+                const entry = student.mastery[topic.topic];
+
+                return (
+                  <td key={topic.topic} className="px-2 py-1 text-center">
+                    {entry ? (
+                      <span
+                        className={`inline-block w-12 py-1 rounded text-xs font-medium ${masteryBand(entry.mastery).cell}`}
+                        title={describeEvidence(entry.evidence)}
+                      >
+                        {entry.mastery}
+                      </span>
+                    ) : (
+                      <span className="text-gray-300">–</span>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+          <tr className="border-t-2 border-gray-200">
+            <td className="py-2 pr-4 font-medium text-gray-700 sticky left-0 bg-white">Class average</td>
+            {topics.map(topic => (
+              <td key={topic.topic} className="px-2 py-1 text-center">
+                <span
+                  className={`inline-block w-12 py-1 rounded text-xs font-semibold ${masteryBand(topic.average_mastery).cell}`}
+                  title={`${topic.students_assessed} student${topic.students_assessed !== 1 ? 's' : ''} assessed`}
+                >
+                  {topic.average_mastery}
+                </span>
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
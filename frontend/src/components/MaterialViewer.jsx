@@ -0,0 +1,161 @@
+import { useState, useEffect, useRef } from 'react';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { vs } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { pdfAPI } from '../services/api';
+
+const LOCATION_LABELS = {
+  slide: 'Slide',
+  section: 'Section',
+  line: 'Line',
+};
+
+function Block({ block, slides }) {
+  if (block.type === 'code') {
+    return (
+      <pre className="my-2 p-3 bg-gray-50 border border-gray-200 rounded text-sm font-mono text-gray-800 overflow-x-auto">
+        {block.text}
+      </pre>
+    );
+  }
+
+  return (
+    <p className="text-gray-800 leading-relaxed my-1">
+      {slides && <span className="text-gray-400 mr-2">•</span>}
+      {block.text}
+    </p>
+  );
+}
+
+/**
+ * One slide or document section; the cited ones are highlighted
+ */
+function Section({ section, locationType, highlighted }) {
+  const blocks = section.blocks.filter(block => !block.notes);
+  const notes = section.blocks.filter(block => block.notes);
+
+  return (
+    <section
+      data-location={section.number}
+      className={`bg-white rounded-lg border p-5 ${highlighted ? 'border-primary-400 ring-2 ring-primary-100' : 'border-gray-200'}`}
+    >
+      <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">{LOCATION_LABELS[locationType]} {section.number}</p>
+      {section.title && <h3 className="text-lg font-semibold text-gray-900 mb-2">{section.title}</h3>}
+      {blocks.map((block, idx) => (
+        <Block key={idx} block={block} slides={locationType === 'slide'} />
+      ))}
+      {notes.length > 0 && (
+        <div className="mt-3 p-3 bg-yellow-50 border border-yellow-100 rounded">
+          <p className="text-xs font-medium text-yellow-800 mb-1">Speaker notes</p>
+          {notes.map((block, idx) => (
+            <Block key={idx} block={block} slides={false} />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Viewer for course materials that aren't PDFs: slides, documents and MATLAB files
+ * Scrolls to the cited slide, section or lines and highlights them
+ * Shows the current version of the material unless an earlier `version` is given
+ */
+export default function MaterialViewer({ material, version, location = 1, locationEnd }) {
+  const [materialDocument, setMaterialDocument] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const contentRef = useRef(null);
+
+  const lastLocation = Math.max(location, locationEnd || location);
+
+  useEffect(() => {
+    if (!material?.id) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    pdfAPI.getDocument(material.id, version)
+      .then((data) => {
+        if (!cancelled) setMaterialDocument(data);
+      })
+      .catch((err) => {
+        console.error('Error loading material:', err);
+        if (!cancelled) setError(err.message || 'Failed to load material');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [material?.id, version]);
+
+  useEffect(() => {
+    if (!materialDocument || !contentRef.current) return;
+
+    // The cited line, or the last slide or section starting at or before the citation
+    const targets = [...contentRef.current.querySelectorAll('[data-location]')]
+      .filter(element => parseInt(element.dataset.location, 10) <= location);
+    targets[targets.length - 1]?.scrollIntoView({ block: materialDocument.location_type === 'line' ? 'center' : 'start' });
+  }, [materialDocument, location]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-full bg-gray-100">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading {material?.filename}...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center justify-center h-full bg-gray-100">
+        <p className="text-red-600 p-8">{error}</p>
+      </div>
+    );
+  }
+
+  if (materialDocument.location_type === 'line') {
+    return (
+      <div ref={contentRef} className="h-full overflow-auto bg-white">
+        <SyntaxHighlighter
+          language="matlab"
+          style={vs}
+          showLineNumbers
+          wrapLines
+          lineProps={(lineNumber) => ({
+            'data-location': lineNumber,
+            style: {
+              display: 'block',
+              backgroundColor: lineNumber >= location && lineNumber <= lastLocation ? '#fef9c3' : undefined,
+            },
+          })}
+          customStyle={{ margin: 0, border: 'none', fontSize: '0.875rem' }}
+        >
+          {materialDocument.text}
+        </SyntaxHighlighter>
+      </div>
+    );
+  }
+
+  return (
+    <div ref={contentRef} className="h-full overflow-auto bg-gray-100 p-4 space-y-4">
+      {materialDocument.sections.length === 0 && (
+        <p className="text-center text-gray-600 p-8">This file has no text to show.</p>
+      )}
+      {materialDocument.sections.map((section) => (
+        <Section
+          key={section.number}
+          section={section}
+          locationType={materialDocument.location_type}
+          highlighted={section.number >= location && section.number <= lastLocation}
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import { useState } from 'react';
+import { courseAPI } from '../services/api';
+
+const SKIP_REASONS = {
+  page_limit: 'Not sent: the tutor already has the maximum passages from this page',
+  top_k: 'Not sent: ranked below the passages the tutor gets',
+};
+
+const formatScore = (value) => (value === null || value === undefined ? '–' : value.toFixed(2));
+
+const LOCATION_LABELS = {
+  page: ['page', 'pages'],
+  slide: ['slide', 'slides'],
+  section: ['section', 'sections'],
+  line: ['line', 'lines'],
+};
+
+const formatPages = (result) => {
+  // Passages from a course link's page are cited by the link, not a location
+  if (result.link_id) return `web page, section ${result.page}`;
+
+  const [singular, plural] = LOCATION_LABELS[result.location_type] || LOCATION_LABELS.page;
+  return result.page_end && result.page_end !== result.page ? `${plural} ${result.page}-${result.page_end}` : `${singular} ${result.page}`;
+};
+
+/**
+ * How one passage's score was put together (mirrors combineScores in backend/utils/searchIndex.js)
+ */
+function ScoreBreakdown({ result, hybrid, vectorWeight }) {
+  if (!hybrid) {
+    return (
+      <p className="text-xs text-gray-600">
+        Score {formatScore(result.score)} = keyword match {formatScore(result.keyword_part)}
+        <span className="text-gray-400"> (BM25 {formatScore(result.keyword_score)}, relative to the best candidate)</span>
+      </p>
+    );
+  }
+
+  const vectorShare = Math.round(vectorWeight * 100);
+
+  return (
+    <p className="text-xs text-gray-600">
+      Score {formatScore(result.score)} = {vectorShare}% × meaning {formatScore(result.vector_score ?? 0)}
+      {' '}+ {100 - vectorShare}% × keyword match {formatScore(result.keyword_part)}
+      {result.vector_score === null && <span className="text-gray-400"> (not among the closest passages in meaning)</span>}
+    </p>
+  );
+}
+
+function ResultCard({ result, hybrid, vectorWeight }) {
+  const [expanded, setExpanded] = useState(false);
+
+  return (
+    <div className={`p-3 rounded-lg border ${result.selected ? 'bg-white border-green-200' : 'bg-gray-50 border-gray-200'}`}>
+      <div className="flex flex-wrap items-center gap-2 mb-1">
+        <span className="text-xs font-semibold text-gray-500">#{result.rank}</span>
+        <span className="text-sm font-medium text-gray-900">{result.filename}</span>
+        <span className="text-xs text-gray-600">{formatPages(result)}</span>
+        {result.section_title && (
+          <span className="text-xs text-gray-500 italic">{result.section_title}</span>
+        )}
+        {result.selected ? (
+          <span className="px-2 py-0.5 rounded text-xs font-medium bg-green-50 text-green-700">Sent to tutor</span>
+        ) : (
+          <span className="text-xs text-gray-500">{SKIP_REASONS[result.skipped]}</span>
+        )}
+      </div>
+
+      <ScoreBreakdown result={result} hybrid={hybrid} vectorWeight={vectorWeight} />
+
+      {result.matched_terms.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-1">
+          {result.matched_terms.map((match) => (
+            <span key={match.term} className="px-2 py-0.5 bg-primary-50 text-primary-700 rounded text-xs">
+              {match.term} ×{match.tf} <span className="text-primary-500">+{formatScore(match.score)}</span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="mt-2 text-xs text-primary-600 hover:text-primary-700 font-medium"
+      >
+        {expanded ? 'Hide passage' : 'Show passage'}
+      </button>
+      {expanded && (
+        <pre className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-700 whitespace-pre-wrap max-h-64 overflow-y-auto">
+          {result.content}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Try a student question against the course materials and see which passages the tutor gets and why
+ */
+export default function SearchExplainer({ courseId }) {
+  const [query, setQuery] = useState('');
+  const [explanation, setExplanation] = useState(null);
+  const [showSkipped, setShowSkipped] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setSearching(true);
+    setError('');
+
+    try {
+      const data = await courseAPI.explainSearch(courseId, query.trim());
+      setExplanation(data);
+      setShowSkipped(false);
+    } catch (err) {
+      setError(err.message || 'Failed to search course materials');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const results = explanation?.results || [];
+  const selected = results.filter(result => result.selected);
+  const skipped = results.filter(result => !result.selected);
+  const hybrid = results.some(result => result.vector_score !== null);
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Why This Source?</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Ask a question the way a student would to see which passages of your materials the tutor receives, and how each one scored.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSearch} className="flex flex-col sm:flex-row gap-2 mb-4">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+          placeholder="e.g. How do I repeat something 10 times?"
+          aria-label="Student question"
+        />
+        <button
+          type="submit"
+          disabled={searching || !query.trim()}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
+        >
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {explanation && (
+        <div className="space-y-3">
+          <div className="text-xs text-gray-600 space-y-1">
+            <p>
+              {explanation.embedding_model
+                ? `Keyword and meaning search (${explanation.embedding_model})`
+                : 'Keyword search only (embeddings are turned off)'}
+              {' · '}the tutor gets up to {explanation.settings.top_k} passages, at most {explanation.settings.max_chunks_per_page} from one page
+            </p>
+            {explanation.query_terms.length > 0 && (
+              <div className="flex flex-wrap items-center gap-1">
+                <span>Search terms:</span>
+                {explanation.query_terms.map((term) => (
+                  <span
+                    key={term.term}
+                    className={`px-2 py-0.5 rounded ${term.chunk_count > 0 ? 'bg-gray-100 text-gray-700' : 'bg-gray-50 text-gray-400 line-through'}`}
+                    title={term.chunk_count > 0 ? `In ${term.chunk_count} passages` : 'Not in any passage'}
+                  >
+                    {term.term} · {term.chunk_count}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {selected.length === 0 ? (
+            <p className="text-gray-600 text-sm">No passages matched, so the tutor would answer without citing your materials.</p>
+          ) : (
+            selected.map((result) => (
+              <ResultCard key={result.id} result={result} hybrid={hybrid} vectorWeight={explanation.settings.vector_weight} />
+            ))
+          )}
+
+          {skipped.length > 0 && (
+            <div>
+              <button
+                type="button"
+                onClick={() => setShowSkipped(!showSkipped)}
+                className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+              >
+                {showSkipped ? 'Hide other candidates' : `Show ${skipped.length} other candidates`}
+              </button>
+              {showSkipped && (
+                <div className="mt-2 space-y-2">
+                  {skipped.map((result) => (
+                    <ResultCard key={result.id} result={result} hybrid={hybrid} vectorWeight={explanation.settings.vector_weight} />
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
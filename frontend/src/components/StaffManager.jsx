@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react';
+import { staffAPI } from '../services/api';
+
+const ROLES = [
+  { value: 'co_instructor', label: 'Co-instructor' },
+  { value: 'ta', label: 'Teaching assistant' },
+];
+
+const PERMISSIONS = [
+  { value: 'edit_course', label: 'Edit course settings and students' },
+  { value: 'edit_materials', label: 'Edit materials and exercises' },
+  { value: 'view_analytics', label: 'View analytics' },
+  { value: 'view_student_chats', label: "View students' questions" },
+];
+
+// Same defaults as the backend (DEFAULT_STAFF_PERMISSIONS)
+const DEFAULT_PERMISSIONS = {
+  co_instructor: PERMISSIONS.map(permission => permission.value),
+  ta: ['edit_materials', 'view_analytics'],
+};
+
+const roleLabel = (role) => ROLES.find(option => option.value === role)?.label || role;
+
+export default function StaffManager({ courseId }) {
+  const [staff, setStaff] = useState([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('ta');
+  const [permissions, setPermissions] = useState(DEFAULT_PERMISSIONS.ta);
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadStaff();
+  }, [courseId]);
+
+  const loadStaff = async () => {
+    try {
+      const data = await staffAPI.getForCourse(courseId);
+      setStaff(data.staff);
+    } catch (err) {
+      console.error('Failed to load staff:', err);
+    }
+  };
+
+  const handleRoleChange = (newRole) => {
+    setRole(newRole);
+    setPermissions(DEFAULT_PERMISSIONS[newRole]);
+  };
+
+  const togglePermission = (list, permission) => (
+    list.includes(permission) ? list.filter(p => p !== permission) : [...list, permission]
+  );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setAdding(true);
+    setError('');
+
+    try {
+      const member = await staffAPI.add(courseId, { email, role, permissions });
+      setStaff(prev => [...prev.filter(s => s.id !== member.id), member]);
+      setEmail('');
+    } catch (err) {
+      setError(err.message || 'Failed to add staff member');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleTogglePermission = async (member, permission) => {
+    try {
+      const updated = await staffAPI.update(courseId, member.id, {
+        permissions: togglePermission(member.permissions, permission),
+      });
+      setStaff(prev => prev.map(s => (s.id === member.id ? { ...s, ...updated } : s)));
+    } catch (err) {
+      setError(err.message || 'Failed to update permissions');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!confirm(`Remove ${member.full_name} from this course's staff?`)) {
+      return;
+    }
+
+    try {
+      await staffAPI.remove(courseId, member.id);
+      setStaff(prev => prev.filter(s => s.id !== member.id));
+    } catch (err) {
+      setError(err.message || 'Failed to remove staff member');
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Staff</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Add co-instructors and teaching assistants by the email of their account. Choose what each of them can do in this course.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Add staff */}
+      <form onSubmit={handleAdd} className="bg-gray-50 p-4 rounded-lg mb-4 space-y-3">
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+            placeholder="ta@university.edu"
+            aria-label="Staff email"
+          />
+          <select
+            value={role}
+            onChange={(e) => handleRoleChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+            aria-label="Staff role"
+          >
+            {ROLES.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid sm:grid-cols-2 gap-1">
+          {PERMISSIONS.map((permission) => (
+            <label key={permission.value} className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={permissions.includes(permission.value)}
+                onChange={() => setPermissions(prev => togglePermission(prev, permission.value))}
+              />
+              <span>{permission.label}</span>
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={adding || !email.trim()}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
+        >
+          {adding ? 'Adding...' : 'Add Staff'}
+        </button>
+      </form>
+
+      {/* Current staff */}
+      {staff.length === 0 ? (
+        <p className="text-gray-600 text-sm">No co-instructors or TAs yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {staff.map((member) => (
+            <div key={member.id} className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <div>
+                  <span className="text-sm font-medium text-gray-900">{member.full_name}</span>
+                  <span className="ml-2 text-xs text-gray-500">{member.email}</span>
+                  <span className="ml-2 px-2 py-0.5 bg-primary-50 text-primary-700 rounded text-xs font-medium">
+                    {roleLabel(member.role)}
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(member)}
+                  className="text-red-600 hover:text-red-800 text-sm font-medium"
+                >
+                  Remove
+                </button>
+              </div>
+              <div className="grid sm:grid-cols-2 gap-1">
+                {PERMISSIONS.map((permission) => (
+                  <label key={permission.value} className="flex items-center space-x-2 text-xs text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={member.permissions.includes(permission.value)}
+                      onChange={() => handleTogglePermission(member, permission.value)}
+                    />
+                    <span>{permission.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
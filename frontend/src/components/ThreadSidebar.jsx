@@ -0,0 +1,151 @@
+import { useState } from 'react';
+
+export default function ThreadSidebar({
+  threads,
+  activeThreadId,
+  showArchived,
+  disabled = false,
+  onSelect,
+  onNew,
+  onRename,
+  onArchive,
+  onDelete,
+  onToggleArchived,
+}) {
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+
+  const activeThreads = threads.filter(thread => !thread.archived_at);
+  const archivedThreads = threads.filter(thread => thread.archived_at);
+
+  const startRename = (thread) => {
+    setEditingId(thread.id);
+    setEditTitle(thread.title);
+  };
+
+  const submitRename = async (e) => {
+    e.preventDefault();
+    const title = editTitle.trim();
+
+    if (title) {
+      await onRename(editingId, title);
+    }
+    setEditingId(null);
+  };
+
+  const renderThread = (thread) => {
+    const isActive = thread.id === activeThreadId;
+
+    if (editingId === thread.id) {
+      return (
+        <li key={thread.id}>
+          <form onSubmit={submitRename} className="px-2 py-1">
+            <input
+              type="text"
+              value={editTitle}
+              onChange={(e) => setEditTitle(e.target.value)}
+              onBlur={() => setEditingId(null)}
+              onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+              maxLength={80}
+              autoFocus
+              className="w-full px-2 py-1 text-sm border border-primary-500 rounded focus:outline-none focus:ring-1 focus:ring-primary-500"
+            />
+          </form>
+        </li>
+      );
+    }
+
+    return (
+      <li key={thread.id} className="group relative">
+        <button
+          onClick={() => onSelect(thread)}
+          disabled={disabled}
+          className={`w-full text-left px-3 py-2 pr-16 rounded text-sm truncate transition-colors disabled:cursor-not-allowed ${
+            isActive
+              ? 'bg-primary-100 text-primary-700 font-medium'
+              : 'text-gray-700 hover:bg-gray-200'
+          } ${thread.archived_at ? 'italic opacity-75' : ''}`}
+          title={thread.title}
+        >
+          {thread.title}
+        </button>
+        <div className="absolute right-1 top-1/2 -translate-y-1/2 hidden group-hover:flex space-x-0.5">
+          <button
+            onClick={() => startRename(thread)}
+            className="p-1 text-gray-500 hover:text-gray-800"
+            title="Rename"
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536M9 13l6.232-6.232a2.5 2.5 0 113.536 3.536L12.536 16.536 9 17l.464-3.536z" />
+            </svg>
+          </button>
+          <button
+            onClick={() => onArchive(thread, !thread.archived_at)}
+            className="p-1 text-gray-500 hover:text-gray-800"
+            title={thread.archived_at ? 'Restore' : 'Archive'}
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+            </svg>
+          </button>
+          <button
+            onClick={() => onDelete(thread)}
+            disabled={disabled && thread.id === activeThreadId}
+            className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-50"
+            title="Delete"
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+          </button>
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-gray-50 border-r border-gray-200">
+      <div className="flex-shrink-0 p-3 border-b border-gray-200">
+        <button
+          onClick={onNew}
+          disabled={disabled}
+          className="w-full px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          + New conversation
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2">
+        {activeThreads.length === 0 ? (
+          <p className="px-3 py-2 text-xs text-gray-500">
+            No conversations yet. Ask a question to start one.
+          </p>
+        ) : (
+          <ul className="space-y-0.5">
+            {activeThreads.map(renderThread)}
+          </ul>
+        )}
+
+        {showArchived && archivedThreads.length > 0 && (
+          <>
+            <p className="px-3 pt-4 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wide">
+              Archived
+            </p>
+            <ul className="space-y-0.5">
+              {archivedThreads.map(renderThread)}
+            </ul>
+          </>
+        )}
+      </div>
+
+      <div className="flex-shrink-0 px-3 py-2 border-t border-gray-200">
+        <button
+          onClick={onToggleArchived}
+          className="text-xs text-gray-600 hover:text-gray-800"
+        >
+          {showArchived ? 'Hide archived' : 'Show archived'}
+        </button>
+      </div>
+    </div>
+  );
+}
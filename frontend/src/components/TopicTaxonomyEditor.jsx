@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { topicAPI } from '../services/api';
+
+// Topic keys are stored on analytics and mastery; same rule as the backend (TOPIC_KEY_REGEX)
+const slugify = (text) => text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 100);
+
+const toRow = (topic) => ({
+  key: topic.key,
+  display_name: topic.display_name,
+  keywords: topic.keywords.join(', '),
+  parent: topic.parent || '',
+  isNew: false,
+});
+
+// How many topics a row is nested under, for indenting it
+const depthOf = (row, rows) => {
+  let depth = 0;
+  let parent = row.parent;
+  while (parent && depth < rows.length) {
+    parent = rows.find(other => other.key === parent)?.parent;
+    depth++;
+  }
+  return depth;
+};
+
+/**
+ * Edit the topics a course's questions, exercises and mastery are filed under
+ */
+export default function TopicTaxonomyEditor({ courseId }) {
+  const [rows, setRows] = useState([]);
+  const [isDefault, setIsDefault] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    loadTopics();
+  }, [courseId]);
+
+  const loadTopics = async () => {
+    try {
+      const data = await topicAPI.getForCourse(courseId);
+      setRows(data.topics.map(toRow));
+      setIsDefault(data.is_default);
+      setDirty(false);
+    } catch (err) {
+      console.error('Failed to load topics:', err);
+      setError('Failed to load topics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const edit = (updater) => {
+    setRows(updater);
+    setDirty(true);
+    setSaved(false);
+  };
+
+  const updateRow = (index, changes) => {
+    edit(prev => prev.map((row, i) => {
+      if (i !== index) return row;
+      const next = { ...row, ...changes };
+      // New topics take their key from the name until the key is edited by hand
+      if (row.isNew && changes.display_name !== undefined && (!row.key || row.key === slugify(row.display_name))) {
+        next.key = slugify(changes.display_name);
+      }
+      return next;
+    }));
+  };
+
+  const handleAdd = () => {
+    edit(prev => [...prev, { key: '', display_name: '', keywords: '', parent: '', isNew: true }]);
+  };
+
+  const handleRemove = (index) => {
+    const removed = rows[index];
+    // Topics nested under the removed one move up a level
+    edit(prev => prev
+      .filter((_, i) => i !== index)
+      .map(row => (row.parent && row.parent === removed.key ? { ...row, parent: removed.parent } : row)));
+  };
+
+  const handleResetToDefault = async () => {
+    if (!confirm('Replace these topics with the default list? Unsaved changes are lost.')) {
+      return;
+    }
+
+    try {
+      const template = await topicAPI.getTemplate();
+      edit(() => template.map(toRow));
+    } catch (err) {
+      setError(err.message || 'Failed to load the default topics');
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const data = await topicAPI.save(courseId, rows.map(row => ({
+        key: row.key,
+        display_name: row.display_name,
+        keywords: row.keywords,
+        parent: row.parent || null,
+      })));
+      setRows(data.topics.map(toRow));
+      setIsDefault(data.is_default);
+      setDirty(false);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message || 'Failed to save topics');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">Topics</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Questions, exercises and mastery are filed under the topic whose keywords a message mentions most.
+        Nest a topic under another to group it; a message matching both goes to the nested one.
+        {isDefault && ' This course uses the default topics until you save your own.'}
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-600">Loading topics...</p>
+      ) : (
+        <>
+          <div className="space-y-2 mb-4">
+            {rows.map((row, index) => (
+              <div
+                key={index}
+                className="bg-gray-50 p-3 rounded-lg grid sm:grid-cols-12 gap-2 items-start"
+                style={{ marginLeft: `${Math.min(depthOf(row, rows), 4) * 1.5}rem` }}
+              >
+                <div className="sm:col-span-3">
+                  <input
+                    type="text"
+                    value={row.display_name}
+                    onChange={(e) => updateRow(index, { display_name: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+                    placeholder="Display name"
+                    aria-label="Topic name"
+                  />
+                  <input
+                    type="text"
+                    value={row.key}
+                    onChange={(e) => updateRow(index, { key: e.target.value })}
+                    className="w-full mt-1 px-2 py-1 border border-gray-200 rounded text-xs font-mono text-gray-600"
+                    placeholder="topic_key"
+                    aria-label="Topic key"
+                    title={row.isNew ? 'Key stored with questions and mastery' : 'Changing the key separates the topic from questions and mastery already filed under it'}
+                  />
+                </div>
+                <input
+                  type="text"
+                  value={row.keywords}
+                  onChange={(e) => updateRow(index, { keywords: e.target.value })}
+                  className="sm:col-span-5 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+                  placeholder="Keywords, comma-separated"
+                  aria-label="Topic keywords"
+                />
+                <select
+                  value={row.parent}
+                  onChange={(e) => updateRow(index, { parent: e.target.value })}
+                  className="sm:col-span-3 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+                  aria-label="Parent topic"
+                >
+                  <option value="">Top level</option>
+                  {rows.filter((other, i) => i !== index && other.key).map(other => (
+                    <option key={other.key} value={other.key}>Under {other.display_name || other.key}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  className="sm:col-span-1 px-2 py-2 text-red-600 hover:text-red-700 text-sm"
+                  aria-label={`Remove ${row.display_name || 'topic'}`}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={handleAdd}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium"
+            >
+              + Add Topic
+            </button>
+            <button
+              type="button"
+              onClick={handleResetToDefault}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium"
+            >
+              Reset to Default
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving || !dirty || rows.length === 0}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
+            >
+              {saving ? 'Saving...' : 'Save Topics'}
+            </button>
+            {saved && <span className="text-sm text-green-700">Saved. New questions and submissions use these topics.</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { analyticsAPI } from '../services/api';
+import MasteryGrid, { MasteryLegend, MasteryList } from '../components/MasteryGrid';
 
 export default function AnalyticsDashboard() {
   const { courseId } = useParams();
@@ -12,6 +13,7 @@ export default function AnalyticsDashboard() {
   const [overview, setOverview] = useState(null);
   const [students, setStudents] = useState([]);
   const [topics, setTopics] = useState([]);
+  const [mastery, setMastery] = useState({ topics: [], students: [] });
 
   // UI states
   const [selectedStudent, setSelectedStudent] = useState(null);
@@ -28,15 +30,17 @@ export default function AnalyticsDashboard() {
       setError('');
 
       // Load all analytics data in parallel
-      const [overviewData, studentsData, topicsData] = await Promise.all([
+      const [overviewData, studentsData, topicsData, masteryData] = await Promise.all([
         analyticsAPI.getCourseOverview(courseId),
         analyticsAPI.getCourseStudents(courseId),
-        analyticsAPI.getCourseTopics(courseId)
+        analyticsAPI.getCourseTopics(courseId),
+        analyticsAPI.getCourseMastery(courseId)
       ]);
 
       setOverview(overviewData);
       setStudents(studentsData);
       setTopics(topicsData);
+      setMastery(masteryData);
     } catch (err) {
       setError('Failed to load analytics: ' + err.message);
       console.error(err);
@@ -147,14 +151,24 @@ export default function AnalyticsDashboard() {
             ) : (
               <div className="space-y-3">
                 {topics.slice(0, 10).map((topic) => {
-                  const maxCount = Math.max(...topics.map(t => t.question_count));
-                  const percentage = maxCount > 0 ? (topic.question_count / maxCount) * 100 : 0;
+                  // Questions about several topics count for each by their share
+                  const maxCount = Math.max(...topics.map(t => t.weighted_count));
+                  const percentage = maxCount > 0 ? (topic.weighted_count / maxCount) * 100 : 0;
+                  const parent = topics.find(t => t.topic === topic.parent);
 
                   return (
                     <div key={topic.topic}>
                       <div className="flex justify-between text-sm mb-1">
-                        <span className="text-gray-700 font-medium">{topic.display_name}</span>
-                        <span className="text-gray-600">{topic.question_count} questions</span>
+                        <span className="text-gray-700 font-medium">
+                          {topic.display_name}
+                          {parent && <span className="text-gray-500 font-normal"> · {parent.display_name}</span>}
+                        </span>
+                        <span
+                          className="text-gray-600"
+                          title={topic.weighted_count !== topic.question_count ? `${topic.weighted_count} counting only each question's share of this topic` : undefined}
+                        >
+                          {topic.question_count} questions
+                        </span>
                       </div>
                       <div className="w-full bg-gray-200 rounded-full h-2">
                         <div
@@ -206,6 +220,20 @@ export default function AnalyticsDashboard() {
           </div>
         </div>
 
+        {/* Mastery Grid */}
+        <div className="bg-white rounded-lg shadow p-6 mt-8">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Concept Mastery</h2>
+              <p className="text-xs text-gray-500">
+                From questions, code reviews, exercise scores and failed runs; fades when a topic isn't practised
+              </p>
+            </div>
+            <MasteryLegend />
+          </div>
+          <MasteryGrid topics={mastery.topics} students={mastery.students} onSelectStudent={handleViewStudent} />
+        </div>
+
         {/* Student Detail Modal */}
         {selectedStudent && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -271,6 +299,12 @@ export default function AnalyticsDashboard() {
                       )}
                     </div>
 
+                    {/* Mastery */}
+                    <div className="mb-6">
+                      <h3 className="text-lg font-semibold text-gray-900 mb-3">Mastery</h3>
+                      <MasteryList mastery={studentDetails.mastery || []} />
+                    </div>
+
                     {/* Activity Timeline */}
                     <div>
                       <h3 className="text-lg font-semibold text-gray-900 mb-3">Recent Activity</h3>
@@ -286,7 +320,11 @@ export default function AnalyticsDashboard() {
                                   {new Date(activity.created_at).toLocaleDateString()}
                                 </span>
                               </div>
-                              <p className="text-sm text-gray-700 line-clamp-2">{activity.message}</p>
+                              {activity.message !== null ? (
+                                <p className="text-sm text-gray-700 line-clamp-2">{activity.message}</p>
+                              ) : (
+                                <p className="text-sm text-gray-500 italic">Question text hidden (requires permission to view student chats)</p>
+                              )}
                             </div>
                           ))}
                         </div>
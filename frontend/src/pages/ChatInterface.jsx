@@ -3,34 +3,62 @@ import { Link, useParams } from 'react-router-dom';
 import { Panel, PanelGroup, PanelResizeHandle } from 'react-resizable-panels';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vs } from 'react-syntax-highlighter/dist/esm/styles/prism';
-import { courseAPI, chatAPI, pdfAPI } from '../services/api';
+import { courseAPI, chatAPI, pdfAPI, linkAPI } from '../services/api';
 import { useAuth } from '../utils/AuthContext';
 import PDFViewer from '../components/PDFViewer';
+import MaterialViewer from '../components/MaterialViewer';
 import MatlabEditor from '../components/MatlabEditor';
+import ThreadSidebar from '../components/ThreadSidebar';
+import ExercisePanel from '../components/ExercisePanel';
+
+/**
+ * The version of a material that a message sent at `sentAt` cited: the last one whose chunks were
+ * searchable by then (materials from before versioning have a single version)
+ */
+function versionAt(pdf, sentAt) {
+  const versions = pdf.versions || [];
+
+  if (!sentAt || versions.length === 0) {
+    return null;
+  }
+
+  const indexed = versions.filter(version => version.indexed_at && new Date(version.indexed_at) <= new Date(sentAt));
+  return indexed[indexed.length - 1] || versions[0];
+}
 
 export default function ChatInterface() {
   const { courseId } = useParams();
   const { profile } = useAuth();
   const [course, setCourse] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [threads, setThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
   const [inputMessage, setInputMessage] = useState('');
   const [loading, setLoading] = useState(false);
   const [loadingHistory, setLoadingHistory] = useState(true);
   const [error, setError] = useState('');
   const [pdfs, setPdfs] = useState([]);
+  const [links, setLinks] = useState([]);
   const [showPdfOverlay, setShowPdfOverlay] = useState(false);
   const [selectedPdf, setSelectedPdf] = useState(null);
   const [selectedPage, setSelectedPage] = useState(1);
+  const [selectedReference, setSelectedReference] = useState(null); // { label, pageEnd } of the clicked citation
   const [editorCode, setEditorCode] = useState('% Write your MATLAB code here\n\n');
   const [leftCollapsed, setLeftCollapsed] = useState(false);
   const [rightCollapsed, setRightCollapsed] = useState(false);
   const [hoveredCode, setHoveredCode] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [runResult, setRunResult] = useState(null);
+  const [attachPlots, setAttachPlots] = useState(true);
+  const [showExercises, setShowExercises] = useState(false);
   const messagesEndRef = useRef(null);
 
   useEffect(() => {
     loadCourse();
-    loadChatHistory();
+    loadThreads();
     loadPDFs();
+    loadLinks();
   }, [courseId]);
 
   useEffect(() => {
@@ -60,23 +88,119 @@ export default function ChatInterface() {
     }
   };
 
-  const loadChatHistory = async () => {
+  const loadLinks = async () => {
+    try {
+      const data = await linkAPI.getAll(courseId);
+      setLinks(data);
+    } catch (err) {
+      console.error('Failed to load links:', err);
+    }
+  };
+
+  // Open the most recently active thread, or an empty new conversation if there is none
+  const loadThreads = async () => {
+    setLoadingHistory(true);
+    try {
+      const data = await chatAPI.getThreads(courseId, { includeArchived: true });
+      setThreads(data);
+
+      const latest = data.find(thread => !thread.archived_at);
+      if (latest) {
+        await openThread(latest.id);
+      } else {
+        setActiveThreadId(null);
+        setMessages([]);
+      }
+    } catch (err) {
+      console.error('Failed to load conversations:', err);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  const openThread = async (threadId) => {
+    setActiveThreadId(threadId);
+    setMessages([]);
+    setError('');
+    setLoadingHistory(true);
     try {
-      const history = await chatAPI.getHistory(courseId);
+      const history = await chatAPI.getThreadMessages(threadId);
       setMessages(history);
     } catch (err) {
       console.error('Failed to load chat history:', err);
+      setError('Failed to load conversation');
     } finally {
       setLoadingHistory(false);
     }
   };
 
-  const handlePdfReferenceClick = (filename, page) => {
-    console.log(`PDF reference clicked: ${filename}, page ${page}`);
+  // Insert or update a thread, keeping the most recently active first
+  const upsertThread = (thread) => {
+    setThreads(prev => [thread, ...prev.filter(t => t.id !== thread.id)]
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at)));
+  };
+
+  const handleSelectThread = (thread) => {
+    if (loading || thread.id === activeThreadId) return;
+    openThread(thread.id);
+  };
+
+  // The thread itself is created with the first message, titled after it
+  const handleNewThread = () => {
+    if (loading) return;
+    setActiveThreadId(null);
+    setMessages([]);
+    setError('');
+  };
+
+  const handleRenameThread = async (threadId, title) => {
+    try {
+      const updated = await chatAPI.updateThread(threadId, { title });
+      setThreads(prev => prev.map(t => (t.id === threadId ? updated : t)));
+    } catch (err) {
+      setError(err.message || 'Failed to rename conversation');
+    }
+  };
+
+  const handleArchiveThread = async (thread, archived) => {
+    try {
+      const updated = await chatAPI.updateThread(thread.id, { archived });
+      setThreads(prev => prev.map(t => (t.id === thread.id ? updated : t)));
+      if (archived && thread.id === activeThreadId) {
+        handleNewThread();
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to archive conversation');
+    }
+  };
+
+  const handleDeleteThread = async (thread) => {
+    if (!confirm(`Delete "${thread.title}" and all of its messages?`)) {
+      return;
+    }
+
+    try {
+      await chatAPI.deleteThread(thread.id);
+      setThreads(prev => prev.filter(t => t.id !== thread.id));
+      if (thread.id === activeThreadId) {
+        handleNewThread();
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to delete conversation');
+    }
+  };
+
+  const handlePdfReferenceClick = (filename, page, reference = {}) => {
+    console.log(`PDF reference clicked: ${filename}, ${reference.label || `page ${page}`}`);
     const pdf = pdfs.find(p => p.filename === filename);
     if (pdf) {
-      setSelectedPdf(pdf);
+      // Open the file the message cited, even if the material has been updated since
+      const version = versionAt(pdf, reference.sentAt);
+      setSelectedPdf(version && version.version !== pdf.version
+        ? { ...pdf, file_url: version.file_url, format: version.format, viewedVersion: version }
+        : pdf);
       setSelectedPage(page);
+      setSelectedReference(reference);
       setShowPdfOverlay(true);
     } else {
       console.warn(`PDF not found: ${filename}`);
@@ -84,7 +208,7 @@ export default function ChatInterface() {
     }
   };
 
-  const renderMessageContent = (content) => {
+  const renderMessageContent = (content, streaming = false, sentAt = null) => {
     // First, parse code blocks
     const codeBlockRegex = /```(\w+)?\n([\s\S]*?)```/g;
     const parts = [];
@@ -114,10 +238,30 @@ export default function ChatInterface() {
 
     // Add remaining text
     if (lastIndex < content.length) {
-      parts.push({
-        type: 'text',
-        content: content.substring(lastIndex)
-      });
+      const remaining = content.substring(lastIndex);
+      // While streaming, an unterminated fence is a code block that is still arriving
+      const openFence = streaming ? remaining.indexOf('```') : -1;
+
+      if (openFence !== -1) {
+        if (openFence > 0) {
+          parts.push({
+            type: 'text',
+            content: remaining.substring(0, openFence)
+          });
+        }
+
+        const [, language, code = ''] = remaining.substring(openFence).match(/^```(\w+)?\n?([\s\S]*)$/);
+        parts.push({
+          type: 'code',
+          language: language || 'text',
+          code
+        });
+      } else {
+        parts.push({
+          type: 'text',
+          content: remaining
+        });
+      }
     }
 
     // If no code blocks, treat entire content as text
@@ -162,15 +306,17 @@ export default function ChatInterface() {
             );
           } else {
             // Parse PDF references in text
-            return <span key={idx}>{renderTextWithPdfRefs(part.content)}</span>;
+            return <span key={idx}>{renderTextWithPdfRefs(part.content, sentAt)}</span>;
           }
         })}
       </div>
     );
   };
 
-  const renderTextWithPdfRefs = (text) => {
-    const pdfRefRegex = /\[Reference: "([^"]+)" - Page ([\d\-]+)\]/g;
+  const renderTextWithPdfRefs = (text, sentAt) => {
+    // PDFs are cited by page; slides, documents and MATLAB files by slide, section or lines;
+    // course links by their title
+    const pdfRefRegex = /\[Reference: "([^"]+)" - (Pages?|Slides?|Sections?|Lines?) ([\d\-–]+)\]|\[Link: "([^"]+)"\]/g;
     const parts = [];
     let lastIndex = 0;
     let match;
@@ -183,18 +329,27 @@ export default function ChatInterface() {
         });
       }
 
-      const [fullMatch, filename, pageStr] = match;
+      const [fullMatch, filename, label, pageStr, linkTitle] = match;
 
-      // Handle page ranges: "29-31" -> link to page 29
-      const firstPage = pageStr.includes('-')
-        ? parseInt(pageStr.split('-')[0])
-        : parseInt(pageStr);
+      if (linkTitle) {
+        parts.push({
+          type: 'link_ref',
+          title: linkTitle,
+          link: links.find(l => l.title === linkTitle)
+        });
+        lastIndex = match.index + fullMatch.length;
+        continue;
+      }
+
+      // Handle page ranges: "29-31" -> link to page 29 (other materials highlight the whole range)
+      const [firstPage, lastPage] = pageStr.split(/[-–]/).map(n => parseInt(n));
 
       parts.push({
         type: 'pdf_ref',
         filename,
         page: firstPage,
-        pageDisplay: pageStr,
+        pageEnd: lastPage || firstPage,
+        pageDisplay: `${label} ${pageStr}`,
         fullMatch
       });
 
@@ -221,9 +376,9 @@ export default function ChatInterface() {
             return (
               <button
                 key={idx}
-                onClick={() => handlePdfReferenceClick(part.filename, part.page)}
+                onClick={() => handlePdfReferenceClick(part.filename, part.page, { label: part.pageDisplay, pageEnd: part.pageEnd, sentAt })}
                 className="inline-flex items-center px-2 py-1 mx-1 text-xs font-medium bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
-                title={`Click to view ${part.filename} page ${part.pageDisplay || part.page}`}
+                title={`Click to view ${part.filename} ${part.pageDisplay}`}
               >
                 <svg
                   className="w-3 h-3 mr-1"
@@ -238,9 +393,38 @@ export default function ChatInterface() {
                     d="M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z"
                   />
                 </svg>
-                {part.filename} - Page {part.pageDisplay || part.page}
+                {part.filename} - {part.pageDisplay}
               </button>
             );
+          } else if (part.type === 'link_ref') {
+            if (!part.link) {
+              return <span key={idx}>"{part.title}"</span>;
+            }
+            return (
+              <a
+                key={idx}
+                href={part.link.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center px-2 py-1 mx-1 text-xs font-medium bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
+                title={`Open ${part.link.url}`}
+              >
+                <svg
+                  className="w-3 h-3 mr-1"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"
+                  />
+                </svg>
+                {part.title}
+              </a>
+            );
           }
           return null;
         })}
@@ -248,87 +432,88 @@ export default function ChatInterface() {
     );
   };
 
-  const handleSendMessage = async (e) => {
-    e.preventDefault();
-    if (!inputMessage.trim() || loading) return;
-
-    const userMessage = inputMessage.trim();
-    setInputMessage('');
+  // Send a message and stream the tutor's reply into a draft message
+  const sendToTutor = async (content, failureMessage = 'Failed to send message', attachments = undefined) => {
     setLoading(true);
     setError('');
 
     const tempUserMsg = {
       role: 'user',
-      content: userMessage,
+      content,
       created_at: new Date().toISOString(),
     };
     setMessages(prev => [...prev, tempUserMsg]);
 
+    const appendDelta = (text) => {
+      setMessages(prev => {
+        const last = prev[prev.length - 1];
+        if (last?.streaming) {
+          return [...prev.slice(0, -1), { ...last, content: last.content + text }];
+        }
+        return [...prev, {
+          role: 'assistant',
+          content: text,
+          created_at: new Date().toISOString(),
+          streaming: true,
+        }];
+      });
+    };
+
     try {
-      const conversationHistory = messages.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-      }));
+      const response = await chatAPI.streamMessage(courseId, content, {
+        threadId: activeThreadId,
+        attachments,
+        onDelta: appendDelta,
+      });
 
-      const response = await chatAPI.sendMessage(courseId, userMessage, conversationHistory);
+      // A new conversation gets its thread from the first reply
+      if (response.thread) {
+        upsertThread(response.thread);
+        setActiveThreadId(response.thread.id);
+      }
 
-      const assistantMsg = {
-        role: 'assistant',
-        content: response.response,
-        created_at: new Date().toISOString(),
-      };
-      setMessages(prev => [...prev, assistantMsg]);
+      // Swap the draft for the final reply so code blocks and references are parsed from the complete text
+      setMessages(prev => [
+        ...prev.filter(msg => !msg.streaming),
+        {
+          role: 'assistant',
+          content: response.response,
+          created_at: new Date().toISOString(),
+        },
+      ]);
 
       if (response.relevant_materials && response.relevant_materials.length > 0) {
         console.log('Referenced materials:', response.relevant_materials);
       }
+
+      return true;
     } catch (err) {
-      setError(err.message || 'Failed to send message');
-      setMessages(prev => prev.slice(0, -1));
-      setInputMessage(userMessage);
+      setError(err.message || failureMessage);
+      setMessages(prev => prev.filter(msg => msg !== tempUserMsg && !msg.streaming));
+      return false;
     } finally {
       setLoading(false);
     }
   };
 
-  const handleStarterPromptClick = async (prompt) => {
-    if (loading) return;
+  const handleSendMessage = async (e) => {
+    e.preventDefault();
+    if (!inputMessage.trim() || loading) return;
 
+    const userMessage = inputMessage.trim();
     setInputMessage('');
-    setLoading(true);
-    setError('');
 
-    const tempUserMsg = {
-      role: 'user',
-      content: prompt,
-      created_at: new Date().toISOString(),
-    };
-    setMessages(prev => [...prev, tempUserMsg]);
-
-    try {
-      const conversationHistory = messages.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-      }));
-
-      const response = await chatAPI.sendMessage(courseId, prompt, conversationHistory);
+    const sent = await sendToTutor(userMessage);
+    if (!sent) {
+      setInputMessage(userMessage);
+    }
+  };
 
-      const assistantMsg = {
-        role: 'assistant',
-        content: response.response,
-        created_at: new Date().toISOString(),
-      };
-      setMessages(prev => [...prev, assistantMsg]);
+  const handleStarterPromptClick = async (prompt) => {
+    if (loading) return;
 
-      if (response.relevant_materials && response.relevant_materials.length > 0) {
-        console.log('Referenced materials:', response.relevant_materials);
-      }
-    } catch (err) {
-      setError(err.message || 'Failed to send message');
-      setMessages(prev => prev.slice(0, -1));
-    } finally {
-      setLoading(false);
-    }
+    setInputMessage('');
+    await sendToTutor(prompt);
   };
 
   const handleInsertCode = (code) => {
@@ -336,54 +521,51 @@ export default function ChatInterface() {
     setHoveredCode(null);
   };
 
-  const handleSubmitCode = async () => {
-    if (!editorCode.trim() || loading) return;
-
-    const codeSubmission = `Can you review my code and provide feedback?\n\n\`\`\`matlab\n${editorCode.trim()}\n\`\`\``;
-
-    setLoading(true);
-    setError('');
-
-    const tempUserMsg = {
-      role: 'user',
-      content: codeSubmission,
-      created_at: new Date().toISOString(),
-    };
-    setMessages(prev => [...prev, tempUserMsg]);
+  const handleRunCode = async () => {
+    if (!editorCode.trim() || running) return;
 
+    const code = editorCode;
+    setRunning(true);
     try {
-      const conversationHistory = messages.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-      }));
-
-      const response = await chatAPI.sendMessage(courseId, codeSubmission, conversationHistory);
-
-      const assistantMsg = {
-        role: 'assistant',
-        content: response.response,
-        created_at: new Date().toISOString(),
-      };
-      setMessages(prev => [...prev, assistantMsg]);
-
-      if (response.relevant_materials && response.relevant_materials.length > 0) {
-        console.log('Referenced materials:', response.relevant_materials);
-      }
+      const result = await chatAPI.executeCode(code, { courseId });
+      setRunResult({ ...result, figures: result.figures || [], code });
     } catch (err) {
-      setError(err.message || 'Failed to submit code');
-      setMessages(prev => prev.slice(0, -1));
+      setRunResult({ stdout: '', stderr: err.message || 'Failed to run code', success: false, figures: [], code });
     } finally {
-      setLoading(false);
+      setRunning(false);
     }
   };
 
+  // Plots from the last run can go along with a review, as long as the code hasn't changed since
+  const attachablePlots = runResult && runResult.code === editorCode
+    ? runResult.figures.filter(figure => figure.mime_type === 'image/png').slice(0, 4)
+    : [];
+
+  const handleSubmitCode = async () => {
+    if (!editorCode.trim() || loading) return;
+
+    const plots = attachPlots ? attachablePlots : [];
+    const plotNote = plots.length > 0
+      ? `\n\n(I attached the ${plots.length === 1 ? 'plot' : `${plots.length} plots`} my code produced.)`
+      : '';
+    const codeSubmission = `Can you review my code and provide feedback?\n\n\`\`\`matlab\n${editorCode.trim()}\n\`\`\`${plotNote}`;
+
+    await sendToTutor(
+      codeSubmission,
+      'Failed to submit code',
+      plots.length > 0 ? plots.map(({ mime_type, data }) => ({ mime_type, data })) : undefined
+    );
+  };
+
   const handleClearHistory = async () => {
-    if (!confirm('Are you sure you want to clear the conversation history?')) {
+    if (!activeThreadId) return;
+
+    if (!confirm('Are you sure you want to clear the messages in this conversation?')) {
       return;
     }
 
     try {
-      await chatAPI.clearHistory(courseId);
+      await chatAPI.clearThreadMessages(activeThreadId);
       setMessages([]);
     } catch (err) {
       setError('Failed to clear history');
@@ -423,9 +605,10 @@ export default function ChatInterface() {
             </div>
             <button
               onClick={handleClearHistory}
-              className="px-3 py-1.5 text-sm text-red-600 hover:text-red-700 font-medium"
+              disabled={!activeThreadId || loading}
+              className="px-3 py-1.5 text-sm text-red-600 hover:text-red-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Clear History
+              Clear Conversation
             </button>
           </div>
         </div>
@@ -436,179 +619,230 @@ export default function ChatInterface() {
         <PanelGroup direction="horizontal">
           {/* Chat Panel */}
           <Panel defaultSize={50} minSize={20} collapsible={true} onCollapse={setLeftCollapsed}>
-            <div className="h-full flex flex-col bg-white">
-              {/* Chat messages */}
-              <div className="flex-1 overflow-y-auto p-6 space-y-4">
-                {loadingHistory ? (
-                  <div className="text-center py-8">
-                    <p className="text-gray-600">Loading conversation...</p>
-                  </div>
-                ) : messages.length === 0 ? (
-                  <div className="flex items-center justify-center h-full">
-                    <div className="max-w-md text-center p-8 bg-gray-50 rounded-lg">
-                      <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                        Welcome to your AI MATLAB Tutor!
-                      </h3>
-                      <p className="text-gray-600 mb-4 text-sm">
-                        Ask me anything about MATLAB and I'll guide you through learning step-by-step.
-                      </p>
-                      <div className="text-left space-y-2">
-                        <p className="text-sm text-gray-700 font-medium">Try asking:</p>
-                        <ul className="text-sm text-gray-600 space-y-2">
-                          <li>
-                            <button
-                              onClick={() => handleStarterPromptClick("How do I create a matrix in MATLAB?")}
-                              className="text-left w-full px-3 py-2 rounded hover:bg-gray-200 transition-colors text-primary-600 hover:text-primary-700"
-                            >
-                              • "How do I create a matrix in MATLAB?"
-                            </button>
-                          </li>
-                          <li>
-                            <button
-                              onClick={() => handleStarterPromptClick("Help me understand loops in MATLAB")}
-                              className="text-left w-full px-3 py-2 rounded hover:bg-gray-200 transition-colors text-primary-600 hover:text-primary-700"
-                            >
-                              • "Help me understand loops in MATLAB"
-                            </button>
-                          </li>
-                          <li>
-                            <button
-                              onClick={() => handleStarterPromptClick("What's the difference between a row and column vector?")}
-                              className="text-left w-full px-3 py-2 rounded hover:bg-gray-200 transition-colors text-primary-600 hover:text-primary-700"
-                            >
-                              • "What's the difference between a row and column vector?"
-                            </button>
-                          </li>
-                        </ul>
+            <div className="h-full flex bg-white">
+              {/* Conversation threads */}
+              <div className="w-56 flex-shrink-0">
+                <ThreadSidebar
+                  threads={threads}
+                  activeThreadId={activeThreadId}
+                  showArchived={showArchived}
+                  disabled={loading}
+                  onSelect={handleSelectThread}
+                  onNew={handleNewThread}
+                  onRename={handleRenameThread}
+                  onArchive={handleArchiveThread}
+                  onDelete={handleDeleteThread}
+                  onToggleArchived={() => setShowArchived(prev => !prev)}
+                />
+              </div>
+
+              <div className="flex-1 min-w-0 flex flex-col">
+                {/* Chat messages */}
+                <div className="flex-1 overflow-y-auto p-6 space-y-4">
+                  {loadingHistory ? (
+                    <div className="text-center py-8">
+                      <p className="text-gray-600">Loading conversation...</p>
+                    </div>
+                  ) : messages.length === 0 ? (
+                    <div className="flex items-center justify-center h-full">
+                      <div className="max-w-md text-center p-8 bg-gray-50 rounded-lg">
+                        <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                          Welcome to your AI MATLAB Tutor!
+                        </h3>
+                        <p className="text-gray-600 mb-4 text-sm">
+                          Ask me anything about MATLAB and I'll guide you through learning step-by-step.
+                        </p>
+                        <div className="text-left space-y-2">
+                          <p className="text-sm text-gray-700 font-medium">Try asking:</p>
+                          <ul className="text-sm text-gray-600 space-y-2">
+                            <li>
+                              <button
+                                onClick={() => handleStarterPromptClick("How do I create a matrix in MATLAB?")}
+                                className="text-left w-full px-3 py-2 rounded hover:bg-gray-200 transition-colors text-primary-600 hover:text-primary-700"
+                              >
+                                • "How do I create a matrix in MATLAB?"
+                              </button>
+                            </li>
+                            <li>
+                              <button
+                                onClick={() => handleStarterPromptClick("Help me understand loops in MATLAB")}
+                                className="text-left w-full px-3 py-2 rounded hover:bg-gray-200 transition-colors text-primary-600 hover:text-primary-700"
+                              >
+                                • "Help me understand loops in MATLAB"
+                              </button>
+                            </li>
+                            <li>
+                              <button
+                                onClick={() => handleStarterPromptClick("What's the difference between a row and column vector?")}
+                                className="text-left w-full px-3 py-2 rounded hover:bg-gray-200 transition-colors text-primary-600 hover:text-primary-700"
+                              >
+                                • "What's the difference between a row and column vector?"
+                              </button>
+                            </li>
+                          </ul>
+                        </div>
                       </div>
                     </div>
-                  </div>
-                ) : (
-                  messages.map((msg, idx) => (
-                    <div
-                      key={idx}
-                      className="flex justify-start"
-                    >
+                  ) : (
+                    messages.map((msg, idx) => (
                       <div
-                        className={`max-w-3xl rounded-lg px-4 py-3 ${
-                          msg.role === 'user'
-                            ? 'bg-[#deefff] text-gray-900'
-                            : 'bg-gray-100 text-gray-900'
-                        }`}
+                        key={idx}
+                        className="flex justify-start"
                       >
-                        <div className="flex items-start space-x-2">
-                          <div className="flex-1">
-                            <div className="flex items-center space-x-2 mb-1">
-                              <span className="text-xs font-medium opacity-75">
-                                {msg.role === 'user' ? profile?.full_name || 'You' : 'AI Tutor'}
-                              </span>
-                              <span className="text-xs opacity-50">
-                                {formatTime(msg.created_at)}
-                              </span>
+                        <div
+                          className={`max-w-3xl rounded-lg px-4 py-3 ${
+                            msg.role === 'user'
+                              ? 'bg-[#deefff] text-gray-900'
+                              : 'bg-gray-100 text-gray-900'
+                          }`}
+                        >
+                          <div className="flex items-start space-x-2">
+                            <div className="flex-1">
+                              <div className="flex items-center space-x-2 mb-1">
+                                <span className="text-xs font-medium opacity-75">
+                                  {msg.role === 'user' ? profile?.full_name || 'You' : 'AI Tutor'}
+                                </span>
+                                <span className="text-xs opacity-50">
+                                  {formatTime(msg.created_at)}
+                                </span>
+                              </div>
+                              {renderMessageContent(msg.content, msg.streaming, msg.created_at)}
+                              {msg.streaming && (
+                                <span className="inline-block w-2 h-4 ml-0.5 bg-gray-500 animate-pulse align-middle" />
+                              )}
                             </div>
-                            {renderMessageContent(msg.content)}
                           </div>
                         </div>
                       </div>
-                    </div>
-                  ))
-                )}
-
-                {loading && (
-                  <div className="flex justify-start">
-                    <div className="max-w-3xl rounded-lg px-4 py-3 bg-gray-100">
-                      <div className="flex items-center space-x-2">
-                        <div className="flex space-x-1">
-                          <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
-                          <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce delay-100"></div>
-                          <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce delay-200"></div>
+                    ))
+                  )}
+
+                  {loading && !messages.some(msg => msg.streaming) && (
+                    <div className="flex justify-start">
+                      <div className="max-w-3xl rounded-lg px-4 py-3 bg-gray-100">
+                        <div className="flex items-center space-x-2">
+                          <div className="flex space-x-1">
+                            <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
+                            <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce delay-100"></div>
+                            <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce delay-200"></div>
+                          </div>
+                          <span className="text-sm text-gray-600">AI Tutor is thinking...</span>
                         </div>
-                        <span className="text-sm text-gray-600">AI Tutor is thinking...</span>
                       </div>
                     </div>
+                  )}
+
+                  <div ref={messagesEndRef} />
+                </div>
+
+                {/* Error Message */}
+                {error && (
+                  <div className="mx-6 mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+                    {error}
                   </div>
                 )}
 
-                <div ref={messagesEndRef} />
+                {/* Input Area */}
+                <div className="flex-shrink-0 p-4 border-t border-gray-200 bg-gray-100">
+                  <form onSubmit={handleSendMessage} className="relative">
+                    <input
+                      type="text"
+                      value={inputMessage}
+                      onChange={(e) => setInputMessage(e.target.value)}
+                      disabled={loading}
+                      placeholder="Ask your MATLAB question..."
+                      className="w-full px-4 py-3 pr-12 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:opacity-50 shadow-sm"
+                    />
+                    <button
+                      type="submit"
+                      disabled={loading || !inputMessage.trim()}
+                      className="absolute right-2 top-1/2 -translate-y-1/2 p-2 rounded-lg text-primary-600 hover:text-primary-700 hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Send message"
+                    >
+                      <svg
+                        className="w-5 h-5"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                        xmlns="http://www.w3.org/2000/svg"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M14 5l7 7m0 0l-7 7m7-7H3"
+                        />
+                      </svg>
+                    </button>
+                  </form>
+                </div>
               </div>
+            </div>
+          </Panel>
 
-              {/* Error Message */}
-              {error && (
-                <div className="mx-6 mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
-                  {error}
-                </div>
-              )}
+          {/* Resize Handle */}
+          <PanelResizeHandle className="w-2 bg-gray-200 hover:bg-primary-500 transition-colors cursor-col-resize" />
 
-              {/* Input Area */}
-              <div className="flex-shrink-0 p-4 border-t border-gray-200 bg-gray-100">
-                <form onSubmit={handleSendMessage} className="relative">
-                  <input
-                    type="text"
-                    value={inputMessage}
-                    onChange={(e) => setInputMessage(e.target.value)}
-                    disabled={loading}
-                    placeholder="Ask your MATLAB question..."
-                    className="w-full px-4 py-3 pr-12 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:opacity-50 shadow-sm"
-                  />
+          {/* Editor/PDF Panel */}
+          <Panel defaultSize={50} minSize={20} collapsible={true} onCollapse={setRightCollapsed}>
+            <div className="h-full flex flex-col bg-white border-l border-gray-200">
+              <div className="flex-shrink-0 px-4 py-3 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700">MATLAB Editor</h3>
+                  <p className="text-xs text-gray-500">Write your code here, then click Run or Review Code</p>
+                </div>
+                <div className="flex items-center space-x-2">
                   <button
-                    type="submit"
-                    disabled={loading || !inputMessage.trim()}
-                    className="absolute right-2 top-1/2 -translate-y-1/2 p-2 rounded-lg text-primary-600 hover:text-primary-700 hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="Send message"
+                    onClick={() => setShowExercises(!showExercises)}
+                    className={`px-4 py-2 border text-sm font-medium rounded-lg transition-colors ${
+                      showExercises
+                        ? 'bg-primary-50 border-primary-300 text-primary-700'
+                        : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+                    }`}
+                    title="Show the course's coding exercises"
+                  >
+                    Exercises
+                  </button>
+                  <button
+                    onClick={handleRunCode}
+                    disabled={running || !editorCode.trim()}
+                    className="px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                    title="Run your code"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    <span>{running ? 'Running...' : 'Run'}</span>
+                  </button>
+                  <button
+                    onClick={handleSubmitCode}
+                    disabled={loading || !editorCode.trim()}
+                    className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                    title="Review your code with AI"
                   >
                     <svg
-                      className="w-5 h-5"
+                      className="w-4 h-4"
                       fill="none"
                       stroke="currentColor"
                       viewBox="0 0 24 24"
-                      xmlns="http://www.w3.org/2000/svg"
                     >
                       <path
                         strokeLinecap="round"
                         strokeLinejoin="round"
                         strokeWidth={2}
-                        d="M14 5l7 7m0 0l-7 7m7-7H3"
+                        d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
                       />
                     </svg>
+                    <span>Review Code</span>
                   </button>
-                </form>
-              </div>
-            </div>
-          </Panel>
-
-          {/* Resize Handle */}
-          <PanelResizeHandle className="w-2 bg-gray-200 hover:bg-primary-500 transition-colors cursor-col-resize" />
-
-          {/* Editor/PDF Panel */}
-          <Panel defaultSize={50} minSize={20} collapsible={true} onCollapse={setRightCollapsed}>
-            <div className="h-full flex flex-col bg-white border-l border-gray-200">
-              <div className="flex-shrink-0 px-4 py-3 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
-                <div>
-                  <h3 className="text-sm font-semibold text-gray-700">MATLAB Editor</h3>
-                  <p className="text-xs text-gray-500">Write your code here, then click Review Code</p>
                 </div>
-                <button
-                  onClick={handleSubmitCode}
-                  disabled={loading || !editorCode.trim()}
-                  className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
-                  title="Review your code with AI"
-                >
-                  <svg
-                    className="w-4 h-4"
-                    fill="none"
-                    stroke="currentColor"
-                    viewBox="0 0 24 24"
-                  >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth={2}
-                      d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
-                    />
-                  </svg>
-                  <span>Review Code</span>
-                </button>
               </div>
+              {showExercises && (
+                <div className="flex-shrink-0 max-h-[50%] overflow-y-auto border-b border-gray-200 bg-gray-50">
+                  <ExercisePanel courseId={courseId} code={editorCode} onLoadCode={setEditorCode} />
+                </div>
+              )}
               <div className="flex-1 overflow-hidden relative">
                 <MatlabEditor
                   value={editorCode}
@@ -622,6 +856,59 @@ export default function ChatInterface() {
                   </div>
                 )}
               </div>
+
+              {/* Run output */}
+              {runResult && (
+                <div className="flex-shrink-0 max-h-[45%] overflow-y-auto border-t border-gray-200 bg-gray-50">
+                  <div className="sticky top-0 flex items-center justify-between px-4 py-2 bg-gray-100 border-b border-gray-200">
+                    <span className={`text-xs font-semibold ${runResult.success ? 'text-green-700' : 'text-red-700'}`}>
+                      {runResult.success ? 'Output' : 'Error'}
+                    </span>
+                    <button
+                      onClick={() => setRunResult(null)}
+                      className="text-xs text-gray-500 hover:text-gray-700"
+                    >
+                      Close
+                    </button>
+                  </div>
+                  <div className="p-4 space-y-3">
+                    {runResult.stdout && (
+                      <pre className="font-mono text-sm text-gray-800 whitespace-pre-wrap break-words">{runResult.stdout}</pre>
+                    )}
+                    {runResult.stderr && (
+                      <pre className="font-mono text-sm text-red-700 whitespace-pre-wrap break-words">{runResult.stderr}</pre>
+                    )}
+                    {!runResult.stdout && !runResult.stderr && runResult.figures.length === 0 && (
+                      <p className="text-sm text-gray-500">
+                        No output. Use <code>disp()</code> or <code>fprintf()</code> to print results.
+                      </p>
+                    )}
+                    {runResult.figures.length > 0 && (
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        {runResult.figures.map(figure => (
+                          <img
+                            key={figure.name}
+                            src={`data:${figure.mime_type};base64,${figure.data}`}
+                            alt={`Figure from ${figure.name}`}
+                            className="w-full bg-white border border-gray-200 rounded"
+                          />
+                        ))}
+                      </div>
+                    )}
+                    {attachablePlots.length > 0 && (
+                      <label className="flex items-center space-x-2 text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={attachPlots}
+                          onChange={(e) => setAttachPlots(e.target.checked)}
+                          className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        <span>Attach {attachablePlots.length === 1 ? 'this plot' : 'these plots'} to Review Code</span>
+                      </label>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
           </Panel>
         </PanelGroup>
@@ -633,7 +920,12 @@ export default function ChatInterface() {
           <div className="bg-white rounded-lg shadow-2xl w-full max-w-5xl h-5/6 flex flex-col">
             <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
               <h2 className="text-lg font-semibold text-gray-900">
-                {selectedPdf?.filename} - Page {selectedPage}
+                {selectedPdf?.filename} - {selectedReference?.label || `Page ${selectedPage}`}
+                {selectedPdf?.viewedVersion && (
+                  <span className="ml-3 px-2 py-0.5 rounded bg-yellow-50 text-yellow-800 text-xs font-medium align-middle">
+                    Version {selectedPdf.viewedVersion.version} of {selectedPdf.version}, as cited · since updated
+                  </span>
+                )}
               </h2>
               <button
                 onClick={() => setShowPdfOverlay(false)}
@@ -645,10 +937,19 @@ export default function ChatInterface() {
               </button>
             </div>
             <div className="flex-1 overflow-hidden">
-              <PDFViewer
-                pdfUrl={selectedPdf?.file_url}
-                initialPage={selectedPage}
-              />
+              {selectedPdf?.format && selectedPdf.format !== 'pdf' ? (
+                <MaterialViewer
+                  material={selectedPdf}
+                  version={selectedPdf.viewedVersion?.version}
+                  location={selectedPage}
+                  locationEnd={selectedReference?.pageEnd}
+                />
+              ) : (
+                <PDFViewer
+                  pdfUrl={selectedPdf?.file_url}
+                  initialPage={selectedPage}
+                />
+              )}
             </div>
           </div>
         </div>
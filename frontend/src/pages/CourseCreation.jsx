@@ -1,6 +1,25 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useParams, Link } from 'react-router-dom';
 import { courseAPI, pdfAPI, linkAPI } from '../services/api';
+import ExerciseManager from '../components/ExerciseManager';
+import EnrollmentManager from '../components/EnrollmentManager';
+import StaffManager from '../components/StaffManager';
+import TopicTaxonomyEditor from '../components/TopicTaxonomyEditor';
+import IngestionStatus, { ACTIVE_INGESTION_STATUSES } from '../components/IngestionStatus';
+import LinkFetchStatus, { ACTIVE_FETCH_STATUSES } from '../components/LinkFetchStatus';
+import SearchExplainer from '../components/SearchExplainer';
+
+// File types the backend can ingest, by format (backend/materials/index.js)
+const FORMAT_ACCEPT = {
+  pdf: '.pdf',
+  pptx: '.pptx',
+  docx: '.docx',
+  mlx: '.mlx',
+  markdown: '.md,.markdown',
+  html: '.html,.htm',
+  matlab: '.m',
+};
+const MATERIAL_ACCEPT = Object.values(FORMAT_ACCEPT).join(',');
 
 export default function CourseCreation() {
   const navigate = useNavigate();
@@ -11,7 +30,13 @@ export default function CourseCreation() {
     course_name: '',
     description: '',
     learning_goals: '',
+    teaching_style: 'socratic',
+    teaching_pace: 'normal',
+    llm_model: '',
   });
+  const [teachingOptions, setTeachingOptions] = useState({ teaching_styles: [], teaching_paces: [], models: [] });
+  const [promptPreview, setPromptPreview] = useState(null);
+  const [loadingPreview, setLoadingPreview] = useState(false);
 
   const [pdfs, setPdfs] = useState([]);
   const [links, setLinks] = useState([]);
@@ -22,6 +47,17 @@ export default function CourseCreation() {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
+  // The user's role in the course being edited; creating a course makes you its owner
+  const [access, setAccess] = useState({ role: isEditMode ? null : 'owner', permissions: [] });
+  const isOwner = access.role === 'owner';
+  const isInstructor = isOwner || access.role === 'co_instructor';
+  const canEditCourse = isOwner || access.permissions.includes('edit_course');
+  const canEditMaterials = isOwner || access.permissions.includes('edit_materials');
+
+  useEffect(() => {
+    loadTeachingOptions();
+  }, []);
+
   useEffect(() => {
     if (isEditMode) {
       loadCourse();
@@ -30,20 +66,86 @@ export default function CourseCreation() {
     }
   }, [courseId]);
 
+  // Poll the status of PDFs that are still being processed
+  useEffect(() => {
+    const processingIds = pdfs
+      .filter(pdf => ACTIVE_INGESTION_STATUSES.includes(pdf.ingestion?.status))
+      .map(pdf => pdf.id);
+
+    if (processingIds.length === 0) return;
+
+    const timer = setTimeout(async () => {
+      const statuses = await Promise.all(
+        processingIds.map(id => pdfAPI.getStatus(id).catch(() => null))
+      );
+      setPdfs(prev => prev.map(pdf => {
+        const index = processingIds.indexOf(pdf.id);
+        return index !== -1 && statuses[index] ? { ...pdf, ingestion: statuses[index] } : pdf;
+      }));
+    }, 2000);
+
+    return () => clearTimeout(timer);
+  }, [pdfs]);
+
+  // Poll the links whose pages are still being fetched
+  useEffect(() => {
+    if (!isEditMode || !links.some(link => ACTIVE_FETCH_STATUSES.includes(link.fetch_status))) return;
+
+    const timer = setTimeout(async () => {
+      const data = await linkAPI.getAll(courseId).catch(() => null);
+      if (data) setLinks(data);
+    }, 2000);
+
+    return () => clearTimeout(timer);
+  }, [links]);
+
   const loadCourse = async () => {
     try {
       const data = await courseAPI.getById(courseId);
-      setFormData({
+      setFormData(prev => ({
         course_name: data.course_name,
         description: data.description || '',
         learning_goals: data.learning_goals || '',
-      });
+        teaching_style: data.teaching_style || prev.teaching_style,
+        teaching_pace: data.teaching_pace || prev.teaching_pace,
+        llm_model: data.llm_model || '',
+      }));
+      setAccess({ role: data.my_role, permissions: data.my_permissions || [] });
     } catch (err) {
       setError('Failed to load course');
       console.error(err);
     }
   };
 
+  const loadTeachingOptions = async () => {
+    try {
+      const data = await courseAPI.getOptions();
+      setTeachingOptions(data);
+      if (!isEditMode) {
+        setFormData(prev => ({ ...prev, ...data.defaults }));
+      }
+    } catch (err) {
+      console.error('Failed to load teaching options:', err);
+    }
+  };
+
+  const handleTogglePromptPreview = async () => {
+    if (promptPreview) {
+      setPromptPreview(null);
+      return;
+    }
+
+    setLoadingPreview(true);
+    try {
+      const data = await courseAPI.getTutorPrompt(courseId);
+      setPromptPreview(data.system_prompt);
+    } catch (err) {
+      setError(err.message || 'Failed to load tutor instructions');
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
   const loadPdfs = async () => {
     try {
       const data = await pdfAPI.getAll(courseId);
@@ -81,6 +183,7 @@ export default function CourseCreation() {
       if (isEditMode) {
         console.log('📝 Updating existing course...');
         await courseAPI.update(courseId, formData);
+        setPromptPreview(null);
         setSuccess('Course updated successfully!');
       } else {
         console.log('📝 Creating new course...');
@@ -114,7 +217,7 @@ export default function CourseCreation() {
     if (!file) return;
 
     if (!isEditMode) {
-      alert('Please save the course first before uploading PDFs');
+      alert('Please save the course first before uploading materials');
       return;
     }
 
@@ -123,17 +226,45 @@ export default function CourseCreation() {
 
     try {
       const newPdf = await pdfAPI.upload(courseId, file);
-      setPdfs([...pdfs, newPdf]);
+      setPdfs([newPdf, ...pdfs]);
       e.target.value = '';
     } catch (err) {
-      setError(err.message || 'Failed to upload PDF');
+      setError(err.message || 'Failed to upload file');
+    } finally {
+      setUploadingPdf(false);
+    }
+  };
+
+  // A new version must be the same format; it replaces the material in search once it's processed
+  const handleVersionUpload = async (pdfId, e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setUploadingPdf(true);
+    setError('');
+
+    try {
+      const updatedPdf = await pdfAPI.uploadVersion(pdfId, file);
+      setPdfs(prev => prev.map(pdf => (pdf.id === pdfId ? updatedPdf : pdf)));
+    } catch (err) {
+      setError(err.message || 'Failed to upload new version');
     } finally {
+      e.target.value = '';
       setUploadingPdf(false);
     }
   };
 
+  const handleRetryIngestion = async (pdfId) => {
+    try {
+      const ingestion = await pdfAPI.retry(pdfId);
+      setPdfs(prev => prev.map(pdf => (pdf.id === pdfId ? { ...pdf, ingestion } : pdf)));
+    } catch (err) {
+      setError(err.message || 'Failed to retry PDF processing');
+    }
+  };
+
   const handleDeletePdf = async (pdfId) => {
-    if (!confirm('Are you sure you want to delete this PDF?')) {
+    if (!confirm('Are you sure you want to delete this file?')) {
       return;
     }
 
@@ -174,6 +305,15 @@ export default function CourseCreation() {
     }
   };
 
+  const handleRefreshLink = async (linkId) => {
+    try {
+      const refreshed = await linkAPI.refresh(linkId);
+      setLinks(prev => prev.map(link => (link.id === linkId ? refreshed : link)));
+    } catch (err) {
+      setError(err.message || 'Failed to refresh link');
+    }
+  };
+
   const handleDeleteLink = async (linkId) => {
     if (!confirm('Are you sure you want to delete this link?')) {
       return;
@@ -227,219 +367,399 @@ export default function CourseCreation() {
             </div>
           )}
 
-          {/* Course Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label htmlFor="course_name" className="block text-sm font-medium text-gray-700 mb-1">
-                Course Name *
-              </label>
-              <input
-                type="text"
-                id="course_name"
-                name="course_name"
-                required
-                value={formData.course_name}
-                onChange={handleChange}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                placeholder="Introduction to MATLAB"
-              />
+          {/* Staff without edit_course only see the sections they can change */}
+          {isEditMode && access.role && !canEditCourse && (
+            <div className="mb-2">
+              <h2 className="text-xl font-semibold text-gray-900">{formData.course_name}</h2>
+              <p className="text-sm text-gray-600 mt-1">You can manage this course's materials; settings are edited by its instructors.</p>
             </div>
+          )}
 
-            <div>
-              <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
-                Description
-              </label>
-              <textarea
-                id="description"
-                name="description"
-                rows={4}
-                value={formData.description}
-                onChange={handleChange}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                placeholder="Brief description of the course..."
-              />
-            </div>
+          {/* Course Form */}
+          {canEditCourse && (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="course_name" className="block text-sm font-medium text-gray-700 mb-1">
+                  Course Name *
+                </label>
+                <input
+                  type="text"
+                  id="course_name"
+                  name="course_name"
+                  required
+                  value={formData.course_name}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="Introduction to MATLAB"
+                />
+              </div>
 
-            <div>
-              <label htmlFor="learning_goals" className="block text-sm font-medium text-gray-700 mb-1">
-                Learning Goals
-              </label>
-              <textarea
-                id="learning_goals"
-                name="learning_goals"
-                rows={3}
-                value={formData.learning_goals}
-                onChange={handleChange}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                placeholder="What should students learn from this course?"
-              />
-              <p className="mt-1 text-xs text-gray-500">
-                Note: The AI tutor uses a Socratic teaching method to guide students through discovery
-              </p>
-            </div>
-          </form>
-
-          {/* Course Links Section (always visible) */}
-          <div className="mt-8 pt-8 border-t border-gray-200">
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">Course Links & Resources (Optional)</h3>
-            <p className="text-sm text-gray-600 mb-4">
-              Add external links to MATLAB documentation, tutorials, or other learning resources. The AI tutor will reference these when helping students.
-            </p>
-
-            {/* Add Link Form */}
-            <form onSubmit={handleAddLink} className="bg-gray-50 p-4 rounded-lg mb-4">
-              <div className="grid gap-3">
-                <div>
-                  <label htmlFor="link_title" className="block text-sm font-medium text-gray-700 mb-1">
-                    Link Title *
-                  </label>
-                  <input
-                    type="text"
-                    id="link_title"
-                    value={newLink.title}
-                    onChange={(e) => setNewLink({ ...newLink, title: e.target.value })}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
-                    placeholder="e.g., MATLAB Arrays Documentation"
-                    disabled={addingLink}
-                  />
-                </div>
-                <div>
-                  <label htmlFor="link_url" className="block text-sm font-medium text-gray-700 mb-1">
-                    URL *
-                  </label>
-                  <input
-                    type="url"
-                    id="link_url"
-                    value={newLink.url}
-                    onChange={(e) => setNewLink({ ...newLink, url: e.target.value })}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
-                    placeholder="https://..."
-                    disabled={addingLink}
-                  />
+              <div>
+                <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
+                  Description
+                </label>
+                <textarea
+                  id="description"
+                  name="description"
+                  rows={4}
+                  value={formData.description}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="Brief description of the course..."
+                />
+              </div>
+
+              <div>
+                <label htmlFor="learning_goals" className="block text-sm font-medium text-gray-700 mb-1">
+                  Learning Goals
+                </label>
+                <textarea
+                  id="learning_goals"
+                  name="learning_goals"
+                  rows={3}
+                  value={formData.learning_goals}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="What should students learn from this course?"
+                />
+              </div>
+
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Teaching Style</span>
+                <p className="text-xs text-gray-500 mb-2">How much the AI tutor is allowed to reveal when helping students</p>
+                <div className="grid gap-3 md:grid-cols-3">
+                  {teachingOptions.teaching_styles.map((option) => (
+                    <label
+                      key={option.value}
+                      className={`p-3 border rounded-lg cursor-pointer transition-colors ${
+                        formData.teaching_style === option.value
+                          ? 'border-primary-500 bg-primary-50'
+                          : 'border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="teaching_style"
+                        value={option.value}
+                        checked={formData.teaching_style === option.value}
+                        onChange={handleChange}
+                        className="sr-only"
+                      />
+                      <span className="block text-sm font-medium text-gray-900">{option.label}</span>
+                      <span className="block text-xs text-gray-600 mt-1">{option.description}</span>
+                    </label>
+                  ))}
                 </div>
-                <div>
-                  <label htmlFor="link_description" className="block text-sm font-medium text-gray-700 mb-1">
-                    Description (Optional)
-                  </label>
-                  <textarea
-                    id="link_description"
-                    value={newLink.description}
-                    onChange={(e) => setNewLink({ ...newLink, description: e.target.value })}
-                    rows={2}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
-                    placeholder="Brief description of this resource..."
-                    disabled={addingLink}
-                  />
+              </div>
+
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Teaching Pace</span>
+                <p className="text-xs text-gray-500 mb-2">How much ground the AI tutor covers in each reply</p>
+                <div className="grid gap-3 md:grid-cols-3">
+                  {teachingOptions.teaching_paces.map((option) => (
+                    <label
+                      key={option.value}
+                      className={`p-3 border rounded-lg cursor-pointer transition-colors ${
+                        formData.teaching_pace === option.value
+                          ? 'border-primary-500 bg-primary-50'
+                          : 'border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="teaching_pace"
+                        value={option.value}
+                        checked={formData.teaching_pace === option.value}
+                        onChange={handleChange}
+                        className="sr-only"
+                      />
+                      <span className="block text-sm font-medium text-gray-900">{option.label}</span>
+                      <span className="block text-xs text-gray-600 mt-1">{option.description}</span>
+                    </label>
+                  ))}
                 </div>
-                <button
-                  type="submit"
-                  disabled={addingLink || !newLink.title || !newLink.url}
-                  className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
+              </div>
+
+              <div>
+                <label htmlFor="llm_model" className="block text-sm font-medium text-gray-700 mb-1">
+                  AI Model
+                </label>
+                <select
+                  id="llm_model"
+                  name="llm_model"
+                  value={formData.llm_model}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                 >
-                  {addingLink ? 'Adding...' : 'Add Link'}
-                </button>
+                  <option value="">Server default</option>
+                  {teachingOptions.models.map((model) => (
+                    <option key={model.value} value={model.value}>{model.label}</option>
+                  ))}
+                </select>
               </div>
+
+              {isEditMode && (
+                <div>
+                  <button
+                    type="button"
+                    onClick={handleTogglePromptPreview}
+                    disabled={loadingPreview}
+                    className="text-sm text-primary-600 hover:text-primary-700 font-medium disabled:opacity-50"
+                  >
+                    {loadingPreview ? 'Loading...' : promptPreview ? 'Hide tutor instructions' : 'Preview tutor instructions (saved settings)'}
+                  </button>
+                  {promptPreview && (
+                    <pre className="mt-2 p-4 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-700 whitespace-pre-wrap max-h-96 overflow-y-auto">
+                      {promptPreview}
+                    </pre>
+                  )}
+                </div>
+              )}
             </form>
+          )}
 
-            {/* Links List */}
-            {links.length === 0 ? (
-              <p className="text-gray-600 text-sm">No links added yet.</p>
-            ) : (
-              <div className="space-y-2">
-                {links.map((link) => (
-                  <div key={link.id} className="flex items-start justify-between p-3 bg-gray-50 rounded-lg">
-                    <div className="flex-1">
-                      <div className="flex items-center space-x-2">
-                        <svg className="w-4 h-4 text-blue-600 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
-                        </svg>
-                        <a
-                          href={link.url}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="text-sm font-medium text-primary-600 hover:text-primary-700 hover:underline"
-                        >
-                          {link.title}
-                        </a>
+          {/* Course Links Section */}
+          {canEditMaterials && (
+            <div className="mt-8 pt-8 border-t border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">Course Links & Resources (Optional)</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Add external links to MATLAB documentation, tutorials, or other learning resources. The tutor searches the pages behind them and links to them when helping students.
+              </p>
+
+              {/* Add Link Form */}
+              <form onSubmit={handleAddLink} className="bg-gray-50 p-4 rounded-lg mb-4">
+                <div className="grid gap-3">
+                  <div>
+                    <label htmlFor="link_title" className="block text-sm font-medium text-gray-700 mb-1">
+                      Link Title *
+                    </label>
+                    <input
+                      type="text"
+                      id="link_title"
+                      value={newLink.title}
+                      onChange={(e) => setNewLink({ ...newLink, title: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+                      placeholder="e.g., MATLAB Arrays Documentation"
+                      disabled={addingLink}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="link_url" className="block text-sm font-medium text-gray-700 mb-1">
+                      URL *
+                    </label>
+                    <input
+                      type="url"
+                      id="link_url"
+                      value={newLink.url}
+                      onChange={(e) => setNewLink({ ...newLink, url: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+                      placeholder="https://..."
+                      disabled={addingLink}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="link_description" className="block text-sm font-medium text-gray-700 mb-1">
+                      Description (Optional)
+                    </label>
+                    <textarea
+                      id="link_description"
+                      value={newLink.description}
+                      onChange={(e) => setNewLink({ ...newLink, description: e.target.value })}
+                      rows={2}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+                      placeholder="Brief description of this resource..."
+                      disabled={addingLink}
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={addingLink || !newLink.title || !newLink.url}
+                    className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
+                  >
+                    {addingLink ? 'Adding...' : 'Add Link'}
+                  </button>
+                </div>
+              </form>
+
+              {/* Links List */}
+              {links.length === 0 ? (
+                <p className="text-gray-600 text-sm">No links added yet.</p>
+              ) : (
+                <div className="space-y-2">
+                  {links.map((link) => (
+                    <div key={link.id} className="flex items-start justify-between p-3 bg-gray-50 rounded-lg">
+                      <div className="flex-1">
+                        <div className="flex items-center space-x-2">
+                          <svg className="w-4 h-4 text-blue-600 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                          </svg>
+                          <a
+                            href={link.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-sm font-medium text-primary-600 hover:text-primary-700 hover:underline"
+                          >
+                            {link.title}
+                          </a>
+                        </div>
+                        {link.description && (
+                          <p className="text-xs text-gray-600 mt-1 ml-6">{link.description}</p>
+                        )}
+                        <p className="text-xs text-gray-400 mt-1 ml-6 truncate">{link.url}</p>
+                        {isEditMode && <LinkFetchStatus link={link} onRefresh={() => handleRefreshLink(link.id)} />}
                       </div>
-                      {link.description && (
-                        <p className="text-xs text-gray-600 mt-1 ml-6">{link.description}</p>
-                      )}
-                      <p className="text-xs text-gray-400 mt-1 ml-6 truncate">{link.url}</p>
+                      <button
+                        onClick={() => handleDeleteLink(link.id)}
+                        className="text-red-600 hover:text-red-800 text-sm font-medium ml-4 flex-shrink-0"
+                      >
+                        Delete
+                      </button>
                     </div>
-                    <button
-                      onClick={() => handleDeleteLink(link.id)}
-                      className="text-red-600 hover:text-red-800 text-sm font-medium ml-4 flex-shrink-0"
-                    >
-                      Delete
-                    </button>
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
 
           {/* Save/Create Button */}
-          <div className="mt-6">
-            <button
-              onClick={handleSubmit}
-              disabled={loading}
-              className="w-full bg-primary-600 text-white py-3 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium text-lg"
-            >
-              {loading ? 'Saving...' : isEditMode ? 'Update Course' : 'Create Course'}
-            </button>
-            {!isEditMode && links.length > 0 && (
-              <p className="mt-2 text-sm text-gray-600 text-center">
-                {links.length} link{links.length !== 1 ? 's' : ''} will be added to the course
-              </p>
-            )}
-          </div>
+          {canEditCourse && (
+            <div className="mt-6">
+              <button
+                onClick={handleSubmit}
+                disabled={loading}
+                className="w-full bg-primary-600 text-white py-3 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium text-lg"
+              >
+                {loading ? 'Saving...' : isEditMode ? 'Update Course' : 'Create Course'}
+              </button>
+              {!isEditMode && links.length > 0 && (
+                <p className="mt-2 text-sm text-gray-600 text-center">
+                  {links.length} link{links.length !== 1 ? 's' : ''} will be added to the course
+                </p>
+              )}
+            </div>
+          )}
 
-          {/* PDF Upload Section (only in edit mode) */}
-          {isEditMode && (
+          {/* Course Materials Upload Section (only in edit mode) */}
+          {isEditMode && canEditMaterials && (
             <div className="mt-8 pt-8 border-t border-gray-200">
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Course Materials (PDFs)</h3>
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">Course Materials</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Upload PDFs, slides (.pptx), documents (.docx, .md, .html) and MATLAB files (.m, .mlx). Files are processed in
+                the background; the tutor can cite a file once it shows as searchable. To update a file, upload a new
+                version: earlier conversations keep opening the version they cited.
+              </p>
 
               <div className="mb-4">
                 <label className="block">
-                  <span className="sr-only">Choose PDF file</span>
+                  <span className="sr-only">Choose a file</span>
                   <input
                     type="file"
-                    accept=".pdf"
+                    accept={MATERIAL_ACCEPT}
                     onChange={handlePdfUpload}
                     disabled={uploadingPdf}
                     className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100 disabled:opacity-50"
                   />
                 </label>
                 {uploadingPdf && (
-                  <p className="mt-2 text-sm text-gray-600">Uploading and processing PDF...</p>
+                  <p className="mt-2 text-sm text-gray-600">Uploading file...</p>
                 )}
               </div>
 
               {pdfs.length === 0 ? (
-                <p className="text-gray-600 text-sm">No PDFs uploaded yet.</p>
+                <p className="text-gray-600 text-sm">No materials uploaded yet.</p>
               ) : (
                 <div className="space-y-2">
                   {pdfs.map((pdf) => (
                     <div key={pdf.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                      <div className="flex items-center space-x-3">
-                        <svg className="w-5 h-5 text-red-600" fill="currentColor" viewBox="0 0 20 20">
+                      <div className="flex items-start space-x-3">
+                        <svg className="w-5 h-5 text-red-600 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
                           <path d="M4 4a2 2 0 012-2h4.586A2 2 0 0112 2.586L15.414 6A2 2 0 0116 7.414V16a2 2 0 01-2 2H6a2 2 0 01-2-2V4z" />
                         </svg>
-                        <span className="text-sm font-medium text-gray-900">{pdf.filename}</span>
+                        <div>
+                          <span className="text-sm font-medium text-gray-900">{pdf.filename}</span>
+                          {pdf.format && pdf.format !== 'pdf' && (
+                            <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-200 text-gray-600 text-xs uppercase">{pdf.format}</span>
+                          )}
+                          {pdf.versions?.length > 1 && (
+                            <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-200 text-gray-600 text-xs">v{pdf.version}</span>
+                          )}
+                          <IngestionStatus ingestion={pdf.ingestion} onRetry={() => handleRetryIngestion(pdf.id)} />
+                          {pdf.versions?.length > 1 && (
+                            <details className="mt-1">
+                              <summary className="text-xs text-gray-500 cursor-pointer">Earlier versions</summary>
+                              <ul className="mt-1 space-y-0.5">
+                                {pdf.versions.filter(version => version.version !== pdf.version).reverse().map(version => (
+                                  <li key={version.id} className="text-xs text-gray-600">
+                                    <a href={version.file_url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                                      v{version.version} · {version.filename}
+                                    </a>
+                                    <span className="text-gray-400"> · uploaded {new Date(version.uploaded_at).toLocaleDateString()}</span>
+                                  </li>
+                                ))}
+                              </ul>
+                            </details>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-4 flex-shrink-0">
+                        <label className={`text-primary-600 hover:text-primary-700 text-sm font-medium ${uploadingPdf ? 'opacity-50' : 'cursor-pointer'}`}>
+                          New version
+                          <input
+                            type="file"
+                            accept={FORMAT_ACCEPT[pdf.format || 'pdf']}
+                            onChange={(e) => handleVersionUpload(pdf.id, e)}
+                            disabled={uploadingPdf}
+                            className="sr-only"
+                          />
+                        </label>
+                        <button
+                          onClick={() => handleDeletePdf(pdf.id)}
+                          className="text-red-600 hover:text-red-800 text-sm font-medium"
+                        >
+                          Delete
+                        </button>
                       </div>
-                      <button
-                        onClick={() => handleDeletePdf(pdf.id)}
-                        className="text-red-600 hover:text-red-800 text-sm font-medium"
-                      >
-                        Delete
-                      </button>
                     </div>
                   ))}
                 </div>
               )}
             </div>
           )}
+
+          {/* Material search debugging (only in edit mode, once there are PDFs) */}
+          {isEditMode && isInstructor && pdfs.length > 0 && (
+            <div className="mt-8 pt-8 border-t border-gray-200">
+              <SearchExplainer courseId={courseId} />
+            </div>
+          )}
+
+          {/* Topics Section (only in edit mode) */}
+          {isEditMode && canEditCourse && (
+            <div className="mt-8 pt-8 border-t border-gray-200">
+              <TopicTaxonomyEditor courseId={courseId} />
+            </div>
+          )}
+
+          {/* Students Section (only in edit mode) */}
+          {isEditMode && canEditCourse && (
+            <div className="mt-8 pt-8 border-t border-gray-200">
+              <EnrollmentManager courseId={courseId} />
+            </div>
+          )}
+
+          {/* Staff Section (only in edit mode, course owner only) */}
+          {isEditMode && isOwner && (
+            <div className="mt-8 pt-8 border-t border-gray-200">
+              <StaffManager courseId={courseId} />
+            </div>
+          )}
+
+          {/* Exercises Section (only in edit mode) */}
+          {isEditMode && canEditMaterials && (
+            <div className="mt-8 pt-8 border-t border-gray-200">
+              <ExerciseManager courseId={courseId} />
+            </div>
+          )}
         </div>
       </main>
     </div>
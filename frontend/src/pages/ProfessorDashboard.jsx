@@ -4,15 +4,22 @@ import { useAuth } from '../utils/AuthContext';
 import { signOut } from '../services/supabase';
 import { courseAPI } from '../services/api';
 
+const ROLE_LABELS = {
+  co_instructor: 'Co-instructor',
+  ta: 'TA',
+};
+
 export default function ProfessorDashboard() {
   const navigate = useNavigate();
   const { profile } = useAuth();
   const [courses, setCourses] = useState([]);
+  const [optionLabels, setOptionLabels] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
   useEffect(() => {
     loadCourses();
+    loadOptionLabels();
   }, []);
 
   const loadCourses = async () => {
@@ -27,6 +34,20 @@ export default function ProfessorDashboard() {
     }
   };
 
+  // Courses show their option keys (e.g. "guided_hints") until the labels load, or if they can't
+  const loadOptionLabels = async () => {
+    try {
+      const options = await courseAPI.getOptions();
+      const labels = {};
+      [...options.teaching_styles, ...options.teaching_paces].forEach(option => {
+        labels[option.value] = option.label;
+      });
+      setOptionLabels(labels);
+    } catch (err) {
+      console.error('Failed to load teaching options:', err);
+    }
+  };
+
   const handleSignOut = async () => {
     try {
       await signOut();
@@ -108,9 +129,16 @@ export default function ProfessorDashboard() {
           <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
             {courses.map((course) => (
               <div key={course.id} className="bg-white rounded-lg shadow-md p-6 hover:shadow-lg transition-shadow">
-                <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                  {course.course_name}
-                </h3>
+                <div className="flex items-start justify-between gap-2 mb-2">
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    {course.course_name}
+                  </h3>
+                  {ROLE_LABELS[course.my_role] && (
+                    <span className="shrink-0 px-2 py-0.5 bg-primary-50 text-primary-700 rounded text-xs font-medium">
+                      {ROLE_LABELS[course.my_role]}
+                    </span>
+                  )}
+                </div>
                 <p className="text-gray-600 text-sm mb-4 line-clamp-3">
                   {course.description || 'No description'}
                 </p>
@@ -119,37 +147,49 @@ export default function ProfessorDashboard() {
                   {course.teaching_style && (
                     <div className="text-sm">
                       <span className="font-medium text-gray-700">Style:</span>{' '}
-                      <span className="text-gray-600">{course.teaching_style}</span>
+                      <span className="text-gray-600">{optionLabels[course.teaching_style] || course.teaching_style}</span>
                     </div>
                   )}
                   {course.teaching_pace && (
                     <div className="text-sm">
                       <span className="font-medium text-gray-700">Pace:</span>{' '}
-                      <span className="text-gray-600">{course.teaching_pace}</span>
+                      <span className="text-gray-600">{optionLabels[course.teaching_pace] || course.teaching_pace}</span>
+                    </div>
+                  )}
+                  {course.join_code && (
+                    <div className="text-sm">
+                      <span className="font-medium text-gray-700">Join code:</span>{' '}
+                      <span className="font-mono text-gray-900">{course.join_code}</span>
                     </div>
                   )}
                 </div>
 
                 <div className="space-y-2">
-                  <Link
-                    to={`/analytics/${course.id}`}
-                    className="block w-full px-3 py-2 bg-primary-600 text-white rounded hover:bg-primary-700 transition-colors text-center text-sm font-medium"
-                  >
-                    📊 Analytics
-                  </Link>
-                  <div className="flex gap-2">
+                  {course.my_permissions?.includes('view_analytics') && (
                     <Link
-                      to={`/courses/${course.id}/edit`}
-                      className="flex-1 px-3 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors text-center text-sm font-medium"
+                      to={`/analytics/${course.id}`}
+                      className="block w-full px-3 py-2 bg-primary-600 text-white rounded hover:bg-primary-700 transition-colors text-center text-sm font-medium"
                     >
-                      Edit
+                      📊 Analytics
                     </Link>
-                    <button
-                      onClick={() => handleDeleteCourse(course.id)}
-                      className="flex-1 px-3 py-2 bg-red-50 text-red-700 rounded hover:bg-red-100 transition-colors text-sm font-medium"
-                    >
-                      Delete
-                    </button>
+                  )}
+                  <div className="flex gap-2">
+                    {(course.my_permissions?.includes('edit_course') || course.my_permissions?.includes('edit_materials')) && (
+                      <Link
+                        to={`/courses/${course.id}/edit`}
+                        className="flex-1 px-3 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors text-center text-sm font-medium"
+                      >
+                        Edit
+                      </Link>
+                    )}
+                    {course.my_role === 'owner' && (
+                      <button
+                        onClick={() => handleDeleteCourse(course.id)}
+                        className="flex-1 px-3 py-2 bg-red-50 text-red-700 rounded hover:bg-red-100 transition-colors text-sm font-medium"
+                      >
+                        Delete
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
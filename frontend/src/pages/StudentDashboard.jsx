@@ -2,7 +2,12 @@ import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../utils/AuthContext';
 import { signOut } from '../services/supabase';
-import { courseAPI } from '../services/api';
+import { courseAPI, enrollmentAPI } from '../services/api';
+
+const STAFF_ROLE_LABELS = {
+  co_instructor: 'co-instructor',
+  ta: 'teaching assistant',
+};
 
 export default function StudentDashboard() {
   const navigate = useNavigate();
@@ -10,6 +15,9 @@ export default function StudentDashboard() {
   const [courses, setCourses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [joining, setJoining] = useState(false);
+  const [joinError, setJoinError] = useState('');
 
   useEffect(() => {
     loadCourses();
@@ -27,6 +35,22 @@ export default function StudentDashboard() {
     }
   };
 
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    setJoining(true);
+    setJoinError('');
+
+    try {
+      const course = await enrollmentAPI.join(joinCode);
+      setCourses(prev => [course, ...prev.filter(c => c.id !== course.id)]);
+      setJoinCode('');
+    } catch (err) {
+      setJoinError(err.message || 'Failed to join course');
+    } finally {
+      setJoining(false);
+    }
+  };
+
   const handleSignOut = async () => {
     try {
       await signOut();
@@ -58,11 +82,35 @@ export default function StudentDashboard() {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <div className="mb-6">
-          <h2 className="text-xl font-semibold text-gray-900">Available Courses</h2>
-          <p className="text-gray-600 mt-1">
-            Select a course to start learning with your AI tutor
-          </p>
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">My Courses</h2>
+            <p className="text-gray-600 mt-1">
+              Select a course to start learning with your AI tutor
+            </p>
+          </div>
+
+          {/* Join a course */}
+          <form onSubmit={handleJoin} className="flex items-start space-x-2">
+            <div>
+              <input
+                type="text"
+                value={joinCode}
+                onChange={(e) => setJoinCode(e.target.value)}
+                className="w-44 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono uppercase"
+                placeholder="Join code"
+                aria-label="Course join code"
+              />
+              {joinError && <p className="mt-1 text-sm text-red-700">{joinError}</p>}
+            </div>
+            <button
+              type="submit"
+              disabled={joining || !joinCode.trim()}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+            >
+              {joining ? 'Joining...' : 'Join Course'}
+            </button>
+          </form>
         </div>
 
         {/* Error Message */}
@@ -79,7 +127,8 @@ export default function StudentDashboard() {
           </div>
         ) : courses.length === 0 ? (
           <div className="text-center py-12 bg-white rounded-lg shadow">
-            <div className="text-gray-600">No courses available yet.</div>
+            <div className="text-gray-600">You haven't joined any courses yet.</div>
+            <div className="text-gray-500 text-sm mt-1">Ask your professor for the course's join code and enter it above.</div>
           </div>
         ) : (
           <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
@@ -112,6 +161,40 @@ export default function StudentDashboard() {
                 >
                   Open Tutor Chat
                 </Link>
+
+                {course.my_role === 'student' && (
+                  <Link
+                    to={`/courses/${course.id}/progress`}
+                    className="block w-full mt-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-center text-sm font-medium"
+                  >
+                    🎯 My Progress
+                  </Link>
+                )}
+
+                {/* Courses this account helps teach */}
+                {STAFF_ROLE_LABELS[course.my_role] && (
+                  <div className="mt-3 pt-3 border-t border-gray-100">
+                    <p className="text-xs font-medium text-gray-500 mb-2">You're a {STAFF_ROLE_LABELS[course.my_role]} in this course</p>
+                    <div className="flex gap-2">
+                      {course.my_permissions?.includes('view_analytics') && (
+                        <Link
+                          to={`/analytics/${course.id}`}
+                          className="flex-1 px-3 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors text-center text-sm font-medium"
+                        >
+                          📊 Analytics
+                        </Link>
+                      )}
+                      {(course.my_permissions?.includes('edit_course') || course.my_permissions?.includes('edit_materials')) && (
+                        <Link
+                          to={`/courses/${course.id}/edit`}
+                          className="flex-1 px-3 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors text-center text-sm font-medium"
+                        >
+                          Manage
+                        </Link>
+                      )}
+                    </div>
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { analyticsAPI, courseAPI } from '../services/api';
+import { MasteryLegend, MasteryList } from '../components/MasteryGrid';
+
+/**
+ * A student's own view of how well they know each topic of a course
+ */
+export default function StudentProgress() {
+  const { courseId } = useParams();
+  const [course, setCourse] = useState(null);
+  const [mastery, setMastery] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadProgress();
+  }, [courseId]);
+
+  const loadProgress = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const [courseData, masteryData] = await Promise.all([
+        courseAPI.getById(courseId),
+        analyticsAPI.getMyMastery(courseId)
+      ]);
+
+      setCourse(courseData);
+      setMastery(masteryData);
+    } catch (err) {
+      setError('Failed to load your progress: ' + err.message);
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Topics to revisit: not yet developing, weakest first
+  const toRevisit = mastery.filter(entry => entry.mastery < 40).sort((a, b) => a.mastery - b.mastery);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <Link to="/dashboard" className="text-primary-600 hover:text-primary-700 mb-2 flex items-center gap-2">
+            <span>←</span> Back to Dashboard
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">My Progress{course ? `: ${course.course_name}` : ''}</h1>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {loading ? (
+          <div className="text-center py-12 text-lg text-gray-600">Loading your progress...</div>
+        ) : error ? (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">{error}</div>
+        ) : (
+          <>
+            {toRevisit.length > 0 && (
+              <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <p className="text-sm font-medium text-yellow-900">Worth revisiting</p>
+                <p className="text-sm text-yellow-800 mt-1">
+                  {toRevisit.map(entry => entry.display_name).join(', ')} — ask the tutor about {toRevisit.length === 1 ? 'it' : 'them'} or try an exercise.
+                </p>
+              </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">Topics</h2>
+                <MasteryLegend />
+              </div>
+              {mastery.length === 0 ? (
+                <p className="text-gray-600 text-sm">
+                  Your progress shows up here as you ask the tutor questions, run code and submit exercises.
+                </p>
+              ) : (
+                <MasteryList mastery={mastery} />
+              )}
+              <p className="text-xs text-gray-500 mt-6">
+                Levels go up with passed exercises and clean code reviews, and fade when you haven't practised a topic for a week or more.
+              </p>
+            </div>
+
+            <Link
+              to={`/courses/${courseId}/chat`}
+              className="block mt-6 w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors text-center font-medium"
+            >
+              Open Tutor Chat
+            </Link>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
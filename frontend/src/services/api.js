@@ -111,7 +111,9 @@ const apiRequest = async (endpoint, options = {}) => {
     if (!response.ok) {
       const error = await response.json().catch(() => ({ error: 'Request failed' }));
       console.error('❌ API Error:', error);
-      throw new Error(error.error || `Request failed with status ${response.status}`);
+      // Most endpoints send { error: message }; some send { error: true, message }
+      const message = typeof error.error === 'string' ? error.error : error.message;
+      throw new Error(message || `Request failed with status ${response.status}`);
     }
 
     const data = await response.json();
@@ -128,12 +130,109 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+// Parse one Server-Sent Event block ("event: x\ndata: {...}")
+const parseServerEvent = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
+// Helper for POST endpoints that reply with a Server-Sent Event stream
+const streamRequest = async (endpoint, body, onEvent) => {
+  console.log('🌐 Stream Request:', endpoint);
+
+  const token = await getAuthToken();
+
+  if (!token) {
+    console.error('❌ No auth token - user not authenticated');
+    throw new Error('Not authenticated. Please log in again.');
+  }
+
+  // Abort only if the stream goes quiet, not on total duration (the server sends a `: ping` comment
+  // every 10s while the tutor is working, which parseServerEvent skips)
+  const controller = new AbortController();
+  let timeout = null;
+  const resetTimeout = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      console.error('⏱️ Stream idle for 30s');
+      controller.abort();
+    }, 30000);
+  };
+
+  resetTimeout();
+
+  try {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Request failed' }));
+      console.error('❌ API Error:', error);
+      throw new Error(error.error || `Request failed with status ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      resetTimeout();
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const parsed = parseServerEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (parsed) onEvent(parsed.event, parsed.data);
+      }
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.error('⏱️ Stream aborted - timeout');
+      throw new Error('Request timed out. Please check your connection and try again.');
+    }
+    console.error('❌ Stream Request failed:', error);
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
 // Course API
 export const courseAPI = {
   getAll: () => apiRequest('/courses'),
 
+  getOptions: () => apiRequest('/courses/options'),
+
   getById: (id) => apiRequest(`/courses/${id}`),
 
+  getTutorPrompt: (id) => apiRequest(`/courses/${id}/tutor-prompt`),
+
+  // Which material passages the tutor would get for a student's message, with score breakdowns
+  explainSearch: (id, query) => apiRequest(`/courses/${id}/search-explain?query=${encodeURIComponent(query)}`),
+
   create: (courseData) => apiRequest('/courses', {
     method: 'POST',
     body: JSON.stringify(courseData),
@@ -151,69 +250,252 @@ export const courseAPI = {
 
 // Chat API
 export const chatAPI = {
-  sendMessage: (courseId, message, conversationHistory = []) =>
+  // History is loaded by the backend, so only the new message is sent.
+  // Without a threadId the backend starts a new thread and returns it as `thread`.
+  // attachments: optional [{ mime_type, data (base64) }] PNG images shown to the tutor with this message
+  sendMessage: (courseId, message, { threadId = null, attachments } = {}) =>
     apiRequest('/chat/message', {
       method: 'POST',
       body: JSON.stringify({
         course_id: courseId,
+        thread_id: threadId,
         message,
-        conversation_history: conversationHistory,
+        attachments,
       }),
     }),
 
-  getHistory: (courseId) => apiRequest(`/chat/history/${courseId}`),
+  // Streams the reply: onDelta(text) fires per chunk, resolves with the final { response, relevant_materials, thread }
+  streamMessage: async (courseId, message, { threadId = null, attachments, onDelta } = {}) => {
+    let result = null;
+    let streamError = null;
+
+    await streamRequest('/chat/message/stream', {
+      course_id: courseId,
+      thread_id: threadId,
+      message,
+      attachments,
+    }, (event, data) => {
+      if (event === 'delta') {
+        onDelta?.(data.text);
+      } else if (event === 'done') {
+        result = data;
+      } else if (event === 'error') {
+        streamError = data.error;
+      }
+    });
+
+    if (streamError) throw new Error(streamError);
+    if (!result) throw new Error('The tutor stopped responding. Please try again.');
+
+    return result;
+  },
+
+  getThreads: (courseId, { includeArchived = false } = {}) =>
+    apiRequest(`/chat/threads?course_id=${courseId}${includeArchived ? '&include_archived=true' : ''}`),
+
+  createThread: (courseId, title) => apiRequest('/chat/threads', {
+    method: 'POST',
+    body: JSON.stringify({ course_id: courseId, title }),
+  }),
+
+  // updates: { title?, archived? }
+  updateThread: (threadId, updates) => apiRequest(`/chat/threads/${threadId}`, {
+    method: 'PUT',
+    body: JSON.stringify(updates),
+  }),
+
+  deleteThread: (threadId) => apiRequest(`/chat/threads/${threadId}`, {
+    method: 'DELETE',
+  }),
+
+  getThreadMessages: (threadId) => apiRequest(`/chat/threads/${threadId}/messages`),
 
-  clearHistory: (courseId) => apiRequest(`/chat/history/${courseId}`, {
+  clearThreadMessages: (threadId) => apiRequest(`/chat/threads/${threadId}/messages`, {
     method: 'DELETE',
   }),
+
+  // Runs MATLAB/Octave code: resolves with { stdout, stderr, success, figures: [{ name, mime_type, data }] }
+  // Failed runs with a courseId count towards the student's mastery in that course
+  executeCode: (code, { figureFormat = 'png', courseId } = {}) => apiRequest('/chat/execute', {
+    method: 'POST',
+    body: JSON.stringify({ code, figure_format: figureFormat, course_id: courseId }),
+  }),
 };
 
-// PDF API
-export const pdfAPI = {
-  upload: async (courseId, file) => {
-    const token = await getAuthToken();
+// Exercises API
+export const exerciseAPI = {
+  getForCourse: (courseId) => apiRequest(`/exercises/course/${courseId}`),
+
+  getById: (id) => apiRequest(`/exercises/${id}`),
+
+  // exercise: { course_id, title, prompt, function_name, starter_code, published, tests: [{ name, inputs, expected, tolerance, hidden, points }] }
+  create: (exercise) => apiRequest('/exercises', {
+    method: 'POST',
+    body: JSON.stringify(exercise),
+  }),
+
+  update: (id, updates) => apiRequest(`/exercises/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(updates),
+  }),
+
+  delete: (id) => apiRequest(`/exercises/${id}`, {
+    method: 'DELETE',
+  }),
+
+  // Grades the code against every test: resolves with { status, score, max_score, results, output, error }
+  submit: (id, code) => apiRequest(`/exercises/${id}/submit`, {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  }),
 
-    if (!token) {
-      throw new Error('Not authenticated. Please log in again.');
+  getSubmissions: (id) => apiRequest(`/exercises/${id}/submissions`),
+};
+
+// Enrollment API
+export const enrollmentAPI = {
+  // Resolves with the joined course
+  join: (code) => apiRequest('/enrollments/join', {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  }),
+
+  // Professor and staff with edit_course: { join_code, students, invites }
+  getForCourse: (courseId) => apiRequest(`/enrollments/course/${courseId}`),
+
+  rotateJoinCode: (courseId) => apiRequest(`/enrollments/course/${courseId}/join-code`, {
+    method: 'POST',
+  }),
+
+  disableJoinCode: (courseId) => apiRequest(`/enrollments/course/${courseId}/join-code`, {
+    method: 'DELETE',
+  }),
+
+  // emails: array or comma/newline-separated text; resolves with { enrolled, invited, invalid }
+  invite: (courseId, emails) => apiRequest(`/enrollments/course/${courseId}/invites`, {
+    method: 'POST',
+    body: JSON.stringify({ emails }),
+  }),
+
+  cancelInvite: (courseId, inviteId) => apiRequest(`/enrollments/course/${courseId}/invites/${inviteId}`, {
+    method: 'DELETE',
+  }),
+
+  // Professors remove a student; students pass their own id to leave
+  removeStudent: (courseId, studentId) => apiRequest(`/enrollments/course/${courseId}/students/${studentId}`, {
+    method: 'DELETE',
+  }),
+};
+
+// Course staff API (co-instructors and TAs)
+export const staffAPI = {
+  // Resolves with { owner, staff }
+  getForCourse: (courseId) => apiRequest(`/staff/course/${courseId}`),
+
+  // Professor only; permissions default to the role's when omitted
+  add: (courseId, { email, role, permissions }) => apiRequest(`/staff/course/${courseId}`, {
+    method: 'POST',
+    body: JSON.stringify({ email, role, permissions }),
+  }),
+
+  update: (courseId, userId, updates) => apiRequest(`/staff/course/${courseId}/${userId}`, {
+    method: 'PUT',
+    body: JSON.stringify(updates),
+  }),
+
+  // Professors remove a staff member; staff pass their own id to leave
+  remove: (courseId, userId) => apiRequest(`/staff/course/${courseId}/${userId}`, {
+    method: 'DELETE',
+  }),
+};
+
+// Topic taxonomy API
+export const topicAPI = {
+  // Resolves with { topics: [{ key, display_name, keywords, parent }], is_default }
+  getForCourse: (courseId) => apiRequest(`/topics/course/${courseId}`),
+
+  // The default topics new courses start from
+  getTemplate: () => apiRequest('/topics/template'),
+
+  // Replaces all of the course's topics
+  save: (courseId, topics) => apiRequest(`/topics/course/${courseId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ topics }),
+  }),
+};
+
+// Upload a course material file (multipart, so it can't go through apiRequest)
+const uploadMaterial = async (endpoint, formData) => {
+  const token = await getAuthToken();
+
+  if (!token) {
+    throw new Error('Not authenticated. Please log in again.');
+  }
+
+  // Add timeout for long uploads (processing happens in the background afterwards)
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 60000); // 60 second timeout
+
+  try {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+      body: formData,
+      signal: controller.signal,
+    });
+
+    clearTimeout(timeout);
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Upload failed' }));
+      throw new Error(error.error || 'Upload failed');
+    }
+
+    return response.json();
+  } catch (error) {
+    clearTimeout(timeout);
+    if (error.name === 'AbortError') {
+      throw new Error('Upload timed out. Please try a smaller file or check your connection.');
     }
+    throw error;
+  }
+};
 
+// PDF API
+export const pdfAPI = {
+  upload: (courseId, file) => {
     const formData = new FormData();
     formData.append('pdf', file);
     formData.append('course_id', courseId);
 
-    // Add timeout for long uploads
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 60000); // 60 second timeout
-
-    try {
-      const response = await fetch(`${API_BASE_URL}/pdfs/upload`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-        body: formData,
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({ error: 'Upload failed' }));
-        throw new Error(error.error || 'Upload failed');
-      }
+    return uploadMaterial('/pdfs/upload', formData);
+  },
 
-      return response.json();
-    } catch (error) {
-      clearTimeout(timeout);
-      if (error.name === 'AbortError') {
-        throw new Error('Upload timed out. Please try a smaller PDF or check your connection.');
-      }
-      throw error;
-    }
+  // Replaces the material's file; earlier versions stay listed in `versions`
+  uploadVersion: (id, file) => {
+    const formData = new FormData();
+    formData.append('pdf', file);
+
+    return uploadMaterial(`/pdfs/${id}/versions`, formData);
   },
 
+  // Each material includes `format`, `ingestion`: { status, pages_done, pages_total, chunk_count, error }
+  // and `versions`: [{ version, filename, file_url, format, uploaded_at, indexed_at }]
   getAll: (courseId) => apiRequest(`/pdfs/${courseId}`),
 
+  getStatus: (id) => apiRequest(`/pdfs/${id}/status`),
+
+  // A slide deck's, document's or MATLAB file's content for the material viewer (not for PDFs);
+  // the current version unless `version` is given
+  getDocument: (id, version) => apiRequest(`/pdfs/${id}/document${version ? `?version=${version}` : ''}`),
+
+  // Re-queue a PDF whose processing failed; resolves with its ingestion job
+  retry: (id) => apiRequest(`/pdfs/${id}/retry`, {
+    method: 'POST',
+  }),
+
   delete: (id) => apiRequest(`/pdfs/${id}`, {
     method: 'DELETE',
   }),
@@ -231,6 +513,10 @@ export const linkAPI = {
     }),
   }),
 
+  refresh: (id) => apiRequest(`/links/${id}/refresh`, {
+    method: 'POST',
+  }),
+
   delete: (id) => apiRequest(`/links/${id}`, {
     method: 'DELETE',
   }),
@@ -245,4 +531,10 @@ export const analyticsAPI = {
   getCourseTopics: (courseId) => apiRequest(`/analytics/course/${courseId}/topics`),
 
   getStudentDetails: (studentId, courseId) => apiRequest(`/analytics/student/${studentId}/${courseId}`),
+
+  // { topics: [{ topic, display_name, average_mastery, students_assessed }], students: [{ id, name, email, mastery: { [topic]: ... } }] }
+  getCourseMastery: (courseId) => apiRequest(`/analytics/course/${courseId}/mastery`),
+
+  // The signed-in student's own mastery: [{ topic, display_name, mastery, evidence, last_evidence_at }]
+  getMyMastery: (courseId) => apiRequest(`/analytics/me/${courseId}/mastery`),
 };